@@ -22,6 +22,11 @@ class AutofillScanner {
         this.classifier = hybridClassifier;
         this.scanState = new ScanState();
 
+        // User-written rules for this site (ClassificationRules), loaded per scan, and the
+        // resume data their resume paths are read from (only loaded when a rule has one)
+        this.userRules = [];
+        this.userRuleResume = null;
+
         // TIER 0: Hard Veto Patterns (Enterprise Safety)
         this.VETO_PATTERNS = [
             /\b(search|filter|sort|keyword|find)\b/i,
@@ -53,6 +58,8 @@ class AutofillScanner {
 
         // Reset state for new form
         this.scanState = new ScanState();
+        this.userRules = await this._loadUserRules();
+        this.userRuleResume = await this._loadUserRuleResume(this.userRules);
 
         for (const field of sortedFields) {
             // 2. Detect Section Boundary
@@ -78,14 +85,40 @@ class AutofillScanner {
      * Process a single field through the pipeline.
      * 
      * Pipeline:
+     * 0. User Rules (options page, highest priority match wins)
      * 1. TIER 0 Veto (Hard Block)
      * 2. ScanState Hints (Date Pairing)
      * 3. Hybrid Classification (Heuristic + Neural + Context)
      * 4. Fillability Policy (Fill/Ask/Ignore)
+     *
+     * Each result carries an `explanation` (ClassificationTrace) for the sidebar's "Why?" popover.
      */
     async _processField(field, sectionInfo, neighbors = []) {
+        const trace = window.ClassificationTrace ? new window.ClassificationTrace(field) : null;
+        trace?.recordLabelSources(field.element);
+
+        const result = await this._classifyField(field, sectionInfo, neighbors, trace);
+        if (trace) result.explanation = trace.finish(result);
+        return result;
+    }
+
+    async _classifyField(field, sectionInfo, neighbors, trace) {
+        // --- STEP 0: USER RULES ---
+        // The user wrote these for exactly this field, so they outrank the veto list and the classifiers
+        // (a resume path rule with nothing to read falls through to normal classification)
+        const rule = window.ClassificationRules?.matchRule(this.userRules, field, this.userRuleResume);
+        if (rule) {
+            trace?.recordUserRule(rule);
+            return {
+                ...this._createResult(field, 'fill', 1.0, window.ClassificationRules.ruleLabel(rule), 'user_rule'),
+                rule: { id: rule.id, name: rule.name, targetType: rule.targetType, target: rule.target }
+            };
+        }
+
         // --- STEP 1: TIER 0 VETO ---
-        if (this._isVetoed(field)) {
+        const vetoPattern = this._findVetoPattern(field);
+        if (vetoPattern) {
+            trace?.recordVeto(vetoPattern);
             return this._createResult(field, 'ignore', 1.0, 'veto', 'pattern_block');
         }
 
@@ -105,11 +138,20 @@ class AutofillScanner {
         // Get raw signals from ML/Heuristics
         if (this.classifier && this.classifier.getHypotheses) {
             const { heuristic, neural } = await this.classifier.getHypotheses(field);
-            candidates.addCandidate(heuristic.label, heuristic.confidence, heuristic.source);
-            candidates.addCandidate(neural.label, neural.confidence, neural.source);
+            trace?.recordHypotheses(heuristic, neural);
+            // The pipeline's earlier classify() ran HybridClassifier's own arbitration on this field
+            trace?.recordArbitration(field.ml_prediction);
+            // Calibrated probabilities, the scale the policy thresholds below are set on
+            candidates.addCandidate(heuristic.label, heuristic.calibratedConfidence ?? heuristic.confidence, heuristic.source);
+            // The neural model has no reference classes: its "email"/"first_name" guess for a
+            // referee's field would only erode the margin of the heuristic's reference_* label
+            if (!String(heuristic.label).startsWith('reference_')) {
+                candidates.addCandidate(neural.label, neural.calibratedConfidence ?? neural.confidence, neural.source);
+            }
         } else if (this.classifier && this.classifier.classify) {
             const result = await this.classifier.classify(field);
-            candidates.addCandidate(result.label, result.confidence, result.source);
+            trace?.recordArbitration(result);
+            candidates.addCandidate(result.label, result.calibratedConfidence ?? result.confidence, result.source);
         } else {
             // Fallback if no classifier at all
             candidates.addCandidate('unknown', 0, 'none');
@@ -129,29 +171,43 @@ class AutofillScanner {
         }
 
         const best = candidates.getBestCandidate(minMargin);
+        trace?.recordCandidates(candidates, best, minMargin);
 
         // --- STEP 5: BOOLEAN FALLBACK (Workday/Custom Widgets) ---
         // If it's a legal question with sparse options, inject standard Yes/No candidates
         if (['work_auth', 'sponsorship'].includes(best.label)) {
             field.options = field.options || [];
-            const hasYes = field.options.some(opt => /yes/i.test(opt.text || opt.value));
-            const hasNo = field.options.some(opt => /no/i.test(opt.text || opt.value));
+            const answerKind = (opt) => window.LocalePacks?.answerKind(opt.text || opt.value);
+            const hasYes = field.options.some(opt => /yes/i.test(opt.text || opt.value) || answerKind(opt) === 'yes');
+            const hasNo = field.options.some(opt => /no/i.test(opt.text || opt.value) || answerKind(opt) === 'no');
 
             if (!hasYes) field.options.push({ value: 'yes', text: 'Yes' });
             if (!hasNo) field.options.push({ value: 'no', text: 'No' });
         }
 
         // --- STEP 6: FILLABILITY POLICY (Phase 4) ---
-        if (this.policy) {
-            const labelQuality = field.contextFeatures?.labelQuality ?? 1.0;
+        const labelQuality = field.contextFeatures?.labelQuality ?? 1.0;
 
-            // Conflict Logic: Did ScanState disagree with ML?
-            let conflict = false;
-            if (stateLabel && stateLabel !== 'unknown' && best.label !== 'unknown') {
-                if (best.label !== stateLabel) conflict = true;
-            }
+        // Conflict Logic: Did ScanState disagree with ML?
+        let conflict = false;
+        if (stateLabel && stateLabel !== 'unknown' && best.label !== 'unknown') {
+            if (best.label !== stateLabel) conflict = true;
+        }
+
+        trace?.recordContext({
+            labelQuality,
+            sectionType: sectionInfo.type,
+            sequenceLabel: stateLabel && stateLabel !== 'unknown' ? stateLabel : null,
+            conflict,
+            boosts: candidates.boosts,
+            features: field.contextFeatures
+        });
 
+        if (this.policy) {
+            const calibratedThresholds = this.classifier?.getPolicyThresholds?.();
+            if (calibratedThresholds) this.policy.thresholds = { ...this.policy.thresholds, ...calibratedThresholds };
             const policyResult = this.policy.evaluate(best, labelQuality, { conflict });
+            trace?.recordPolicy(policyResult, this.policy.thresholds);
 
             return this._createResult(field, policyResult.decision, policyResult.confidence, best.label, policyResult.reason);
         }
@@ -164,7 +220,36 @@ class AutofillScanner {
         return this._createResult(field, 'fill', best.score, best.label, 'candidates_consensus');
     }
 
+    async _loadUserRules() {
+        if (!window.ClassificationRules) return [];
+        try {
+            return await window.ClassificationRules.listRules({ hostname: window.location?.hostname || '', enabledOnly: true });
+        } catch (e) {
+            console.warn('⚠️ [Scanner] Could not load user rules:', e);
+            return [];
+        }
+    }
+
+    async _loadUserRuleResume(rules) {
+        const needsResume = rules.some(rule => rule.targetType === window.ClassificationRules.RuleTarget.RESUME_PATH);
+        if (!needsResume || !window.ResumeManager) return null;
+        try {
+            return await window.ResumeManager.getResumeData();
+        } catch (e) {
+            console.warn('⚠️ [Scanner] Could not load resume data for user rules:', e);
+            return null;
+        }
+    }
+
     _isVetoed(field) {
+        return this._findVetoPattern(field) !== null;
+    }
+
+    /**
+     * The veto pattern a field trips, if any
+     * @returns {RegExp|null}
+     */
+    _findVetoPattern(field) {
         // Check name, id, label, placeholder against veto patterns
         const textToCheck = [
             field.name,
@@ -180,10 +265,10 @@ class AutofillScanner {
         if (softVetoPattern.test(textToCheck) && textToCheck.length > 20) {
             // Filter patterns to check everything EXCEPT the soft veto markers
             const otherVetoes = this.VETO_PATTERNS.filter(p => p.toString() !== softVetoPattern.toString());
-            return otherVetoes.some(p => p.test(textToCheck));
+            return otherVetoes.find(p => p.test(textToCheck)) || null;
         }
 
-        return this.VETO_PATTERNS.some(p => p.test(textToCheck));
+        return this.VETO_PATTERNS.find(p => p.test(textToCheck)) || null;
     }
 
     _sortFieldsVisually(fields) {
@@ -0,0 +1,302 @@
+/**
+ * ClassificationTrace.js
+ *
+ * The "why" behind one field's classification, collected by AutofillScanner
+ * as the field moves through its pipeline and shown in the sidebar's "Why?"
+ * popover:
+ * - label text found by each tier of the label extractor
+ * - user rule or veto pattern that short-circuited classification
+ * - heuristic result with the attribute/pattern that matched
+ * - neural top-5 probabilities
+ * - HybridClassifier arbitration tier
+ * - FieldCandidates ranking and margin
+ * - context signals (label quality, scan sequence, boosts, conflict)
+ * - FillabilityPolicy decision
+ *
+ * The trace is plain data (no DOM references) so it can be copied into a bug report.
+ * It is recorded for every field on every scan but only read when the user opens
+ * "Why?", so the costly parts (the label extractor's DOM walk, which attribute
+ * matched, the neural top-5) are worked out on first read and then kept.
+ */
+
+class ClassificationTrace {
+    static VERSION = 1;
+
+    // HybridClassifier agreementType → wording for the popover
+    static ARBITRATION_TIERS = {
+        unanimous: 'Heuristic and neural model agreed',
+        heuristic_override: 'Strong heuristic match overrode the neural model',
+        neural_override: 'Confident neural prediction overrode a weak heuristic',
+        weighted_vote: 'Models disagreed; weighted vote',
+        heuristic_only: 'Only the heuristic matched',
+        neural_only: 'Only the neural model matched',
+        both_failed: 'Neither model matched'
+    };
+
+    static REASONS = {
+        user_rule: 'Matched one of your field rules',
+        pattern_block: 'Blocked by a veto pattern (search boxes, captchas, consent and open questions)',
+        policy_consensus: 'Confident enough to fill',
+        soft_veto_low_quality_label: 'Downgraded to a suggestion: the field has no clear label',
+        below_threshold: 'Not confident enough to fill',
+        low_margin: 'Two field types scored too close to call',
+        no_candidates: 'No classifier recognised the field',
+        candidates_consensus: 'Best candidate (no fill policy loaded)'
+    };
+
+    /**
+     * Define `key` on `target` as a value computed on first read (enumerable, so
+     * JSON.stringify and copies still see plain data)
+     * @param {Object} target
+     * @param {string} key
+     * @param {Function} compute
+     */
+    static defineLazy(target, key, compute) {
+        Object.defineProperty(target, key, {
+            configurable: true,
+            enumerable: true,
+            get() {
+                const value = compute();
+                Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true });
+                return value;
+            }
+        });
+    }
+
+    constructor(field = {}) {
+        this.field = {
+            label: field.label || '',
+            name: field.name || '',
+            id: field.id || '',
+            type: field.type || ''
+        };
+        this.labelSources = [];
+        this.userRule = null;
+        this.veto = null;
+        this.heuristic = null;
+        this.neural = null;
+        this.arbitration = null;
+        this.candidates = null;
+        this.context = null;
+        this.policy = null;
+        this.outcome = null;
+    }
+
+    /**
+     * @param {HTMLElement} element
+     */
+    recordLabelSources(element) {
+        if (!element || typeof window.getFieldLabelSources !== 'function') return;
+        ClassificationTrace.defineLazy(this, 'labelSources', () => {
+            try {
+                return window.getFieldLabelSources(element);
+            } catch (e) {
+                // Detached or exotic elements: the label itself is still in this.field
+                return [];
+            }
+        });
+    }
+
+    recordUserRule(rule) {
+        this.userRule = { id: rule.id, name: rule.name, pattern: rule.pattern, targetType: rule.targetType, target: rule.target };
+    }
+
+    recordVeto(pattern) {
+        this.veto = { pattern: pattern.source };
+    }
+
+    /**
+     * @param {Object} heuristic - HybridClassifier._runHeuristic result ({ label, confidence, details })
+     * @param {Object} neural - HybridClassifier._runNeural result
+     */
+    recordHypotheses(heuristic, neural) {
+        if (heuristic) {
+            this.heuristic = {
+                label: heuristic.label,
+                confidence: heuristic.confidence,
+                calibrated: heuristic.calibratedConfidence ?? null,
+                category: heuristic.details?.category || null,
+                match: heuristic.details?.match || null
+            };
+        }
+        if (neural) {
+            this.neural = { label: neural.label, confidence: neural.confidence, calibrated: neural.calibratedConfidence ?? null };
+            ClassificationTrace.defineLazy(this.neural, 'top', () =>
+                (neural.details?.top || []).map(t => ({ label: t.label, probability: t.probability })));
+        }
+    }
+
+    /**
+     * @param {Object} prediction - HybridClassifier.classify result (agreementType, source)
+     */
+    recordArbitration(prediction) {
+        if (!prediction?.agreementType) return;
+        this.arbitration = {
+            tier: prediction.agreementType,
+            source: prediction.source,
+            label: prediction.label,
+            confidence: prediction.confidence,
+            calibrated: prediction.calibratedConfidence ?? null
+        };
+    }
+
+    /**
+     * @param {FieldCandidates} candidates
+     * @param {Object} best - getBestCandidate result
+     * @param {number} minMargin
+     */
+    recordCandidates(candidates, best, minMargin) {
+        const ranked = candidates.list();
+        const margin = ranked.length > 1 ? (ranked[0].score - ranked[1].score) / Math.max(ranked[0].score, 0.01) : null;
+        this.candidates = { ranked, winner: best.label, minMargin, margin, reason: best.reason || null };
+    }
+
+    /**
+     * @param {Object} context - { labelQuality, sectionType, sequenceLabel, conflict, boosts, features }
+     */
+    recordContext(context) {
+        this.context = {
+            labelQuality: context.labelQuality ?? null,
+            sectionType: context.sectionType || null,
+            sequenceLabel: context.sequenceLabel || null,
+            conflict: !!context.conflict,
+            boosts: context.boosts || [],
+            features: context.features || null
+        };
+    }
+
+    /**
+     * @param {Object} result - FillabilityPolicy.evaluate result
+     * @param {Object} thresholds - FillabilityPolicy thresholds
+     */
+    recordPolicy(result, thresholds) {
+        this.policy = { decision: result.decision, confidence: result.confidence, reason: result.reason, thresholds: { ...thresholds } };
+    }
+
+    /**
+     * Close the trace with the scanner's result
+     * @param {Object} result - AutofillScanner result ({ label, decision, confidence, reason })
+     * @returns {Object} Plain explanation object
+     */
+    finish(result) {
+        this.outcome = { label: result.label, decision: result.decision, confidence: result.confidence, reason: result.reason || null };
+        return this.toJSON();
+    }
+
+    toJSON() {
+        const trace = this;
+        return {
+            version: ClassificationTrace.VERSION,
+            field: this.field,
+            get labelSources() { return trace.labelSources; },
+            userRule: this.userRule,
+            veto: this.veto,
+            heuristic: this.heuristic,
+            neural: this.neural,
+            arbitration: this.arbitration,
+            candidates: this.candidates,
+            context: this.context,
+            policy: this.policy,
+            outcome: this.outcome
+        };
+    }
+
+    /**
+     * Human-readable sections of an explanation (popover and copied text)
+     * @param {Object} explanation - finish() output
+     * @param {Object} [fill] - { source } of the value the pipeline filled in (never the value itself)
+     * @returns {Array<{ title: string, lines: string[] }>}
+     */
+    static describe(explanation, fill = {}) {
+        const pct = (n) => `${Math.round((n || 0) * 100)}%`;
+        // Raw score (what the thresholds compare) and, when a calibration is loaded, how often it is right
+        const score = (entry) => `${pct(entry.confidence)}${typeof entry.calibrated === 'number' && entry.calibrated !== entry.confidence ? ` (right ~${pct(entry.calibrated)} of the time)` : ''}`;
+        const sections = [];
+        const add = (title, lines) => {
+            const kept = lines.filter(Boolean);
+            if (kept.length > 0) sections.push({ title, lines: kept });
+        };
+
+        const outcome = explanation.outcome || {};
+        add('Result', [
+            `${outcome.label || 'unknown'}: ${outcome.decision || 'n/a'} at ${pct(outcome.confidence)}`,
+            outcome.reason && (ClassificationTrace.REASONS[outcome.reason] || outcome.reason),
+            fill.source && `Value from ${fill.source}`
+        ]);
+
+        add('Label', explanation.labelSources.map(s =>
+            `Tier ${s.tier} (${s.source}): ${s.text ? `"${s.text}"` : 'nothing found'}${s.used ? ' ← used' : ''}`));
+
+        if (explanation.userRule) {
+            const rule = explanation.userRule;
+            add('Your rule', [`"${rule.name}" /${rule.pattern}/ → ${rule.targetType.replace('_', ' ')} ${rule.target}`]);
+        }
+        if (explanation.veto) add('Veto', [`Matched /${explanation.veto.pattern}/`]);
+
+        const h = explanation.heuristic;
+        if (h) {
+            const match = h.match || {};
+            add('Heuristic', [
+                `${h.label} at ${score(h)}${match.stage ? ` (${match.stage} rules)` : ''}`,
+                ...(match.hits || []).map(hit => `${hit.attribute} matched ${hit.attribute === 'autocomplete' ? `"${hit.pattern}"` : `/${hit.pattern}/`}`),
+                match.text && `Searched "${match.text}"`
+            ]);
+        }
+
+        const n = explanation.neural;
+        if (n) {
+            add('Neural', n.top.length > 0
+                ? n.top.map((t, i) => `${i + 1}. ${t.label} ${pct(t.probability)}`)
+                : [`${n.label} at ${score(n)}`]);
+        }
+
+        const a = explanation.arbitration;
+        if (a) add('Arbitration', [`${ClassificationTrace.ARBITRATION_TIERS[a.tier] || a.tier}: ${a.label} at ${score(a)}`]);
+
+        const c = explanation.candidates;
+        if (c) {
+            add('Candidates', [
+                ...c.ranked.map(r => `${r.label} ${pct(r.score)} (${r.sources.join(', ')})`),
+                c.margin !== null && `Margin ${pct(c.margin)}, needed ${pct(c.minMargin)}`
+            ]);
+        }
+
+        const ctx = explanation.context;
+        if (ctx) {
+            add('Context', [
+                ctx.labelQuality !== null && `Label quality ${pct(ctx.labelQuality)}`,
+                ctx.sectionType && `Section: ${ctx.sectionType}`,
+                ctx.sequenceLabel && `Form sequence suggests ${ctx.sequenceLabel}`,
+                ctx.conflict && 'Sequence and classifiers disagree (confidence halved)',
+                ...ctx.boosts.map(b => `${b.label} boosted ×${b.multiplier}`)
+            ]);
+        }
+
+        const p = explanation.policy;
+        if (p) {
+            add('Fill policy', [
+                `${p.decision} at ${pct(p.confidence)}`,
+                `Thresholds: fill ${pct(p.thresholds.autoFill)}, suggest ${pct(p.thresholds.suggest)}, ask ${pct(p.thresholds.ask)}`
+            ]);
+        }
+
+        return sections;
+    }
+
+    /**
+     * Plain-text explanation for bug reports
+     * @param {Object} explanation
+     * @param {Object} [fill] - { source }
+     * @returns {string}
+     */
+    static toText(explanation, fill = {}) {
+        const f = explanation.field;
+        const header = `Field: "${f.label}" name=${f.name || '-'} id=${f.id || '-'} type=${f.type || '-'}`;
+        const body = ClassificationTrace.describe(explanation, fill)
+            .map(s => `${s.title}\n${s.lines.map(l => `  - ${l}`).join('\n')}`);
+        return [header, ...body].join('\n');
+    }
+}
+
+if (typeof window !== 'undefined') window.ClassificationTrace = ClassificationTrace;
+if (typeof module !== 'undefined' && module.exports) module.exports = ClassificationTrace;
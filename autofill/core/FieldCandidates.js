@@ -13,6 +13,7 @@
 class FieldCandidates {
     constructor() {
         this.candidates = new Map(); // label → { score, sources: [] }
+        this.boosts = []; // { label, multiplier } applied, for audit
     }
 
     /**
@@ -47,9 +48,20 @@ class FieldCandidates {
         if (existing) {
             existing.score = Math.min(1.0, existing.score * multiplier);
             existing.sources.push('context_boost');
+            this.boosts.push({ label, multiplier });
         }
     }
 
+    /**
+     * All hypotheses, best first (for audit / explanation)
+     * @returns {Array<{ label: string, score: number, sources: string[] }>}
+     */
+    list() {
+        return [...this.candidates.entries()]
+            .map(([label, data]) => ({ label, score: data.score, sources: [...data.sources] }))
+            .sort((a, b) => b.score - a.score);
+    }
+
     /**
      * Get the winning label with margin validation
      * @param {number} minMargin - Minimum normalized margin required (default 0.15)
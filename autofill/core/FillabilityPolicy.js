@@ -10,11 +10,19 @@
  * - Placeholders are weak (downgrade confidence)
  * - Explicit Labels are strong (preserve confidence)
  * - Veto is absolute
+ *
+ * Candidate scores are HybridClassifier's calibrated probabilities. The defaults
+ * below are the hand-picked thresholds for raw confidences (no calibration loaded);
+ * AutofillScanner swaps in HybridClassifier.getPolicyThresholds(), the same tiers
+ * re-derived on the calibrated scale so each fills as many fields as before.
+ * See scripts/train/calibration_report.txt for precision and coverage per tier.
  */
 
 class FillabilityPolicy {
-    constructor(thresholds = { autoFill: 0.90, suggest: 0.75, ask: 0.50 }) {
-        this.thresholds = thresholds;
+    static RAW_THRESHOLDS = { autoFill: 0.90, suggest: 0.75, ask: 0.50, softVeto: 0.95 };
+
+    constructor(thresholds = FillabilityPolicy.RAW_THRESHOLDS) {
+        this.thresholds = { ...FillabilityPolicy.RAW_THRESHOLDS, ...thresholds };
     }
 
     /**
@@ -54,7 +62,7 @@ class FillabilityPolicy {
         // 4. Soft Veto (Safety Downgrade)
         // If the visual label is weak (placeholder/none) AND we aren't at extreme confidence,
         // we downgrade from 'fill' to 'suggest' to be safe.
-        if (decision === 'fill' && labelQuality < 0.5 && fillConfidence < 0.95) {
+        if (decision === 'fill' && labelQuality < 0.5 && fillConfidence < this.thresholds.softVeto) {
             return {
                 decision: 'suggest',
                 confidence: fillConfidence,
@@ -71,3 +79,4 @@ class FillabilityPolicy {
 }
 
 if (typeof window !== 'undefined') window.FillabilityPolicy = FillabilityPolicy;
+if (typeof module !== 'undefined' && module.exports) module.exports = FillabilityPolicy;
@@ -119,12 +119,22 @@ class PipelineOrchestrator {
             }
         });
 
+        const results = {};
+        const unresolved = [];
+
+        // --- PHASE 0: USER RULES ---
+        // Fixed-value / resume-path rules fill their fields outright (an empty resume path falls
+        // through). Field type rules already relabelled the field and resolve like any other.
+        const ruleResults = this.strategyUserRules(enriched, context.resumeData);
+        if (Object.keys(ruleResults).length > 0) {
+            Object.assign(results, ruleResults);
+            await this.executeBatchFills(ruleResults, enriched);
+        }
+
         // 2. Group (Memory, Heuristic, Profile, General)
-        const groups = this.pipeline.grouping(enriched);
+        const groups = this.pipeline.grouping(enriched.filter(f => !ruleResults[f.selector]));
         // this.logGrouping(groups);
         // console.log("🚀 ~ PipelineOrchestrator ~ executePipeline ~ groups:", groups)
-        const results = {};
-        const unresolved = [];
 
         // --- PHASE 1: EXPLICIT LOCAL RESOLUTION ---
 
@@ -162,6 +172,8 @@ class PipelineOrchestrator {
 
             // FIX: Pass 'unresolved' (sourceFields) so executeBatchFills has metadata for auto-caching
             await this.executeBatchFills(aiResults, unresolved);
+            // Copilot answers that streamed in but never resolved go back to what the field had
+            this.executor?.cancelStreams();
 
             Object.assign(results, aiResults);
         }
@@ -233,6 +245,8 @@ class PipelineOrchestrator {
                             confidence: res.confidence,
                             reason: res.reason
                         };
+                        // Sidebar "Why?" popover
+                        if (res.explanation) field.explanation = res.explanation;
 
                         // logic: If Scanner says "ignore", it trumps even high confidence ML
                         if (res.decision === 'ignore') {
@@ -249,9 +263,10 @@ class PipelineOrchestrator {
                             field.ml_prediction = {
                                 label: res.label,
                                 confidence: res.confidence,
-                                source: 'scanner_refined',
+                                source: res.rule ? 'user_rule' : 'scanner_refined',
                                 decision: res.decision
                             };
+                            if (res.rule) field.user_rule = res.rule;
                         }
                     }
                 });
@@ -261,7 +276,7 @@ class PipelineOrchestrator {
         }
 
         // Phase 3: Final Indexing & Routing
-        const seenHeaders = { work: false, education: false };
+        const seenHeaders = { work: false, education: false, reference: false };
         const baseKeyCounts = {};
         if (window.IndexingService && window.IndexingService.getBaseKey) {
             fields.forEach(f => {
@@ -278,6 +293,7 @@ class PipelineOrchestrator {
                 const label = (field.ml_prediction?.label || field.label || field.name || '').toLowerCase();
                 const isWorkHeader = type === 'work' && (label.includes('company') || label.includes('employer') || label.includes('organization'));
                 const isEduHeader = type === 'education' && (label.includes('school') || label.includes('university') || label.includes('institution'));
+                const isRefHeader = type === 'reference' && label === 'reference_name';
 
                 if (isWorkHeader) {
                     if (seenHeaders.work) window.IndexingService.incrementCounter('work');
@@ -287,6 +303,10 @@ class PipelineOrchestrator {
                     if (seenHeaders.education) window.IndexingService.incrementCounter('education');
                     seenHeaders.education = true;
                 }
+                if (isRefHeader) {
+                    if (seenHeaders.reference) window.IndexingService.incrementCounter('reference');
+                    seenHeaders.reference = true;
+                }
 
                 const idxRes = window.IndexingService.getIndex(field, type);
                 if (idxRes !== null && typeof idxRes === 'object' && idxRes.index !== undefined) {
@@ -440,6 +460,16 @@ class PipelineOrchestrator {
         return await this.controllers.copilot.handle(fields, context);
     }
 
+    /**
+     * Stream a Copilot answer into its field as tokens arrive
+     * (context.callbacks.onFieldStreaming); executeBatchFills settles it afterwards
+     * @param {string} selector
+     * @param {string} fullText - Accumulated text so far
+     */
+    streamIntoField(selector, fullText) {
+        this.executor?.stream(selector, fullText);
+    }
+
     /**
      * Resolve Profile Fields (Multi-Value / Sections)
      * Logic: SectionController vs CompositeFieldManager
@@ -448,7 +478,7 @@ class PipelineOrchestrator {
         const results = {};
         const { section, composite } = this.partitionProfileFields(fields);
 
-        // 1. Section Fields (Jobs/Edu) -> SectionController (Transactional)
+        // 1. Section Fields (Jobs/Edu/References) -> SectionController (Transactional)
         if (section.length > 0 && this.controllers.section) {
             const sRes = await this.controllers.section.handle(section, context);
             Object.assign(results, sRes);
@@ -498,6 +528,23 @@ class PipelineOrchestrator {
         return await window.GlobalMemory.resolveBatch(fields);
     }
 
+    /**
+     * Strategy: User Rules (Options Page)
+     * Fixed values / resume paths of the rules AutofillScanner matched
+     */
+    strategyUserRules(fields, resumeData) {
+        if (!window.ClassificationRules) return {};
+        const results = {};
+        fields.forEach(field => {
+            if (!field.user_rule || !field.selector) return;
+            const value = window.ClassificationRules.resolveRuleValue(field.user_rule, resumeData);
+            if (value !== null) {
+                results[field.selector] = { value, confidence: 1.0, source: 'user_rule', rule: field.user_rule.name };
+            }
+        });
+        return results;
+    }
+
     /**
      * Strategy: Rule Engine (Resume Logic)
      * Formerly LocalMatcher
@@ -555,7 +602,8 @@ class PipelineOrchestrator {
                 console.warn(`⚠️ [Pipeline] Execution Failure: Could not fill element`, selector);
             } else {
                 // Auto-Cache: If filled successfully and NOT from cache, save it!
-                if (res.source !== 'selection_cache' && res.source !== 'cache' && field) {
+                // (User rule values are not cached: the rule itself is the source of truth)
+                if (res.source !== 'selection_cache' && res.source !== 'cache' && res.source !== 'user_rule' && field) {
 
                     // UNIFIED CACHING ARCHITECTURE (Consolidated)
                     // All fields flow into InteractionLog, which routes them to:
@@ -701,6 +749,9 @@ class PipelineOrchestrator {
 
     getSectionType(label) {
         if (!label) return null;
+        // Reference Signals (before Work: "reference_company" / "reference_title")
+        if (label.startsWith('reference_')) return 'reference';
+
         // Education Signals
         if (/school|degree|education|institution|gpa|major|minor|study|grade|score/.test(label) || label.includes('edu')) return 'education';
 
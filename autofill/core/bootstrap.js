@@ -19,7 +19,13 @@ const SCRIPT_QUEUE = [
     'shared/security/StorageVault.js',
     'shared/security/EncryptionService.js',
     'shared/utils/ai-client.js',
+    'shared/utils/contact-normalizer.js',
     'shared/utils/resume-manager.js',
+    'shared/utils/application-store.js',
+    'shared/utils/document-renderer.js',
+    'shared/utils/cover-letter-manager.js',
+    'shared/utils/document-store.js',
+    'shared/utils/classification-rules.js',
     'shared/utils/form-extractor.js',
     'shared/utils/form-analyzer.js',
     'autofill/utils/field-utils.js',
@@ -35,9 +41,12 @@ const SCRIPT_QUEUE = [
     // Infrastructure & Services (Core Logic)
     'autofill/domains/inference/feature-extractor.js',
     'autofill/domains/inference/FieldTypes.js',
+    'autofill/domains/inference/locale-packs.js',
     'autofill/domains/inference/HeuristicEngine.js',
     'autofill/domains/inference/OptimizedMathKernel.js',
     'autofill/domains/inference/neural-classifier-v8.js',
+    'autofill/domains/inference/neural-personalizer.js',
+    'autofill/domains/inference/ConfidenceCalibrator.js',
     'autofill/domains/inference/HybridClassifier.js',
     'autofill/domains/inference/CopilotClient.js',
 
@@ -47,6 +56,10 @@ const SCRIPT_QUEUE = [
     'autofill/features/self-healing.js',
     'autofill/features/ai-field-regeneration.js',
     'autofill/features/form-observer.js',
+    'autofill/features/application-tracker.js',
+    'autofill/features/job-fit.js',
+    'autofill/features/resume-tailor.js',
+    'autofill/features/file-attacher.js',
 
 
     // Remaining Logic & Services
@@ -60,6 +73,7 @@ const SCRIPT_QUEUE = [
     // Enterprise Core (Phase 1-4)
     'autofill/core/ScanState.js',
     'autofill/core/FieldCandidates.js',
+    'autofill/core/ClassificationTrace.js',
     'autofill/core/FillabilityPolicy.js',
     'autofill/core/ContextFeatureExtractor.js',
     'autofill/core/AutofillScanner.js',
@@ -464,6 +478,16 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
         return true; // Keep channel open for async response
     }
+
+    // Posting details for the popup ("Mark as applied", reminders)
+    if (message.type === 'GET_JOB_CONTEXT') {
+        loadAllScripts().then(loaded => {
+            const job = loaded && typeof window.getJobContext === 'function' ? window.getJobContext() : null;
+            sendResponse({ job, jobContext: job?.text || '', url: window.location.href });
+        });
+
+        return true; // Keep channel open for async response
+    }
 });
 
 // ==========================================
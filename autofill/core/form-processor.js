@@ -99,8 +99,12 @@ class FormProcessor {
             const orchestrator = new window.PipelineOrchestrator();
             const aiStatusResult = window.AIClient?.getAIStatus ? await window.AIClient.getAIStatus() : { status: 'ok', usableKeys: 1, totalKeys: 1 };
 
+            // Stops Copilot answers mid-stream (processing widget's Stop button)
+            const streamController = new AbortController();
+
             const context = {
                 resumeData,
+                signal: streamController.signal,
                 smartMemory: {}, // Router accesses SmartMemoryService directly now
                 aiStatus: aiStatusResult.status, // 'ok' | 'degraded' | 'offline'
                 callbacks: {
@@ -127,6 +131,11 @@ class FormProcessor {
                     onFieldAnswered: (selector, value, confidence) => {
                         // Optional: Micro-interactions for specific fields
                     },
+                    // Long Copilot answers type into their field token-by-token
+                    onFieldStreaming: (selector, fullText) => {
+                        orchestrator.streamIntoField(selector, fullText);
+                        if (window.AIRegeneration) window.AIRegeneration.addStopButton(() => streamController.abort());
+                    },
                     onAllComplete: (mappings) => {
                         if (typeof window.updateProcessingProgress === 'function') {
                             window.updateProcessingProgress(100);
@@ -140,6 +149,9 @@ class FormProcessor {
                 }
             };
 
+            // Earlier application to this posting (this or another ATS mirror)?
+            this.warnIfAlreadyApplied();
+
             // One-time banner when AI is offline (heuristic-only mode)
             if (aiStatusResult.status === 'offline' && typeof window.showAIDegradedBanner === 'function') {
                 window.showAIDegradedBanner('offline');
@@ -147,6 +159,7 @@ class FormProcessor {
 
             // 3. Execute Pipeline
             const results = await orchestrator.executePipeline(fields, context);
+            await this.attachDocuments(fields, results);
 
             // 4. Update Stats
             this.updateStats(results);
@@ -177,12 +190,18 @@ class FormProcessor {
                 console.warn('⚠️ window.showAccordionSidebar is not available');
             }
 
+            // Snapshot for the application log, written when the form is submitted
+            if (window.ApplicationTracker) {
+                window.ApplicationTracker.rememberFill(fields);
+            }
+
             // TRIGGER SUCCESS CELEBRATION
             if (typeof window.showSuccessToast === 'function') {
                 const totalFilled = Object.values(results).filter(r => r.value).length;
                 const totalReview = fields.length - totalFilled;
                 window.showSuccessToast(totalFilled, totalReview);
             }
+            this.recordFilledPosting();
 
             if (typeof window.triggerConfetti === 'function') {
                 window.triggerConfetti();
@@ -246,11 +265,65 @@ class FormProcessor {
     }
 
     /**
-     * Get job context
+     * Show the duplicate-application banner when local history has this posting
+     * (from before this page was opened, so refilling the same page stays quiet)
+     * @returns {Promise<void>}
+     */
+    static async warnIfAlreadyApplied() {
+        const identity = typeof window.getJobPostingIdentity === 'function' ? window.getJobPostingIdentity() : null;
+        if (!identity || !window.ApplicationStore) return;
+
+        try {
+            const before = new Date(performance.timeOrigin).toISOString();
+            const previous = await window.ApplicationStore.findPreviousApplication(identity, { before });
+            if (previous && typeof window.showDuplicateApplicationBanner === 'function') {
+                window.showDuplicateApplicationBanner(window.ApplicationStore.formatDuplicateWarning(previous));
+            }
+        } catch (error) {
+            console.warn('⚠️ [FormProcessor] Duplicate check failed:', error.message);
+        }
+    }
+
+    /**
+     * Attach stored resume / cover letter files to upload fields and record them as filled
+     * @param {Array<Object>} fields
+     * @param {Object} results - Pipeline results by selector (updated in place)
+     * @returns {Promise<void>}
+     */
+    static async attachDocuments(fields, results) {
+        if (!window.FileAttacher) return;
+
+        try {
+            const attached = await window.FileAttacher.attachAll(fields);
+            attached.filter(a => a.selector).forEach(a => {
+                results[a.selector] = { value: a.fileName, source: 'document_vault', confidence: 1 };
+            });
+        } catch (error) {
+            console.warn('⚠️ [FormProcessor] Could not attach documents:', error.message);
+        }
+    }
+
+    /**
+     * Remember the posting this fill completed on, for later duplicate checks
+     * @returns {Promise<void>}
+     */
+    static async recordFilledPosting() {
+        const identity = typeof window.getJobPostingIdentity === 'function' ? window.getJobPostingIdentity() : null;
+        if (!identity || !window.ApplicationStore) return;
+
+        try {
+            await window.ApplicationStore.recordFilledPosting(identity);
+        } catch (error) {
+            console.warn('⚠️ [FormProcessor] Could not record posting:', error.message);
+        }
+    }
+
+    /**
+     * Get job context text for prompts
      */
     static getJobContext() {
         if (typeof window.getJobContext === 'function') {
-            return window.getJobContext();
+            return window.getJobContext().text;
         }
         // Fallback
         return document.body.innerText.substring(0, 1000);
@@ -117,6 +117,10 @@ class RuleEngine {
             // // console.log(`🔍 [RuleEngine] Checking: "${field.label}" Context: "[${context}]"`);
         }
 
+        // 0. References: the referee's details, never the applicant's own name/email/phone
+        const mlLabel = field.ml_prediction?.label || '';
+        if (mlLabel.startsWith('reference_')) return this.matchOption(field, this.matchReference(facts.references, mlLabel, field.field_index), mlLabel);
+
         // 1. Demographics
         if (context.match(/gender|sex|male|female/)) return this.matchDemographic(field, facts.demographics.gender);
         if (context.includes('veteran')) return this.matchDemographic(field, facts.demographics.veteran);
@@ -130,17 +134,26 @@ class RuleEngine {
         }
 
         // 3. Facts (Direct Map)
-        // Names
+        // Names (middle/preferred before the generic "name" catch-all)
+        if (context.includes('pronoun')) return this.matchDemographic(field, facts.basics.pronouns);
+        if (context.includes('middle') && context.includes('name')) return this._logMatch(field, facts.basics.middleName || null, 'middleName');
+        if (context.match(/preferred|nickname|goes by/) && context.includes('name')) return this._logMatch(field, facts.basics.preferredName || facts.basics.firstName || null, 'preferredName');
         if (context.includes('first') && context.includes('name')) return this._logMatch(field, facts.basics.firstName || null, 'firstName');
         if (context.includes('last') && context.includes('name')) return this._logMatch(field, facts.basics.lastName || null, 'lastName');
         if (context.includes('full') || (context.includes('name') && !context.includes('first') && !context.includes('last') && !context.includes('file') && !context.includes('user'))) return this._logMatch(field, facts.basics.fullName || null, 'fullName');
 
         // Contact
         if (context.includes('email')) return this._logMatch(field, facts.basics.email || null, 'email');
+        if (context.match(/country code|dial code|calling code/)) return this.matchDialCode(field, facts.contact.phoneCountryCode);
+        if (context.match(/\bext(ension)?\b/)) return this._logMatch(field, facts.contact.phoneExtension || null, 'phoneExtension');
         if (context.includes('phone') || context.includes('mobile')) return this._logMatch(field, facts.contact.phone || null, 'phone');
         if (context.includes('zip') || context.includes('postal')) return this._logMatch(field, facts.contact.zip || null, 'zip');
         if (context.includes('city')) return this._logMatch(field, facts.contact.city || null, 'city');
-        if (context.match(/address|street/)) return this._logMatch(field, facts.contact.address || null, 'address');
+        if (context.match(/time[ _-]?zone/)) return this.matchOption(field, facts.contact.timezone, 'timezone');
+        if (context.match(/address|street/)) {
+            if (context.match(/line ?2|address2|apt|suite|unit/)) return this._logMatch(field, facts.contact.addressLine2 || null, 'addressLine2');
+            return this._logMatch(field, facts.contact.address || null, 'address');
+        }
 
         // Links
         if (context.includes('linkedin')) return this._logMatch(field, facts.basics.linkedin || null, 'linkedin');
@@ -153,6 +166,13 @@ class RuleEngine {
             return this._logMatch(field, facts.compensation.currentSalary || facts.compensation.desiredSalary || null, 'currentSalary');
         }
 
+        // Relocation ("Which country would you like to relocate to?") is not the applicant's address
+        if (context.includes('relocat')) return null;
+
+        // Region / Country: only as an address noun, after compensation so "Please state..." never matches
+        if (this.isAddressField(field, /(?<![a-z])(state|province|region)(?![a-z])/)) return this.matchOption(field, facts.contact.state, 'state');
+        if (this.isAddressField(field, /country/) && !context.match(/citizen|authori[sz]|eligib|sponsor/)) return this.matchOption(field, facts.contact.country, 'country');
+
         // 4. Experience Years
         if (context.match(/years?|duration|how long/)) {
             return this.matchExperienceYears(field, facts.totalYearsExp);
@@ -161,6 +181,20 @@ class RuleEngine {
         return null;
     }
 
+    /**
+     * Whether a State/Region/Country field asks for the applicant's address: the field sits in an
+     * address section, or its own label is the bare noun ("State", "State / Province", "Country of
+     * residence") rather than a question or sentence that merely contains the word
+     */
+    isAddressField(field, pattern) {
+        const label = (field.label || '').toLowerCase().replace(/[*:()]/g, ' ').trim();
+        const named = `${label} ${field.name || ''} ${field.ml_prediction?.label || ''}`.toLowerCase();
+        if (/\b(address|residence|location|where (do )?you live)\b/.test((field.parentContext || '').toLowerCase())) return pattern.test(named);
+
+        if (label.includes('?') || /^(which|what|where|please|are|do|would|will|have)\b/.test(label)) return false;
+        return label.split(/[\s/]+/).filter(Boolean).length <= 4 && pattern.test(named);
+    }
+
     _logMatch(field, value, source) {
         if (this.debug && value) {
             // // console.log(`🎯 [RuleEngine] Matched: "${field.label || field.name}" -> "${value}" (Source: ${source})`);
@@ -189,6 +223,43 @@ class RuleEngine {
         return userValue; // Text input
     }
 
+    /**
+     * Free text as-is; dropdowns (State, Country, Timezone) fuzzy-matched to an option
+     */
+    matchOption(field, userValue, source) {
+        if (!userValue) return null;
+        if (field.options?.length) return this.findBestMatch(field.options, userValue);
+        return this._logMatch(field, userValue, source);
+    }
+
+    /**
+     * Calling code: "+1" for text, or the dropdown option carrying it ("United States (+1)")
+     */
+    matchDialCode(field, countryCode) {
+        if (!countryCode) return null;
+        const code = `+${countryCode}`;
+        if (field.options?.length) {
+            const option = field.options.find(opt => {
+                const text = String(typeof opt === 'object' ? `${opt.label || ''} ${opt.value || ''}` : opt);
+                return new RegExp(`\\+${countryCode}(?!\\d)`).test(text) || text.trim() === countryCode;
+            });
+            return option ? (typeof option === 'object' ? (option.value || option.label) : option) : null;
+        }
+        return code;
+    }
+
+    /**
+     * Value for a reference_* label from the nth reference (0 when the form has a single block)
+     * e.g. reference_years_known -> references[index].yearsKnown
+     */
+    matchReference(references, label, index) {
+        const ref = references[index || 0];
+        if (!ref) return null;
+        const key = label.replace('reference_', '').replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+        const value = ref[key];
+        return value === undefined || value === null || value === '' ? null : String(value);
+    }
+
     matchNoticePeriod(field, userValue) {
         if (!userValue) return null;
         if (field.options?.length) return this.findBestMatch(field.options, userValue);
@@ -197,6 +268,12 @@ class RuleEngine {
 
     getYesNo(field, isYes) {
         if (field.options?.length) {
+            // "Ja" / "Oui" / "はい" options: pick by answer vocabulary before fuzzy matching "Yes"
+            const packs = globalThis.LocalePacks;
+            const wanted = isYes ? 'yes' : 'no';
+            const localized = packs && field.options.find(opt =>
+                packs.answerKind(typeof opt === 'object' ? (opt.label || opt.text || opt.value) : opt) === wanted);
+            if (localized) return typeof localized === 'object' ? (localized.value || localized.label) : localized;
             return this.findBestMatch(field.options, isYes ? 'Yes' : 'No');
         }
         return isYes ? 'Yes' : 'No';
@@ -313,21 +390,37 @@ class RuleEngine {
     // --- DATA EXTRACTION ---
 
     extractFacts(resumeData) {
+        // Resume schema (personal.*) first; flat and JSON Resume (basics.*) shapes still accepted
+        const personal = resumeData.personal || {};
+        const address = personal.address || {};
+        const phoneDetails = personal.phoneDetails || {};
+        const firstName = personal.firstName || resumeData.firstName || resumeData.basics?.firstName;
+        const lastName = personal.lastName || resumeData.lastName || resumeData.basics?.lastName;
+
         return {
             basics: {
-                firstName: resumeData.firstName || resumeData.basics?.firstName,
-                lastName: resumeData.lastName || resumeData.basics?.lastName,
-                fullName: resumeData.name || resumeData.basics?.name || `${resumeData.firstName || ''} ${resumeData.lastName || ''}`.trim(),
-                email: resumeData.email || resumeData.basics?.email,
-                linkedin: this.findProfileUrl(resumeData, 'linkedin'),
-                github: this.findProfileUrl(resumeData, 'github'),
-                portfolio: this.findProfileUrl(resumeData, 'portfolio') || resumeData.basics?.url
+                firstName,
+                middleName: personal.middleName || resumeData.middleName,
+                lastName,
+                preferredName: personal.preferredName || resumeData.preferredName,
+                pronouns: personal.pronouns || resumeData.pronouns,
+                fullName: resumeData.name || resumeData.basics?.name || `${firstName || ''} ${lastName || ''}`.trim(),
+                email: personal.email || resumeData.email || resumeData.basics?.email,
+                linkedin: personal.linkedin || this.findProfileUrl(resumeData, 'linkedin'),
+                github: personal.github || this.findProfileUrl(resumeData, 'github'),
+                portfolio: personal.portfolio || this.findProfileUrl(resumeData, 'portfolio') || resumeData.basics?.url
             },
             contact: {
-                phone: resumeData.phone || resumeData.basics?.phone,
-                zip: resumeData.zip || resumeData.basics?.location?.postalCode,
-                city: resumeData.city || resumeData.basics?.location?.city,
-                address: resumeData.address || resumeData.basics?.location?.address
+                phone: personal.phone || resumeData.phone || resumeData.basics?.phone,
+                phoneCountryCode: phoneDetails.countryCode,
+                phoneExtension: phoneDetails.extension,
+                zip: address.postalCode || resumeData.zip || resumeData.basics?.location?.postalCode,
+                city: address.city || resumeData.city || resumeData.basics?.location?.city,
+                state: address.state || resumeData.state || resumeData.basics?.location?.region,
+                country: address.country || resumeData.country || resumeData.basics?.location?.countryCode,
+                timezone: address.timezone || resumeData.timezone,
+                address: address.line1 || resumeData.address || resumeData.basics?.location?.address,
+                addressLine2: address.line2
             },
             demographics: {
                 gender: resumeData.customFields?.gender,
@@ -346,7 +439,8 @@ class RuleEngine {
             preferredLocation: (resumeData.customFields?.preferredLocation || '').toLowerCase(),
             isEmployed: (resumeData.experience || []).some(j => j.current),
             totalYearsExp: this.calculateTotalExperience(resumeData.experience || []),
-            skills: resumeData.skills || [] // Extract skills
+            skills: resumeData.skills || [], // Extract skills
+            references: Array.isArray(resumeData.references) ? resumeData.references : []
         };
     }
 
@@ -426,15 +520,19 @@ class RuleEngine {
     isHistoryField(context, field) {
         // Regex for job/edu terms
         // REMOVED: if (field.field_index !== undefined) return true; -> This was skipping valid indexed fields like first_name
+        // A lone reference block ("Reference company") is resolved here, not by the section handler
+        if ((field.ml_prediction?.label || '').startsWith('reference_')) return false;
         return /company|employer|job|title|school|university|degree|major|gpa|start date|end date/.test(context);
     }
 
     getSynonymsDictionary() {
+        const packs = globalThis.LocalePacks;
+        const answers = (kind) => packs ? packs.getLocaleCodes().flatMap(code => packs.getLocalePack(code)[kind] || []) : [];
         return {
             'male': ['man', 'cis-male', 'male', 'boy'],
             'female': ['woman', 'cis-female', 'female', 'girl'],
-            'yes': ['y', 'true', 'definitely', 'yes'],
-            'no': ['n', 'false', 'never', 'no']
+            'yes': ['y', 'true', 'definitely', 'yes', ...answers('yes')],
+            'no': ['n', 'false', 'never', 'no', ...answers('no')]
         };
     }
 }
@@ -0,0 +1,309 @@
+/**
+ * ConfidenceCalibrator
+ *
+ * Maps raw classifier confidences to calibrated probabilities, so a field
+ * reported at 0.90 is right about 90% of the time. HybridClassifier arbitrates
+ * and FillabilityPolicy decides on the calibrated values, with thresholds
+ * re-derived on that scale and shipped in the same file (`thresholds`). Fitted
+ * offline by scripts/train/evaluate_hybrid_v8.js and shipped as
+ * calibration_v8.json next to model_v8.json.
+ *
+ * Stages (each fitted per HybridClassifier category, with an "all" fallback
+ * for categories with too few samples):
+ * - heuristic: temperature scaling (or isotonic). Strictly increasing, so a raw
+ *              arbitration cut maps to exactly one calibrated cut; isotonic pools
+ *              the hand-picked pattern confidences into flat steps that let
+ *              weaker matches through a mapped threshold
+ * - neural:    temperature scaling of the sigmoid output (or isotonic)
+ * - unanimous: observed accuracy when heuristic and neural agree
+ *              (replaces HybridClassifier.UNANIMOUS_CONFIDENCE)
+ *
+ * Thresholds:
+ * - arbitration: per category, HybridClassifier's raw thresholds mapped through
+ *                the stage's calibration (the same cut on the calibrated scale)
+ * - policy:      FillabilityPolicy tiers, each set to fill as many fields on the
+ *                fitting split as the raw threshold did
+ *
+ * Without a fitted file every confidence passes through unchanged.
+ *
+ * @version 1.0.0
+ */
+
+class ConfidenceCalibrator {
+
+    static VERSION = 1;
+    static STAGES = ['heuristic', 'neural', 'unanimous'];
+
+    // Categories with fewer fitting samples use the stage's "all" model
+    static MIN_CATEGORY_SAMPLES = 30;
+
+    static MODEL_PATH = 'autofill/domains/inference/calibration_v8.json';
+
+    /**
+     * @param {Object|null} data - Fitted calibration (calibration_v8.json), null for identity
+     */
+    constructor(data = null) {
+        this.data = data && data.version === ConfidenceCalibrator.VERSION ? data : null;
+    }
+
+    get isFitted() {
+        return this.data !== null;
+    }
+
+    /**
+     * Thresholds on this calibration's scale
+     * @returns {{ arbitration: Object, policy: Object }|null}
+     */
+    get thresholds() {
+        return this.data?.thresholds || null;
+    }
+
+    /**
+     * Calibrated probability for a raw confidence
+     * @param {string} stage - 'heuristic' | 'neural' | 'unanimous'
+     * @param {number} confidence - Raw confidence (0-1)
+     * @param {string} [category='general'] - HybridClassifier._getGroupType of the predicted label
+     * @returns {number}
+     */
+    calibrate(stage, confidence, category = 'general') {
+        const entry = this.data?.stages?.[stage];
+        if (!entry) return confidence;
+        const model = entry.categories?.[category] || entry.all;
+        if (!model) return confidence;
+        return ConfidenceCalibrator._apply(entry.method, model, confidence);
+    }
+
+    toJSON() {
+        return this.data;
+    }
+
+    /**
+     * Fetch the shipped calibration; an identity calibrator when missing or invalid
+     * @param {string} url
+     * @returns {Promise<ConfidenceCalibrator>}
+     */
+    static async load(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) return new ConfidenceCalibrator();
+            return new ConfidenceCalibrator(await response.json());
+        } catch (e) {
+            return new ConfidenceCalibrator();
+        }
+    }
+
+    static _apply(method, model, confidence) {
+        if (method === 'temperature') {
+            const p = ConfidenceCalibrator._clamp(confidence);
+            const logit = Math.log(p / (1 - p));
+            return 1 / (1 + Math.exp(-logit / model.temperature));
+        }
+        if (method === 'rate') return model.rate;
+        return ConfidenceCalibrator._interpolate(model.x, model.y, confidence);
+    }
+
+    static _interpolate(xs, ys, x) {
+        if (xs.length === 0) return x;
+        if (x <= xs[0]) return ys[0];
+        if (x >= xs[xs.length - 1]) return ys[ys.length - 1];
+        let i = 1;
+        while (xs[i] < x) i++;
+        const t = (x - xs[i - 1]) / (xs[i] - xs[i - 1]);
+        return ys[i - 1] + t * (ys[i] - ys[i - 1]);
+    }
+
+    static _clamp(p) {
+        return Math.min(1 - 1e-6, Math.max(1e-6, p));
+    }
+
+    // ============================================================================
+    // FITTING (offline, scripts/train/evaluate_hybrid_v8.js)
+    // ============================================================================
+
+    /**
+     * Fit every stage from labelled outcomes
+     * @param {Object} samples - { heuristic, neural, unanimous }: arrays of { confidence, correct, category }
+     * @param {Object} [options] - { heuristicMethod, neuralMethod: 'temperature'|'isotonic', minSamples }
+     * @returns {Object} Calibration data for the constructor / calibration_v8.json
+     */
+    static fit(samples, options = {}) {
+        const methods = {
+            heuristic: options.heuristicMethod || 'temperature',
+            neural: options.neuralMethod || 'temperature',
+            unanimous: 'rate'
+        };
+        const stages = {};
+        ConfidenceCalibrator.STAGES.forEach(stage => {
+            const pairs = samples[stage] || [];
+            if (pairs.length === 0) return;
+            stages[stage] = ConfidenceCalibrator._fitStage(methods[stage], pairs, options.minSamples ?? ConfidenceCalibrator.MIN_CATEGORY_SAMPLES);
+        });
+
+        return {
+            version: ConfidenceCalibrator.VERSION,
+            samples: Object.fromEntries(ConfidenceCalibrator.STAGES.map(stage => [stage, (samples[stage] || []).length])),
+            stages
+        };
+    }
+
+    static _fitStage(method, pairs, minSamples) {
+        const fitOne = {
+            isotonic: ConfidenceCalibrator.fitIsotonic,
+            temperature: ConfidenceCalibrator.fitTemperature,
+            rate: ConfidenceCalibrator.fitRate
+        }[method];
+
+        const byCategory = {};
+        pairs.forEach(p => {
+            const category = p.category || 'general';
+            (byCategory[category] = byCategory[category] || []).push(p);
+        });
+
+        const categories = {};
+        Object.entries(byCategory).forEach(([category, group]) => {
+            if (group.length >= minSamples) categories[category] = fitOne(group);
+        });
+        return { method, all: fitOne(pairs), categories };
+    }
+
+    /**
+     * Isotonic regression (pool adjacent violators) of correctness on confidence.
+     * Block accuracies are Laplace-smoothed so no bucket claims 0% or 100%.
+     * @param {Array<{ confidence: number, correct: boolean }>} pairs
+     * @returns {{ x: number[], y: number[] }} Breakpoints, interpolated linearly
+     */
+    static fitIsotonic(pairs) {
+        const sorted = [...pairs].sort((a, b) => a.confidence - b.confidence);
+        const blocks = [];
+        sorted.forEach(p => {
+            const last = blocks[blocks.length - 1];
+            // Equal confidences always share a block
+            if (last && last.max === p.confidence) {
+                last.sum += p.confidence;
+                last.hits += p.correct ? 1 : 0;
+                last.n++;
+            } else {
+                blocks.push({ sum: p.confidence, max: p.confidence, hits: p.correct ? 1 : 0, n: 1 });
+            }
+            while (blocks.length > 1) {
+                const b = blocks[blocks.length - 1];
+                const a = blocks[blocks.length - 2];
+                if ((a.hits + 1) / (a.n + 2) < (b.hits + 1) / (b.n + 2)) break;
+                blocks.splice(-2, 2, { sum: a.sum + b.sum, max: b.max, hits: a.hits + b.hits, n: a.n + b.n });
+            }
+        });
+
+        const round = (n) => Math.round(n * 1e4) / 1e4;
+        return {
+            x: blocks.map(b => round(b.sum / b.n)),
+            y: blocks.map(b => round((b.hits + 1) / (b.n + 2)))
+        };
+    }
+
+    /**
+     * Temperature T minimizing the log loss of sigmoid(logit(p) / T)
+     * @param {Array<{ confidence: number, correct: boolean }>} pairs
+     * @returns {{ temperature: number }}
+     */
+    static fitTemperature(pairs) {
+        const logits = pairs.map(p => {
+            const c = ConfidenceCalibrator._clamp(p.confidence);
+            return { z: Math.log(c / (1 - c)), y: p.correct ? 1 : 0 };
+        });
+        const loss = (logT) => {
+            const t = Math.exp(logT);
+            return logits.reduce((sum, { z, y }) => {
+                const q = ConfidenceCalibrator._clamp(1 / (1 + Math.exp(-z / t)));
+                return sum - (y * Math.log(q) + (1 - y) * Math.log(1 - q));
+            }, 0);
+        };
+
+        // Golden-section search on log T over [1/20, 20]
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        let lo = Math.log(0.05);
+        let hi = Math.log(20);
+        for (let i = 0; i < 60; i++) {
+            const a = hi - ratio * (hi - lo);
+            const b = lo + ratio * (hi - lo);
+            if (loss(a) < loss(b)) hi = b; else lo = a;
+        }
+        return { temperature: Math.round(Math.exp((lo + hi) / 2) * 1e4) / 1e4 };
+    }
+
+    /**
+     * The calibrated threshold admitting as many samples as `threshold` does on raw
+     * confidences: the n-th highest calibrated value, n = raw samples at or above it
+     * @param {Array<{ raw: number, calibrated: number }>} pairs
+     * @param {number} threshold - Raw threshold
+     * @returns {number}
+     */
+    static matchCoverage(pairs, threshold) {
+        const count = pairs.filter(p => p.raw >= threshold).length;
+        if (count === 0) return threshold;
+        const sorted = pairs.map(p => p.calibrated).sort((a, b) => b - a);
+        return Math.floor(sorted[count - 1] * 1e4) / 1e4;
+    }
+
+    /**
+     * Observed accuracy (Laplace-smoothed), used when the raw confidence is a constant
+     * @param {Array<{ correct: boolean }>} pairs
+     * @returns {{ rate: number }}
+     */
+    static fitRate(pairs) {
+        const hits = pairs.filter(p => p.correct).length;
+        return { rate: Math.round(((hits + 1) / (pairs.length + 2)) * 1e4) / 1e4 };
+    }
+
+    // ============================================================================
+    // RELIABILITY
+    // ============================================================================
+
+    /**
+     * Reliability diagram data: accuracy against mean confidence in equal-width bins
+     * @param {Array<{ confidence: number, correct: boolean }>} pairs
+     * @param {number} [binCount=10]
+     * @returns {{ count: number, ece: number, bins: Array<{ lo: number, hi: number, count: number, confidence: number, accuracy: number }> }}
+     */
+    static reliability(pairs, binCount = 10) {
+        const bins = Array.from({ length: binCount }, (_, i) => ({ lo: i / binCount, hi: (i + 1) / binCount, count: 0, confSum: 0, hits: 0 }));
+        pairs.forEach(p => {
+            const bin = bins[Math.min(binCount - 1, Math.floor(p.confidence * binCount))];
+            bin.count++;
+            bin.confSum += p.confidence;
+            bin.hits += p.correct ? 1 : 0;
+        });
+
+        const total = pairs.length;
+        let ece = 0;
+        const report = bins.map(b => {
+            const confidence = b.count ? b.confSum / b.count : 0;
+            const accuracy = b.count ? b.hits / b.count : 0;
+            if (b.count) ece += (b.count / total) * Math.abs(accuracy - confidence);
+            return { lo: b.lo, hi: b.hi, count: b.count, confidence, accuracy };
+        });
+        return { count: total, ece, bins: report };
+    }
+
+    /**
+     * Text reliability diagram for the evaluation script
+     * @param {string} title
+     * @param {Object} report - reliability() output
+     * @returns {string}
+     */
+    static formatReliability(title, report) {
+        const pct = (n) => `${(n * 100).toFixed(1)}%`.padStart(6);
+        const rows = report.bins.filter(b => b.count > 0).map(b => {
+            const bar = '█'.repeat(Math.round(b.accuracy * 20)).padEnd(20, '·');
+            return `  ${b.lo.toFixed(1)}-${b.hi.toFixed(1)}  n=${String(b.count).padStart(5)}  conf ${pct(b.confidence)}  acc ${pct(b.accuracy)}  ${bar}`;
+        });
+        return [`${title} (n=${report.count}, ECE ${(report.ece * 100).toFixed(2)}%)`, ...rows].join('\n');
+    }
+}
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConfidenceCalibrator;
+}
+if (typeof window !== 'undefined') {
+    window.ConfidenceCalibrator = ConfidenceCalibrator;
+}
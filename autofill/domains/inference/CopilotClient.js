@@ -18,7 +18,7 @@ class CopilotClient extends window.Handler {
 
     async handle(fields, context) {
         const results = {};
-        const { resumeData, smartMemory, callbacks, aiStatus } = context;
+        const { resumeData, callbacks, aiStatus } = context;
 
         // Explicit fallback: skip AI when offline (managed state)
         if (aiStatus === 'offline') {
@@ -40,6 +40,7 @@ class CopilotClient extends window.Handler {
         }
 
         // // console.log(`[AIResolver] Processing ${fields.length} fields with Copilot/Batch`);
+        const pageContext = this.getPageContext(context);
 
         // Separate "Copilot" Candidates (Textareas asking open-ended Qs)
         const copilotFields = fields.filter(f => f.tagName === 'TEXTAREA' || (f.type === 'text' && f.maxLength > 100));
@@ -51,7 +52,7 @@ class CopilotClient extends window.Handler {
                 const batchRes = await batchProcessor.processFieldsInBatches(
                     standardFields,
                     resumeData,
-                    smartMemory,
+                    pageContext,
                     callbacks
                 );
                 Object.assign(results, batchRes);
@@ -67,7 +68,7 @@ class CopilotClient extends window.Handler {
         if (copilotFields.length > 0) {
             for (const field of copilotFields) {
                 try {
-                    const answer = await this.generateCopilotAnswer(field, context);
+                    const answer = await this.generateCopilotAnswer(field, context, pageContext);
                     if (answer) {
                         results[field.selector] = {
                             value: answer,
@@ -85,14 +86,42 @@ class CopilotClient extends window.Handler {
         return results;
     }
 
-    async generateCopilotAnswer(field, context) {
+    /**
+     * Job posting summary for prompts: the caller's text if it passed one,
+     * else the structured JobContext extracted from the page
+     * @param {Object} context
+     * @returns {string}
+     */
+    getPageContext(context) {
+        if (typeof context.smartMemory === 'string') return context.smartMemory;
+        try {
+            return typeof window.getJobContext === 'function' ? window.getJobContext().text : '';
+        } catch (e) {
+            console.warn('[AIResolver] Job context unavailable:', e.message);
+            return '';
+        }
+    }
+
+    async generateCopilotAnswer(field, context, pageContext = this.getPageContext(context)) {
         // "Why do you want to work at [Company]?"
         // Construct prompt using Resume + Job Description
-        // For now, delegate to existing BatchProcessor logic but flag as "High Context"
+
+        // Streaming: long answers type into the field token-by-token when the pipeline listens
+        const onFieldStreaming = context.callbacks?.onFieldStreaming;
+        if (typeof onFieldStreaming === 'function' && window.FormAnalyzer?.generateSmartAnswer) {
+            const question = field.label || field.name || 'Question';
+            const res = await window.FormAnalyzer.generateSmartAnswer(question, pageContext, {
+                signal: context.signal,
+                onChunk: (delta, fullText) => onFieldStreaming(field.selector, fullText)
+            });
+            return res.success ? res.answer : null;
+        }
+
+        // Otherwise delegate to existing BatchProcessor logic but flag as "High Context"
 
         // Simulating "Copilot" logic via single-item batch with specific instruction
         const batch = [field];
-        const res = await window.BatchProcessor.processFieldsInBatches(batch, context.resumeData, context.smartMemory, context.callbacks);
+        const res = await window.BatchProcessor.processFieldsInBatches(batch, context.resumeData, pageContext, context.callbacks, { subsystem: window.AIClient.AISubsystem.COPILOT });
         return res[field.selector]?.value;
     }
 }
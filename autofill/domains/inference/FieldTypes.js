@@ -91,6 +91,17 @@
         EDUCATION_CURRENT: 'education_current',
         EDUCATION_LEVEL: 'education_level',
 
+        // =========================================================================
+        // REFERENCES (heuristic-only: not in the neural output layer)
+        // =========================================================================
+        REFERENCE_NAME: 'reference_name',
+        REFERENCE_RELATIONSHIP: 'reference_relationship',
+        REFERENCE_COMPANY: 'reference_company',
+        REFERENCE_TITLE: 'reference_title',
+        REFERENCE_EMAIL: 'reference_email',
+        REFERENCE_PHONE: 'reference_phone',
+        REFERENCE_YEARS_KNOWN: 'reference_years_known',
+
         // =========================================================================
         // SKILLS & QUALIFICATIONS
         // =========================================================================
@@ -250,6 +261,15 @@
         [FIELD_TYPES.EDUCATION_CURRENT]: FIELD_CATEGORIES.EDUCATION,
         [FIELD_TYPES.EDUCATION_LEVEL]: FIELD_CATEGORIES.EDUCATION,
 
+        // References
+        [FIELD_TYPES.REFERENCE_NAME]: FIELD_CATEGORIES.REFERENCES,
+        [FIELD_TYPES.REFERENCE_RELATIONSHIP]: FIELD_CATEGORIES.REFERENCES,
+        [FIELD_TYPES.REFERENCE_COMPANY]: FIELD_CATEGORIES.REFERENCES,
+        [FIELD_TYPES.REFERENCE_TITLE]: FIELD_CATEGORIES.REFERENCES,
+        [FIELD_TYPES.REFERENCE_EMAIL]: FIELD_CATEGORIES.REFERENCES,
+        [FIELD_TYPES.REFERENCE_PHONE]: FIELD_CATEGORIES.REFERENCES,
+        [FIELD_TYPES.REFERENCE_YEARS_KNOWN]: FIELD_CATEGORIES.REFERENCES,
+
         // Skills
         [FIELD_TYPES.SKILLS]: FIELD_CATEGORIES.SKILLS,
         [FIELD_TYPES.TECHNICAL_SKILLS]: FIELD_CATEGORIES.SKILLS,
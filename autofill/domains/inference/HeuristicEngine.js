@@ -10,6 +10,7 @@
  * - Context-aware classification (work vs education)
  * - Negative patterns for exclusion
  * - Performance metrics and logging
+ * - Locale packs (DE, FR, ES, PT, NL, JA) merged in per field, see locale-packs.js
  * 
  * @version 2.0.0
  * @author SmartHireX AI Team
@@ -86,7 +87,15 @@ class HeuristicEngine {
         'password': 10,
         'work_auth': 15,
         'sponsorship': 15,
-        'country': 2
+        'country': 2,
+        // "Reference Email" must beat the generic email/phone/name patterns it also matches
+        'reference_name': 12,
+        'reference_relationship': 12,
+        'reference_company': 12,
+        'reference_title': 12,
+        'reference_email': 12,
+        'reference_phone': 12,
+        'reference_years_known': 12
     };
 
     // Stop Words (Noise Filter)
@@ -804,6 +813,71 @@ class HeuristicEngine {
             category: 'skills'
         },
         // ==================== BATCH 5: REFERENCES ====================
+        // Explicit "Reference ..." labels. Plain "Name"/"Email" inside a references
+        // block is remapped by _matchReferenceField instead.
+        reference_name: {
+            patterns: [
+                /\b(reference|referee)[_\-\s]?(full[_\-\s]?)?name\b/i,
+                /\bname[_\-\s]?of[_\-\s]?(your[_\-\s]?)?(reference|referee)\b/i,
+                /\b(professional|personal)[_\-\s]?reference[_\-\s]?name\b/i
+            ],
+            confidence: 0.95,
+            category: 'references'
+        },
+
+        reference_relationship: {
+            patterns: [
+                /\b(reference|referee)[_\-\s]?relationship\b/i,
+                /\brelationship[_\-\s]?(to|with)[_\-\s]?(you|the[_\-\s]?(candidate|applicant))\b/i,
+                /\bhow[_\-\s]?do[_\-\s]?you[_\-\s]?know[_\-\s]?(this[_\-\s]?person|them|him|her)\b/i
+            ],
+            confidence: 0.95,
+            category: 'references',
+            negative: /\bemergency\b/i
+        },
+
+        reference_company: {
+            patterns: [
+                /\b(reference|referee)[_\-\s]?(company|employer|organi[sz]ation)\b/i
+            ],
+            confidence: 0.95,
+            category: 'references'
+        },
+
+        reference_title: {
+            patterns: [
+                /\b(reference|referee)[_\-\s]?(job[_\-\s]?)?(title|position)\b/i
+            ],
+            confidence: 0.95,
+            category: 'references'
+        },
+
+        reference_email: {
+            patterns: [
+                /\b(reference|referee)[_\-\s]?e[_\-\s]?mail\b/i
+            ],
+            confidence: 0.96,
+            category: 'references'
+        },
+
+        reference_phone: {
+            patterns: [
+                /\b(reference|referee)[_\-\s]?(phone|telephone|mobile|contact[_\-\s]?number)\b/i
+            ],
+            confidence: 0.96,
+            category: 'references'
+        },
+
+        reference_years_known: {
+            patterns: [
+                /\byears?[_\-\s]?known\b/i,
+                /\bhow[_\-\s]?long[_\-\s]?have[_\-\s]?you[_\-\s]?known\b/i,
+                /\b(years?|length)[_\-\s]?(of[_\-\s]?)?acquaintance\b/i
+            ],
+            confidence: 0.95,
+            category: 'references'
+        },
+
         // ==================== BATCH 6: EEO & LEGAL (Continued) ====================
         ethnicity: {
             patterns: [
@@ -1022,6 +1096,24 @@ class HeuristicEngine {
             isEnd: /\b(end|to|left|graduat|complet|finish)\b/i,
             eduContext: /\b(education|school|degree|graduat|universit|college|institution)\b/i,
             workContext: /\b(work|job|employ|company|position|role)\b/i
+        },
+        reference: {
+            // Field's own label/name ("Reference Email", references[1][phone])
+            context: /\b(references?|referees?)\b/i,
+            // Heading of the enclosing block, only when the heading is about references itself
+            // ("References", "Referee 2", SectionDetector's 'reference'), not a page section that mentions them
+            heading: /^\W*((professional|personal|character|work)\s+)?(references?|referees?)(\s*(#?\s*\d+|details|information|contacts?))?\W*$/i,
+            // Job/requisition reference numbers and referral questions are not reference contacts
+            exclude: /\b(referral|referred|reference[_\-\s]?(code|number|no|id))\b/i,
+            types: [
+                ['reference_email', /\be[_\-\s]?mail\b/i],
+                ['reference_phone', /\b(phone|telephone|mobile|cell|contact[_\-\s]?number)\b/i],
+                ['reference_relationship', /\b(relationship|relation|capacity)\b/i],
+                ['reference_years_known', /\b(years?|how[_\-\s]?long)\b/i],
+                ['reference_company', /\b(company|employer|organi[sz]ation)\b/i],
+                ['reference_title', /\b(title|position)\b/i],
+                ['reference_name', /\b(full[_\-\s]?)?name\b/i]
+            ]
         }
     };
 
@@ -1029,8 +1121,14 @@ class HeuristicEngine {
     // CONSTRUCTOR
     // ============================================================================
 
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.debug]
+     * @param {string|null} [options.locale] - 'auto' (page language + detection), a pack code, or null for English only
+     */
     constructor(options = {}) {
         this.debug = options.debug ?? HeuristicEngine.DEBUG;
+        this.locale = options.locale === undefined ? 'auto' : options.locale;
         this.metrics = {
             totalClassifications: 0,
             matchesByCategory: {},
@@ -1130,7 +1228,7 @@ class HeuristicEngine {
      * Classify a form field using heuristic patterns
      * @param {Object} field - Field object with name, id, placeholder, etc.
      * @param {Object} context - Optional context (parentContext, siblingContext)
-     * @returns {Object|null} { label, confidence, source, category } or null if no match
+     * @returns {Object|null} { label, confidence, source, category, match } or null if no match
      */
     classify(field, context = {}) {
         const startTime = performance.now();
@@ -1140,6 +1238,7 @@ class HeuristicEngine {
             const mappedType = this._mapAutocompleteToFieldType(field.autocomplete);
             if (mappedType) {
                 const result = this._createResult(mappedType, 0.99, 'autocomplete');
+                result.match = { stage: 'autocomplete', hits: [{ attribute: 'autocomplete', pattern: field.autocomplete }] };
                 this._recordMetrics(result, startTime, 'autocomplete');
                 return result;
             }
@@ -1152,6 +1251,7 @@ class HeuristicEngine {
         // Priority 1: Compensation fields (high-value)
         const compensationMatch = this._matchCompensation(text);
         if (compensationMatch) {
+            compensationMatch.match = { stage: 'compensation', text };
             this._recordMetrics(compensationMatch, startTime, 'compensation');
             return compensationMatch;
         }
@@ -1159,12 +1259,21 @@ class HeuristicEngine {
         // Priority 2: Date fields (need context disambiguation)
         const dateMatch = this._matchDateField(text, fullContext);
         if (dateMatch) {
+            dateMatch.match = { stage: 'date', text };
             this._recordMetrics(dateMatch, startTime, 'date');
             return dateMatch;
         }
 
-        // Priority 3: Pattern-based matching
-        const patternMatch = this._matchPatterns(text, fullContext, field);
+        // Priority 2.5: Contact fields inside a references block
+        const referenceMatch = this._matchReferenceField(text, field, context);
+        if (referenceMatch) {
+            referenceMatch.match = { stage: 'reference', text };
+            this._recordMetrics(referenceMatch, startTime, 'references');
+            return referenceMatch;
+        }
+
+        // Priority 3: Pattern-based matching (English + locale packs)
+        const patternMatch = this._matchPatterns(text, fullContext, field, this._getLocalePatterns(fullContext));
         if (patternMatch) {
             this._recordMetrics(patternMatch, startTime, patternMatch.category);
             return patternMatch;
@@ -1299,19 +1408,59 @@ class HeuristicEngine {
         return null;
     }
 
+    /**
+     * Match contact-style fields under a references heading (Priority 2.5)
+     * "Name" / "Email" / "Phone" there belong to the referee, not the applicant.
+     * Split first/last name fields are left alone (the reference entity keeps one name).
+     */
+    _matchReferenceField(text, field, context) {
+        const rules = HeuristicEngine.PRIORITY_RULES.reference;
+        const heading = (context.parentContext || field.parentContext || '').trim();
+
+        if (!(rules.context.test(text) || rules.heading.test(heading)) || rules.exclude.test(`${text} ${heading}`)) return null;
+        if (/\b(first|last|given|family|sur)[_\-\s]?name\b/i.test(text)) return null;
+
+        const match = rules.types.find(([, pattern]) => pattern.test(text));
+        return match ? this._createResult(match[0], 0.97, 'references') : null;
+    }
+
+    /**
+     * Locale pack regexes by field type for this field, or null when none apply
+     * @param {string} fullContext
+     * @returns {Object<string, RegExp[]>|null}
+     */
+    _getLocalePatterns(fullContext) {
+        const packs = globalThis.LocalePacks;
+        if (!packs || !this.locale) return null;
+
+        const codes = this.locale === 'auto' ? packs.resolveLocales(fullContext) : [this.locale];
+        const patterns = packs.getTypePatterns(codes);
+        return Object.keys(patterns).length ? patterns : null;
+    }
+
     /**
      * Match against pattern definitions (Priority 3)
      */
     /**
      * Match against pattern definitions using Weighted Scoring (Priority 3)
      */
-    _matchPatterns(text, fullContext, field = {}) {
+    _matchPatterns(text, fullContext, field = {}, localePatterns = null) {
         let bestMatch = null;
         let bestScore = 0;
 
+        // Locale keywords match folded text (lowercase, no accents); fold each attribute once
+        let foldedField = null;
+        if (localePatterns) {
+            const fold = globalThis.LocalePacks.foldText;
+            foldedField = {};
+            ['label', 'placeholder', 'automationId', 'name', 'id', 'parentContext', 'siblingContext'].forEach(key => {
+                foldedField[key] = field[key] ? fold(field[key]) : '';
+            });
+        }
+
         for (const [label, config] of Object.entries(HeuristicEngine.PATTERNS)) {
             // Calculate weighted score based on WHERE the match occurred
-            const score = this._calculateWeightedScore(field, config, fullContext);
+            const score = this._calculateWeightedScore(field, config, fullContext, localePatterns?.[label], foldedField);
 
             // Check against Fuzzy Threshold (e.g., 0.6 means at least ID match or weak label)
             // We want strong matches. 0.8 usually implies Label or Placeholder match.
@@ -1364,12 +1513,35 @@ class HeuristicEngine {
             // Dynamic adjustment (re-using existing logic)
             finalConfidence = this._calculateConfidence(finalConfidence, matchInfo);
 
-            return this._createResult(bestMatch.label, finalConfidence, bestMatch.config.category);
+            const result = this._createResult(bestMatch.label, finalConfidence, bestMatch.config.category);
+            result.match = { stage: 'pattern', score: bestScore };
+            // Only the explanation trace reads which attribute matched: re-run the patterns on first read
+            let hits = null;
+            Object.defineProperty(result.match, 'hits', {
+                enumerable: true,
+                get: () => (hits = hits || this._describeMatch(field, bestMatch.config, localePatterns?.[bestMatch.label], foldedField))
+            });
+            return result;
         }
 
         return null;
     }
 
+    /**
+     * Which attributes matched which of a field type's patterns (for the explanation trace)
+     * @returns {Array<{ attribute: string, pattern: string }>}
+     */
+    _describeMatch(field, config, localePatterns = null, foldedField = null) {
+        const hits = [];
+        ['label', 'placeholder', 'automationId', 'name', 'id', 'parentContext', 'siblingContext'].forEach(key => {
+            if (!field[key]) return;
+            const pattern = config.patterns.find(p => p.test(field[key])) ||
+                (localePatterns && localePatterns.find(p => p.test(foldedField[key])));
+            if (pattern) hits.push({ attribute: key, pattern: pattern.source });
+        });
+        return hits;
+    }
+
     /**
      * Resolve field alias to canonical field type
      * @param {string} label - Predicted field type label
@@ -1497,7 +1669,7 @@ class HeuristicEngine {
     /**
      * Calculate weighted score for a field against a specific pattern config
      */
-    _calculateWeightedScore(field, config, fullContext) {
+    _calculateWeightedScore(field, config, fullContext, localePatterns = null, foldedField = null) {
         let maxScore = 0.0;
 
         // Extract keywords from regex logic (simplification for this hybrid approach)
@@ -1508,34 +1680,36 @@ class HeuristicEngine {
         // Instead of pure fuzzy matching on Regex objects (which is hard),
         // we use the Regex to test specific attributes and apply the weights.
 
-        const check = (text, weight) => {
+        const check = (key, weight) => {
+            const text = field[key];
             if (!text) return 0;
             // Run all regexes for this field type against this specific text
             // We use the boolean result * weight
-            const matches = config.patterns.some(p => p.test(text));
+            const matches = config.patterns.some(p => p.test(text)) ||
+                (!!localePatterns && localePatterns.some(p => p.test(foldedField[key])));
             return matches ? weight : 0;
         };
 
         // 1. Label (Highest Priority) - Weight 1.0
-        maxScore += check(field.label, 1.0);
+        maxScore += check('label', 1.0);
 
         // 2. Placeholder - Weight 0.8
-        maxScore += check(field.placeholder, 0.8);
+        maxScore += check('placeholder', 0.8);
 
         // 3. Automation ID / Name / ID - Weight 0.6
         // (Developers often use abbreviations here, so regex finds them well)
-        maxScore += check(field.automationId, 0.6);
-        maxScore += check(field.name, 0.6); // ADDED: Critical for "name" attribute matching
-        maxScore += check(field.id, 0.6);
+        maxScore += check('automationId', 0.6);
+        maxScore += check('name', 0.6); // ADDED: Critical for "name" attribute matching
+        maxScore += check('id', 0.6);
 
         // 4. Context (Parent/Sibling) - Weight 0.4
         // Helps with ambiguous fields (e.g. "Name" inside "Emergency Contact" section)
         // Also checks Sibling Context (e.g. "First Name" next to "Last Name")
         if (field.parentContext) {
-            maxScore += check(field.parentContext, 0.4);
+            maxScore += check('parentContext', 0.4);
         }
         if (field.siblingContext) {
-            maxScore += check(field.siblingContext, 0.3);
+            maxScore += check('siblingContext', 0.3);
         }
 
         // 5. Negative Lookahead - Veto Power
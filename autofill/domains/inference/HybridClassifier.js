@@ -9,6 +9,13 @@
  * 2. Parallel Classification (Heuristic + Neural)
  * 3. Arbitration Logic (5-tier system)
  * 4. Result Enrichment (validation, formatting)
+ *
+ * Arbitration reads the calibrated probabilities (ConfidenceCalibrator) each
+ * hypothesis carries as `calibratedConfidence`; `confidence` stays the classifier's
+ * raw score. The arbitration and FillabilityPolicy thresholds on the calibrated
+ * scale ship in calibration_v8.json, re-derived by scripts/train/evaluate_hybrid_v8.js
+ * so each tier keeps the recall it had on raw confidences. Without a calibration
+ * the raw scores and the thresholds below are used.
  * 
  * @version 2.0.0
  */
@@ -31,20 +38,23 @@ class HybridClassifier {
         ["years_experience", "years_skill"]
     ];
 
-    // Arbitration Thresholds (Default values, overridden dynamically)
+    // Arbitration Thresholds on raw confidences (Default values, overridden dynamically)
     static HEURISTIC_STRONG_THRESHOLD = 0.95; // Increased to prioritize Neural
     static NEURAL_STRONG_THRESHOLD = 0.70;    // Decreased to trust Neural more
     static HEURISTIC_WEAK_THRESHOLD = 0.50;
 
-    // Confidence for unanimous agreement
+    // Confidence for unanimous agreement (its calibratedConfidence is the fitted agreement rate)
     static UNANIMOUS_CONFIDENCE = 0.99;
 
+    static CALIBRATION_PATH = 'autofill/domains/inference/calibration_v8.json';
+
     /**
      * Initialize the HybridClassifier
      * @param {Object} options - Configuration options
      * @param {Object} [options.heuristicEngine] - Pre-initialized HeuristicEngine instance
      * @param {Object} [options.neuralClassifier] - Pre-initialized NeuralClassifier instance
      * @param {Object} [options.featureExtractor] - Pre-initialized FeatureExtractor instance
+     * @param {ConfidenceCalibrator} [options.calibrator] - Pre-loaded calibration (otherwise fetched with the model)
      * @param {boolean} [options.debug=false] - Enable debug logging
      */
     constructor(options = {}) {
@@ -55,6 +65,7 @@ class HybridClassifier {
         this._heuristicEngine = options.heuristicEngine || null;
         this._neuralClassifier = options.neuralClassifier || null;
         this._featureExtractor = options.featureExtractor || null;
+        this._calibrator = options.calibrator || null;
 
         // Performance metrics
         this._metrics = {
@@ -80,6 +91,8 @@ class HybridClassifier {
         this._currentField = field;
 
         try {
+            await this._ensureModelLoaded();
+
             // 1. Extract features (shared by both classifiers)
             const features = await this._extractFeatures(field);
 
@@ -120,6 +133,8 @@ class HybridClassifier {
     async getHypotheses(field) {
         this._currentField = field; // Setup context
         try {
+            await this._ensureModelLoaded();
+
             // 1. Extract features
             const features = await this._extractFeatures(field);
 
@@ -159,9 +174,11 @@ class HybridClassifier {
                 siblingContext: field.siblingContext
             });
 
+            const label = result?.label || result?.type || 'unknown'; // Correctly read label property
             return {
-                label: result?.label || result?.type || 'unknown', // Correctly read label property
+                label,
                 confidence: result?.confidence || 0,
+                calibratedConfidence: this._calibrate('heuristic', result?.confidence || 0, label),
                 source: 'heuristic',
                 details: result
             };
@@ -182,36 +199,17 @@ class HybridClassifier {
             return { label: 'unknown', confidence: 0, source: 'neural_unavailable' };
         }
 
-        // Ensure weights are loaded (Lazy Load Pattern)
-        if (typeof chrome !== 'undefined' && !classifier.isReady && !this._modelLoadingPromise) {
-            this._modelLoadingPromise = (async () => {
-                try {
-                    const url = chrome.runtime.getURL('autofill/domains/inference/model_v8.json');
-                    const response = await fetch(url);
-                    const weights = await response.json();
-                    await classifier.loadWeights(weights);
-                    if (this._debug) {
-                        // console.log('✅ [Hybrid] Neural V8 Weights Loaded');
-                    }
-                } catch (e) {
-                    console.error('❌ [Hybrid] Failed to load Neural V8 weights:', e);
-                }
-            })();
-        }
-
-        if (this._modelLoadingPromise) {
-            await this._modelLoadingPromise;
-        }
-
-
+        await this._ensureModelLoaded();
 
         try {
             // Neural classifier can work with features or field object
             const result = await classifier.predict(features);
 
+            const label = result?.label || 'unknown';
             return {
-                label: result?.label || 'unknown',
+                label,
                 confidence: result?.confidence || 0,
+                calibratedConfidence: this._calibrate('neural', result?.confidence || 0, label),
                 source: 'neural',
                 details: result
             };
@@ -221,6 +219,24 @@ class HybridClassifier {
         }
     }
 
+    /**
+     * Arbitrate on calibrated confidences, then attach the winner's calibrated probability
+     * @private
+     * @param {Object} hResult - Heuristic result
+     * @param {Object} nResult - Neural result
+     * @returns {Object} Final decision (with calibratedConfidence)
+     */
+    _arbitrate(hResult, nResult) {
+        const result = this._arbitrateTiers(hResult, nResult);
+        if (result.agreementType === 'unanimous') {
+            result.calibratedConfidence = this._calibrate('unanimous', result.confidence, result.label);
+        } else {
+            const winner = [hResult, nResult].find(r => r && r.label === result.label);
+            result.calibratedConfidence = winner?.calibratedConfidence ?? result.confidence;
+        }
+        return result;
+    }
+
     /**
      * Arbitrate between Heuristic and Neural results using 5-tier decision system
      * Enhanced with Category-Specific Thresholds
@@ -229,11 +245,14 @@ class HybridClassifier {
      * @param {Object} nResult - Neural result
      * @returns {Object} Final decision
      */
-    _arbitrate(hResult, nResult) {
+    _arbitrateTiers(hResult, nResult) {
         const hLabel = hResult?.label || 'unknown';
-        const hConf = hResult?.confidence || 0;
+        const hRaw = hResult?.confidence || 0;
         const nLabel = nResult?.label || 'unknown';
-        const nConf = nResult?.confidence || 0;
+        const nRaw = nResult?.confidence || 0;
+        // Thresholds and votes compare calibrated probabilities; results report the raw scores
+        const hConf = hResult?.calibratedConfidence ?? hRaw;
+        const nConf = nResult?.calibratedConfidence ?? nRaw;
 
         // 1. Determine Arbitration Context (Category)
         // We use the proposed labels to determine which "mode" we are in
@@ -244,6 +263,7 @@ class HybridClassifier {
         const {
             heuristicThreshold,
             neuralThreshold,
+            heuristicWeakThreshold,
             heuristicWeight,
             neuralWeight
         } = this._getDynamicThresholds(category);
@@ -259,8 +279,8 @@ class HybridClassifier {
                 confidence: HybridClassifier.UNANIMOUS_CONFIDENCE,
                 source: 'ensemble_unanimous',
                 agreementType: 'unanimous',
-                heuristicConfidence: hConf,
-                neuralConfidence: nConf
+                heuristicConfidence: hRaw,
+                neuralConfidence: nRaw
             };
         }
 
@@ -270,11 +290,11 @@ class HybridClassifier {
             this._metrics.heuristicWins++;
             return {
                 label: hLabel,
-                confidence: hConf,
+                confidence: hRaw,
                 source: 'ensemble_heuristic_strong',
                 agreementType: 'heuristic_override',
                 neuralLabel: nLabel,
-                neuralConfidence: nConf
+                neuralConfidence: nRaw
             };
         }
 
@@ -283,7 +303,7 @@ class HybridClassifier {
         // Neural only wins if it has a significant margin over the second best class
         // This prevents confident but "confused" predictions
         let neuralApproved = false;
-        if (nLabel !== 'unknown' && nConf > neuralThreshold && hConf < HybridClassifier.HEURISTIC_WEAK_THRESHOLD) {
+        if (nLabel !== 'unknown' && nConf > neuralThreshold && hConf < heuristicWeakThreshold) {
             const neuralMargin = (nResult.details?.probabilities) ?
                 this._calculateMargin(nResult.details.probabilities, nLabel) : 1.0;
 
@@ -302,11 +322,11 @@ class HybridClassifier {
             this._metrics.neuralWins++;
             return {
                 label: nLabel,
-                confidence: nConf,
+                confidence: nRaw,
                 source: 'ensemble_neural_strong_margin',
                 agreementType: 'neural_override',
                 heuristicLabel: hLabel,
-                heuristicConfidence: hConf
+                heuristicConfidence: hRaw
             };
         }
 
@@ -338,22 +358,22 @@ class HybridClassifier {
             if (hScore > nScore) {
                 return {
                     label: hLabel,
-                    confidence: hConf,
+                    confidence: hRaw,
                     source: 'ensemble_heuristic_weighted',
                     agreementType: 'weighted_vote',
                     scores: { heuristic: hScore, neural: nScore },
                     neuralLabel: nLabel,
-                    neuralConfidence: nConf
+                    neuralConfidence: nRaw
                 };
             } else {
                 return {
                     label: nLabel,
-                    confidence: nConf,
+                    confidence: nRaw,
                     source: 'ensemble_neural_weighted',
                     agreementType: 'weighted_vote',
                     scores: { heuristic: hScore, neural: nScore },
                     heuristicLabel: hLabel,
-                    heuristicConfidence: hConf
+                    heuristicConfidence: hRaw
                 };
             }
         }
@@ -363,7 +383,7 @@ class HybridClassifier {
         if (hLabel !== 'unknown') {
             return {
                 label: hLabel,
-                confidence: hConf,
+                confidence: hRaw,
                 source: 'ensemble_heuristic_fallback',
                 agreementType: 'heuristic_only'
             };
@@ -372,7 +392,7 @@ class HybridClassifier {
         if (nLabel !== 'unknown') {
             return {
                 label: nLabel,
-                confidence: nConf,
+                confidence: nRaw,
                 source: 'ensemble_neural_fallback',
                 agreementType: 'neural_only'
             };
@@ -406,6 +426,10 @@ class HybridClassifier {
             return 'education'; // Mixed
         }
 
+        if (label.startsWith('reference_')) {
+            return 'reference'; // Neural has no reference classes
+        }
+
         return 'general';
     }
 
@@ -436,13 +460,16 @@ class HybridClassifier {
     }
 
     /**
-     * Get dynamic thresholds based on category
+     * Get dynamic thresholds based on category.
+     * The values below are on the raw scale. A fitted calibration replaces the
+     * thresholds with its own (the same cuts on the calibrated scale); the weights stay.
      */
     _getDynamicThresholds(category) {
         // DEFAULT: Trust Neural more (New Policy)
         let config = {
             heuristicThreshold: HybridClassifier.HEURISTIC_STRONG_THRESHOLD,
             neuralThreshold: HybridClassifier.NEURAL_STRONG_THRESHOLD,
+            heuristicWeakThreshold: HybridClassifier.HEURISTIC_WEAK_THRESHOLD,
             heuristicWeight: 0.3,
             neuralWeight: 0.7
         };
@@ -461,8 +488,73 @@ class HybridClassifier {
             config.heuristicWeight = 0.2;
             config.neuralWeight = 0.8;
         }
+        // ADJUSTMENT 3: References (only the heuristic can produce these labels)
+        else if (category === 'reference') {
+            config.heuristicThreshold = 0.85;
+            config.heuristicWeight = 0.7;
+            config.neuralWeight = 0.3;
+        }
+
+        const calibrated = this._calibrator?.isFitted ? this._calibrator.thresholds?.arbitration?.[category] : null;
+        return calibrated ? { ...config, ...calibrated } : config;
+    }
+
+    /**
+     * FillabilityPolicy thresholds for the calibrated scores this classifier reports,
+     * or null while no calibration is loaded (the policy's raw defaults apply)
+     * @returns {Object|null} { autoFill, suggest, ask, softVeto }
+     */
+    getPolicyThresholds() {
+        return this._calibrator?.isFitted ? this._calibrator.thresholds?.policy || null : null;
+    }
 
-        return config;
+    /**
+     * Load V8 weights and the confidence calibration once (Lazy Load Pattern).
+     * Only in the extension: Node callers pass loaded instances to the constructor.
+     * @private
+     */
+    async _ensureModelLoaded() {
+        const classifier = this._getNeuralClassifier();
+        if (typeof chrome === 'undefined' || !classifier) return;
+
+        if (!this._modelLoadingPromise && (!classifier.isReady || !this._calibrator)) {
+            this._modelLoadingPromise = (async () => {
+                try {
+                    if (!classifier.isReady) {
+                        const url = chrome.runtime.getURL('autofill/domains/inference/model_v8.json');
+                        const response = await fetch(url);
+                        const weights = await response.json();
+                        await classifier.loadWeights(weights);
+                        // The user's fine-tuned output layer, on top of the shipped weights
+                        await window.NeuralPersonalizer?.attach(classifier);
+                        if (this._debug) {
+                            // console.log('✅ [Hybrid] Neural V8 Weights Loaded');
+                        }
+                    }
+                } catch (e) {
+                    console.error('❌ [Hybrid] Failed to load Neural V8 weights:', e);
+                }
+                if (!this._calibrator && typeof ConfidenceCalibrator !== 'undefined') {
+                    this._calibrator = await ConfidenceCalibrator.load(chrome.runtime.getURL(HybridClassifier.CALIBRATION_PATH));
+                }
+            })();
+        }
+
+        if (this._modelLoadingPromise) {
+            await this._modelLoadingPromise;
+        }
+    }
+
+    /**
+     * Calibrated confidence (unchanged when no calibration is loaded)
+     * @private
+     * @param {string} stage - 'heuristic' | 'neural' | 'unanimous'
+     * @param {number} confidence - Raw confidence
+     * @param {string} label - Predicted label (selects the category's calibration)
+     */
+    _calibrate(stage, confidence, label) {
+        if (!this._calibrator?.isFitted || !label || label === 'unknown') return confidence;
+        return this._calibrator.calibrate(stage, confidence, this._getGroupType(label));
     }
 
     /**
@@ -492,8 +584,12 @@ class HybridClassifier {
 
     _getFeatureExtractor() {
         if (this._featureExtractor) return this._featureExtractor;
-        if (typeof window !== 'undefined' && window.FeatureExtractor) {
-            this._featureExtractor = new window.FeatureExtractor();
+        // feature-extractor.js registers itself as FeatureExtractorV3 in the page; without this
+        // fallback the extension ran the neural model on empty features (see the "Extension
+        // setup" lines of scripts/train/calibration_report.txt)
+        const Extractor = typeof window !== 'undefined' && (window.FeatureExtractor || window.FeatureExtractorV3);
+        if (Extractor) {
+            this._featureExtractor = new Extractor();
             return this._featureExtractor;
         }
         return null;
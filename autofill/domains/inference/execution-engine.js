@@ -15,6 +15,7 @@ class ExecutionEngine {
         this.nativeValueSetter = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value').set;
         this.nativeTextAreaSetter = Object.getOwnPropertyDescriptor(window.HTMLTextAreaElement.prototype, 'value').set;
         this.nativeSelectSetter = Object.getOwnPropertyDescriptor(window.HTMLSelectElement.prototype, 'value').set;
+        this.streams = new Map(); // selector -> streaming typer (see stream())
     }
 
     /**
@@ -76,8 +77,11 @@ class ExecutionEngine {
             element.setAttribute('data-autofill-source', source);
         }
 
-        // Capture State for Undo
-        if (window.UndoManager) {
+        // Streamed answer: its tokens are already in the field, fill() only settles the final value
+        const streamed = typeof selectorOrElement === 'string' ? this.streams.get(selectorOrElement) : null;
+
+        // Capture State for Undo (a stream captured it before typing)
+        if (window.UndoManager && !streamed) {
             window.UndoManager.capture(element);
         }
 
@@ -94,7 +98,10 @@ class ExecutionEngine {
         } catch (e) { }
 
         // 3. Set Value (Visual / Human Speed)
-        if (window.showGhostingAnimation) {
+        if (streamed) {
+            this.streams.delete(selectorOrElement);
+            await streamed.finish(value);
+        } else if (window.showGhostingAnimation) {
             await window.showGhostingAnimation(element, value, confidence, fieldMetadata);
         } else {
             await this.setValueRobust(element, value, fieldMetadata);
@@ -111,6 +118,39 @@ class ExecutionEngine {
         return true;
     }
 
+    /**
+     * Type a streaming AI answer into its field as tokens arrive. The fill() that
+     * follows for the same selector settles the final value instead of typing it again.
+     * @param {string} selector
+     * @param {string} fullText - Accumulated text so far
+     */
+    stream(selector, fullText) {
+        let typer = this.streams.get(selector);
+        if (!typer) {
+            let element = null;
+            try {
+                element = document.querySelector(selector);
+            } catch (e) { }
+            if (!element || !['INPUT', 'TEXTAREA'].includes(element.tagName) || typeof window.createStreamingTyper !== 'function') return;
+
+            if (window.UndoManager) {
+                window.UndoManager.capture(element);
+            }
+            element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            typer = window.createStreamingTyper(element, 0.85);
+            this.streams.set(selector, typer);
+        }
+        typer.push(fullText);
+    }
+
+    /**
+     * Roll back streams no fill() settled (the answer failed or was stopped)
+     */
+    cancelStreams() {
+        this.streams.forEach(typer => typer.cancel());
+        this.streams.clear();
+    }
+
     /**
      * Attach a listener to save manual user edits to cache
      */
@@ -227,6 +267,9 @@ class ExecutionEngine {
         const isStructuredInput = ['radio', 'checkbox', 'select', 'select-one', 'select-multiple'].includes(type);
         const isAtomicSingle = fieldMetadata.instance_type === 'ATOMIC_SINGLE';
 
+        // A resume value typed into a field classified as something else teaches the on-device model
+        window.NeuralPersonalizer?.recordEdit(fieldMetadata, newValue).catch(() => { });
+
         // Unified Store Strategy: Prefer InteractionLog for all modern tracking
         if (window.InteractionLog) {
             window.InteractionLog.cacheSelection(fieldMetadata, fieldMetadata.label, newValue);
@@ -0,0 +1,512 @@
+/**
+ * locale-packs.js
+ *
+ * Non-English vocabulary for field classification and cache keys.
+ *
+ * A pack carries, for one language:
+ * - types: keyword fragments per FieldTypes type, merged into HeuristicEngine.PATTERNS
+ * - detect: words that give the language away in label text
+ * - stopWords / synonyms: key-generator noise words and token → English phrase
+ *   translations (so "Vorname" and "First Name" produce the same cache key),
+ *   applied only to labels the pack is resolved for
+ * - yes / no: answer vocabularies for boolean dropdowns and radios
+ *
+ * Keywords are lowercase regex fragments matched against folded text (lowercased,
+ * accents stripped, ß → ss), so "Téléphone" and "Telefono" need one entry each at
+ * most. They are anchored at a word start but left open at the end, which catches
+ * German and Dutch compounds ("Telefonnummer"); use a lookahead where that is too
+ * greedy. Packs without word spacing (Japanese) set wordBoundary: false.
+ *
+ * A pack is active for a field when <html lang> names it or its detect words or
+ * field keywords appear in the field's text. More packs can be added with
+ * registerLocalePack.
+ */
+
+(function (global) {
+
+    const PACKS = {
+        de: {
+            name: 'Deutsch',
+            detect: ['vorname', 'nachname', 'bitte', 'ihre?(?![a-z])', 'pflichtfeld', 'strasse', 'postleitzahl', 'geburtsdatum',
+                'lebenslauf', 'anschreiben', 'gehalt', 'kundigungsfrist', 'bundesland', 'staatsangehorigkeit', 'fahigkeiten',
+                'berufserfahrung', 'telefonnummer', 'wohnort', 'geschlecht', 'benotigen', 'arbeitgeber'],
+            types: {
+                first_name: ['(?<!zweiter\\s)(?<!weitere\\s)vorname'],
+                last_name: ['nachname', 'familienname', 'zuname'],
+                full_name: ['vollstandiger name', 'vor- und nachname', 'vor und nachname'],
+                middle_name: ['zweiter vorname', 'weitere vornamen'],
+                email: ['e-?mail-?adresse'],
+                phone: ['telefon', 'handy', 'mobilnummer', 'rufnummer'],
+                city: ['stadt', 'wohnort', 'ort(?![a-z])'],
+                state: ['bundesland', 'kanton'],
+                zip_code: ['postleitzahl', 'plz(?![a-z])'],
+                country: ['land(?![a-z])', 'wohnsitzland'],
+                date_of_birth: ['geburtsdatum', 'geburtstag'],
+                gender: ['geschlecht'],
+                visa_status: ['aufenthaltstitel', 'visumart', 'visumstyp'],
+                citizenship: ['staatsangehorigkeit', 'staatsburgerschaft', 'nationalitat'],
+                salary_expected: ['gehaltsvorstellung', 'gehaltswunsch', 'wunschgehalt'],
+                salary_current: ['(aktuelles|derzeitiges|jetziges) gehalt'],
+                notice_period_in_days: ['kundigungsfrist'],
+                cover_letter: ['anschreiben', 'motivationsschreiben'],
+                job_title: ['berufsbezeichnung', 'stellenbezeichnung', 'jobtitel'],
+                company_name: ['(?<!aktueller\\s)arbeitgeber', '(?<!aktuelle\\s)firma', '(?<!aktuelles\\s)unternehmen(?!s)'],
+                current_company: ['aktuelle[rs]? (arbeitgeber|firma|unternehmen)'],
+                job_location: ['arbeitsort', 'einsatzort'],
+                institution_name: ['hochschule', 'universitat', 'bildungseinrichtung'],
+                degree_type: ['(hochster )?abschluss(?!datum|jahr)'],
+                graduation_date: ['abschlussdatum', 'abschlussjahr'],
+                major: ['studiengang', 'studienfach'],
+                field_of_study: ['fachrichtung'],
+                skills: ['fahigkeiten', 'kenntnisse', 'kompetenzen'],
+                years_experience: ['(jahre )?berufserfahrung'],
+                work_auth: ['arbeitserlaubnis', 'arbeitsgenehmigung'],
+                sponsorship: ['visums?-?sponsoring', 'visum benotigt', 'benotigen sie ein visum'],
+                clearance: ['sicherheitsuberprufung'],
+                background_check: ['hintergrunduberprufung'],
+                race: ['ethnische zugehorigkeit'],
+                languages: ['sprachen(?![a-z])'],
+                language_proficiency: ['sprachkenntnisse', 'sprachniveau']
+            },
+            stopWords: ['bitte', 'ihre', 'ihren', 'ihr', 'sie', 'geben', 'angeben', 'eingeben', 'wahlen', 'ein', 'eine', 'einen',
+                'der', 'die', 'das', 'und', 'oder', 'mit', 'von', 'zum', 'zur', 'fur', 'auf', 'pflichtfeld'],
+            synonyms: {
+                vorname: 'first name', nachname: 'last name', familienname: 'last name', vollstandiger: 'full',
+                telefon: 'phone', telefonnummer: 'phone number', handy: 'mobile', handynummer: 'mobile number', mobilnummer: 'mobile number',
+                adresse: 'address', strasse: 'street', postleitzahl: 'zip', plz: 'zip', stadt: 'city', wohnort: 'city', ort: 'city',
+                bundesland: 'state', geburtsdatum: 'birth date', geschlecht: 'gender', staatsangehorigkeit: 'citizenship',
+                gehalt: 'salary', gehaltsvorstellung: 'expected salary', aktuelles: 'current', kundigungsfrist: 'notice period',
+                anschreiben: 'cover letter', lebenslauf: 'resume', arbeitgeber: 'employer', firma: 'company', unternehmen: 'company',
+                berufsbezeichnung: 'job title', hochschule: 'university', universitat: 'university', abschluss: 'degree',
+                studiengang: 'study', fahigkeiten: 'skills', kenntnisse: 'skills', berufserfahrung: 'work experience',
+                erfahrung: 'experience', jahre: 'years', sprachen: 'languages'
+            },
+            yes: ['ja'],
+            no: ['nein']
+        },
+
+        fr: {
+            name: 'Français',
+            detect: ['prenom', 'nom de famille', 'courriel', 'ville', 'pays', 'telephone', 'votre', 'vous', 'obligatoire',
+                'lettre de motivation', 'salaire', 'diplome', 'competences', 'preavis', 'naissance', 'etablissement'],
+            types: {
+                first_name: ['(?<!autre\\s)(?<!deuxieme\\s)(?<!second\\s)prenom(?!\\s*et nom)'],
+                last_name: ['nom de famille', 'nom(?![a-z])(?!\\s*(complet|et prenom|prefere|du|de l|de la|d.usage|d.utilisateur))'],
+                full_name: ['nom complet', 'nom et prenom', 'prenom et nom'],
+                middle_name: ['(deuxieme|autre|second) prenom'],
+                preferred_name: ['nom prefere', 'nom d.usage'],
+                email: ['courriel', 'adresse (electronique|e-?mail)'],
+                phone: ['telephone(?!\\s*fixe)', 'portable', 'numero de mobile'],
+                city: ['ville', 'localite', 'commune'],
+                state: ['region', 'departement', 'province'],
+                zip_code: ['code postal'],
+                country: ['pays(?![a-z])'],
+                date_of_birth: ['date de naissance'],
+                gender: ['sexe', 'genre', 'civilite'],
+                marital_status: ['etat civil', 'situation (familiale|matrimoniale)'],
+                citizenship: ['nationalite', 'citoyennete'],
+                salary_expected: ['salaire souhaite', 'pretentions? salariales?', 'remuneration souhaitee'],
+                salary_current: ['salaire actuel', 'remuneration actuelle'],
+                notice_period_in_days: ['preavis'],
+                cover_letter: ['lettre de motivation'],
+                job_title: ['intitule du poste', 'poste occupe', 'fonction(?![a-z])'],
+                company_name: ['entreprise', 'employeur', 'societe'],
+                institution_name: ['etablissement', 'ecole', 'universite'],
+                degree_type: ['(?<!obtention du\\s)diplome', 'type de diplome'],
+                graduation_date: ['date d.obtention', 'date de fin d.etudes'],
+                education_level: ['niveau d.etudes'],
+                field_of_study: ['domaine d.etudes', 'filiere'],
+                major: ['matiere principale', 'specialisation'],
+                gpa: ['moyenne generale'],
+                skills: ['competences(?!\\s*techniques)'],
+                technical_skills: ['competences techniques'],
+                years_experience: ['annees d.experience'],
+                work_auth: ['autorise a travailler', 'autorisation de travail', 'permis de travail'],
+                sponsorship: ['(?<!code de\\s)parrainage'],
+                job_start_date: ['date de debut'],
+                preferred_location: ['lieu souhaite', 'localisation souhaitee'],
+                veteran: ['veteran'],
+                clearance: ['habilitation de securite'],
+                languages: ['langues'],
+                language_proficiency: ['niveau de maitrise']
+            },
+            stopWords: ['votre', 'vos', 'veuillez', 'saisir', 'entrer', 'indiquer', 'les', 'des', 'une', 'pour', 'avec', 'sur',
+                'obligatoire', 'facultatif'],
+            synonyms: {
+                prenom: 'first name', nom: 'name', famille: 'family', complet: 'full', portable: 'mobile', courriel: 'email',
+                adresse: 'address', ville: 'city', pays: 'country', naissance: 'birth', sexe: 'gender', nationalite: 'citizenship',
+                salaire: 'salary', souhaite: 'expected', actuel: 'current', lettre: 'letter', entreprise: 'company',
+                employeur: 'employer', poste: 'position', intitule: 'title', diplome: 'degree', ecole: 'school',
+                universite: 'university', competences: 'skills', annees: 'years', preavis: 'notice period', langues: 'languages'
+            },
+            yes: ['oui'],
+            no: ['non']
+        },
+
+        es: {
+            name: 'Español',
+            detect: ['nombre', 'apellidos?', 'correo', 'telefono', 'ciudad', 'pais', 'direccion', 'codigo postal', 'fecha',
+                'obligatorio', 'nacimiento', 'carta de presentacion', 'experiencia', 'empresa', 'usted', 'esta autorizado'],
+            types: {
+                first_name: ['(?<!segundo\\s)nombre(?!\\s*(completo|preferido|de usuario|del|de la|y apellidos?))', 'primer nombre'],
+                last_name: ['apellidos?'],
+                full_name: ['nombre completo', 'nombre y apellidos?'],
+                middle_name: ['segundo nombre'],
+                preferred_name: ['nombre preferido'],
+                email: ['correo electronico'],
+                phone: ['telefono(?!\\s*(fijo|de emergencia))', 'celular', 'movil'],
+                city: ['ciudad', 'localidad', 'municipio'],
+                state: ['estado(?!\\s*civil)', 'provincia', 'region', 'departamento'],
+                zip_code: ['codigo postal'],
+                country: ['pais(?![a-z])'],
+                date_of_birth: ['fecha de nacimiento'],
+                gender: ['genero', 'sexo'],
+                marital_status: ['estado civil'],
+                citizenship: ['ciudadania', 'nacionalidad'],
+                salary_expected: ['salario (deseado|esperado|pretendido)', 'pretension salarial', 'expectativa salarial'],
+                salary_current: ['salario actual'],
+                notice_period_in_days: ['(periodo de )?preaviso'],
+                cover_letter: ['carta de (presentacion|motivacion)'],
+                job_title: ['(titulo|nombre) del puesto', 'cargo(?![a-z])(?!\\s*actual)'],
+                current_title: ['(cargo|puesto) actual'],
+                job_description: ['descripcion del puesto', 'funciones', 'responsabilidades'],
+                company_name: ['empresa', 'empleador', 'compania'],
+                institution_name: ['universidad', 'institucion educativa', 'centro de estudios'],
+                degree_type: ['titulo(?!\\s*del puesto)', 'titulacion'],
+                graduation_date: ['fecha de (graduacion|egreso)'],
+                major: ['carrera'],
+                field_of_study: ['(campo|area) de estudios?'],
+                skills: ['habilidades(?!\\s*tecnicas)', 'competencias'],
+                technical_skills: ['habilidades tecnicas'],
+                years_experience: ['anos de experiencia'],
+                work_auth: ['autorizado para trabajar', 'permiso de trabajo', 'autorizacion de trabajo'],
+                sponsorship: ['patrocinio'],
+                criminal_record: ['antecedentes penales'],
+                background_check: ['verificacion de antecedentes'],
+                legal_age: ['mayor de edad', 'mayor de 18'],
+                job_start_date: ['fecha de inicio(?! de estudios)'],
+                job_end_date: ['fecha de (finalizacion|fin)(?! de estudios)'],
+                education_start_date: ['fecha de inicio de estudios'],
+                education_end_date: ['fecha de (finalizacion|fin) de estudios'],
+                job_location: ['ubicacion del empleo'],
+                preferred_location: ['ubicacion (deseada|preferida)'],
+                clearance: ['habilitacion de seguridad'],
+                veteran: ['veterano'],
+                tax_id: ['identificacion fiscal', 'nif(?![a-z])'],
+                languages: ['idiomas']
+            },
+            stopWords: ['su', 'sus', 'por', 'favor', 'ingrese', 'introduzca', 'indique', 'los', 'las', 'del', 'una', 'para', 'con',
+                'obligatorio', 'opcional', 'electronico'],
+            synonyms: {
+                nombre: 'name', apellido: 'last name', apellidos: 'last name', primer: 'first', segundo: 'middle', completo: 'full',
+                correo: 'email', telefono: 'phone', celular: 'mobile', movil: 'mobile', direccion: 'address', ciudad: 'city',
+                pais: 'country', estado: 'state', provincia: 'state', codigo: 'code', fecha: 'date', nacimiento: 'birth',
+                empresa: 'company', cargo: 'position', puesto: 'position', universidad: 'university', salario: 'salary',
+                deseado: 'expected', esperado: 'expected', pretendido: 'expected', experiencia: 'experience', anos: 'years',
+                habilidades: 'skills', idiomas: 'languages', carta: 'letter', presentacion: 'cover'
+            },
+            yes: ['si'],
+            no: ['no']
+        },
+
+        pt: {
+            name: 'Português',
+            detect: ['nome', 'sobrenome', 'telefone', 'celular', 'cidade', 'endereco', 'cep(?![a-z])', 'nascimento',
+                'obrigatorio', 'curriculo', 'pretensao', 'voce', 'experiencia', 'empresa'],
+            types: {
+                first_name: ['(?<!segundo\\s)nome(?!\\s*(completo|social|preferido|da|do|de usuario))', 'primeiro nome'],
+                last_name: ['sobrenome', 'ultimo nome'],
+                full_name: ['nome completo'],
+                preferred_name: ['nome (social|preferido)'],
+                email: ['correio eletronico'],
+                phone: ['telefone', 'celular', 'telemovel'],
+                city: ['cidade', 'municipio', 'localidade'],
+                state: ['estado(?!\\s*civil)', 'uf(?![a-z])', 'distrito'],
+                zip_code: ['cep(?![a-z])', 'codigo postal'],
+                country: ['pais(?![a-z])'],
+                date_of_birth: ['data de nascimento'],
+                gender: ['genero', 'sexo'],
+                marital_status: ['estado civil'],
+                citizenship: ['nacionalidade', 'cidadania'],
+                salary_expected: ['pretensao salarial', 'salario pretendido', 'expectativa salarial'],
+                salary_current: ['salario atual'],
+                notice_period_in_days: ['aviso previo'],
+                cover_letter: ['carta de (apresentacao|motivacao)'],
+                job_title: ['cargo(?![a-z])', 'funcao'],
+                company_name: ['empresa', 'empregador'],
+                institution_name: ['instituicao de ensino', 'universidade', 'faculdade'],
+                degree_type: ['grau academico', 'formacao academica'],
+                education_level: ['(nivel de )?escolaridade'],
+                field_of_study: ['(?<!em\\s)(?<!en\\s)curso(?![a-z])', 'area de (estudo|formacao)'],
+                graduation_date: ['data de (conclusao|formatura)', 'ano de conclusao'],
+                skills: ['habilidades', 'competencias'],
+                years_experience: ['anos de experiencia'],
+                work_auth: ['autorizacao de trabalho', 'autorizado a trabalhar', 'permissao de trabalho'],
+                sponsorship: ['patrocinio'],
+                tax_id: ['cpf(?![a-z])', 'nif(?![a-z])'],
+                languages: ['idiomas']
+            },
+            stopWords: ['seu', 'sua', 'seus', 'suas', 'por', 'favor', 'informe', 'digite', 'dos', 'das', 'uma', 'para', 'com',
+                'obrigatorio', 'opcional', 'eletronico'],
+            synonyms: {
+                nome: 'name', sobrenome: 'last name', primeiro: 'first', completo: 'full', telefone: 'phone', celular: 'mobile',
+                endereco: 'address', cidade: 'city', pais: 'country', estado: 'state', cep: 'zip', nascimento: 'birth',
+                empresa: 'company', cargo: 'position', universidade: 'university', faculdade: 'college', salario: 'salary',
+                pretensao: 'expected', experiencia: 'experience', anos: 'years', habilidades: 'skills', idiomas: 'languages',
+                carta: 'letter', apresentacao: 'cover', curriculo: 'resume'
+            },
+            yes: ['sim'],
+            no: ['nao']
+        },
+
+        nl: {
+            name: 'Nederlands',
+            detect: ['voornaam', 'achternaam', 'tussenvoegsel', 'woonplaats', 'telefoonnummer', 'geboortedatum', 'verplicht',
+                'uw(?![a-z])', 'motivatiebrief', 'opleiding', 'werkgever', 'salaris'],
+            types: {
+                first_name: ['voornaam'],
+                last_name: ['achternaam', 'familienaam'],
+                middle_name: ['tussenvoegsel'],
+                preferred_name: ['roepnaam'],
+                full_name: ['volledige naam', '^\\s*naam\\s*[*:]?\\s*$'],
+                email: ['e-?mailadres'],
+                phone: ['telefoon', 'mobiel(?![a-z])', 'mobiel nummer', 'gsm(?![a-z])'],
+                city: ['woonplaats', 'plaats(?![a-z])', 'stad(?![a-z])'],
+                state: ['provincie'],
+                zip_code: ['postcode'],
+                country: ['land(?![a-z])'],
+                date_of_birth: ['geboortedatum'],
+                gender: ['geslacht'],
+                citizenship: ['nationaliteit'],
+                salary_expected: ['salarisindicatie', 'gewenst salaris', 'salariswens'],
+                salary_current: ['huidig salaris'],
+                notice_period_in_days: ['opzegtermijn'],
+                cover_letter: ['motivatiebrief', 'sollicitatiebrief'],
+                job_title: ['functietitel', 'functie(?![a-z])'],
+                company_name: ['werkgever', 'bedrijfsnaam', 'bedrijf'],
+                institution_name: ['onderwijsinstelling', 'universiteit', 'hogeschool'],
+                degree_type: ['diploma(?![a-z])', 'graad'],
+                education_level: ['opleidingsniveau'],
+                field_of_study: ['studierichting', 'opleiding(?!sniveau)'],
+                skills: ['vaardigheden', 'competenties'],
+                years_experience: ['jaren (werk)?ervaring'],
+                work_auth: ['werkvergunning', 'tewerkstellingsvergunning'],
+                languages: ['talenkennis', 'talen(?![a-z])']
+            },
+            stopWords: ['uw', 'het', 'een', 'van', 'voor', 'met', 'vul', 'verplicht', 'optioneel', 'graag'],
+            synonyms: {
+                voornaam: 'first name', achternaam: 'last name', tussenvoegsel: 'middle name', naam: 'name', telefoon: 'phone',
+                telefoonnummer: 'phone number', mobiel: 'mobile', mailadres: 'email address', adres: 'address',
+                woonplaats: 'city', plaats: 'city', stad: 'city', provincie: 'state', geboortedatum: 'birth date',
+                geslacht: 'gender', nationaliteit: 'citizenship', salaris: 'salary', gewenst: 'expected', huidig: 'current',
+                bedrijf: 'company', werkgever: 'employer', functie: 'position', opleiding: 'education',
+                universiteit: 'university', vaardigheden: 'skills', ervaring: 'experience', jaren: 'years', talen: 'languages',
+                motivatiebrief: 'cover letter', opzegtermijn: 'notice period'
+            },
+            yes: ['ja'],
+            no: ['nee']
+        },
+
+        ja: {
+            name: '日本語',
+            wordBoundary: false,
+            detect: ['[\\u3040-\\u30ff]', '[\\u4e00-\\u9fff]'],
+            types: {
+                last_name: ['^\\s*(姓|せい|セイ)', '苗字', '名字', 'ラストネーム'],
+                first_name: ['^\\s*(名|めい|メイ)(?![前字])', 'ファーストネーム'],
+                full_name: ['氏名(?!.*(カナ|かな|フリガナ|ふりがな))', 'お名前(?!.*(カナ|かな|フリガナ|ふりがな))', '^\\s*名前'],
+                email: ['メールアドレス', 'eメール', 'メール'],
+                phone: ['電話', '携帯'],
+                zip_code: ['郵便番号', '〒'],
+                state: ['都道府県'],
+                city: ['市区町村', '市町村'],
+                country: ['^\\s*国(?!籍)', '国・地域', '居住国'],
+                citizenship: ['国籍'],
+                date_of_birth: ['生年月日', '誕生日'],
+                gender: ['性別'],
+                institution_name: ['学校名', '大学名', '出身校'],
+                field_of_study: ['学部', '学科', '専攻'],
+                degree_type: ['学位'],
+                education_level: ['最終学歴'],
+                graduation_date: ['卒業(年月|日|予定)'],
+                company_name: ['会社名', '勤務先', '企業名'],
+                job_title: ['役職', '職種', '職位'],
+                salary_expected: ['希望(年収|給与|月給)'],
+                salary_current: ['現在の年収', '現年収'],
+                cover_letter: ['志望動機'],
+                years_experience: ['経験年数'],
+                skills: ['スキル'],
+                languages: ['語学']
+            },
+            stopWords: ['必須', '任意', '入力', 'してください', 'ください'],
+            synonyms: {
+                '氏名': 'full name', '名前': 'name', 'お名前': 'name', '姓': 'last name', '名': 'first name',
+                'メールアドレス': 'email address', 'メール': 'email', '電話番号': 'phone number', '電話': 'phone',
+                '携帯電話': 'mobile phone', '郵便番号': 'zip', '都道府県': 'state', '市区町村': 'city', '住所': 'address',
+                '生年月日': 'birth date', '性別': 'gender', '国籍': 'citizenship', '会社名': 'company name',
+                '学校名': 'school name', '大学': 'university', '希望年収': 'expected salary', '現在の年収': 'current salary',
+                '履歴書': 'resume'
+            },
+            yes: ['はい'],
+            no: ['いいえ']
+        }
+    };
+
+    // English answers, always understood alongside the packs'
+    const BASE_ANSWERS = { yes: ['yes'], no: ['no'] };
+
+    // Compiled regexes and merged vocabularies; reset when a pack is registered
+    let compiled = {};
+    let lexicons = {};
+
+    /**
+     * Lowercase, strip accents and expand ß, the form every pack keyword is matched in
+     * @param {string} text
+     * @returns {string}
+     */
+    function foldText(text) {
+        return String(text || '').normalize('NFKD').replace(/\p{M}/gu, '').replace(/ß/g, 'ss').toLowerCase();
+    }
+
+    function compileKeywords(keywords, wordBoundary) {
+        const source = keywords.map(foldText).join('|');
+        return new RegExp(wordBoundary === false ? `(?:${source})` : `(?<![\\p{L}\\p{N}])(?:${source})`, 'u');
+    }
+
+    function compilePack(code) {
+        if (compiled[code]) return compiled[code];
+        const pack = PACKS[code];
+        const types = {};
+        for (const [type, keywords] of Object.entries(pack.types || {})) {
+            types[type] = compileKeywords(keywords, pack.wordBoundary);
+        }
+        compiled[code] = {
+            detect: pack.detect?.length ? compileKeywords(pack.detect, pack.wordBoundary) : null,
+            types
+        };
+        return compiled[code];
+    }
+
+    /**
+     * Add or replace a pack (same shape as the built-in ones)
+     * @param {string} code - Language subtag, e.g. 'it'
+     * @param {Object} pack
+     */
+    function registerLocalePack(code, pack) {
+        PACKS[String(code).toLowerCase()] = pack;
+        compiled = {};
+        lexicons = {};
+    }
+
+    function getLocalePack(code) {
+        return PACKS[String(code || '').toLowerCase()] || null;
+    }
+
+    function getLocaleCodes() {
+        return Object.keys(PACKS);
+    }
+
+    /**
+     * Primary language subtag of the page ("de-CH" → "de")
+     * @returns {string}
+     */
+    function pageLanguage() {
+        const lang = typeof document !== 'undefined' ? document.documentElement?.lang : '';
+        return String(lang || '').toLowerCase().split(/[-_]/)[0];
+    }
+
+    /**
+     * Packs that apply to a field: the page language's, plus any whose words (detect list or
+     * field keywords) show up in its text
+     * @param {string} text - Field label / context
+     * @param {string} [lang] - Defaults to <html lang>
+     * @returns {string[]} Pack codes
+     */
+    function resolveLocales(text, lang = pageLanguage()) {
+        const codes = PACKS[lang] ? [lang] : [];
+        const folded = foldText(text);
+        if (!folded.trim()) return codes;
+
+        for (const code of Object.keys(PACKS)) {
+            if (codes.includes(code)) continue;
+            const pack = compilePack(code);
+            if ((pack.detect && pack.detect.test(folded)) || Object.values(pack.types).some(regex => regex.test(folded))) {
+                codes.push(code);
+            }
+        }
+        return codes;
+    }
+
+    /**
+     * Regexes per field type from the given packs (matched against foldText output)
+     * @param {string[]} codes
+     * @returns {Object<string, RegExp[]>}
+     */
+    function getTypePatterns(codes) {
+        const merged = {};
+        codes.filter(code => PACKS[code]).forEach(code => {
+            for (const [type, regex] of Object.entries(compilePack(code).types)) {
+                (merged[type] = merged[type] || []).push(regex);
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Stop words and token translations of the given packs, folded, for cache keys. Only
+     * the packs resolved for a label apply, so English "Van Driver" or "Die Cast" keep
+     * their words.
+     * @param {string[]} codes - Pack codes, usually from resolveLocales
+     * @returns {{ stopWords: Set<string>, synonyms: Object<string, string> }}
+     */
+    function getLexicon(codes) {
+        const cacheKey = codes.filter(code => PACKS[code]).sort().join(',');
+        if (lexicons[cacheKey]) return lexicons[cacheKey];
+        const stopWords = new Set();
+        const synonyms = {};
+        codes.filter(code => PACKS[code]).forEach(code => {
+            const pack = PACKS[code];
+            (pack.stopWords || []).forEach(word => stopWords.add(foldText(word)));
+            for (const [word, english] of Object.entries(pack.synonyms || {})) {
+                synonyms[foldText(word)] = english;
+            }
+        });
+        lexicons[cacheKey] = { stopWords, synonyms };
+        return lexicons[cacheKey];
+    }
+
+    /**
+     * Whether an option reads as a yes or a no in any supported language
+     * ("Ja, ich bin berechtigt" → 'yes')
+     * @param {string} text - Option text or value
+     * @returns {'yes'|'no'|null}
+     */
+    function answerKind(text) {
+        const folded = foldText(text).trim();
+        if (!folded) return null;
+        for (const kind of ['yes', 'no']) {
+            const words = [...BASE_ANSWERS[kind], ...Object.values(PACKS).flatMap(pack => pack[kind] || [])].map(foldText);
+            if (words.some(word => folded === word || new RegExp(`^${word}(?![\\p{L}\\p{N}])`, 'u').test(folded))) return kind;
+        }
+        return null;
+    }
+
+    const LocalePacks = {
+        foldText,
+        registerLocalePack,
+        getLocalePack,
+        getLocaleCodes,
+        pageLanguage,
+        resolveLocales,
+        getTypePatterns,
+        getLexicon,
+        answerKind
+    };
+
+    global.LocalePacks = LocalePacks;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = LocalePacks;
+    }
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -39,6 +39,7 @@ class NeuralClassifierV8 {
 
     // Inference Thresholds
     static CONFIDENCE_THRESHOLD = 0.35; // Lower threshold to catch ambiguous fields
+    static TOP_K = 5; // Classes listed in a prediction's `top` (explanation trace)
 
     // Adam Optimizer Parameters
     static ADAM_BETA1 = 0.9;
@@ -214,6 +215,14 @@ class NeuralClassifierV8 {
         const h2 = z2.map(x => this._leakyRelu(x));
 
         // Output Layer: Hidden2 → Output (Sigmoid)
+        const { logits, probs } = this.forwardOutput(h2);
+
+        return { z1, h1, z2, h2, logits, probs };
+    }
+
+    // Output layer alone, for callers that cache the hidden activations
+    // (on-device fine-tuning, where W1/W2 are frozen)
+    forwardOutput(h2) {
         const outputSize = this._W3[0].length;
         const logits = new Array(outputSize).fill(0);
         for (let c = 0; c < outputSize; c++) {
@@ -225,7 +234,7 @@ class NeuralClassifierV8 {
         }
         const probs = logits.map(x => this._sigmoid(x));
 
-        return { z1, h1, z2, h2, logits, probs };
+        return { logits, probs };
     }
 
     // ========================================================================
@@ -241,6 +250,16 @@ class NeuralClassifierV8 {
         const forward = this._forward(features, false);
         const probs = forward.probs;
 
+        // Highest-probability classes, whether or not they pass the threshold (sorted on first read)
+        let topClasses = null;
+        const top = {
+            enumerable: true,
+            get: () => (topClasses = topClasses || Array.from(probs, (p, i) => [p, i])
+                .sort((a, b) => b[0] - a[0])
+                .slice(0, NeuralClassifierV8.TOP_K)
+                .map(([p, i]) => ({ label: this._fieldTypes?.getFieldTypeFromIndex?.(i) || `class_${i}`, probability: p })))
+        };
+
         // Find top prediction
         let maxProb = 0;
         let maxIndex = -1;
@@ -263,14 +282,14 @@ class NeuralClassifierV8 {
 
         // UNKNOWN Handling
         if (maxProb < NeuralClassifierV8.CONFIDENCE_THRESHOLD) {
-            return {
+            return Object.defineProperty({
                 prediction: 'unknown',
                 label: 'unknown',
                 confidence: maxProb,
                 probabilities: {
                     unknown: 1.0 - maxProb
                 }
-            };
+            }, 'top', top);
         }
 
         // Note: 'unknown' is a confidence gate, not a learned class.
@@ -284,12 +303,12 @@ class NeuralClassifierV8 {
         const probMap = {};
         candidates.forEach(c => probMap[c.class] = c.prob);
 
-        return {
+        return Object.defineProperty({
             label: predictedClass,
             prediction: predictedClass, // Keep for backward compat if needed
             confidence: maxProb,
             probabilities: probMap
-        };
+        }, 'top', top);
     }
 
     // ========================================================================
@@ -300,7 +319,9 @@ class NeuralClassifierV8 {
         const maxNorm = NeuralClassifierV8.GRADIENT_CLIP_NORM;
         let totalNormSq = 0;
 
+        // Layers without gradients (frozen during fine-tuning) are skipped
         const addNorm = (g) => {
+            if (!g) return;
             if (Array.isArray(g[0])) {
                 for (let row of g) for (let val of row) totalNormSq += val * val;
             } else {
@@ -316,6 +337,7 @@ class NeuralClassifierV8 {
         if (totalNorm > maxNorm) {
             const scale = maxNorm / (totalNorm + 1e-8);
             const scaleTensor = (g) => {
+                if (!g) return;
                 if (Array.isArray(g[0])) {
                     for (let i = 0; i < g.length; i++)
                         for (let j = 0; j < g[i].length; j++) g[i][j] *= scale;
@@ -387,14 +409,7 @@ class NeuralClassifierV8 {
         const inputSize = features.length;
 
         // Gradients for W3, b3
-        const dW3 = [];
-        for (let h2 = 0; h2 < hidden2Size; h2++) {
-            dW3[h2] = [];
-            for (let c = 0; c < outputSize; c++) {
-                dW3[h2][c] = forward.h2[h2] * dLogits[c];
-            }
-        }
-        const db3 = dLogits.slice();
+        const { dW3, db3 } = this.computeOutputGradients(forward, dLogits);
 
         // Backprop to Hidden 2
         const dH2 = new Array(hidden2Size).fill(0);
@@ -439,15 +454,30 @@ class NeuralClassifierV8 {
         return { dW1, db1, dW2, db2, dW3, db3 };
     }
 
+    // Output layer only (W3, b3): used by on-device fine-tuning, where the
+    // hidden layers stay frozen at the shipped weights
+    computeOutputGradients(forward, dLogits) {
+        const outputSize = this._W3[0].length;
+        const dW3 = [];
+        for (let h2 = 0; h2 < forward.h2.length; h2++) {
+            dW3[h2] = [];
+            for (let c = 0; c < outputSize; c++) {
+                dW3[h2][c] = forward.h2[h2] * dLogits[c];
+            }
+        }
+        return { dW3, db3: dLogits.slice() };
+    }
+
+    // Layers missing from batchGradients are left untouched
     applyGradients(batchGradients, lr) {
         this._clipGradients(batchGradients);
         this._adamState.t++;
-        this._adamUpdate(this._W1, batchGradients.dW1, this._adamState.m_W1, this._adamState.v_W1, lr);
-        this._adamUpdate(this._b1, batchGradients.db1, this._adamState.m_b1, this._adamState.v_b1, lr);
-        this._adamUpdate(this._W2, batchGradients.dW2, this._adamState.m_W2, this._adamState.v_W2, lr);
-        this._adamUpdate(this._b2, batchGradients.db2, this._adamState.m_b2, this._adamState.v_b2, lr);
-        this._adamUpdate(this._W3, batchGradients.dW3, this._adamState.m_W3, this._adamState.v_W3, lr);
-        this._adamUpdate(this._b3, batchGradients.db3, this._adamState.m_b3, this._adamState.v_b3, lr);
+        const layers = ['W1', 'b1', 'W2', 'b2', 'W3', 'b3'];
+        for (const layer of layers) {
+            const gradient = batchGradients[`d${layer}`];
+            if (!gradient) continue;
+            this._adamUpdate(this[`_${layer}`], gradient, this._adamState[`m_${layer}`], this._adamState[`v_${layer}`], lr);
+        }
     }
 
     // ========================================================================
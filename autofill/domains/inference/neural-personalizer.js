@@ -0,0 +1,524 @@
+/**
+ * NeuralPersonalizer
+ *
+ * On-device fine-tuning of NeuralClassifierV8 from the user's own corrections.
+ *
+ * - Corrections come from sidebar "Teach" actions and from manual edits
+ *   (ExecutionEngine._handleUserEdit, the sidebar's change listener): when the
+ *   user types a resume value that belongs to a different field type than the
+ *   one predicted (their email into a field classified as phone), the field is
+ *   recorded under the resume value's type.
+ * - The replay buffer keeps the last MAX_BUFFER corrections as feature vectors
+ *   and labels only (never the typed value), in the vault's memory bucket.
+ * - Once MIN_NEW_CORRECTIONS have arrived, the output layer (W3, b3) is
+ *   retrained from the shipped weights in idle callbacks, mixing in the
+ *   rehearsal half of guard_set_v8.json. The hidden layers stay frozen.
+ * - The result is kept only if accuracy on the guard half stays within
+ *   GUARD_TOLERANCE of the shipped weights and the corrections actually
+ *   improved; it is saved as a per-user delta on top of the shipped W3/b3.
+ * - reset() drops the delta and buffer (options page, one click); tabs that
+ *   already loaded the delta keep it until they reload.
+ *
+ * Build the guard set with scripts/train/build_guard_set_v8.js.
+ *
+ * @version 1.0.0
+ */
+
+class NeuralPersonalizer {
+
+    static VERSION = 1;
+
+    // Vault keys (memory bucket)
+    static BUFFER_KEY = 'neural_replay_buffer';
+    static DELTA_KEY = 'neural_weight_delta';
+
+    static GUARD_SET_PATH = 'autofill/domains/inference/guard_set_v8.json';
+
+    static MAX_BUFFER = 300;
+    static MIN_NEW_CORRECTIONS = 3;
+
+    // Fine-tuning (output layer only)
+    static EPOCHS = 15;
+    static BATCH_SIZE = 16;
+    static LEARNING_RATE = 0.01;
+    static CORRECTION_WEIGHT = 8;       // Loss weight of a correction vs a rehearsal sample
+    static W_POS = 3.0;                 // Weighted BCE, as in train_model_v8.js
+    static W_NEG = 1.0;
+
+    // Largest accepted drop in guard-set accuracy vs the shipped weights
+    static GUARD_TOLERANCE = 0.02;
+
+    static IDLE_TIMEOUT_MS = 5000;
+    static RESUME_CACHE_MS = 60000;     // recordEdit re-reads (and decrypts) the resume at most this often
+    static HIDDEN_CHUNK = 32;           // Forward passes per idle slice
+
+    // Resume values that identify a field type. A typed value matching one of
+    // these is a correction unless the prediction was one of its labels.
+    static VALUE_SOURCES = [
+        { labels: ['first_name'], values: r => [r.personal?.firstName] },
+        { labels: ['last_name'], values: r => [r.personal?.lastName] },
+        { labels: ['full_name'], values: r => [[r.personal?.firstName, r.personal?.lastName].filter(Boolean).join(' ')] },
+        { labels: ['email', 'email_secondary'], values: r => [r.personal?.email] },
+        { labels: ['phone', 'phone_home'], values: r => [r.personal?.phone], phone: true },
+        { labels: ['linkedin_url'], values: r => [r.personal?.linkedin], url: true },
+        { labels: ['github_url'], values: r => [r.personal?.github], url: true },
+        { labels: ['portfolio_url'], values: r => [r.personal?.portfolio], url: true },
+        { labels: ['city'], values: r => [r.personal?.address?.city] },
+        { labels: ['state'], values: r => [r.personal?.address?.state] },
+        { labels: ['zip_code'], values: r => [r.personal?.address?.postalCode] },
+        { labels: ['country'], values: r => [r.personal?.address?.country] },
+        { labels: ['company_name', 'current_company'], values: r => (r.experience || []).map(e => e.company) },
+        { labels: ['job_title', 'current_title'], values: r => (r.experience || []).map(e => e.title) },
+        { labels: ['institution_name'], values: r => (r.education || []).map(e => e.school || e.institution) },
+        { labels: ['degree_type'], values: r => (r.education || []).map(e => e.degree) },
+        { labels: ['field_of_study', 'major'], values: r => (r.education || []).map(e => e.field || e.major) }
+    ];
+
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.vault] - StorageVault (defaults to the global one)
+     * @param {Object} [options.guardSet] - guard_set_v8.json contents (otherwise fetched)
+     * @param {Object} [options.fieldTypes] - FieldTypes
+     * @param {Object} [options.featureExtractor] - FeatureExtractorV3 instance
+     */
+    constructor(options = {}) {
+        this._vault = options.vault || null;
+        this._guardSet = options.guardSet || null;
+        this._fieldTypes = options.fieldTypes || null;
+        this._featureExtractor = options.featureExtractor || null;
+
+        this._classifier = null;
+        this._base = null;          // Shipped { W3, b3, fingerprint } of the attached classifier
+        this._scheduled = false;
+        this._training = null;
+        this._resume = null;        // { at, read } cached ResumeManager.getResumeData() for recordEdit
+    }
+
+    // ========================================================================
+    // LIVE CLASSIFIER
+    // ========================================================================
+
+    /**
+     * Remember the shipped output layer of a freshly loaded classifier and
+     * apply the user's saved delta to it (HybridClassifier._ensureModelLoaded)
+     * @param {NeuralClassifierV8} classifier
+     * @returns {Promise<boolean>} Whether a delta was applied
+     */
+    async attach(classifier) {
+        if (!classifier?.isReady) return false;
+        if (this._classifier !== classifier) {
+            const weights = classifier.exportWeights();
+            this._classifier = classifier;
+            this._base = {
+                W3: weights.W3.map(row => row.slice()),
+                b3: weights.b3.slice(),
+                fingerprint: NeuralPersonalizer.fingerprint(weights)
+            };
+        }
+
+        const delta = await this._bucket()?.get(NeuralPersonalizer.DELTA_KEY);
+        if (!this._isCompatible(delta)) return false;
+        this._setOutputLayer(NeuralPersonalizer._addDelta(this._base, delta));
+        return true;
+    }
+
+    /**
+     * Identifies the shipped weights a delta was trained against: model version,
+     * shape and an FNV-1a hash of every W3/b3 value
+     * @param {Object} weights - exportWeights() / model_v8.json
+     * @returns {string}
+     */
+    static fingerprint(weights) {
+        let hash = 0x811c9dc5;
+        const mix = (value) => {
+            const text = String(value);
+            for (let i = 0; i < text.length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+        };
+        weights.W3.forEach(row => row.forEach(mix));
+        weights.b3.forEach(mix);
+        return `${weights.version || ''}:${weights.W3.length}x${weights.b3.length}:${(hash >>> 0).toString(16).padStart(8, '0')}`;
+    }
+
+    _isCompatible(delta) {
+        return !!(delta && this._base && delta.version === NeuralPersonalizer.VERSION &&
+            delta.baseFingerprint === this._base.fingerprint &&
+            delta.dW3?.length === this._base.W3.length && delta.db3?.length === this._base.b3.length);
+    }
+
+    static _addDelta(base, delta) {
+        return {
+            W3: base.W3.map((row, i) => row.map((w, j) => w + delta.dW3[i][j])),
+            b3: base.b3.map((b, j) => b + delta.db3[j])
+        };
+    }
+
+    _setOutputLayer({ W3, b3 }) {
+        this._classifier.loadWeights({ ...this._classifier.exportWeights(), W3, b3 });
+    }
+
+    // ========================================================================
+    // REPLAY BUFFER
+    // ========================================================================
+
+    /**
+     * Store a field under its correct type and schedule fine-tuning once
+     * enough new corrections have arrived
+     * @param {Object} field - Field object or element (label, name, id, placeholder, ...)
+     * @param {string} label - Correct field type
+     * @param {string} [source='sidebar'] - 'sidebar' | 'user_edit'
+     * @returns {Promise<boolean>} Whether the correction was stored
+     */
+    async recordCorrection(field, label, source = 'sidebar') {
+        const fieldTypes = this._getFieldTypes();
+        const extractor = this._getFeatureExtractor();
+        const bucket = this._bucket();
+        if (!field || !bucket || !extractor || label === 'unknown' || !fieldTypes?.isValidFieldType(label)) return false;
+
+        const features = extractor.extract(field).map(v => Math.round(v * 1e4) / 1e4);
+        const key = features.join(',');
+        let untrained = 0;
+
+        await bucket.update(NeuralPersonalizer.BUFFER_KEY, (stored) => {
+            const buffer = NeuralPersonalizer._normalizeBuffer(stored);
+            // A newer correction of the same field replaces the older one
+            buffer.entries = buffer.entries.filter(e => e.features.join(',') !== key);
+            buffer.entries.push({ features, label, source, at: Date.now() });
+            buffer.entries = buffer.entries.slice(-NeuralPersonalizer.MAX_BUFFER);
+            buffer.untrained = Math.min(buffer.untrained + 1, buffer.entries.length);
+            untrained = buffer.untrained;
+            return buffer;
+        });
+
+        if (untrained >= NeuralPersonalizer.MIN_NEW_CORRECTIONS) this.scheduleFineTune();
+        return true;
+    }
+
+    /**
+     * Turn a manual edit into a correction when the typed value is a resume
+     * value of another field type than the one predicted
+     * @param {Object} field - Field metadata with ml_prediction
+     * @param {*} value - The value the user entered
+     * @returns {Promise<boolean>} Whether a correction was stored
+     */
+    async recordEdit(field, value) {
+        const prediction = field?.ml_prediction;
+        if (!prediction || typeof value !== 'string') return false;
+        if (prediction.source === 'user_rule' || prediction.source === 'scanner_veto') return false;
+
+        const resume = await this._resumeData();
+        const match = NeuralPersonalizer.matchResumeValue(value, resume);
+        if (!match || match.labels.includes(prediction.label)) return false;
+        return this.recordCorrection(field, match.labels[0], 'user_edit');
+    }
+
+    /**
+     * Resume data for recordEdit, shared by edits within RESUME_CACHE_MS
+     * @returns {Promise<Object|null>}
+     */
+    _resumeData() {
+        const now = Date.now();
+        if (!this._resume || now - this._resume.at > NeuralPersonalizer.RESUME_CACHE_MS) {
+            const read = Promise.resolve()
+                .then(() => globalThis.ResumeManager?.getResumeData?.() || null)
+                .catch(() => null);
+            this._resume = { at: now, read };
+        }
+        return this._resume.read;
+    }
+
+    /**
+     * The VALUE_SOURCES entry a typed value belongs to, when exactly one matches
+     * @param {string} value
+     * @param {Object} resume - ResumeManager.getResumeData() result
+     * @returns {{ labels: string[] }|null}
+     */
+    static matchResumeValue(value, resume) {
+        if (!resume || typeof value !== 'string') return null;
+        const matches = NeuralPersonalizer.VALUE_SOURCES.filter(source => {
+            const typed = NeuralPersonalizer._normalizeValue(value, source);
+            if (typed.length < 2) return false;
+            return source.values(resume).some(v => typeof v === 'string' && NeuralPersonalizer._normalizeValue(v, source) === typed);
+        });
+        return matches.length === 1 ? { labels: matches[0].labels } : null;
+    }
+
+    static _normalizeValue(value, source) {
+        const text = value.trim().toLowerCase();
+        if (source.phone) {
+            const digits = text.replace(/\D/g, '');
+            return digits.length >= 7 ? digits : '';
+        }
+        if (source.url) return text.replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '');
+        return text.replace(/\s+/g, ' ');
+    }
+
+    static _normalizeBuffer(stored) {
+        if (!stored || stored.version !== NeuralPersonalizer.VERSION || !Array.isArray(stored.entries)) {
+            return { version: NeuralPersonalizer.VERSION, entries: [], untrained: 0, lastRun: null };
+        }
+        return { ...stored };
+    }
+
+    // ========================================================================
+    // FINE-TUNING
+    // ========================================================================
+
+    /**
+     * Run fineTune() in the next idle period (once, however often called)
+     */
+    scheduleFineTune() {
+        if (this._scheduled || this._training) return;
+        this._scheduled = true;
+        this._idle()
+            .then(() => {
+                this._scheduled = false;
+                return this.fineTune();
+            })
+            .catch((e) => {
+                this._scheduled = false;
+                console.warn('[NeuralPersonalizer] Fine-tuning failed:', e);
+            });
+    }
+
+    /**
+     * Retrain the output layer from the shipped weights on the replay buffer
+     * plus rehearsal samples, and keep it only if the guard set still passes
+     * @returns {Promise<Object>} { accepted, reason, corrections, guardAccuracy, baseGuardAccuracy, correctionAccuracy, baseCorrectionAccuracy }
+     */
+    fineTune() {
+        if (!this._training) {
+            this._training = this._fineTune().finally(() => { this._training = null; });
+        }
+        return this._training;
+    }
+
+    async _fineTune() {
+        const bucket = this._bucket();
+        if (!this._classifier || !this._base || !bucket) return { accepted: false, reason: 'not_attached' };
+
+        const buffer = NeuralPersonalizer._normalizeBuffer(await bucket.get(NeuralPersonalizer.BUFFER_KEY));
+        if (buffer.entries.length === 0) return { accepted: false, reason: 'no_corrections' };
+        const guardSet = await this._loadGuardSet();
+        if (!guardSet) return { accepted: false, reason: 'no_guard_set' };
+
+        // Same hidden layers, private copy of the shipped output layer
+        const Classifier = this._classifier.constructor;
+        const trainer = new Classifier({ fieldTypes: this._getFieldTypes() });
+        trainer.loadWeights({ ...this._classifier.exportWeights(), W3: this._base.W3.map(row => row.slice()), b3: this._base.b3.slice() });
+
+        const extractor = this._getFeatureExtractor();
+        const toIndex = (label) => this._getFieldTypes().getFieldTypeIndex(label);
+        const corrections = await this._hidden(trainer, buffer.entries.map(e => ({ features: e.features, target: toIndex(e.label) })));
+        const rehearsal = await this._hidden(trainer, guardSet.rehearsal.map(s => ({ features: extractor.extract({ features: s.features }), target: toIndex(s.label) })));
+        const guard = await this._hidden(trainer, guardSet.guard.map(s => ({ features: extractor.extract({ features: s.features }), target: toIndex(s.label) })));
+
+        const baseGuardAccuracy = this._accuracy(trainer, guard);
+        const baseCorrectionAccuracy = this._accuracy(trainer, corrections);
+
+        const samples = [
+            ...corrections.map(s => ({ ...s, weight: NeuralPersonalizer.CORRECTION_WEIGHT })),
+            ...rehearsal.map(s => ({ ...s, weight: 1 }))
+        ];
+        const random = NeuralPersonalizer._random(samples.length);
+        for (let epoch = 0; epoch < NeuralPersonalizer.EPOCHS; epoch++) {
+            NeuralPersonalizer._shuffle(samples, random);
+            for (let start = 0; start < samples.length; start += NeuralPersonalizer.BATCH_SIZE) {
+                this._trainBatch(trainer, samples.slice(start, start + NeuralPersonalizer.BATCH_SIZE));
+            }
+            await this._idle();
+        }
+
+        const result = {
+            corrections: buffer.entries.length,
+            guardAccuracy: this._accuracy(trainer, guard),
+            baseGuardAccuracy,
+            correctionAccuracy: this._accuracy(trainer, corrections),
+            baseCorrectionAccuracy
+        };
+        if (result.guardAccuracy < baseGuardAccuracy - NeuralPersonalizer.GUARD_TOLERANCE) {
+            result.reason = 'guard_failed';
+        } else if (result.correctionAccuracy <= baseCorrectionAccuracy) {
+            result.reason = 'no_gain';
+        }
+        result.accepted = !result.reason;
+
+        if (result.accepted) {
+            const { W3, b3 } = trainer.exportWeights();
+            const round = (n) => Math.round(n * 1e6) / 1e6;
+            const delta = {
+                version: NeuralPersonalizer.VERSION,
+                baseFingerprint: this._base.fingerprint,
+                trainedAt: new Date().toISOString(),
+                corrections: result.corrections,
+                guardAccuracy: result.guardAccuracy,
+                baseGuardAccuracy,
+                dW3: W3.map((row, i) => row.map((w, j) => round(w - this._base.W3[i][j]))),
+                db3: b3.map((b, j) => round(b - this._base.b3[j]))
+            };
+            // Model weights, not personal data: stored unencrypted
+            await bucket.set(NeuralPersonalizer.DELTA_KEY, delta, false);
+            this._setOutputLayer(NeuralPersonalizer._addDelta(this._base, delta));
+        }
+
+        const trained = buffer.untrained;
+        await bucket.update(NeuralPersonalizer.BUFFER_KEY, (stored) => {
+            const latest = NeuralPersonalizer._normalizeBuffer(stored);
+            latest.untrained = Math.max(0, latest.untrained - trained);
+            latest.lastRun = { at: new Date().toISOString(), ...result };
+            return latest;
+        });
+        return result;
+    }
+
+    // Hidden-layer activations (frozen), computed once per run in idle slices
+    async _hidden(trainer, samples) {
+        const out = [];
+        for (let i = 0; i < samples.length; i++) {
+            if (samples[i].target < 0) continue;
+            out.push({ h2: trainer._forward(samples[i].features).h2, target: samples[i].target });
+            if (i % NeuralPersonalizer.HIDDEN_CHUNK === NeuralPersonalizer.HIDDEN_CHUNK - 1) await this._idle();
+        }
+        return out;
+    }
+
+    _trainBatch(trainer, batch) {
+        let dW3 = null;
+        let db3 = null;
+        batch.forEach(({ h2, target, weight }) => {
+            const { probs } = trainer.forwardOutput(h2);
+            const dLogits = probs.map((p, c) => {
+                const y = c === target ? 1 : 0;
+                const grad = NeuralPersonalizer.W_NEG * (1 - y) * p - NeuralPersonalizer.W_POS * y * (1 - p);
+                return (weight * grad) / probs.length;
+            });
+            const grads = trainer.computeOutputGradients({ h2 }, dLogits);
+            if (!dW3) {
+                dW3 = grads.dW3;
+                db3 = grads.db3;
+                return;
+            }
+            for (let r = 0; r < dW3.length; r++) for (let c = 0; c < dW3[r].length; c++) dW3[r][c] += grads.dW3[r][c];
+            for (let c = 0; c < db3.length; c++) db3[c] += grads.db3[c];
+        });
+        for (let r = 0; r < dW3.length; r++) for (let c = 0; c < dW3[r].length; c++) dW3[r][c] /= batch.length;
+        for (let c = 0; c < db3.length; c++) db3[c] /= batch.length;
+        trainer.applyGradients({ dW3, db3 }, NeuralPersonalizer.LEARNING_RATE);
+    }
+
+    // Share of samples whose top class (above the classifier's threshold) is the target
+    _accuracy(trainer, samples) {
+        if (samples.length === 0) return 1;
+        const threshold = trainer.constructor.CONFIDENCE_THRESHOLD || 0;
+        const hits = samples.filter(({ h2, target }) => {
+            const { probs } = trainer.forwardOutput(h2);
+            let best = 0;
+            for (let c = 1; c < probs.length; c++) if (probs[c] > probs[best]) best = c;
+            return best === target && probs[best] >= threshold;
+        }).length;
+        return hits / samples.length;
+    }
+
+    // Deterministic shuffles, so a given buffer always trains the same way
+    static _random(seed) {
+        let state = (seed * 2654435761) >>> 0 || 1;
+        return () => {
+            state = (state * 1664525 + 1013904223) >>> 0;
+            return state / 4294967296;
+        };
+    }
+
+    static _shuffle(items, random) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+    }
+
+    _idle() {
+        return new Promise(resolve => {
+            if (typeof requestIdleCallback === 'function') {
+                requestIdleCallback(() => resolve(), { timeout: NeuralPersonalizer.IDLE_TIMEOUT_MS });
+            } else {
+                setTimeout(resolve, 0);
+            }
+        });
+    }
+
+    async _loadGuardSet() {
+        if (this._guardSet) return this._guardSet;
+        if (typeof chrome === 'undefined' || !chrome.runtime?.getURL) return null;
+        try {
+            const response = await fetch(chrome.runtime.getURL(NeuralPersonalizer.GUARD_SET_PATH));
+            if (!response.ok) return null;
+            this._guardSet = await response.json();
+            return this._guardSet;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // ========================================================================
+    // STATUS / RESET (options page)
+    // ========================================================================
+
+    /**
+     * @returns {Promise<{ corrections: number, untrained: number, lastRun: Object|null, delta: Object|null }>}
+     */
+    async getStatus() {
+        const bucket = this._bucket();
+        if (!bucket) return { corrections: 0, untrained: 0, lastRun: null, delta: null };
+        const buffer = NeuralPersonalizer._normalizeBuffer(await bucket.get(NeuralPersonalizer.BUFFER_KEY));
+        const delta = await bucket.get(NeuralPersonalizer.DELTA_KEY);
+        return {
+            corrections: buffer.entries.length,
+            untrained: buffer.untrained,
+            lastRun: buffer.lastRun,
+            delta: delta ? {
+                trainedAt: delta.trainedAt,
+                corrections: delta.corrections,
+                guardAccuracy: delta.guardAccuracy,
+                baseGuardAccuracy: delta.baseGuardAccuracy
+            } : null
+        };
+    }
+
+    /**
+     * Back to the shipped weights: forget the delta and the replay buffer
+     */
+    async reset() {
+        const bucket = this._bucket();
+        if (bucket) {
+            await bucket.remove(NeuralPersonalizer.DELTA_KEY);
+            await bucket.remove(NeuralPersonalizer.BUFFER_KEY);
+        }
+        if (this._classifier && this._base) {
+            this._setOutputLayer({ W3: this._base.W3.map(row => row.slice()), b3: this._base.b3.slice() });
+        }
+    }
+
+    // ========================================================================
+    // DEPENDENCIES
+    // ========================================================================
+
+    _bucket() {
+        const vault = this._vault || globalThis.StorageVault || null;
+        return vault ? vault.bucket('memory') : null;
+    }
+
+    _getFieldTypes() {
+        return this._fieldTypes || globalThis.FieldTypes || null;
+    }
+
+    _getFeatureExtractor() {
+        if (!this._featureExtractor && globalThis.FeatureExtractorV3) {
+            this._featureExtractor = new globalThis.FeatureExtractorV3();
+        }
+        return this._featureExtractor;
+    }
+}
+
+if (typeof window !== 'undefined') window.NeuralPersonalizer = new NeuralPersonalizer();
+if (typeof module !== 'undefined' && module.exports) module.exports = NeuralPersonalizer;
@@ -87,7 +87,7 @@ class FieldRoutingPatterns {
         const ctx = context || [field.label, field.name, field.parentContext].filter(Boolean).join(' ').toLowerCase();
 
         // 1. Keyword Signal (Semantic)
-        const sectionKeywords = /\b(job.*title|role|position|employer.*name|company.*name|work.*experience|employment.*history|school.*name|university|degree|graduation.*year|study|start.*date|end.*date|description|responsibilities|summary|gpa|major|minor)\b/i;
+        const sectionKeywords = /\b(job.*title|role|position|employer.*name|company.*name|work.*experience|employment.*history|school.*name|university|degree|graduation.*year|study|start.*date|end.*date|description|responsibilities|summary|gpa|major|minor|references?|referees?)\b/i;
         if (sectionKeywords.test(ctx)) {
             score += 1;
         }
@@ -142,7 +142,7 @@ class FieldRoutingPatterns {
 
         // Signal 1: Hardened Keyword Signal (+1)
         // Require word boundaries and compound terms for weaker words to avoid "employer" in survey triggers
-        const sectionKeywords = /\b(job.*title|role|position|employer.*name|company.*name|work.*experience|employment.*history|school.*name|university|degree|graduation.*year|study|start.*date|end.*date|description|responsibilities|summary|gpa|major|minor)\b/i;
+        const sectionKeywords = /\b(job.*title|role|position|employer.*name|company.*name|work.*experience|employment.*history|school.*name|university|degree|graduation.*year|study|start.*date|end.*date|description|responsibilities|summary|gpa|major|minor|references?|referees?)\b/i;
         if (sectionKeywords.test(ctx)) score += 1;
 
         // Signal 2: Hardened Index Signal (Confidence Based)
@@ -1,6 +1,6 @@
 /**
  * HistoryHandler
- * specialized handler for repeating sections (Jobs, Education)
+ * specialized handler for repeating sections (Jobs, Education, References)
  * Implements "Transactional Integrity" - ensures a section is filled coherently (all from same source entity)
  */
 class SectionController extends window.Handler {
@@ -12,7 +12,7 @@ class SectionController extends window.Handler {
 
     canHandle(field) {
         // We rely on FieldRouter grouping, but as a check:
-        return !!field.field_index && /work|education/.test(field.section_type || '');
+        return !!field.field_index && /work|education|reference/.test(field.section_type || '');
     }
 
     async handle(fields, context) {
@@ -59,8 +59,12 @@ class SectionController extends window.Handler {
             // I should re-infer or trust field metadata.
 
             let type = 'work';
+            const label = f.ml_prediction?.label || '';
+            if (label.startsWith('reference_')) {
+                type = 'reference';
+            }
             // Critical Fix: Add 'major', 'field_of_study', 'gpa' to education detection
-            if (/school|education|degree|institution|major|field_of_study|gpa|score/i.test(f.ml_prediction?.label || '')) {
+            else if (/school|education|degree|institution|major|field_of_study|gpa|score/i.test(label)) {
                 type = 'education';
             }
 
@@ -85,6 +89,9 @@ class SectionController extends window.Handler {
         if (type === 'education') {
             return (resume.education || resume.schools || [])[index];
         }
+        if (type === 'reference') {
+            return (resume.references || [])[index];
+        }
         return null; // Skills?
     }
 
@@ -155,7 +162,15 @@ class SectionController extends window.Handler {
             'education_start_date': ['startDate', 'from', 'start'],
             'education_end_date': ['endDate', 'to', 'end'],
             'gpa_score': ['gpa', 'score', 'grade', 'average', 'gpa_score'],
-            'gpa': ['gpa', 'score', 'grade', 'average'] // Alias
+            'gpa': ['gpa', 'score', 'grade', 'average'], // Alias
+
+            'reference_name': ['name', 'fullName'],
+            'reference_relationship': ['relationship', 'reference'],
+            'reference_company': ['company', 'organization', 'employer'],
+            'reference_title': ['title', 'position', 'jobTitle'],
+            'reference_email': ['email'],
+            'reference_phone': ['phone'],
+            'reference_years_known': ['yearsKnown']
         };
 
         const keys = map[label];
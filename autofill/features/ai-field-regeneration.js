@@ -9,6 +9,9 @@
  * Handles on-demand AI-powered field value regeneration
  */
 class AIRegeneration {
+    /** @type {AbortController|null} Controller for the in-flight streaming regeneration */
+    static activeController = null;
+
     /**
      * Regenerate a field value using AI
      * @param {string} selector - CSS selector for the field
@@ -32,12 +35,26 @@ class AIRegeneration {
             window.showProcessingWidget('AI Generating...', 1);
         }
 
+        // Type tokens into the field as they stream in (text fields only)
+        const typer = this.canStreamInto(element) ? window.createStreamingTyper(element, 0.85) : null;
+        if (typer) this.addStopButton();
+
         try {
             // Build AI prompt
             const prompt = this.buildPrompt(label, customInstruction);
 
             // Call AI
-            const result = await this.callAI(prompt);
+            const result = typer
+                ? await this.streamAI(prompt, (delta, fullText) => typer.push(fullText))
+                : await this.callAI(prompt);
+
+            if (result.errorCode === window.AIClient.AIErrorCode?.CANCELLED) {
+                typer?.cancel();
+                if (typeof window.removeProcessingWidget === 'function') {
+                    window.removeProcessingWidget();
+                }
+                return { success: false, cancelled: true, error: result.error };
+            }
 
             if (!result.success || !result.text) {
                 throw new Error(result.error || 'AI generation failed');
@@ -45,8 +62,12 @@ class AIRegeneration {
 
             // Apply new value
             const newValue = result.text.trim();
-            FieldUtils.setNativeValue(element, newValue);
-            FieldUtils.dispatchChangeEvents(element);
+            if (typer) {
+                await typer.finish(newValue);
+            } else {
+                FieldUtils.setNativeValue(element, newValue);
+                FieldUtils.dispatchChangeEvents(element);
+            }
 
             // Cache result if it's a text field
             await this.cacheResult(element, label, newValue);
@@ -65,6 +86,7 @@ class AIRegeneration {
             };
 
         } catch (error) {
+            typer?.cancel();
             console.error('Regeneration error:', error);
 
             if (typeof window.showErrorToast === 'function') {
@@ -92,8 +114,7 @@ class AIRegeneration {
         // Get job context if available
         let jobContext = '';
         if (typeof window.getJobContext === 'function') {
-            const fullContext = window.getJobContext();
-            jobContext = fullContext.substring(0, AI_CONFIG.CONTEXT_LENGTH);
+            jobContext = window.getJobContext().text.substring(0, AI_CONFIG.CONTEXT_LENGTH);
         }
 
         let prompt = `You are filling a job application form field.\nField Label: "${label}"\n`;
@@ -128,11 +149,74 @@ class AIRegeneration {
             '',
             {
                 maxTokens: AI_CONFIG.MAX_TOKENS,
-                temperature: AI_CONFIG.TEMPERATURE
+                temperature: AI_CONFIG.TEMPERATURE,
+                subsystem: window.AIClient.AISubsystem.REGENERATION
             }
         );
     }
 
+    /**
+     * Stream AI response (cancellable via AIRegeneration.cancel)
+     * @param {string} prompt - AI prompt
+     * @param {Function} onChunk - (delta, fullText) callback
+     * @returns {Promise<Object>} AI response
+     */
+    static async streamAI(prompt, onChunk) {
+        this.cancel();
+        const controller = new AbortController();
+        this.activeController = controller;
+
+        try {
+            return await window.AIClient.streamAI(
+                prompt,
+                '',
+                {
+                    maxTokens: AI_CONFIG.MAX_TOKENS,
+                    temperature: AI_CONFIG.TEMPERATURE,
+                    subsystem: window.AIClient.AISubsystem.REGENERATION,
+                    onChunk,
+                    signal: controller.signal
+                }
+            );
+        } finally {
+            if (this.activeController === controller) this.activeController = null;
+        }
+    }
+
+    /**
+     * Stop button in the processing widget while tokens stream into the field
+     * @param {Function} [onStop] - Defaults to cancelling the regeneration
+     */
+    static addStopButton(onStop = () => window.cancelFieldRegeneration()) {
+        const header = document.querySelector('#smarthirex-processing-widget .sh-widget-header');
+        if (!header || header.querySelector('.sh-widget-stop')) return;
+        const stop = document.createElement('button');
+        stop.className = 'sh-widget-stop';
+        stop.title = 'Stop generating';
+        stop.textContent = '■ Stop';
+        stop.addEventListener('click', onStop);
+        header.appendChild(stop);
+    }
+
+    /**
+     * Cancel the in-flight streaming regeneration, if any
+     */
+    static cancel() {
+        this.activeController?.abort();
+        this.activeController = null;
+    }
+
+    /**
+     * Whether the field can show streamed tokens (plain text inputs and textareas)
+     * @param {HTMLElement} element - Field element
+     * @returns {boolean}
+     */
+    static canStreamInto(element) {
+        if (typeof window.AIClient?.streamAI !== 'function' || typeof window.createStreamingTyper !== 'function') return false;
+        if (element.tagName === 'TEXTAREA') return true;
+        return element.tagName === 'INPUT' && TEXT_FIELD_TYPES.has(FieldUtils.getFieldType(element));
+    }
+
     /**
      * Cache regenerated value
      * @param {HTMLElement} element - Field element
@@ -207,7 +291,9 @@ class AIRegeneration {
 }
 
 // Global export for backward compatibility
+window.AIRegeneration = AIRegeneration;
 window.regenerateFieldWithAI = AIRegeneration.regenerate.bind(AIRegeneration);
+window.cancelFieldRegeneration = AIRegeneration.cancel.bind(AIRegeneration);
 
 // Export for module usage
 const {
@@ -0,0 +1,352 @@
+/**
+ * application-tracker.js
+ * Detects when a filled application is submitted and logs it to ApplicationStore.
+ *
+ * A click on a control labelled like a final submit (or a form submit event not
+ * sent by a step button) arms a pending record built from the page as it is at
+ * that moment. The record is written when the submission is confirmed: an ATS
+ * confirmation message appears, the URL changes, or the page unloads - then the
+ * background worker writes it, since the page may be gone before an async
+ * storage write finishes. A confirmation page seen after a fill without an
+ * observed submit (Enter key, custom controls) is logged as well.
+ */
+
+// Button text that submits an application (vs. stepping through a multi-page form)
+// ("Apply now" on a posting opens the form, so it does not count)
+const SUBMIT_LABEL_REGEX = /\b(submit|send)\b|\bfinish\b|\bcomplete (my |your )?application\b/i;
+const NON_FINAL_LABEL_REGEX = /\b(next|continue|save( for later| draft)?|back|previous|upload|attach|add|cancel|sign in|log ?in|search|subscribe)\b/i;
+
+// ATS confirmation copy and URLs
+const CONFIRMATION_TEXT_REGEX = /\b(thank(s| you) for (applying|your application|submitting|your interest)|application (has been |was |is )?(submitted|received|sent|complete(d)?)|we('ve| have) received your application|successfully (submitted|applied)|you('ve| have) (successfully )?applied)\b/i;
+const CONFIRMATION_URL_REGEX = /[/_-](thank-?you|thanks|confirmation|confirm|submitted|application-complete|success)([/?#._-]|$)/i;
+const CONFIRMATION_SELECTORS = [
+    '#application_confirmation',                    // Greenhouse
+    '.application-confirmation',                    // Lever
+    '[data-automation-id="congratulationsPopup"]',  // Workday
+    '[class*="ApplicationSubmitted"]',              // Ashby
+    '[data-testid*="confirmation"]'
+];
+
+// How long a submit waits for a confirmation signal before it is dropped
+const PENDING_TIMEOUT_MS = 60 * 1000;
+const CONFIRMATION_CHECK_DEBOUNCE_MS = 400;
+
+/**
+ * Does this control text read like the final submit?
+ * @param {string} text
+ * @returns {boolean}
+ */
+function looksLikeSubmitLabel(text) {
+    const value = String(text || '').trim();
+    if (!value || value.length > 60) return false;
+    return SUBMIT_LABEL_REGEX.test(value) && !NON_FINAL_LABEL_REGEX.test(value);
+}
+
+/**
+ * Does this page read like an ATS "application received" page?
+ * @param {string} text - Visible page text (first few KB is enough)
+ * @param {string} [url]
+ * @returns {boolean}
+ */
+function looksLikeConfirmation(text, url = '') {
+    return CONFIRMATION_TEXT_REGEX.test(String(text || '')) || CONFIRMATION_URL_REGEX.test(String(url || ''));
+}
+
+function controlText(control) {
+    return control.innerText || control.value || control.getAttribute?.('aria-label') || '';
+}
+
+function submissionTriggers() {
+    return window.ApplicationStore?.SubmissionTrigger || { SUBMIT: 'submit', CONFIRMATION: 'confirmation', URL_CHANGE: 'url_change' };
+}
+
+class ApplicationTracker {
+    constructor() {
+        this.handleClick = this.handleClick.bind(this);
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handlePageHide = this.handlePageHide.bind(this);
+        this.checkConfirmation = this.checkConfirmation.bind(this);
+
+        this.isListening = false;
+        this.lastFill = null;       // { url, fields } from the latest pipeline run
+        this.pending = null;        // Record armed by a submit, waiting for confirmation
+        this.pendingTimer = null;
+        this.observer = null;
+        this.checkTimer = null;
+        this.recorded = new Set();  // URLs already logged from this page
+    }
+
+    start() {
+        if (this.isListening) return;
+        document.addEventListener('click', this.handleClick, true);
+        document.addEventListener('submit', this.handleSubmit, true);
+        window.addEventListener('pagehide', this.handlePageHide);
+
+        this.observer = new MutationObserver(() => {
+            if (!this.pending && !this.lastFill) return;
+            if (this.checkTimer) clearTimeout(this.checkTimer);
+            this.checkTimer = setTimeout(this.checkConfirmation, CONFIRMATION_CHECK_DEBOUNCE_MS);
+        });
+        this.observer.observe(document.documentElement, { childList: true, subtree: true });
+
+        this.isListening = true;
+    }
+
+    stop() {
+        document.removeEventListener('click', this.handleClick, true);
+        document.removeEventListener('submit', this.handleSubmit, true);
+        window.removeEventListener('pagehide', this.handlePageHide);
+        if (this.observer) this.observer.disconnect();
+        if (this.checkTimer) clearTimeout(this.checkTimer);
+        if (this.pendingTimer) clearTimeout(this.pendingTimer);
+        this.observer = null;
+        this.isListening = false;
+    }
+
+    /**
+     * Remember what the pipeline filled (called with the sidebar field list)
+     * @param {Array<Object>} fields - Fields with selector, label, value, fieldData.source
+     */
+    rememberFill(fields) {
+        this.lastFill = {
+            url: window.location.href,
+            fields: (fields || []).filter(f => f && f.selector && f.value !== undefined && f.value !== null && f.value !== '')
+        };
+    }
+
+    /**
+     * Has anything been filled on this page? Submits on untouched pages are not tracked.
+     * @returns {boolean}
+     */
+    hasFilled() {
+        const undoCount = window.UndoManager?.getHistoryCount?.() || 0;
+        return undoCount > 0 || Boolean(this.lastFill && this.lastFill.fields.length);
+    }
+
+    handleClick(event) {
+        if (!this.hasFilled()) return;
+        const control = event.target?.closest?.('button, input[type="submit"], input[type="button"], [role="button"], a');
+        if (!control) return;
+
+        // A <button> without a type reports "submit" too ("Remove", "Show more"), so the label decides;
+        // other submit buttons are caught by the form's submit event
+        if (!looksLikeSubmitLabel(controlText(control))) return;
+
+        this.arm(submissionTriggers().SUBMIT);
+    }
+
+    handleSubmit(event) {
+        if (!this.hasFilled()) return;
+        const submitter = event?.submitter;
+        if (submitter && NON_FINAL_LABEL_REGEX.test(controlText(submitter))) return;
+        this.arm(submissionTriggers().SUBMIT);
+    }
+
+    handlePageHide() {
+        // A submit followed by a full navigation is as good a confirmation as we get.
+        // The page is going away, so hand the record to the background worker to write
+        if (!this.pending) return;
+        if (!this.sendToBackground()) this.commit(this.pending.record.trigger);
+    }
+
+    /**
+     * Pass the pending record to the background worker (RECORD_APPLICATION)
+     * @returns {boolean} Whether the message was sent
+     */
+    sendToBackground() {
+        if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) return false;
+        const pending = this.pending;
+        try {
+            chrome.runtime.sendMessage({ type: 'RECORD_APPLICATION', record: pending.record });
+        } catch {
+            return false; // Extension context invalidated
+        }
+        this.pending = null;
+        if (this.pendingTimer) clearTimeout(this.pendingTimer);
+        this.recorded.add(pending.url);
+        return true;
+    }
+
+    /**
+     * Snapshot the page now (the form may be gone once the ATS responds)
+     * @param {string} trigger - SubmissionTrigger
+     */
+    arm(trigger) {
+        if (this.recorded.has(window.location.href)) return;
+
+        const record = this.buildRecord(trigger);
+        // Job descriptions often say "thank you for your interest"; only new confirmation copy counts
+        this.pending = { record, url: window.location.href, wasConfirmation: this.isConfirmationPage() };
+        // Resolved now: on unload the background worker writes the record without this page's context
+        this.resolveProfile(record.hostname).then(profile => Object.assign(record, profile));
+
+        if (this.pendingTimer) clearTimeout(this.pendingTimer);
+        this.pendingTimer = setTimeout(() => {
+            // No confirmation, no navigation: most likely a validation error
+            this.pending = null;
+        }, PENDING_TIMEOUT_MS);
+    }
+
+    /**
+     * Look for a confirmation message or a URL change after a submit (or after a fill)
+     * @returns {Promise<Object|null>|undefined} The write, when one was started
+     */
+    checkConfirmation() {
+        this.checkTimer = null;
+
+        if (this.pending && window.location.href !== this.pending.url) {
+            return this.commit(submissionTriggers().URL_CHANGE);
+        }
+
+        if (!this.pending && !this.lastFill) return;
+        if (!this.isConfirmationPage()) return;
+
+        if (this.pending) {
+            if (!this.pending.wasConfirmation) return this.commit(submissionTriggers().CONFIRMATION);
+        } else if (!this.recorded.has(this.lastFill.url) && this.isFormGone()) {
+            this.pending = { record: { ...this.buildRecord(submissionTriggers().CONFIRMATION), url: this.lastFill.url }, url: this.lastFill.url };
+            return this.commit(submissionTriggers().CONFIRMATION);
+        }
+    }
+
+    /**
+     * Did the filled form leave the page (SPA swapped it for a confirmation view)?
+     * @returns {boolean}
+     */
+    isFormGone() {
+        return this.lastFill.fields.every(field => {
+            try { return !document.querySelector(field.selector); } catch { return true; }
+        });
+    }
+
+    isConfirmationPage() {
+        if (CONFIRMATION_SELECTORS.some(sel => {
+            try { return document.querySelector(sel); } catch { return false; }
+        })) {
+            return true;
+        }
+        const text = (document.body?.innerText || '').slice(0, 5000);
+        return looksLikeConfirmation(text, window.location.href);
+    }
+
+    /**
+     * Write the pending record
+     * @param {string} trigger - SubmissionTrigger that confirmed the submit
+     * @returns {Promise<Object|null>}
+     */
+    async commit(trigger) {
+        const pending = this.pending;
+        this.pending = null;
+        if (this.pendingTimer) clearTimeout(this.pendingTimer);
+        if (!pending || !window.ApplicationStore) return null;
+
+        this.recorded.add(pending.url);
+        try {
+            const profile = await this.resolveProfile(pending.record.hostname);
+            return await window.ApplicationStore.recordApplication({ ...pending.record, ...profile, trigger });
+        } catch (error) {
+            console.error('❌ [ApplicationTracker] Failed to record application:', error);
+            return null;
+        }
+    }
+
+    async resolveProfile(hostname) {
+        if (!window.ResumeManager?.resolveProfile) return {};
+        try {
+            const { profileId, name } = await window.ResumeManager.resolveProfile({ hostname });
+            return { profileId, profileName: name };
+        } catch {
+            return {};
+        }
+    }
+
+    /**
+     * Record for the current page: posting details plus the answers as they are now
+     * @param {string} trigger - SubmissionTrigger
+     * @returns {Object}
+     */
+    buildRecord(trigger) {
+        let job = null;
+        try {
+            job = typeof window.getJobContext === 'function' ? window.getJobContext() : null;
+        } catch (error) {
+            console.warn('⚠️ [ApplicationTracker] Job context unavailable:', error.message);
+        }
+
+        return {
+            url: window.location.href,
+            hostname: window.location.hostname,
+            title: job?.title || '',
+            company: job?.company || '',
+            location: job?.locations.join('; ') || '',
+            requisitionId: job?.requisitionId || '',
+            jobContext: job?.text || '',
+            answers: this.snapshotAnswers(),
+            appliedAt: new Date().toISOString(),
+            trigger
+        };
+    }
+
+    /**
+     * Answers from the sidebar mappings, with the live DOM value (the user may have
+     * edited after the fill), plus any other field the undo history saw filled
+     * @returns {Array<{label: string, value: string, selector: string, source: string}>}
+     */
+    snapshotAnswers() {
+        const answers = [];
+        const seen = new Set();
+
+        for (const field of this.lastFill?.fields || []) {
+            let element = null;
+            try { element = document.querySelector(field.selector); } catch { /* invalid selector */ }
+            if (element) seen.add(element);
+
+            answers.push({
+                label: field.label || field.name || field.selector,
+                value: this.readValue(element, field.value),
+                selector: field.selector,
+                source: field.fieldData?.source || field.source || ''
+            });
+        }
+
+        for (const state of window.UndoManager?.getHistory?.() || []) {
+            const element = state.element;
+            if (!element || seen.has(element) || !element.isConnected) continue;
+            seen.add(element);
+
+            const label = typeof window.getFieldLabel === 'function' ? window.getFieldLabel(element) : '';
+            answers.push({
+                label: label || element.name || element.id || '',
+                value: this.readValue(element, ''),
+                selector: typeof window.getElementSelector === 'function' ? window.getElementSelector(element) : '',
+                source: 'fill'
+            });
+        }
+
+        return answers;
+    }
+
+    readValue(element, fallback) {
+        if (!element) return Array.isArray(fallback) ? fallback.join(', ') : String(fallback ?? '');
+        const type = (element.type || '').toLowerCase();
+        if (type === 'checkbox' || type === 'radio') {
+            return element.checked ? String(fallback || window.getOptionLabelText?.(element) || element.value) : '';
+        }
+        if (type === 'file') {
+            return Array.from(element.files || []).map(f => f.name).join(', ') || String(fallback ?? '');
+        }
+        if (element.tagName === 'SELECT') {
+            return element.selectedOptions?.[0]?.text?.trim() || element.value;
+        }
+        return element.value ?? String(fallback ?? '');
+    }
+}
+
+// Global Export
+if (typeof window !== 'undefined') {
+    window.ApplicationTracker = new ApplicationTracker();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ApplicationTracker, looksLikeSubmitLabel, looksLikeConfirmation };
+}
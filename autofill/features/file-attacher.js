@@ -0,0 +1,198 @@
+/**
+ * file-attacher.js
+ * Attach the stored resume / cover letter to upload fields
+ *
+ * Upload targets are <input type="file"> elements and drag-and-drop zones
+ * without an input of their own. Each is classified as a resume or cover
+ * letter upload from its own attributes and label first, then from nearby
+ * container text, then from the ML label. The file comes from DocumentStore
+ * (the one linked to the profile in use); a cover letter saved for this
+ * posting in the letter library is rendered to PDF and preferred over a
+ * stored file.
+ *
+ * Files are injected through DataTransfer: inputs get .files plus input/change
+ * events (what React-based Greenhouse/Lever/Workday forms listen for), zones
+ * get dragenter/dragover/drop.
+ */
+
+const COVER_LETTER_UPLOAD_REGEX = /cover[\s_-]*letter|motivation(al)?[\s_-]*letter|anschreiben|lettre[\s_-]*de[\s_-]*motivation/i;
+const RESUME_UPLOAD_REGEX = /(^|[^a-z])(resumes?|résumé|cv|curriculum|lebenslauf)([^a-z]|upload|file|$)/i;
+const DROPZONE_SELECTOR = '[data-automation-id="file-upload-drop-zone"], .dropzone, [class*="dropzone" i], [class*="drop-zone" i], [data-testid*="dropzone" i]';
+// Ancestors searched for context, and the longest text taken from one
+const UPLOAD_CONTEXT_DEPTH = 4;
+const UPLOAD_CONTEXT_MAX_TEXT = 300;
+
+/**
+ * Resume / cover letter file attachment
+ */
+class FileAttacher {
+    /**
+     * Kind of document a hint string asks for
+     * @param {string} text
+     * @returns {'resume'|'cover_letter'|null}
+     */
+    static kindFromText(text) {
+        if (COVER_LETTER_UPLOAD_REGEX.test(text)) return 'cover_letter';
+        if (RESUME_UPLOAD_REGEX.test(text)) return 'resume';
+        return null;
+    }
+
+    /**
+     * Classify an upload target
+     * @param {HTMLElement} element - File input or drop zone
+     * @param {string} [mlLabel] - Classifier label for the field, if any
+     * @returns {'resume'|'cover_letter'|null}
+     */
+    static classify(element, mlLabel) {
+        const own = [
+            element.name, element.id, element.getAttribute('aria-label'), element.getAttribute('title'),
+            element.getAttribute('data-automation-id'), element.getAttribute('placeholder'),
+            element.tagName === 'INPUT' && typeof getFieldLabel === 'function' ? getFieldLabel(element) : ''
+        ].filter(Boolean).join(' ');
+        const fromOwn = this.kindFromText(own);
+        if (fromOwn) return fromOwn;
+
+        // Nearest container that says what it is for (a drop zone's own text counts)
+        let node = element.tagName === 'INPUT' ? element.parentElement : element;
+        for (let depth = 0; node && depth < UPLOAD_CONTEXT_DEPTH; depth++, node = node.parentElement) {
+            const text = String(node.innerText || node.textContent || '');
+            const hints = [node.id, typeof node.className === 'string' ? node.className : '',
+                text.length <= UPLOAD_CONTEXT_MAX_TEXT ? text : ''].join(' ');
+            const kind = this.kindFromText(hints);
+            if (kind) return kind;
+        }
+
+        if (mlLabel === 'resume_upload') return 'resume';
+        if (mlLabel === 'cover_letter') return 'cover_letter';
+        return null;
+    }
+
+    /**
+     * Upload targets on the page: file inputs (from the pipeline's fields and the DOM)
+     * and drop zones that have no file input inside
+     * @param {Array<Object>} [fields] - Pipeline fields ({ element, selector, ml_prediction })
+     * @returns {Array<{ element: HTMLElement, selector: string|null, mlLabel: string|null }>}
+     */
+    static findTargets(fields = []) {
+        const targets = [];
+        const seen = new Set();
+        const add = (element, selector, mlLabel) => {
+            if (!element || seen.has(element) || element.closest('#smarthirex-accordion-sidebar')) return;
+            seen.add(element);
+            targets.push({ element, selector: selector || null, mlLabel: mlLabel || null });
+        };
+
+        fields.forEach(f => {
+            if (f.element?.type === 'file') add(f.element, f.selector, f.ml_prediction?.label);
+        });
+        document.querySelectorAll('input[type="file"]').forEach(input => add(input));
+        document.querySelectorAll(DROPZONE_SELECTOR).forEach(zone => {
+            if (!zone.querySelector('input[type="file"]') && !zone.closest('input')) add(zone);
+        });
+        return targets;
+    }
+
+    /**
+     * Put a file into an upload target
+     * @param {HTMLElement} element - File input or drop zone
+     * @param {File} file
+     * @returns {boolean} - Whether the file was handed over
+     */
+    static attachFile(element, file) {
+        const transfer = new DataTransfer();
+        transfer.items.add(file);
+
+        if (element.tagName === 'INPUT') {
+            if (element.accept && !this.accepts(element.accept, file)) return false;
+            element.files = transfer.files;
+            element.dispatchEvent(new Event('input', { bubbles: true }));
+            element.dispatchEvent(new Event('change', { bubbles: true }));
+            element.setAttribute('data-autofill-source', 'document_vault');
+            return element.files.length > 0;
+        }
+
+        ['dragenter', 'dragover', 'drop'].forEach(type => {
+            element.dispatchEvent(new DragEvent(type, { bubbles: true, cancelable: true, dataTransfer: transfer }));
+        });
+        element.setAttribute('data-autofill-source', 'document_vault');
+        return true;
+    }
+
+    /**
+     * Whether a file matches an input's accept attribute
+     * @param {string} accept - e.g. ".pdf,.docx" or "application/pdf"
+     * @param {File} file
+     * @returns {boolean}
+     */
+    static accepts(accept, file) {
+        const name = file.name.toLowerCase();
+        const type = (file.type || '').toLowerCase();
+        return accept.split(',').map(a => a.trim().toLowerCase()).filter(Boolean).some(rule => {
+            if (rule.startsWith('.')) return name.endsWith(rule);
+            if (rule.endsWith('/*')) return type.startsWith(rule.slice(0, -1));
+            return type === rule;
+        });
+    }
+
+    /**
+     * File to upload for a kind of document
+     * @param {'resume'|'cover_letter'} kind
+     * @param {Object} job - JobContext (for the letter saved for this posting)
+     * @param {Object} profile - { profileId, derivedFrom }
+     * @returns {Promise<File|null>}
+     */
+    static async resolveFile(kind, job, profile) {
+        if (kind === 'cover_letter' && window.CoverLetterManager) {
+            const posting = { title: job?.title, company: job?.company, url: job?.url || window.location.href, requisitionId: job?.requisitionId };
+            const [letter] = await window.CoverLetterManager.listLetters({ posting });
+            if (letter) {
+                const { bytes, mimeType, fileName } = window.CoverLetterManager.exportLetter(letter, 'pdf');
+                return new File([bytes], fileName, { type: mimeType, lastModified: Date.now() });
+            }
+        }
+
+        const store = window.DocumentStore;
+        const doc = store ? await store.pickDocument(kind, profile) : null;
+        return doc ? store.getDocumentFile(doc.id) : null;
+    }
+
+    /**
+     * Attach documents to every empty resume / cover letter upload on the page
+     * @param {Array<Object>} [fields] - Pipeline fields
+     * @returns {Promise<Array<{ selector: string|null, kind: string, fileName: string }>>}
+     */
+    static async attachAll(fields = []) {
+        const targets = this.findTargets(fields)
+            .filter(t => !(t.element.files && t.element.files.length > 0))
+            .map(t => ({ ...t, kind: this.classify(t.element, t.mlLabel) }))
+            .filter(t => t.kind);
+        if (targets.length === 0) return [];
+
+        let profile = {};
+        if (window.ResumeManager?.resolveProfile) {
+            const resolved = await window.ResumeManager.resolveProfile();
+            const { profiles } = await window.ResumeManager.listProfiles();
+            profile = { profileId: resolved.profileId, derivedFrom: profiles.find(p => p.id === resolved.profileId)?.derivedFrom };
+        }
+        const job = typeof window.getJobContext === 'function' ? window.getJobContext() : null;
+
+        const files = {};
+        const attached = [];
+        for (const target of targets) {
+            if (!(target.kind in files)) files[target.kind] = await this.resolveFile(target.kind, job, profile);
+            const file = files[target.kind];
+            if (file && this.attachFile(target.element, file)) {
+                attached.push({ selector: target.selector, kind: target.kind, fileName: file.name });
+            }
+        }
+        return attached;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.FileAttacher = FileAttacher;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FileAttacher };
+}
@@ -0,0 +1,292 @@
+/**
+ * job-fit.js
+ * Job–resume fit analysis for the sidebar "Fit" tab
+ *
+ * The score is local and deterministic (no AI): skills keywords found in the
+ * posting vs. the resume, years of experience asked for vs. held, and
+ * location / visa compatibility against customFields. An optional AI
+ * narrative explains the result on request.
+ */
+
+/**
+ * Skills looked for in postings even when the resume doesn't list them, so
+ * they can show up as missing. First entry is the display name, the rest aliases.
+ */
+const FIT_SKILL_VOCABULARY = [
+    ['JavaScript', 'js', 'ecmascript'], ['TypeScript', 'ts'], ['Python'], ['Java'], ['Go', 'golang'],
+    ['Rust'], ['C++', 'cpp'], ['C#', 'csharp'], ['Ruby'], ['PHP'], ['Kotlin'], ['Swift'], ['Scala'],
+    ['SQL'], ['PostgreSQL', 'postgres'], ['MySQL'], ['MongoDB'], ['Redis'], ['Elasticsearch'],
+    ['React', 'react.js', 'reactjs'], ['Angular'], ['Vue', 'vue.js'], ['Next.js'], ['Node.js', 'nodejs'],
+    ['Django'], ['Flask'], ['Spring'], ['Rails', 'ruby on rails'], ['.NET', 'dotnet'], ['GraphQL'],
+    ['AWS', 'amazon web services'], ['GCP', 'google cloud'], ['Azure'], ['Docker'], ['Kubernetes', 'k8s'],
+    ['Terraform'], ['CI/CD'], ['Linux'], ['Git'], ['Kafka'], ['Spark'], ['Airflow'], ['dbt'],
+    ['Snowflake'], ['Tableau'], ['Looker'], ['Power BI'], ['Excel'], ['Machine Learning'],
+    ['Deep Learning'], ['PyTorch'], ['TensorFlow'], ['NLP'], ['Figma'], ['Salesforce'], ['Jira'],
+    ['Agile'], ['Scrum'], ['REST', 'restful'], ['Microservices'], ['HTML'], ['CSS']
+];
+
+// Weights of the score components (renormalised over the components that apply)
+const FIT_WEIGHTS = { skills: 50, experience: 25, location: 15, visa: 10 };
+// Keyword weights: asked for under "Requirements" counts double
+const FIT_IMPORTANCE_WEIGHT = { required: 2, nice: 1, mentioned: 1 };
+
+const NO_SPONSORSHIP_REGEX = /\b(no|not|unable to|cannot|can't|won't|will not|do not|does not)\b[^.\n]{0,40}\bsponsor|\bwithout (the need for )?(visa |employer )?sponsorship/i;
+const OFFERS_SPONSORSHIP_REGEX = /\b(will|can|able to|happy to)\s+sponsor\b|\bsponsorship (is )?(available|provided|offered)|\bvisa support\b/i;
+const YEARS_REGEX = /(\d{1,2})\s*\+?\s*(?:(?:-|–|to)\s*\d{1,2}\s*)?\+?\s*(?:years?|yrs?)\b/gi;
+
+/**
+ * Job–resume fit analysis
+ */
+class JobFit {
+    /**
+     * @typedef {Object} FitReport
+     * @property {number|null} score - 0-100, null when nothing could be compared
+     * @property {string|null} verdict - 'strong' | 'partial' | 'weak'
+     * @property {{ matched: Array<{name: string, importance: string, evidence: string}>, missing: Array<{name: string, importance: string}> }} keywords
+     * @property {{ requiredYears: number|null, candidateYears: number, status: string }} experience - status: 'meets' | 'short' | 'unknown'
+     * @property {{ status: string, jobLocations: string[], note: string }} location - status: 'match' | 'relocate' | 'mismatch' | 'unknown'
+     * @property {{ status: string, jobPolicy: string, note: string }} visa - status: 'match' | 'conflict' | 'unknown'
+     */
+
+    /**
+     * Compare a posting with a resume
+     * @param {Object} job - JobContext from getJobContext()
+     * @param {Object} resumeData
+     * @returns {FitReport}
+     */
+    static analyze(job, resumeData) {
+        const resume = resumeData || {};
+        const keywords = this.compareKeywords(job, resume);
+        const experience = this.compareExperience(job, resume);
+        const location = this.compareLocation(job, resume);
+        const visa = this.compareVisa(job, resume);
+
+        const parts = [];
+        const keywordTotal = [...keywords.matched, ...keywords.missing].reduce((sum, k) => sum + FIT_IMPORTANCE_WEIGHT[k.importance], 0);
+        if (keywordTotal > 0) {
+            const matched = keywords.matched.reduce((sum, k) => sum + FIT_IMPORTANCE_WEIGHT[k.importance], 0);
+            parts.push([FIT_WEIGHTS.skills, matched / keywordTotal]);
+        }
+        if (experience.requiredYears) {
+            parts.push([FIT_WEIGHTS.experience, Math.min(1, experience.candidateYears / experience.requiredYears)]);
+        }
+        if (location.status !== 'unknown') {
+            parts.push([FIT_WEIGHTS.location, { match: 1, relocate: 0.6, mismatch: 0 }[location.status]]);
+        }
+        if (visa.status !== 'unknown') {
+            parts.push([FIT_WEIGHTS.visa, visa.status === 'match' ? 1 : 0]);
+        }
+
+        const weight = parts.reduce((sum, [w]) => sum + w, 0);
+        const score = weight ? Math.round(100 * parts.reduce((sum, [w, s]) => sum + w * s, 0) / weight) : null;
+        const verdict = score === null ? null : score >= 75 ? 'strong' : score >= 50 ? 'partial' : 'weak';
+
+        return { score, verdict, keywords, experience, location, visa };
+    }
+
+    /**
+     * Skills named in the posting, split into those the resume has and those it lacks.
+     * A skill counts as held if it is in resumeData.skills or mentioned in the
+     * experience / projects text.
+     * @returns {{ matched: Array, missing: Array }}
+     */
+    static compareKeywords(job, resume) {
+        const userSkills = this.flattenSkills(resume.skills);
+        const resumeText = this.resumeText(resume);
+        const requirementsText = (job.requirements || []).join('\n');
+        const niceText = (job.niceToHaves || []).join('\n');
+        const postingText = `${job.title || ''}\n${job.description || ''}`;
+
+        // Vocabulary plus the user's own skills (which may be anything)
+        const candidates = FIT_SKILL_VOCABULARY.map(([name, ...aliases]) => ({ name, terms: [name, ...aliases] }));
+        userSkills.forEach(skill => {
+            if (!candidates.some(c => c.terms.some(t => t.toLowerCase() === skill.toLowerCase()))) {
+                candidates.push({ name: skill, terms: [skill] });
+            }
+        });
+
+        const matched = [];
+        const missing = [];
+        for (const { name, terms } of candidates) {
+            const inText = (text) => terms.some(term => this.mentions(text, term));
+            if (!inText(postingText) && !inText(requirementsText) && !inText(niceText)) continue;
+
+            const importance = inText(requirementsText) ? 'required' : inText(niceText) ? 'nice' : 'mentioned';
+            const listed = terms.some(term => userSkills.some(s => s.toLowerCase() === term.toLowerCase()));
+            if (listed || inText(resumeText)) {
+                matched.push({ name, importance, evidence: listed ? 'skills' : 'experience' });
+            } else {
+                missing.push({ name, importance });
+            }
+        }
+
+        const order = (a, b) => FIT_IMPORTANCE_WEIGHT[b.importance] - FIT_IMPORTANCE_WEIGHT[a.importance];
+        return { matched: matched.sort(order), missing: missing.sort(order) };
+    }
+
+    /**
+     * Years asked for (largest "N+ years" in the requirements, else the
+     * description) vs. RuleEngine.calculateTotalExperience over the resume
+     * @returns {{ requiredYears: number|null, candidateYears: number, status: string }}
+     */
+    static compareExperience(job, resume) {
+        const requiredYears = this.requiredYears((job.requirements || []).join('\n')) ?? this.requiredYears(job.description);
+
+        const jobs = (resume.experience || [])
+            .map(exp => (/present|current/i.test(exp.endDate || '') ? { ...exp, current: true } : exp))
+            .filter(exp => !isNaN(new Date(exp.startDate).getFullYear()) && (exp.current || !isNaN(new Date(exp.endDate).getFullYear())));
+        const engine = window.RuleEngine;
+        const candidateYears = engine?.calculateTotalExperience
+            ? engine.calculateTotalExperience(jobs)
+            : jobs.reduce((acc, exp) => acc + ((exp.current ? new Date().getFullYear() : new Date(exp.endDate).getFullYear()) - new Date(exp.startDate).getFullYear()), 0);
+
+        const status = requiredYears === null ? 'unknown' : candidateYears >= requiredYears ? 'meets' : 'short';
+        return { requiredYears, candidateYears, status };
+    }
+
+    /**
+     * Largest "N years" figure in the text (capped at 30, so dates don't count)
+     * @param {string} text
+     * @returns {number|null}
+     */
+    static requiredYears(text) {
+        let max = null;
+        for (const match of String(text || '').matchAll(YEARS_REGEX)) {
+            const years = Number(match[1]);
+            if (years > 0 && years <= 30 && (max === null || years > max)) max = years;
+        }
+        return max;
+    }
+
+    /**
+     * Posting locations vs. the resume address, preferred location and relocation answer
+     * @returns {{ status: string, jobLocations: string[], note: string }}
+     */
+    static compareLocation(job, resume) {
+        const jobLocations = job.locations || [];
+        const custom = resume.customFields || {};
+        const preferred = String(custom.preferredLocation || '');
+        const wantsRemote = /\bremote\b/i.test(preferred);
+
+        if (job.remotePolicy === 'remote') {
+            return { status: 'match', jobLocations, note: 'Remote role' };
+        }
+        if (!jobLocations.length) {
+            return { status: 'unknown', jobLocations, note: 'The posting does not list a location' };
+        }
+
+        const address = resume.personal?.address || {};
+        const tokens = (text) => String(text || '').split(/[,;/|]|\s+-\s+/).map(t => t.trim().toLowerCase()).filter(t => t.length > 1);
+        const mine = new Set([address.city, address.state, ...tokens(preferred), ...tokens(resume.personal?.location).slice(0, 2)]
+            .map(t => String(t || '').trim().toLowerCase()).filter(t => t.length > 1 && t !== 'remote'));
+        const place = jobLocations.find(loc => tokens(loc).some(t => mine.has(t)));
+        const policy = job.remotePolicy === 'hybrid' ? 'Hybrid' : job.remotePolicy === 'onsite' ? 'On-site' : '';
+
+        if (place) {
+            return { status: 'match', jobLocations, note: [policy, place].filter(Boolean).join(' in ') };
+        }
+        if (custom.willingToRelocate === true) {
+            return { status: 'relocate', jobLocations, note: `Would need to relocate to ${jobLocations[0]}` };
+        }
+        return {
+            status: 'mismatch',
+            jobLocations,
+            note: `${policy || 'Based'} in ${jobLocations.join('; ')}${wantsRemote ? ' (you prefer remote)' : ''}`
+        };
+    }
+
+    /**
+     * What the posting says about sponsorship vs. customFields.sponsorshipRequired
+     * @returns {{ status: string, jobPolicy: string, note: string }}
+     */
+    static compareVisa(job, resume) {
+        const text = `${(job.requirements || []).join('\n')}\n${job.description || ''}`;
+        const jobPolicy = NO_SPONSORSHIP_REGEX.test(text) ? 'no_sponsorship' : OFFERS_SPONSORSHIP_REGEX.test(text) ? 'sponsors' : 'unknown';
+        const needs = resume.customFields?.sponsorshipRequired;
+
+        if (jobPolicy === 'unknown' || (needs !== true && needs !== false)) {
+            const note = jobPolicy === 'no_sponsorship' ? 'The posting says no visa sponsorship'
+                : jobPolicy === 'sponsors' ? 'The posting offers visa sponsorship' : 'Sponsorship not mentioned';
+            return { status: 'unknown', jobPolicy, note };
+        }
+        if (!needs) return { status: 'match', jobPolicy, note: 'You do not need sponsorship' };
+        return jobPolicy === 'sponsors'
+            ? { status: 'match', jobPolicy, note: 'The posting offers visa sponsorship' }
+            : { status: 'conflict', jobPolicy, note: 'You need sponsorship; the posting does not offer it' };
+    }
+
+    /**
+     * resumeData.skills as a flat list of names (object of categories or plain array)
+     * @returns {string[]}
+     */
+    static flattenSkills(skills) {
+        const list = Array.isArray(skills) ? skills : Object.values(skills || {}).flat();
+        return list
+            .map(s => (typeof s === 'object' && s ? s.name || s.language || '' : s))
+            .map(s => String(s || '').replace(/\s*\(.*\)\s*$/, '').trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Experience, project and summary text, for skills used but not listed
+     * @returns {string}
+     */
+    static resumeText(resume) {
+        const parts = [resume.summary || ''];
+        (resume.experience || []).forEach(exp => {
+            parts.push(exp.title, exp.description, ...(exp.achievements || []));
+        });
+        (resume.projects || []).forEach(project => {
+            parts.push(project.description, ...(project.technologies || []));
+        });
+        return parts.filter(Boolean).join('\n');
+    }
+
+    /**
+     * Whole-word mention of a skill. Short names ("Go", "R") must match case,
+     * or they'd match ordinary words.
+     * @param {string} text
+     * @param {string} term
+     * @returns {boolean}
+     */
+    static mentions(text, term) {
+        if (!text || !term) return false;
+        const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const flags = term.length <= 2 ? '' : 'i';
+        return new RegExp(`(?<![\\w+#.])${escaped}(?![\\w+#&])`, flags).test(text);
+    }
+
+    /**
+     * Short AI narrative on top of the local report
+     * @param {Object} job - JobContext
+     * @param {Object} resumeData
+     * @param {FitReport} report
+     * @returns {Promise<{success: boolean, text?: string, error?: string}>}
+     */
+    static async explainWithAI(job, resumeData, report) {
+        if (!window.AIClient?.callAI) {
+            return { success: false, error: 'AI Client not available' };
+        }
+
+        const titles = (resumeData?.experience || []).slice(0, 4).map(exp => `${exp.title} at ${exp.company}`).join('; ');
+        const prompt = [
+            `JOB:\n${job.text}`,
+            `CANDIDATE: ${report.experience.candidateYears} years of experience. Recent roles: ${titles || 'n/a'}. Skills: ${this.flattenSkills(resumeData?.skills).join(', ') || 'n/a'}.`,
+            `LOCAL ANALYSIS: score ${report.score ?? 'n/a'}/100. Matched: ${report.keywords.matched.map(k => k.name).join(', ') || 'none'}. Missing: ${report.keywords.missing.map(k => `${k.name} (${k.importance})`).join(', ') || 'none'}. Experience: ${report.experience.requiredYears ?? 'unspecified'} years asked. Location: ${report.location.note}. Visa: ${report.visa.note}.`
+        ].join('\n\n');
+
+        return window.AIClient.callAI(
+            prompt,
+            'You advise a job seeker on whether to apply. In 3-4 short sentences, say how well they fit this posting, the biggest gap, and whether it is worth applying. Be direct; do not repeat the numbers back.',
+            { maxTokens: 300, temperature: 0.4, subsystem: window.AIClient.AISubsystem.JOB_FIT }
+        );
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.JobFit = JobFit;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { JobFit };
+}
@@ -0,0 +1,209 @@
+/**
+ * resume-tailor.js
+ * Per-job tailored resume variants
+ *
+ * The AI is asked for a rewritten summary and for orderings of the resume's
+ * own experience bullets and skills, most relevant to the posting first.
+ * Orderings are applied to a copy, so bullets and skills are never invented or
+ * dropped. The result is saved as a tailored profile (ResumeManager) and pinned
+ * to the current tab, where fills and Copilot answers then read it; the
+ * master resume is left untouched.
+ */
+
+// Longest summary accepted from the model
+const TAILOR_MAX_SUMMARY_LENGTH = 1200;
+// Bullet markers stripped when a description is split into lines
+const BULLET_PREFIX_REGEX = /^\s*(?:[-*•●▪◦]|\d+[.)])\s+/;
+
+/**
+ * Tailored resume generation
+ */
+class ResumeTailor {
+    /**
+     * Bullet points of one experience entry: achievements when present,
+     * otherwise the description's lines when it has more than one
+     * @param {Object} exp - Experience entry
+     * @returns {{ field: 'achievements'|'description'|null, items: string[] }}
+     */
+    static bulletsOf(exp) {
+        if (Array.isArray(exp?.achievements) && exp.achievements.length > 0) {
+            return { field: 'achievements', items: exp.achievements.map(a => String(a)) };
+        }
+        const lines = String(exp?.description || '').split('\n').filter(line => line.trim());
+        if (lines.length > 1) return { field: 'description', items: lines };
+        return { field: null, items: [] };
+    }
+
+    /**
+     * Reorder items by a list of indices. Invalid and repeated indices are
+     * ignored and anything the order leaves out keeps its place at the end.
+     * @param {Array} items
+     * @param {Array<number>} order
+     * @returns {Array}
+     */
+    static orderBy(items, order) {
+        const picked = [];
+        for (const raw of Array.isArray(order) ? order : []) {
+            const i = Number(raw);
+            if (Number.isInteger(i) && i >= 0 && i < items.length && !picked.includes(i)) picked.push(i);
+        }
+        items.forEach((_, i) => { if (!picked.includes(i)) picked.push(i); });
+        return picked.map(i => items[i]);
+    }
+
+    /**
+     * Sort skills by their position in a ranked list of names (case-insensitive).
+     * Unranked skills follow in their original order.
+     * @param {string[]} skills
+     * @param {string[]} ranked
+     * @returns {string[]}
+     */
+    static sortByRelevance(skills, ranked) {
+        const rank = new Map();
+        (Array.isArray(ranked) ? ranked : []).forEach((name, i) => {
+            const key = String(name).trim().toLowerCase();
+            if (key && !rank.has(key)) rank.set(key, i);
+        });
+        const position = (skill) => rank.get(String(skill).trim().toLowerCase()) ?? Infinity;
+        return skills
+            .map((skill, i) => ({ skill, i }))
+            .sort((a, b) => (position(a.skill) - position(b.skill)) || (a.i - b.i))
+            .map(entry => entry.skill);
+    }
+
+    /**
+     * Prompt listing the posting and the resume with numbered bullets
+     * @param {Object} job - JobContext
+     * @param {Object} resume
+     * @returns {string}
+     */
+    static buildPrompt(job, resume) {
+        const jobs = (resume.experience || []).map((exp, index) => {
+            const bullets = this.bulletsOf(exp).items
+                .map((b, i) => `  [${i}] ${b.replace(BULLET_PREFIX_REGEX, '')}`).join('\n');
+            return `EXPERIENCE ${index}: ${exp.title || ''} at ${exp.company || ''}\n${bullets || '  (no bullets)'}`;
+        }).join('\n');
+
+        return [
+            `JOB:\n${job.text}`,
+            `CURRENT SUMMARY:\n${resume.summary || '(none)'}`,
+            `SKILLS: ${JSON.stringify(window.JobFit ? window.JobFit.flattenSkills(resume.skills) : [])}`,
+            jobs,
+            `Return JSON: {"summary": "...", "experience": [{"index": <experience number>, "order": [<bullet numbers, most relevant first>]}], "skills": [<skill names, most relevant first>]}`
+        ].join('\n\n');
+    }
+
+    /**
+     * Apply a tailoring plan from the model to a copy of the resume
+     * @param {Object} resume
+     * @param {{ summary?: string, experience?: Array<{index: number, order: number[]}>, skills?: string[] }} plan
+     * @returns {{ data: Object, changes: { summary: boolean, experience: number, skills: boolean } }}
+     */
+    static applyTailoring(resume, plan) {
+        const data = JSON.parse(JSON.stringify(resume));
+        const changes = { summary: false, experience: 0, skills: false };
+
+        const summary = typeof plan?.summary === 'string' ? plan.summary.trim() : '';
+        if (summary && summary.length <= TAILOR_MAX_SUMMARY_LENGTH && summary !== String(data.summary || '').trim()) {
+            data.summary = summary;
+            changes.summary = true;
+        }
+
+        for (const entry of Array.isArray(plan?.experience) ? plan.experience : []) {
+            const exp = data.experience?.[Number(entry?.index)];
+            if (!exp) continue;
+
+            const { field, items } = this.bulletsOf(exp);
+            if (!field) continue;
+            const ordered = this.orderBy(items, entry.order);
+            if (ordered.every((item, i) => item === items[i])) continue;
+
+            if (field === 'achievements') exp.achievements = ordered;
+            else exp.description = ordered.join('\n');
+            changes.experience++;
+        }
+
+        if (Array.isArray(plan?.skills) && data.skills) {
+            const before = JSON.stringify(data.skills);
+            if (Array.isArray(data.skills)) {
+                data.skills = this.sortByRelevance(data.skills, plan.skills);
+            } else {
+                for (const [category, list] of Object.entries(data.skills)) {
+                    if (Array.isArray(list)) data.skills[category] = this.sortByRelevance(list, plan.skills);
+                }
+            }
+            changes.skills = JSON.stringify(data.skills) !== before;
+        }
+
+        return { data, changes };
+    }
+
+    /**
+     * Tailored profile already generated for this posting, if any
+     * @param {Object} job - JobContext
+     * @returns {Promise<Object|null>} - Profile index entry
+     */
+    static async findVariant(job) {
+        const { profiles } = await window.ResumeManager.listProfiles();
+        const posting = { title: job.title, company: job.company, url: job.url, requisitionId: job.requisitionId };
+        const same = window.ApplicationStore?.isSamePosting || ((a, b) => a.url === b.url);
+        return profiles.find(p => window.ResumeManager.isTailoredProfile(p) && same(p.tailoredFor, posting)) || null;
+    }
+
+    /**
+     * Generate (or regenerate) the tailored variant for a posting and use it in this tab
+     * @param {Object} job - JobContext from getJobContext()
+     * @returns {Promise<{ success: boolean, profileId?: string, name?: string, changes?: Object, error?: string }>}
+     */
+    static async tailor(job) {
+        if (!window.AIClient?.callAI) {
+            return { success: false, error: 'AI Client not available' };
+        }
+        if (!job || job.source === 'fallback') {
+            return { success: false, error: 'No job posting detected on this page' };
+        }
+
+        const manager = window.ResumeManager;
+        const existing = await this.findVariant(job);
+        // Always tailor from the master profile, never from another variant
+        const current = await manager.resolveProfile();
+        const { profiles } = await manager.listProfiles();
+        const currentEntry = profiles.find(p => p.id === current.profileId);
+        const baseProfileId = existing?.derivedFrom || currentEntry?.derivedFrom || current.profileId;
+
+        const resume = await manager.getResumeData({ profileId: baseProfileId });
+        if (!resume) return { success: false, error: 'No resume data found' };
+
+        const result = await window.AIClient.callAI(
+            this.buildPrompt(job, resume),
+            'You tailor a resume to a job posting. Rewrite the summary in 2-4 sentences aimed at this role, using only facts from the resume. Order each experience\'s bullets and the skills from most to least relevant to the posting. Do not add, drop or reword bullets or skills.',
+            { jsonMode: true, maxTokens: 1500, temperature: 0.3, subsystem: window.AIClient.AISubsystem.RESUME_TAILOR }
+        );
+        if (!result.success) return { success: false, error: result.error || 'AI request failed' };
+
+        const plan = window.AIClient.parseAIJson(result.text);
+        if (!plan) return { success: false, error: 'Failed to parse AI response as JSON.' };
+
+        const { data, changes } = this.applyTailoring(resume, plan);
+        let profileId = existing?.id;
+        if (profileId) {
+            await manager.saveResumeData(data, { profileId, source: manager.RevisionSource.TAILORED });
+        } else {
+            profileId = await manager.createTailoredProfile(baseProfileId, data, {
+                title: job.title, company: job.company, url: job.url, requisitionId: job.requisitionId
+            });
+        }
+        await manager.setTabProfile(profileId);
+
+        const { profiles: updated } = await manager.listProfiles();
+        return { success: true, profileId, name: updated.find(p => p.id === profileId)?.name || '', changes };
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ResumeTailor = ResumeTailor;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ResumeTailor };
+}
@@ -6,9 +6,10 @@
  * - Background prefetching for next batches
  * - Streaming UI updates with callbacks
  * - Robust error handling and retry logic
+ * - Response cache keyed by batch signature (repeat forms skip the AI call)
  * 
  * PURE AI VERSION: 
- * Stripped of all local caching, history hydration, and deduplication logic.
+ * Stripped of history hydration and deduplication logic.
  * This processor assumes all local strategies have already been exhausted.
  */
 
@@ -19,6 +20,10 @@ const RETRY_DELAY_MS = 1000;
 /** Predictive abort: stop all AI batches after N consecutive persistent key errors (Invalid Key / Unauthorized) */
 const CONSECUTIVE_KEY_FAILURES_ABORT = 2;
 const PERSISTENT_KEY_ERROR_CODES = ['INVALID_KEY', 'UNAUTHORIZED'];
+/** Daily token budget exhausted (AIClient usage ledger): stop all batches, no retries */
+const BUDGET_ERROR_CODE = 'BUDGET_EXCEEDED';
+/** Namespace for batch entries in the AIClient response cache */
+const BATCH_CACHE_PREFIX = 'batch:';
 
 // ... (constants remain, BATCH_SIZE removed)
 
@@ -194,6 +199,80 @@ function buildSmartContext(resumeData, isFirstBatch = true, previousQA = []) {
     };
 }
 
+/**
+ * Normalize label/option text so cosmetic differences (case, asterisks, spacing) share a cache entry
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeCacheText(text) {
+    return String(text || '').toLowerCase().replace(/[*:?]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build the cache signature for a batch: field labels, types and options plus a resume content hash.
+ * Selectors are left out so near-identical postings share entries; batches with open-ended
+ * (textarea) answers also key on the page context, since those answers are posting-specific.
+ * @param {Array} batch
+ * @param {Object} resumeData
+ * @param {string} pageContext
+ * @param {Object} context - Smart context (full vs condensed)
+ * @returns {string|null} Signature, or null when hashing is unavailable
+ */
+function buildBatchSignature(batch, resumeData, pageContext, context) {
+    const hash = window.AIClient?.hashPrompt;
+    if (!hash) return null;
+
+    const fields = batch.map(f => [
+        normalizeCacheText(f.label || f.name || f.placeholder),
+        (f.type || 'text').toLowerCase(),
+        (f.options || []).map(o => normalizeCacheText(typeof o === 'object' ? (o.text || o.label || o.value) : o))
+    ]);
+    const { meta, ...profile } = resumeData || {};
+    const openEnded = batch.some(f => (f.type || '').toLowerCase() === 'textarea');
+
+    return BATCH_CACHE_PREFIX + hash({
+        prompt: JSON.stringify({
+            fields,
+            resume: hash({ prompt: JSON.stringify(profile) }),
+            page: openEnded ? normalizeCacheText(pageContext) : '',
+            contextType: context?.type || 'full'
+        })
+    });
+}
+
+/**
+ * Look up a batch in the response cache and re-key the stored values onto this batch's selectors
+ * @returns {Promise<Object|null>} Mappings, or null on miss
+ */
+async function readBatchCache(signature, batch) {
+    if (!signature || !window.AIClient?.getCachedResponse) return null;
+    try {
+        const values = await window.AIClient.getCachedResponse(signature);
+        if (!Array.isArray(values) || values.length !== batch.length) return null;
+
+        const mappings = {};
+        batch.forEach((field, i) => {
+            if (values[i]) mappings[field.selector] = values[i];
+        });
+        return Object.keys(mappings).length > 0 ? mappings : null;
+    } catch (e) {
+        console.warn('[BatchProcessor] Cache read failed:', e);
+        return null;
+    }
+}
+
+/**
+ * Store batch mappings positionally (by field order, not selector)
+ */
+async function writeBatchCache(signature, batch, mappings) {
+    if (!signature || !window.AIClient?.setCachedResponse) return;
+    try {
+        await window.AIClient.setCachedResponse(signature, batch.map(f => mappings[f.selector] || null));
+    } catch (e) {
+        console.warn('[BatchProcessor] Cache write failed:', e);
+    }
+}
+
 /**
  * Process a single batch with retry logic
  * @param {Array} batch - Array of field objects (max 5)
@@ -203,12 +282,18 @@ function buildSmartContext(resumeData, isFirstBatch = true, previousQA = []) {
  * @returns {Promise<Object>} Mappings for this batch
  */
 /**
- * @returns {{ mappings: Object, errorCode?: string }}
+ * @returns {{ mappings: Object, errorCode?: string, cached?: boolean }}
  */
 async function processBatchWithRetry(batch, resumeData, pageContext, context) {
     let lastError = null;
     let lastErrorCode = null;
 
+    const signature = buildBatchSignature(batch, resumeData, pageContext, context);
+    const cached = await readBatchCache(signature, batch);
+    if (cached) {
+        return { mappings: cached, cached: true };
+    }
+
     for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
         try {
             if (attempt > 0) {
@@ -226,6 +311,9 @@ async function processBatchWithRetry(batch, resumeData, pageContext, context) {
             );
 
             if (result && result.success && result.mappings) {
+                if (Object.keys(result.mappings).length > 0) {
+                    await writeBatchCache(signature, batch, result.mappings);
+                }
                 return { mappings: result.mappings };
             }
 
@@ -235,11 +323,15 @@ async function processBatchWithRetry(batch, resumeData, pageContext, context) {
             if (PERSISTENT_KEY_ERROR_CODES.includes(lastErrorCode) || lastError.includes('API key') || lastError.includes('unauthorized')) {
                 break;
             }
+            if (lastErrorCode === BUDGET_ERROR_CODE) {
+                throw new Error(BUDGET_ERROR_CODE);
+            }
             if (lastError.includes('Rate limit') || lastError.includes('429') || lastError.includes('Quota exceeded')) {
                 lastError = 'Rate Limit Exceeded';
                 break;
             }
         } catch (e) {
+            if (e.message === BUDGET_ERROR_CODE) throw e;
             lastError = e.message;
             console.error(`[BatchProcessor] Batch attempt ${attempt} failed:`, e.message);
         }
@@ -270,7 +362,8 @@ async function processBatchWithStreaming(batch, resumeData, pageContext, options
         isFirstBatch = false,
         previousQA = [],
         callbacks = {},
-        filledHistorySummary = null
+        filledHistorySummary = null,
+        subsystem = 'batch_fill'
     } = options;
 
     if (!batch || batch.length === 0) {
@@ -279,6 +372,7 @@ async function processBatchWithStreaming(batch, resumeData, pageContext, options
 
     // Build appropriate context
     const context = buildSmartContext(resumeData, isFirstBatch, previousQA);
+    context.subsystem = subsystem;
 
     // Inject History Summary for AI Prompt
     if (filledHistorySummary) {
@@ -290,7 +384,7 @@ async function processBatchWithStreaming(batch, resumeData, pageContext, options
     try {
         batchResult = await processBatchWithRetry(batch, resumeData, pageContext, context);
     } catch (e) {
-        if (e.message === 'RATE_LIMIT_EXCEEDED') {
+        if (e.message === 'RATE_LIMIT_EXCEEDED' || e.message === BUDGET_ERROR_CODE) {
             throw e; // Propagate up
         }
         return {};
@@ -350,14 +444,16 @@ async function processBatchWithStreaming(batch, resumeData, pageContext, options
  * @param {string} pageContext - Job context
  * @param {Array} previousQA - Previous Q&A pairs
  * @param {boolean} isFirstBatch - Whether this is the first batch (for context)
+ * @param {string} subsystem - Usage ledger label for the AI calls
  * @returns {Promise<Object>} Mappings for this batch
  */
-async function processBatchInBackground(batch, resumeData, pageContext, previousQA = [], isFirstBatch = false) {
+async function processBatchInBackground(batch, resumeData, pageContext, previousQA = [], isFirstBatch = false, subsystem = 'batch_fill') {
     if (!batch || batch.length === 0) {
         return { mappings: {}, errorCode: undefined };
     }
 
     const context = buildSmartContext(resumeData, isFirstBatch, previousQA);
+    context.subsystem = subsystem;
     const result = await processBatchWithRetry(batch, resumeData, pageContext, context);
     return result;
 }
@@ -414,9 +510,12 @@ async function animateMappings(mappings, callbacks) {
  * @param {Object} resumeData - Resume data
  * @param {string} pageContext - Job context
  * @param {Object} callbacks - UI callback functions
+ * @param {Object} options - { subsystem } label for the usage ledger (default 'batch_fill')
  * @returns {Promise<Object>} All mappings combined
  */
-async function processFieldsInBatches(fields, resumeData, pageContext, callbacks = {}) {
+async function processFieldsInBatches(fields, resumeData, pageContext, callbacks = {}, options = {}) {
+    const subsystem = options.subsystem || window.AIClient.AISubsystem.BATCH_FILL;
+
     // Validate inputs
     if (!Array.isArray(fields) || fields.length === 0) {
         if (callbacks.onAllComplete) callbacks.onAllComplete({});
@@ -456,7 +555,7 @@ async function processFieldsInBatches(fields, resumeData, pageContext, callbacks
     let degradationSignalled = false;
 
     // PIPELINE INIT: Start first batch immediately
-    let currentBatchPromise = processBatchInBackground(batches[0], resumeData, pageContext, previousQA, true);
+    let currentBatchPromise = processBatchInBackground(batches[0], resumeData, pageContext, previousQA, true, subsystem);
 
     for (let i = 0; i < batches.length; i++) {
         const batch = batches[i];
@@ -485,6 +584,16 @@ async function processFieldsInBatches(fields, resumeData, pageContext, callbacks
                 await new Promise(r => setTimeout(r, 3000));
                 break;
             }
+            if (e.message === BUDGET_ERROR_CODE) {
+                if (!degradationSignalled && callbacks.onAIDegraded) {
+                    try { callbacks.onAIDegraded('budget'); } catch (err) { }
+                    degradationSignalled = true;
+                }
+                if (typeof window.showErrorToast === 'function') {
+                    window.showErrorToast('Daily AI token budget reached. Stopping. Adjust it in Settings.');
+                }
+                break;
+            }
         }
 
         const batchMappings = batchResult.mappings || {};
@@ -520,7 +629,7 @@ async function processFieldsInBatches(fields, resumeData, pageContext, callbacks
                     }
                 }
             });
-            currentBatchPromise = processBatchInBackground(batches[i + 1], resumeData, pageContext, previousQA, false);
+            currentBatchPromise = processBatchInBackground(batches[i + 1], resumeData, pageContext, previousQA, false, subsystem);
         }
 
         // 3. WRITE/ANIMATE
@@ -598,6 +707,7 @@ if (typeof window !== 'undefined') {
     window.AIBatchProcessor = {
         groupFieldsByType,
         buildSmartContext,
+        buildBatchSignature,
         processBatchWithStreaming,
         processBatchInBackground,
         processFieldsInBatches,
@@ -89,48 +89,17 @@ const FIELD_CONTAINER_SELECTORS = [
 // =============================================================================
 
 /**
- * Extract job context using intelligent multi-tier strategy
- * Priority: JSON-LD > Platform Selectors > Semantic Fallback
+ * JobPosting object from JSON-LD structured data (LinkedIn, Indeed, Glassdoor, most ATS pages)
+ * @returns {Object|null}
  */
-function getJobContext() {
-    // Cache per URL
-    if (cachedUrl === window.location.href && cachedJobContext) {
-        return cachedJobContext;
-    }
-
-    let context = '';
-
-    // Helper: Validate extracted content
-    const isValid = (text) => text && text.trim().length > 20;
-
-    // Helper: Clean and deduplicate text
-    const cleanText = (text) => {
-        return text
-            .replace(/\s+/g, ' ')
-            .replace(/(.{50,}?)\1+/g, '$1')
-            .trim();
-    };
-
-    // TIER 1: JSON-LD Structured Data (LinkedIn, Indeed, Glassdoor)
+function findJsonLdJobPosting() {
     try {
         const jsonLdScripts = document.querySelectorAll('script[type="application/ld+json"]');
         for (const script of jsonLdScripts) {
             try {
                 const data = JSON.parse(script.textContent);
                 const jobData = data['@type'] === 'JobPosting' ? data : data.jobPosting;
-
-                if (jobData && jobData.title) {
-                    context = `Title: ${jobData.title || ''}\n`;
-                    context += `Company: ${jobData.hiringOrganization?.name || ''}\n`;
-                    context += `Location: ${jobData.jobLocation?.address?.addressLocality || ''}\n`;
-                    context += `Description: ${cleanText(jobData.description || '')}`;
-
-                    if (isValid(context)) {
-                        cachedJobContext = context;
-                        cachedUrl = window.location.href;
-                        return context;
-                    }
-                }
+                if (jobData && jobData.title) return jobData;
             } catch (e) {
                 console.warn('🧠 JSON-LD parse error:', e.message);
             }
@@ -138,78 +107,457 @@ function getJobContext() {
     } catch (e) {
         console.warn('🧠 JSON-LD extraction failed:', e.message);
     }
+    return null;
+}
 
-    // TIER 2: Platform-Specific Selectors
+/**
+ * Posting fields from Greenhouse, Lever or Workday page markup. Fields a board
+ * doesn't show are empty strings.
+ * @returns {{ platform: string, title: string, company: string, description: string, location: string, workplace: string, employmentType: string, postedOn: string, requisitionId: string }|null}
+ */
+function getPlatformJobFields() {
+    const hostname = window.location.hostname;
+    const text = (selector) => document.querySelector(selector)?.innerText || '';
+    let platform = null;
     try {
-        const hostname = window.location.hostname;
-
         // Greenhouse
         if (hostname.includes('greenhouse') || hostname.includes('boards')) {
-            try {
-                const title = document.querySelector('.app-title, h1.app-title')?.innerText || '';
-                const company = document.querySelector('.company-name')?.innerText || '';
-                const desc = document.querySelector('#content .section-wrapper')?.innerText || '';
-                if (isValid(title + desc)) {
-                    context = `Title: ${title}\nCompany: ${company}\nDescription: ${cleanText(desc.substring(0, 2000))}`;
-                }
-            } catch (e) {
-                console.warn('🧠 Greenhouse extraction error:', e.message);
-            }
+            platform = 'greenhouse';
+            return {
+                platform,
+                title: text('.app-title, h1.app-title'),
+                company: text('.company-name'),
+                description: text('#content .section-wrapper'),
+                location: text('.location'),
+                workplace: '',
+                employmentType: '',
+                postedOn: '',
+                requisitionId: ''
+            };
         }
         // Lever
-        else if (hostname.includes('lever.co') || hostname.includes('jobs.lever')) {
-            try {
-                const title = document.querySelector('.posting-headline h2')?.innerText || '';
-                const company = document.querySelector('.main-header-text-logo')?.innerText || '';
-                const desc = document.querySelector('.section-wrapper')?.innerText || '';
-                if (isValid(title + desc)) {
-                    context = `Title: ${title}\nCompany: ${company}\nDescription: ${cleanText(desc.substring(0, 2000))}`;
-                }
-            } catch (e) {
-                console.warn('🧠 Lever extraction error:', e.message);
-            }
+        if (hostname.includes('lever.co') || hostname.includes('jobs.lever')) {
+            platform = 'lever';
+            return {
+                platform,
+                title: text('.posting-headline h2'),
+                company: text('.main-header-text-logo'),
+                description: text('.section-wrapper'),
+                location: text('.posting-categories .location'),
+                workplace: text('.posting-categories .workplaceTypes'),
+                employmentType: text('.posting-categories .commitment'),
+                postedOn: '',
+                requisitionId: ''
+            };
         }
         // Workday
-        else if (hostname.includes('myworkday') || hostname.includes('wd')) {
-            try {
-                const title = document.querySelector('h2[data-automation-id="jobPostingHeader"]')?.innerText ||
-                    document.querySelector('h3.css-12b42k6')?.innerText || '';
-                const company = document.querySelector('[data-automation-id="company"]')?.innerText || '';
-                const desc = document.querySelector('[data-automation-id="jobPostingDescription"]')?.innerText || '';
-                if (isValid(title + desc)) {
-                    context = `Title: ${title}\nCompany: ${company}\nDescription: ${cleanText(desc.substring(0, 2000))}`;
-                }
-            } catch (e) {
-                console.warn('🧠 Workday extraction error:', e.message);
-            }
+        if (hostname.includes('myworkday') || hostname.includes('wd')) {
+            platform = 'workday';
+            return {
+                platform,
+                title: text('h2[data-automation-id="jobPostingHeader"]') || text('h3.css-12b42k6'),
+                company: text('[data-automation-id="company"]'),
+                description: text('[data-automation-id="jobPostingDescription"]'),
+                location: text('[data-automation-id="locations"] dd'),
+                workplace: '',
+                employmentType: text('[data-automation-id="time"] dd'),
+                postedOn: text('[data-automation-id="postedOn"] dd'),
+                requisitionId: text('[data-automation-id="requisitionId"] dd')
+            };
         }
+    } catch (e) {
+        console.warn(`🧠 ${platform} extraction error:`, e.message);
+    }
+    return null;
+}
+
+/**
+ * Where a JobContext came from, most to least reliable
+ * @readonly
+ */
+const JobContextSource = {
+    JSON_LD: 'jsonld',
+    PLATFORM: 'platform',
+    FALLBACK: 'fallback'
+};
+
+/**
+ * @typedef {Object} JobContext
+ * @property {string} title
+ * @property {string} company
+ * @property {string[]} locations - "City, Region, Country" per location
+ * @property {string} remotePolicy - 'remote' | 'hybrid' | 'onsite' | ''
+ * @property {string} employmentType - 'full_time' | 'part_time' | 'contract' | 'temporary' | 'internship' | ''
+ * @property {{ min: number, max: number, currency: string, period: string }|null} salary - period: 'year' | 'month' | 'hour' | ''
+ * @property {string} requisitionId
+ * @property {string} postedDate - YYYY-MM-DD
+ * @property {string} description - Plain text, line breaks kept
+ * @property {string[]} requirements - Items under "Requirements", "Qualifications", ...
+ * @property {string[]} niceToHaves - Items under "Nice to have", "Preferred", ...
+ * @property {string} source - JobContextSource
+ * @property {string} platform - 'greenhouse' | 'lever' | 'workday' for the platform tier
+ * @property {string} url
+ * @property {string} text - Prompt-ready summary ("Title: ...\nCompany: ...")
+ */
+
+// Description characters kept in JobContext.text / JobContext.description
+const JOB_TEXT_DESCRIPTION_LIMIT = 4000;
+const JOB_DESCRIPTION_LIMIT = 20000;
+const JOB_LIST_LIMIT = 30;
+
+const BULLET_PREFIX = /^\s*(?:[-•*·▪◦–]|\d{1,2}[.)])\s*/;
+const NICE_TO_HAVE_HEADING = /^(nice[- ]to[- ]haves?|preferred|bonus|desired|desirable|good[- ]to[- ]have|pluses|extra credit)|nice[- ]to[- ]have|would be a plus|stand out/i;
+const REQUIREMENTS_HEADING = /^(requirements|qualifications|minimum qualifications|basic qualifications|required|must[- ]haves?|what you(['’]ll| will)? (need|bring)|you (have|bring|are)|who you are|about you|skills|what we(['’]re| are)? looking for)/i;
+const OTHER_HEADING = /^(responsibilities|key responsibilities|what you(['’]ll| will) do|about (us|the|our)|benefits|perks|what we offer|why (join|work)|compensation|salary|pay(\s+(range|rate))?\s*:|how to apply|the role|your role|in this role|the team|our team|equal opportunity|location)/i;
+
+const CURRENCY_SYMBOLS = { 'CA$': 'CAD', 'C$': 'CAD', 'AU$': 'AUD', 'A$': 'AUD', 'US$': 'USD', '$': 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR' };
+const CURRENCY_TOKEN = '(?:CA\\$|C\\$|AU\\$|A\\$|US\\$|\\$|€|£|₹|\\b(?:USD|EUR|GBP|CAD|AUD|INR|CHF)\\b)';
+const SALARY_RANGE_REGEX = new RegExp(`(${CURRENCY_TOKEN})\\s?(\\d[\\d,.]*)\\s?([kK])?\\s*(?:-|–|—|to)\\s*${CURRENCY_TOKEN}?\\s?(\\d[\\d,.]*)\\s?([kK])?(?:\\s?(USD|EUR|GBP|CAD|AUD|INR|CHF)\\b)?`);
+const SALARY_SINGLE_REGEX = new RegExp(`(${CURRENCY_TOKEN})\\s?(\\d[\\d,.]*)\\s?([kK])?\\s*(?:/|per|an|a)\\s*(hour|hr|year|yr|annum|month|mo)\\b`, 'i');
+
+/**
+ * HTML (JSON-LD descriptions) to plain text with one line per block / list item
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+    return String(html || '')
+        .replace(/&lt;/gi, '<').replace(/&gt;/gi, '>') // some boards entity-encode the markup
+        .replace(/<\s*li[^>]*>/gi, '\n- ')
+        .replace(/<\s*\/?\s*(br|p|div|h[1-6]|ul|ol|tr)\b[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/gi, ' ')
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&quot;/gi, '"').replace(/&#39;|&apos;/gi, "'")
+        .replace(/&amp;/gi, '&')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\s*\n\s*/g, '\n')
+        .trim();
+}
+
+/**
+ * Requirements and nice-to-haves: the lines under matching section headings
+ * @param {string} text - Description with line breaks
+ * @returns {{ requirements: string[], niceToHaves: string[] }}
+ */
+function splitRequirements(text) {
+    const requirements = [];
+    const niceToHaves = [];
+    let section = null;
+
+    for (const rawLine of String(text || '').split('\n')) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        // innerText drops list bullets, so short unbulleted lines can still be items
+        const bulleted = BULLET_PREFIX.test(line);
+        const headingLike = !bulleted && line.length <= 60 && (line.endsWith(':') || line.split(/\s+/).length <= 6);
+        if (headingLike && NICE_TO_HAVE_HEADING.test(line)) { section = niceToHaves; continue; }
+        if (headingLike && REQUIREMENTS_HEADING.test(line)) { section = requirements; continue; }
+        if (!bulleted && line.length <= 60 && (OTHER_HEADING.test(line) || line.endsWith(':'))) { section = null; continue; }
+
+        const item = line.replace(BULLET_PREFIX, '').trim();
+        if (section && item.length >= 3 && section.length < JOB_LIST_LIMIT) section.push(item.slice(0, 300));
+    }
+    return { requirements, niceToHaves };
+}
 
-        if (isValid(context)) {
-            cachedJobContext = context;
-            cachedUrl = window.location.href;
-            return context;
+/**
+ * "120,000" / "120.000" / "120" + k -> number
+ */
+function parseSalaryAmount(value, thousands) {
+    let digits = String(value).replace(/[.,]$/, '');
+    digits = /^\d{1,3}(\.\d{3})+$/.test(digits) ? digits.replace(/\./g, '') : digits.replace(/,/g, '');
+    const amount = parseFloat(digits);
+    if (!Number.isFinite(amount)) return NaN;
+    return thousands ? Math.round(amount * 1000) : amount;
+}
+
+function normalizeSalaryPeriod(value) {
+    const unit = String(value || '').toLowerCase();
+    if (/^(hour|hr)/.test(unit)) return 'hour';
+    if (/^(month|mo)/.test(unit)) return 'month';
+    if (/^(year|yr|annum|annual)/.test(unit)) return 'year';
+    return '';
+}
+
+/**
+ * First salary range (or "$25/hour" style amount) in free text
+ * @param {string} text
+ * @returns {{ min: number, max: number, currency: string, period: string }|null}
+ */
+function parseSalaryText(text) {
+    const source = String(text || '');
+    const currencyCode = (token) => CURRENCY_SYMBOLS[token] || String(token || '').trim().toUpperCase();
+
+    const range = source.match(SALARY_RANGE_REGEX);
+    if (range) {
+        const [, currency, low, lowK, high, highK, trailingCurrency] = range;
+        // "$120-150k": the k applies to both ends
+        const min = parseSalaryAmount(low, lowK || (highK && parseSalaryAmount(low) < 1000));
+        const max = parseSalaryAmount(high, highK);
+        const after = source.slice(range.index + range[0].length, range.index + range[0].length + 30);
+        const unit = after.match(/^\s*(?:\/|per|an|a)?\s*(hour|hr|year|yr|annum|month|mo)\b|^\s*(annually|hourly|monthly)/i);
+        const period = unit ? normalizeSalaryPeriod(unit[1] || unit[2]) : '';
+        // Small amounts without a pay period are something else ("$5-10 per seat", "$2-3M")
+        if (min > 0 && max >= min && (period || max >= 1000)) {
+            return { min, max, currency: currencyCode(trailingCurrency || currency), period };
         }
-    } catch (e) {
-        console.warn('🧠 Platform selector extraction failed:', e.message);
+    }
+
+    const single = source.match(SALARY_SINGLE_REGEX);
+    if (single) {
+        const amount = parseSalaryAmount(single[2], single[3]);
+        if (amount > 0) return { min: amount, max: amount, currency: currencyCode(single[1]), period: normalizeSalaryPeriod(single[4]) };
+    }
+    return null;
+}
+
+/**
+ * Salary from a JSON-LD baseSalary (MonetaryAmount)
+ * @param {Object} baseSalary
+ * @returns {{ min: number, max: number, currency: string, period: string }|null}
+ */
+function parseJsonLdSalary(baseSalary) {
+    if (!baseSalary || typeof baseSalary !== 'object') return null;
+    const value = baseSalary.value;
+    const quantity = value && typeof value === 'object' ? value : { value };
+    const min = Number(quantity.minValue ?? quantity.value);
+    const max = Number(quantity.maxValue ?? quantity.value ?? quantity.minValue);
+    if (!(min > 0) || !(max >= min)) return null;
+    return {
+        min,
+        max,
+        currency: String(baseSalary.currency || '').toUpperCase(),
+        period: normalizeSalaryPeriod(quantity.unitText)
+    };
+}
+
+/**
+ * FULL_TIME / "Full-time" / "Contractor" -> 'full_time' / 'contract'
+ * @param {string|string[]} value
+ * @returns {string}
+ */
+function normalizeEmploymentType(value) {
+    const text = [].concat(value || []).join(' ').toLowerCase();
+    if (/full[\s_-]?time|permanent|regular/.test(text)) return 'full_time';
+    if (/part[\s_-]?time/.test(text)) return 'part_time';
+    if (/intern/.test(text)) return 'internship';
+    if (/contract|freelance/.test(text)) return 'contract';
+    if (/temp/.test(text)) return 'temporary';
+    return '';
+}
+
+/**
+ * Remote policy from a location / workplace label ("Remote - US", "Hybrid", "On-site")
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeRemotePolicy(value) {
+    const text = String(value || '').toLowerCase();
+    if (/\bhybrid\b/.test(text)) return 'hybrid';
+    if (/\bremote\b|work from home|\bwfh\b|telecommute/.test(text)) return 'remote';
+    if (/\bon[- ]?site\b|\bin[- ]office\b/.test(text)) return 'onsite';
+    return '';
+}
+
+/**
+ * Remote policy stated in a description. Stricter than labels: "remote" alone
+ * shows up in too many unrelated sentences.
+ * @param {string} text
+ * @returns {string}
+ */
+function remotePolicyFromDescription(text) {
+    const body = String(text || '').toLowerCase();
+    if (/\bhybrid\b/.test(body)) return 'hybrid';
+    if (/\b(fully|100%) remote\b|\bremote[- ](first|position|role|job|opportunity)\b|\bwork from (home|anywhere)\b/.test(body)) return 'remote';
+    if (/\b(on[- ]?site|in[- ]office) (role|position|job)\b|\bthis role is (on[- ]?site|in[- ]office)\b/.test(body)) return 'onsite';
+    return '';
+}
+
+/**
+ * Posted date as YYYY-MM-DD from an ISO date, "March 3, 2026" or Workday's "Posted 5 Days Ago"
+ * @param {string} value
+ * @param {Date} [now]
+ * @returns {string}
+ */
+function normalizePostedDate(value, now = new Date()) {
+    const text = String(value || '').trim().replace(/^posted\s*(on)?:?\s*/i, '');
+    if (!text) return '';
+
+    const iso = text.match(/^\d{4}-\d{2}-\d{2}/);
+    if (iso) return iso[0];
+
+    let date = null;
+    const relative = text.match(/^(today|yesterday|(\d+)\+?\s*days?\s+ago)/i);
+    if (relative) {
+        const days = /^today/i.test(relative[1]) ? 0 : /^yesterday/i.test(relative[1]) ? 1 : Number(relative[2]);
+        date = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+    } else {
+        date = new Date(text);
+    }
+    if (isNaN(date.getTime())) return '';
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * "City, Region, Country" for each JSON-LD jobLocation
+ * @param {Object} jobData
+ * @returns {string[]}
+ */
+function jsonLdLocations(jobData) {
+    const locations = [].concat(jobData.jobLocation || []).map(place => {
+        const address = place?.address;
+        if (!address) return typeof place === 'string' ? place : '';
+        if (typeof address === 'string') return address;
+        const country = typeof address.addressCountry === 'object' ? address.addressCountry?.name : address.addressCountry;
+        return [address.addressLocality, address.addressRegion, country].filter(Boolean).join(', ');
+    });
+    return [...new Set(locations.map(l => String(l).trim()).filter(Boolean))];
+}
+
+/**
+ * Prompt-ready summary of a structured JobContext
+ * @param {JobContext} job
+ * @returns {string}
+ */
+function formatJobContextText(job) {
+    const lines = [
+        `Title: ${job.title}`,
+        `Company: ${job.company}`,
+        `Location: ${job.locations.join('; ')}`
+    ];
+    if (job.remotePolicy) lines.push(`Workplace: ${job.remotePolicy}`);
+    if (job.employmentType) lines.push(`Employment Type: ${job.employmentType.replace('_', '-')}`);
+    if (job.salary) {
+        const { min, max, currency, period } = job.salary;
+        lines.push(`Salary: ${[min === max ? min : `${min}-${max}`, currency, period && `per ${period}`].filter(Boolean).join(' ')}`);
+    }
+    const description = job.description.substring(0, JOB_TEXT_DESCRIPTION_LIMIT).replace(/\s+/g, ' ').replace(/(.{50,}?)\1+/g, '$1').trim();
+    lines.push(`Description: ${description}`);
+    return lines.join('\n');
+}
+
+/**
+ * Fill in what the structured source left out from the description text,
+ * then derive the list fields and the prompt summary
+ * @param {Object} base - Fields known from the source
+ * @returns {JobContext}
+ */
+function buildJobContext(base) {
+    const description = String(base.description || '').substring(0, JOB_DESCRIPTION_LIMIT);
+    const job = {
+        title: String(base.title || '').trim(),
+        company: String(base.company || '').trim(),
+        locations: base.locations || [],
+        remotePolicy: base.remotePolicy || normalizeRemotePolicy(`${base.workplace || ''} ${(base.locations || []).join(' ')}`) || remotePolicyFromDescription(description),
+        employmentType: normalizeEmploymentType(base.employmentType) || normalizeEmploymentType(description.match(/\b(full[- ]time|part[- ]time|internship|contract(or)? (role|position))\b/i)?.[0]),
+        salary: base.salary || parseSalaryText(description),
+        requisitionId: String(base.requisitionId || '').trim(),
+        postedDate: normalizePostedDate(base.postedDate),
+        description,
+        ...splitRequirements(description),
+        source: base.source,
+        platform: base.platform || '',
+        url: window.location.href,
+        text: ''
+    };
+    job.text = base.text || formatJobContextText(job);
+    return job;
+}
+
+/**
+ * Identity of the posting on this page, for matching against earlier applications.
+ * Only structured sources count (JSON-LD, Greenhouse/Lever/Workday markup); the
+ * semantic fallback is too loose to say two pages are the same job.
+ * @returns {{ title: string, company: string, requisitionId: string, url: string, source: string }|null}
+ */
+function getJobPostingIdentity() {
+    const job = getJobContext();
+    if (job.source === JobContextSource.FALLBACK || !job.title) return null;
+    return {
+        title: job.title,
+        company: job.company,
+        requisitionId: job.requisitionId,
+        url: job.url,
+        source: job.platform || job.source
+    };
+}
+
+/**
+ * Extract the job posting using intelligent multi-tier strategy
+ * Priority: JSON-LD > Platform Selectors > Semantic Fallback
+ * @returns {JobContext}
+ */
+function getJobContext() {
+    // Cache per URL (structured results only: SPAs render JSON-LD and markup late)
+    if (cachedUrl === window.location.href && cachedJobContext) {
+        return cachedJobContext;
+    }
+
+    const remember = (job) => {
+        cachedJobContext = job;
+        cachedUrl = window.location.href;
+        return job;
+    };
+
+    // TIER 1: JSON-LD Structured Data (LinkedIn, Indeed, Glassdoor)
+    const jobData = findJsonLdJobPosting();
+    if (jobData) {
+        const identifier = jobData.identifier;
+        const requisitionId = typeof identifier === 'object' && identifier ? identifier.value : identifier;
+        return remember(buildJobContext({
+            source: JobContextSource.JSON_LD,
+            title: jobData.title,
+            company: jobData.hiringOrganization?.name,
+            locations: jsonLdLocations(jobData),
+            remotePolicy: jobData.jobLocationType === 'TELECOMMUTE' ? 'remote' : '',
+            employmentType: jobData.employmentType,
+            salary: parseJsonLdSalary(jobData.baseSalary),
+            requisitionId: requisitionId === undefined || requisitionId === null ? '' : String(requisitionId),
+            postedDate: jobData.datePosted,
+            description: htmlToText(jobData.description)
+        }));
+    }
+
+    // TIER 2: Platform-Specific Selectors (Greenhouse, Lever, Workday)
+    const platform = getPlatformJobFields();
+    if (platform && (platform.title + platform.description).trim().length > 20) {
+        return remember(buildJobContext({
+            source: JobContextSource.PLATFORM,
+            platform: platform.platform,
+            title: platform.title,
+            company: platform.company,
+            locations: platform.location ? [platform.location.trim()] : [],
+            workplace: platform.workplace,
+            employmentType: platform.employmentType,
+            requisitionId: platform.requisitionId,
+            postedDate: platform.postedOn,
+            description: platform.description
+        }));
     }
 
     // TIER 3: Semantic Fallback
+    let text = '';
+    let title = '';
+    let bodyText = '';
     try {
-        const title = document.title;
         const h1 = document.querySelector('h1')?.innerText || '';
         const h2 = document.querySelector('h2')?.innerText || '';
         const metaDesc = document.querySelector('meta[name="description"]')?.content || '';
-        const bodyText = document.body.innerText.substring(0, 2000);
+        bodyText = document.body.innerText;
+        title = h1.trim() || document.title;
 
-        context = `Page Title: ${title}\nHeader: ${h1} | ${h2}\nMeta: ${metaDesc}\nContent: ${cleanText(bodyText)}`;
+        const content = bodyText.substring(0, 2000).replace(/\s+/g, ' ').replace(/(.{50,}?)\1+/g, '$1').trim();
+        text = `Page Title: ${document.title}\nHeader: ${h1} | ${h2}\nMeta: ${metaDesc}\nContent: ${content}`;
     } catch (e) {
         console.error('🧠 ❌ All context extraction methods failed:', e.message);
-        context = 'Context extraction failed. Using resume data only.';
+        text = 'Context extraction failed. Using resume data only.';
     }
 
-    cachedJobContext = context;
-    cachedUrl = window.location.href;
-    return context;
+    return buildJobContext({ source: JobContextSource.FALLBACK, title, description: bodyText, text });
 }
 
 // =============================================================================
@@ -805,6 +1153,26 @@ function getFieldLabel(element) {
     return 'Unknown Field';
 }
 
+/**
+ * What each tier of getFieldLabel finds for an element (explanation trace).
+ * Every tier is evaluated; `used` marks the one getFieldLabel returns.
+ * @param {HTMLElement} element
+ * @returns {Array<{ tier: number, source: string, text: string|null, used: boolean }>}
+ */
+function getFieldLabelSources(element) {
+    const fallback = element.name || element.id;
+    const usableFallback = fallback && !/^[a-f0-9-]{20,}$/i.test(fallback) && !/\[.*\]/.test(fallback);
+    const sources = [
+        { tier: 1, source: 'explicit', text: getExplicitLabel(element) || null },
+        { tier: 2, source: 'semantic', text: getSemanticLabel(element) || null },
+        { tier: 3, source: 'visual', text: getVisualLabel(element) || null },
+        { tier: 4, source: 'name_or_id', text: usableFallback ? humanizeLabel(fallback) : null }
+    ];
+    const used = sources.find(s => s.text);
+    sources.forEach(s => { s.used = s === used; });
+    return sources;
+}
+
 // =============================================================================
 // SELECTOR GENERATION
 // =============================================================================
@@ -909,9 +1277,11 @@ function findLabelText(element) {
 
 if (typeof window !== 'undefined') {
     window.getJobContext = getJobContext;
+    window.getJobPostingIdentity = getJobPostingIdentity;
     window.detectForms = detectForms;
     window.extractFormHTML = extractFormHTML;
     window.getFieldLabel = getFieldLabel;
+    window.getFieldLabelSources = getFieldLabelSources;
     window.getElementSelector = getElementSelector;
     window.isFieldVisible = isFieldVisible;
 }
@@ -1,9 +1,12 @@
 /**
  * section-detector.js
  * Multi-layer field section context detection system
- * Determines if a field belongs to "education", "work", or other sections
+ * Determines if a field belongs to "education", "work", "reference", or other sections
  */
 
+// "References" / "Referee 2" (word-bounded so "referral" questions stay out)
+const REFERENCE_CONTEXT_REGEX = /\b(references?|referees?)\b/i;
+
 // ============================================
 // LAYER 1: Explicit Semantic HTML (Confidence: 10)
 // ============================================
@@ -26,6 +29,9 @@ function detectAutocompleteSection(field) {
     if (/work|job|employment|career/i.test(sectionToken)) {
         return { context: 'work', confidence: 10, method: 'autocomplete' };
     }
+    if (/referee|reference/i.test(sectionToken)) {
+        return { context: 'reference', confidence: 10, method: 'autocomplete' };
+    }
 
     return null;
 }
@@ -48,6 +54,9 @@ function detectFieldsetLegend(field) {
     if (/work|employment|job.*history|experience|career/i.test(text)) {
         return { context: 'work', confidence: 10, method: 'fieldset' };
     }
+    if (REFERENCE_CONTEXT_REGEX.test(text)) {
+        return { context: 'reference', confidence: 10, method: 'fieldset' };
+    }
 
     return null;
 }
@@ -151,6 +160,13 @@ function detectSectionHeader(field) {
                         method: 'section-header'
                     };
                 }
+                if (REFERENCE_CONTEXT_REGEX.test(text)) {
+                    return {
+                        context: 'reference',
+                        confidence: Math.round(decayedConfidence),
+                        method: 'section-header'
+                    };
+                }
 
                 // Found heading but no match - stop here
                 return null;
@@ -187,6 +203,9 @@ function detectSemanticContainer(field) {
         if (/work|employment|job|experience/i.test(text)) {
             return { context: 'work', confidence: 6, method: 'section-element' };
         }
+        if (REFERENCE_CONTEXT_REGEX.test(text)) {
+            return { context: 'reference', confidence: 6, method: 'section-element' };
+        }
     }
 
     return null;
@@ -212,6 +231,9 @@ function detectContainerAttributes(field) {
         if (/^work[-_]?(history|section|block|container)$/i.test(combined)) {
             return { context: 'work', confidence: 6, method: 'container-attrs' };
         }
+        if (/^references?[-_]?(section|block|container|list)$/i.test(combined)) {
+            return { context: 'reference', confidence: 6, method: 'container-attrs' };
+        }
 
         // Partial matches (lower confidence)
         if (/education|school|academic/i.test(combined)) {
@@ -220,6 +242,9 @@ function detectContainerAttributes(field) {
         if (/work|employment|job|experience/i.test(combined)) {
             return { context: 'work', confidence: 5, method: 'container-attrs' };
         }
+        if (/referee|reference/i.test(combined)) {
+            return { context: 'reference', confidence: 5, method: 'container-attrs' };
+        }
 
         current = current.parentElement;
     }
@@ -236,7 +261,7 @@ function detectContainerAttributes(field) {
  * Includes Ownership Resolution and Negative Heuristics
  */
 function detectAddButton(field) {
-    const BUTTON_REGEX = /add\s+(another|more|new|job|education|experience|employ|item|row|entry|position|degree)/i;
+    const BUTTON_REGEX = /add\s+(another|more|new|job|education|experience|employ|item|row|entry|position|degree|reference|referee)/i;
     const NEGATIVE_REGEX = /note|comment|explanation|file|attachment|document/i;
 
     // Helper: Validates button text and infers context
@@ -247,6 +272,7 @@ function detectAddButton(field) {
 
         if (/education|school|degree|academic/i.test(text)) return 'education';
         if (/job|work|employ|experience|position/i.test(text)) return 'work';
+        if (/reference|referee/i.test(text)) return 'reference';
         return 'generic'; // Still a repeater, maybe 'generic' context or fallback
     };
 
@@ -320,6 +346,8 @@ function detectATSSignals(field) {
 
         // Check for Array Syntax: jobs[0][title]
         if (/\[\d*\]/.test(lower) || /\[\]/.test(lower)) {
+            // Reference first: references[0][employer] is a referee's employer, not a job
+            if (/referee|reference/i.test(lower)) return { context: 'reference', confidence: 10, method: 'ats-array', isRepeater: true };
             if (/educ|school|degree|institution/i.test(lower)) return { context: 'education', confidence: 10, method: 'ats-array', isRepeater: true };
             if (/job|work|employ|exp/i.test(lower)) return { context: 'work', confidence: 10, method: 'ats-array', isRepeater: true };
         }
@@ -332,6 +360,9 @@ function detectATSSignals(field) {
         if (/educ|school|degree|academ/i.test(lower)) {
             return { context: 'education', confidence: 10, method: 'semantic-id', isRepeater: true };
         }
+        if (/^(references?|referees?)[-_]/i.test(lower)) {
+            return { context: 'reference', confidence: 10, method: 'semantic-id', isRepeater: true };
+        }
     }
 
     // 2. Fieldset/Repeater Class
@@ -342,6 +373,7 @@ function detectATSSignals(field) {
             const text = (parent.innerText || "").substring(0, 100).toLowerCase();
             if (/education|school/i.test(text)) return { context: 'education', confidence: 9, method: 'ats-structure', isRepeater: true };
             if (/work|employment|job/i.test(text)) return { context: 'work', confidence: 9, method: 'ats-structure', isRepeater: true };
+            if (REFERENCE_CONTEXT_REGEX.test(text)) return { context: 'reference', confidence: 9, method: 'ats-structure', isRepeater: true };
         }
     }
 
@@ -352,6 +384,20 @@ function detectATSSignals(field) {
 // LAYER 5d: Semantic Tuples & Fingerprinting (Confidence: 8)
 // ============================================
 
+/**
+ * Is this container a single referee block: headed "Reference(s)/Referee(s)" itself,
+ * or one entry of a repeating group (a sibling with the same tag and class)?
+ */
+function isReferenceGroup(container) {
+    const heading = container.querySelector('legend, h1, h2, h3, h4, h5, h6, [role="heading"]');
+    if (heading && REFERENCE_CONTEXT_REGEX.test(heading.innerText || heading.textContent || '')) return true;
+
+    // A page-level section also has same-shape siblings; an entry holds a handful of inputs
+    const sameShape = (el) => el && el.tagName === container.tagName && el.className === container.className;
+    return (sameShape(container.previousElementSibling) || sameShape(container.nextElementSibling)) &&
+        container.querySelectorAll('input, select, textarea').length <= 8;
+}
+
 /**
  * Require Minimum Viable Tuple (Size >= 2) to confirm Intent
  */
@@ -361,6 +407,16 @@ function analyzeSectionSemantics(field) {
 
     const text = (container.innerText || "").toLowerCase();
 
+    // Reference Tuples (checked first: a referee block also has "Company" and "Title").
+    // Only the referee block itself counts; a page section that merely mentions references
+    // ("Contact details and references") would otherwise relabel the applicant's email/phone
+    const hasReference = REFERENCE_CONTEXT_REGEX.test(text);
+    const hasReferenceDetail = /relationship|years.*known|known.*years|email|phone/i.test(text);
+
+    if (hasReference && hasReferenceDetail && isReferenceGroup(container)) {
+        return { context: 'reference', confidence: 8, method: 'semantic-tuple', isRepeater: true };
+    }
+
     // Work Tuples
     const hasCompany = /company|employer|organization/i.test(text);
     const hasTitle = /title|role|position/i.test(text);
@@ -400,6 +456,7 @@ function computeFingerprint(field) {
         const txt = el.innerText.toLowerCase();
         let salt = 'generic';
         if (/school|degree/i.test(txt)) salt = 'edu';
+        else if (REFERENCE_CONTEXT_REGEX.test(txt)) salt = 'ref';
         else if (/job|company/i.test(txt)) salt = 'work';
 
         return `${salt}:${types}`;
@@ -410,7 +467,8 @@ function computeFingerprint(field) {
     const hasMatch = siblings.some(sib => generateHash(sib) === myHash);
 
     if (hasMatch && myHash.length > 10) { // Avoid empty hashes
-        const context = myHash.startsWith('edu') ? 'education' : (myHash.startsWith('work') ? 'work' : 'generic');
+        const salts = { edu: 'education', work: 'work', ref: 'reference' };
+        const context = salts[myHash.split(':')[0]] || 'generic';
         if (context !== 'generic') {
             return { context: context, confidence: 9, method: 'fingerprint', isRepeater: true };
         }
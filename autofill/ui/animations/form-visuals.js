@@ -95,6 +95,71 @@ async function simulateTyping(element, value, confidence = 1.0) {
     await new Promise(r => setTimeout(r, 50));
 }
 
+/**
+ * Streaming counterpart of simulateTyping: types text into a field as AI tokens arrive.
+ * Feed it the accumulated text with push(); it types the backlog at the same human-like pace,
+ * speeding up when tokens outrun the animation.
+ * @param {HTMLElement} element - Text input or textarea
+ * @param {number} confidence - Highlight confidence applied on finish
+ * @returns {{ push: Function, finish: Function, cancel: Function }}
+ */
+function createStreamingTyper(element, confidence = 1.0) {
+    const originalValue = element?.value || '';
+    let target = '';
+    let typed = 0;
+    let cancelled = false;
+    let loop = null;
+
+    if (element) {
+        element.classList.add('smarthirex-typing');
+        element.focus();
+        setNativeValue(element, '');
+    }
+
+    const drain = async () => {
+        while (!cancelled && typed < target.length) {
+            const backlog = target.length - typed;
+            const step = backlog > 80 ? 4 : 1; // Catch up on large bursts
+            typed = Math.min(target.length, typed + step);
+            setNativeValue(element, target.slice(0, typed));
+            await new Promise(r => setTimeout(r, Math.random() * 25 + 15));
+        }
+        loop = null;
+    };
+
+    return {
+        /** @param {string} fullText - Accumulated text so far */
+        push(fullText) {
+            if (!element || cancelled) return;
+            target = String(fullText || '');
+            if (typed > target.length) typed = 0;
+            if (!loop) loop = drain();
+        },
+        /** @param {string} [finalValue] - Cleaned final value (defaults to the streamed text) */
+        async finish(finalValue) {
+            if (!element || cancelled) return;
+            if (loop) await loop;
+            setNativeValue(element, finalValue !== undefined ? finalValue : target);
+            element.classList.remove('smarthirex-typing');
+            highlightField(element, confidence);
+            const dispatchFn = window.dispatchChangeEvents || (window.FieldUtils && window.FieldUtils.dispatchChangeEvents);
+            if (typeof dispatchFn === 'function') {
+                dispatchFn(element);
+            } else {
+                element.dispatchEvent(new Event('input', { bubbles: true }));
+                element.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        },
+        /** Stop typing and restore the value the field had before streaming */
+        cancel() {
+            if (!element || cancelled) return;
+            cancelled = true;
+            setNativeValue(element, originalValue);
+            element.classList.remove('smarthirex-typing');
+        }
+    };
+}
+
 function triggerConfetti() {
     const colors = ['#0a66c2', '#38bdf8', '#818cf8', '#10b981', '#f59e0b'];
 
@@ -403,6 +468,7 @@ if (typeof window !== 'undefined') {
     window.highlightField = highlightField;
     window.clearAllFieldHighlights = clearAllFieldHighlights;
     window.simulateTyping = simulateTyping;
+    window.createStreamingTyper = createStreamingTyper;
     window.triggerConfetti = triggerConfetti;
     window.showConnectionBeam = showConnectionBeam;
     window.hideConnectionBeam = hideConnectionBeam;
@@ -315,6 +315,7 @@ function showAIDegradedBanner(reason) {
     let message = "Falling back to smart heuristics.";
     if (reason === 'rate_limit') message = "Gemini is busy; using smart heuristics for now.";
     if (reason === 'invalid_key') message = "AI key issue; using offline mode mapping.";
+    if (reason === 'budget') message = "Daily AI token budget reached; using smart heuristics.";
 
     const banner = document.createElement('div');
     banner.className = 'nova-ai-banner';
@@ -348,6 +349,55 @@ function showAIDegradedBanner(reason) {
 }
 if (typeof window !== 'undefined') window.showAIDegradedBanner = showAIDegradedBanner;
 
+const DUPLICATE_BANNER_SESSION_KEY = 'smarthirex_duplicate_banner_shown';
+
+/**
+ * Warning that this posting was applied to (or filled) before.
+ * Shown once per page per session; stays until closed or 12s pass.
+ * @param {string} message - e.g. "You already applied to Senior Engineer at Acme on 2026-09-03"
+ */
+function showDuplicateApplicationBanner(message) {
+    try {
+        const key = `${DUPLICATE_BANNER_SESSION_KEY}:${window.location.pathname}`;
+        if (sessionStorage.getItem(key)) return;
+        sessionStorage.setItem(key, '1');
+    } catch (e) { return; }
+
+    document.querySelector('.nova-duplicate-banner')?.remove();
+
+    const banner = document.createElement('div');
+    banner.className = 'nova-duplicate-banner';
+    banner.setAttribute('role', 'alert');
+    banner.style.cssText = `
+        position: fixed; top: 56px; left: 50%; transform: translateX(-50%);
+        background: rgba(69, 26, 3, 0.95); backdrop-filter: blur(8px);
+        color: #fde68a; padding: 10px 18px; border-radius: 50px;
+        font-size: 12px; font-weight: 600; z-index: 2147483647;
+        box-shadow: 0 4px 20px rgba(0,0,0,0.15); border: 1px solid rgba(251, 191, 36, 0.4);
+        display: flex; align-items: center; gap: 10px; animation: toastSlideIn 0.5s cubic-bezier(0.175, 0.885, 0.32, 1.275);
+    `;
+
+    banner.innerHTML = `
+        <span style="display: flex; width: 8px; height: 8px; border-radius: 50%; background: #f59e0b; box-shadow: 0 0 10px #f59e0b;"></span>
+        <span class="nova-duplicate-text"></span>
+        <button class="nova-duplicate-close" style="background: none; border: none; color: #fcd34d; cursor: pointer; padding: 2px 5px; font-size: 14px;">✕</button>
+    `;
+    // Title/company come from the page, so never as HTML
+    banner.querySelector('.nova-duplicate-text').textContent = message;
+
+    document.body.appendChild(banner);
+    banner.querySelector('.nova-duplicate-close').onclick = () => banner.remove();
+
+    setTimeout(() => {
+        if (banner.parentNode) {
+            banner.style.opacity = '0';
+            banner.style.transform = 'translate(-50%, -10px)';
+            setTimeout(() => banner.remove(), 400);
+        }
+    }, 12000);
+}
+if (typeof window !== 'undefined') window.showDuplicateApplicationBanner = showDuplicateApplicationBanner;
+
 function showUndoConfirmationModal() {
     const existing = document.getElementById('smarthirex-undo-modal-overlay');
     if (existing) existing.remove();
@@ -619,7 +669,8 @@ function showAccordionSidebar(allFields) {
             indexBadge, // Add indexBadge to fieldInfo
             domPosition, // DOM position for sorting
             cache_label: element.getAttribute('cache_label') || '', // Capture cache_label for regeneration context
-            options: resolvedOptions // Capture options from DOM or Pipeline
+            options: resolvedOptions, // Capture options from DOM or Pipeline
+            explanation: item.explanation || null // ClassificationTrace for the "Why?" popover
         };
 
         // Add options for select (so Regenerate AI can return only allowed values)
@@ -1142,7 +1193,8 @@ function showAccordionSidebar(allFields) {
             }
         }
 
-        if (field.isFileUpload) {
+        // Uploads stay manual unless a stored document was attached
+        if (field.isFileUpload && !field.filled) {
             finalManualFields.push(field);
             return;
         }
@@ -1254,6 +1306,7 @@ function showAccordionSidebar(allFields) {
                     </svg>
                 </button>
                 <!-- Removed Clear Highlights Button -->
+                <select class="sh-nova-9x-profile-picker" id="smarthirex-profile-picker" title="Resume profile for this application" style="display: none;"></select>
                 <button class="sh-nova-9x-header-text-btn" id="smarthirex-undo-fill" data-tooltip="Undo all the filled field">
                     Undo all
                 </button>
@@ -1273,6 +1326,9 @@ function showAccordionSidebar(allFields) {
             <button class="sh-nova-9x-tab" data-tab="manual">
                 ✋ Manual <span class="sh-nova-9x-tab-count">(0)</span>
             </button>
+            <button class="sh-nova-9x-tab" data-tab="fit" title="How well this posting fits your resume">
+                🎯 Fit <span class="sh-nova-9x-tab-count"></span>
+            </button>
             <button class="sh-nova-9x-tab nova-tab" data-tab="nova" style="display: none;">
                 💬 Nova
             </button>
@@ -1301,6 +1357,7 @@ function showAccordionSidebar(allFields) {
             })()}${item.indexBadge ? `<span class="sh-nova-9x-index-badge">#${item.indexBadge}</span>` : ''}${(item.isRadioGroup || item.isCheckboxGroup || item.isSelectGroup) && item.displayValue ? `: <span style="color: #10b981; font-weight: 500;">${item.displayValue}</span>` : ''}</div>
                              
                              <div style="display: flex; align-items: center; gap: 8px;">
+                                ${renderWhyButton(item)}
                                 <button class="recalculate-btn" data-selector="${item.selector.replace(/"/g, '&quot;')}" data-label="${(item.label || '').replace(/"/g, '&quot;')}" data-field-type="${(item.fieldType || 'text').replace(/"/g, '&quot;')}" data-options="${(item.options ? JSON.stringify(item.options) : '[]').replace(/"/g, '&quot;')}" data-parent-context="${(item.parentContext || '').replace(/"/g, '&quot;')}" data-sibling-context="${(item.siblingContext || '').replace(/"/g, '&quot;')}" data-cache-label="${(item.cache_label || item.field?.getAttribute?.('cache_label') || '').replace(/"/g, '&quot;')}" data-group-name="${(item.groupName || '').replace(/"/g, '&quot;')}" data-is-checkbox-group="${item.isCheckboxGroup || false}" data-tooltip="Regenerate using AI" title="Regenerate using AI" style="border: none; background: transparent; padding: 4px;">
                                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 12a9 9 0 0 0-9-9 9.75 9.75 0 0 0-6.74 2.74L3 8"/><path d="M3 3v5h5"/><path d="M3 12a9 9 0 0 0 9 9 9.75 9.75 0 0 0 6.74-2.74L21 16"/><path d="M16 21h5v-5"/></svg>
                                 </button>
@@ -1341,6 +1398,7 @@ function showAccordionSidebar(allFields) {
                                     ${statusIcon} ${confidence}%
                                 </div>
                                 
+                                ${renderWhyButton(item)}
                                 <button class="recalculate-btn" data-selector="${item.selector.replace(/"/g, '&quot;')}" data-label="${(item.label || '').replace(/"/g, '&quot;')}" data-field-type="${(item.fieldType || 'text').replace(/"/g, '&quot;')}" data-options="${(item.options ? JSON.stringify(item.options) : '[]').replace(/"/g, '&quot;')}" data-parent-context="${(item.parentContext || '').replace(/"/g, '&quot;')}" data-sibling-context="${(item.siblingContext || '').replace(/"/g, '&quot;')}" data-cache-label="${(item.cache_label || item.field?.getAttribute?.('cache_label') || '').replace(/"/g, '&quot;')}" data-group-name="${(item.groupName || '').replace(/"/g, '&quot;')}" data-is-checkbox-group="${item.isCheckboxGroup || false}" data-tooltip="Regenerate using AI" title="Regenerate using AI" style="border: none; background: transparent; padding: 4px;">
                                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 12a9 9 0 0 0-9-9 9.75 9.75 0 0 0-6.74 2.74L3 8"/><path d="M3 3v5h5"/><path d="M3 12a9 9 0 0 0 9 9 9.75 9.75 0 0 0 6.74-2.74L21 16"/><path d="M16 21h5v-5"/></svg>
                                 </button>
@@ -1379,6 +1437,7 @@ function showAccordionSidebar(allFields) {
                             </div>
                             
                             <div style="display: flex; align-items: center; gap: 8px;">
+                                ${renderWhyButton(item)}
                                 <button class="recalculate-btn" data-selector="${item.selector.replace(/"/g, '&quot;')}" data-label="${(item.label || '').replace(/"/g, '&quot;')}" data-field-type="${(item.fieldType || 'text').replace(/"/g, '&quot;')}" data-options="${(item.options ? JSON.stringify(item.options) : '[]').replace(/"/g, '&quot;')}" data-parent-context="${(item.parentContext || '').replace(/"/g, '&quot;')}" data-sibling-context="${(item.siblingContext || '').replace(/"/g, '&quot;')}" data-cache-label="${(item.cache_label || item.field?.getAttribute?.('cache_label') || '').replace(/"/g, '&quot;')}" data-group-name="${(item.groupName || '').replace(/"/g, '&quot;')}" data-is-checkbox-group="${item.isCheckboxGroup || false}" data-tooltip="Regenerate using AI" title="Regenerate using AI" style="border: none; background: transparent; padding: 4px;">
                                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 12a9 9 0 0 0-9-9 9.75 9.75 0 0 0-6.74 2.74L3 8"/><path d="M3 3v5h5"/><path d="M3 12a9 9 0 0 0 9 9 9.75 9.75 0 0 0 6.74-2.74L21 16"/><path d="M16 21h5v-5"/></svg>
                                 </button>
@@ -1390,6 +1449,11 @@ function showAccordionSidebar(allFields) {
                 ${finalManualFields.length === 0 ? '<div class="sh-nova-9x-empty-state">All fields filled!</div>' : ''}
             </div>
 
+            <!-- Fit Tab (Job vs. resume, filled in after render) -->
+            <div class="sh-nova-9x-tab-content" data-tab="fit" style="display: none;">
+                <div id="sh-nova-9x-fit-panel"><div class="sh-nova-9x-empty-state">Analyzing posting...</div></div>
+            </div>
+
             <!-- Nova Chat Tab (Hidden by default, shown when regenerate is clicked) -->
             <div class="sh-nova-9x-tab-content" data-tab="nova" style="display: none;">
                 <div id="nova-chat-container"></div>
@@ -1461,6 +1525,18 @@ function showAccordionSidebar(allFields) {
         });
     }
 
+    // Resume profile picker (hidden while only one profile exists)
+    const profilePicker = panel.querySelector('#smarthirex-profile-picker');
+    if (profilePicker) {
+        initProfilePicker(profilePicker);
+    }
+
+    // Job fit report (local, no AI unless asked)
+    initFitTab(panel);
+
+    // "Why?" classification explanations
+    initWhyPopovers(panel, [...finalAppFillFields, ...finalAiFields, ...finalManualFields]);
+
     // Undo Fill button
     const undoFillBtn = panel.querySelector('#smarthirex-undo-fill');
     if (undoFillBtn) {
@@ -1686,6 +1762,459 @@ function showAccordionSidebar(allFields) {
     });
 }
 
+/**
+ * Populate the sidebar's resume profile picker. "Auto" defers to domain rules and the default profile;
+ * picking a profile applies to this and later applications until changed. Use Refresh to re-fill.
+ * @param {HTMLSelectElement} picker
+ */
+async function initProfilePicker(picker) {
+    if (!window.ResumeManager?.listProfiles) return;
+
+    try {
+        const { profiles: allProfiles, activeProfileId } = await window.ResumeManager.listProfiles();
+        const profiles = allProfiles.filter(p => !window.ResumeManager.isTailoredProfile(p));
+        if (profiles.length < 2) return;
+
+        const resolved = await window.ResumeManager.resolveProfile({ hostname: window.location.hostname });
+        const autoName = activeProfileId ? 'Auto' : `Auto (${resolved.name})`;
+
+        picker.innerHTML = `<option value="">${escapeHtmlNova(autoName)}</option>` +
+            profiles.map(p => `<option value="${escapeHtmlNova(p.id)}">${escapeHtmlNova(p.name)}</option>`).join('');
+        picker.value = activeProfileId || '';
+        picker.style.display = '';
+
+        picker.addEventListener('change', async () => {
+            await window.ResumeManager.setActiveProfile(picker.value || null);
+            // An explicit pick also ends a tailored variant used in this tab
+            await window.ResumeManager.setTabProfile(null);
+            picker.title = 'Profile changed. Refresh to re-fill this form.';
+        });
+    } catch (e) {
+        console.warn('[Sidebar] Profile picker unavailable:', e);
+    }
+}
+
+/**
+ * Fill the Fit tab: local job-resume fit report for the posting on this page,
+ * with an AI narrative on request. The tab count shows the score.
+ * @param {HTMLElement} panel
+ */
+async function initFitTab(panel) {
+    const container = panel.querySelector('#sh-nova-9x-fit-panel');
+    const tabCount = panel.querySelector('[data-tab="fit"] .sh-nova-9x-tab-count');
+    if (!container) return;
+
+    if (!window.JobFit || typeof window.getJobContext !== 'function') {
+        container.innerHTML = '<div class="sh-nova-9x-empty-state">Fit analysis unavailable</div>';
+        return;
+    }
+
+    try {
+        const job = window.getJobContext();
+        const resumeData = await window.ResumeManager?.getResumeData({ hostname: window.location.hostname });
+        const report = window.JobFit.analyze(job, resumeData);
+
+        if (tabCount && report.score !== null) tabCount.textContent = `(${report.score})`;
+        container.innerHTML = renderFitReport(job, report);
+
+        const explainBtn = container.querySelector('.sh-nova-9x-fit-explain');
+        const narrative = container.querySelector('.sh-nova-9x-fit-narrative');
+        explainBtn?.addEventListener('click', async () => {
+            explainBtn.disabled = true;
+            explainBtn.textContent = 'Thinking...';
+            const result = await window.JobFit.explainWithAI(job, resumeData, report);
+            narrative.textContent = result.success ? result.text.trim() : `AI unavailable: ${result.error || 'unknown error'}`;
+            narrative.style.display = 'block';
+            explainBtn.textContent = '✨ Explain again';
+            explainBtn.disabled = false;
+        });
+
+        initTailorControls(container, job);
+        initCoverLetterControls(container, job);
+    } catch (e) {
+        console.warn('[Sidebar] Fit analysis unavailable:', e);
+        container.innerHTML = '<div class="sh-nova-9x-empty-state">Fit analysis unavailable</div>';
+    }
+}
+
+/**
+ * Wire the Fit tab's "Tailor resume" controls. The tailored variant is used in this
+ * tab only (ResumeManager tab profile); "Use master resume" goes back to the usual profile.
+ * @param {HTMLElement} container - Fit panel content
+ * @param {Object} job - JobContext
+ */
+async function initTailorControls(container, job) {
+    const tailorBtn = container.querySelector('.sh-nova-9x-fit-tailor');
+    const resetBtn = container.querySelector('.sh-nova-9x-fit-tailor-reset');
+    const status = container.querySelector('.sh-nova-9x-fit-tailor-status');
+    if (!tailorBtn || !window.ResumeTailor || !window.ResumeManager?.getTabProfile) return;
+
+    const showStatus = (text, tailored) => {
+        status.textContent = text;
+        status.style.display = text ? 'block' : 'none';
+        resetBtn.style.display = tailored ? '' : 'none';
+        tailorBtn.textContent = tailored ? '📝 Re-tailor resume' : '📝 Tailor resume for this job';
+    };
+
+    const tabProfileId = await window.ResumeManager.getTabProfile();
+    const { profiles } = await window.ResumeManager.listProfiles();
+    const current = profiles.find(p => p.id === tabProfileId);
+    showStatus(current ? `Using tailored resume: ${current.name}` : '', !!current);
+
+    tailorBtn.addEventListener('click', async () => {
+        tailorBtn.disabled = true;
+        tailorBtn.textContent = 'Tailoring...';
+        try {
+            const result = await window.ResumeTailor.tailor(job);
+            if (result.success) {
+                const { changes } = result;
+                const done = [
+                    changes.summary && 'summary rewritten',
+                    changes.experience > 0 && `bullets reordered in ${changes.experience} role${changes.experience === 1 ? '' : 's'}`,
+                    changes.skills && 'skills sorted'
+                ].filter(Boolean).join(', ') || 'no changes needed';
+                showStatus(`Tailored resume ready (${done}). Refresh to re-fill this form.`, true);
+            } else {
+                showStatus(`Tailoring failed: ${result.error || 'unknown error'}`, !!(await window.ResumeManager.getTabProfile()));
+            }
+        } catch (e) {
+            console.warn('[Sidebar] Resume tailoring failed:', e);
+            showStatus(`Tailoring failed: ${e.message}`, !!(await window.ResumeManager.getTabProfile()));
+        }
+        tailorBtn.disabled = false;
+    });
+
+    resetBtn.addEventListener('click', async () => {
+        await window.ResumeManager.setTabProfile(null);
+        showStatus('Using your master resume. Refresh to re-fill this form.', false);
+    });
+}
+
+/**
+ * Wire the Fit tab's cover letter drafting: fill a template or draft with AI, edit,
+ * save to the library, put it into the page's cover letter box, or download it.
+ * A letter already saved for this posting is loaded first.
+ * @param {HTMLElement} container - Fit panel content
+ * @param {Object} job - JobContext
+ */
+async function initCoverLetterControls(container, job) {
+    const manager = window.CoverLetterManager;
+    const section = container.querySelector('.sh-nova-9x-cover');
+    if (!section || !manager) return;
+
+    const select = section.querySelector('.sh-nova-9x-cover-template');
+    const text = section.querySelector('.sh-nova-9x-cover-text');
+    const status = section.querySelector('.sh-nova-9x-cover-status');
+    const posting = { title: job.title, company: job.company, url: job.url || window.location.href, requisitionId: job.requisitionId };
+    let letterId = null;
+    let source = 'manual';
+
+    const showStatus = (message) => {
+        status.textContent = message;
+        status.style.display = message ? 'block' : 'none';
+    };
+
+    const templates = await manager.listTemplates();
+    select.innerHTML = templates.map(t => `<option value="${escapeHtmlNova(t.id)}">${escapeHtmlNova(t.name)}</option>`).join('');
+
+    const [saved] = await manager.listLetters({ posting });
+    if (saved) {
+        letterId = saved.id;
+        source = saved.source;
+        text.value = saved.body;
+        if (saved.templateId && templates.some(t => t.id === saved.templateId)) select.value = saved.templateId;
+        showStatus('Loaded the letter you saved for this job.');
+    }
+    section.style.display = 'block';
+
+    const draft = async (button, useAI) => {
+        const label = button.textContent;
+        button.disabled = true;
+        button.textContent = useAI ? 'Drafting...' : label;
+        const result = await manager.draftCoverLetter(job, { templateId: select.value, useAI });
+        text.value = result.text;
+        source = result.source;
+        showStatus(result.success ? '' : `AI unavailable: ${result.error || 'unknown error'}. Filled the template instead.`);
+        button.textContent = label;
+        button.disabled = false;
+    };
+    section.querySelector('.sh-nova-9x-cover-fill').addEventListener('click', (e) => draft(e.currentTarget, false));
+    section.querySelector('.sh-nova-9x-cover-ai').addEventListener('click', (e) => draft(e.currentTarget, true));
+    text.addEventListener('input', () => { source = 'manual'; });
+
+    section.querySelector('.sh-nova-9x-cover-actions').addEventListener('click', async (e) => {
+        const action = e.target.closest('button')?.dataset.coverAction;
+        if (!action) return;
+        if (!text.value.trim()) {
+            showStatus('Write or draft a letter first.');
+            return;
+        }
+
+        try {
+            if (action === 'save') {
+                const letter = await manager.saveLetter({ id: letterId, ...posting, templateId: select.value, body: text.value, source });
+                letterId = letter.id;
+                showStatus('Saved to your cover letter library.');
+            } else if (action === 'insert') {
+                const box = findCoverLetterTextarea();
+                if (box) {
+                    setNativeValue(box, text.value);
+                    box.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                    showStatus('Inserted into the cover letter box on the page.');
+                } else {
+                    await navigator.clipboard.writeText(text.value);
+                    showStatus('No cover letter box found on the page; copied to the clipboard.');
+                }
+            } else {
+                const { bytes, mimeType, fileName } = manager.exportLetter({ ...posting, body: text.value }, action);
+                const url = URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = fileName;
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+            }
+        } catch (err) {
+            console.warn('[Sidebar] Cover letter action failed:', err);
+            showStatus(`Failed: ${err.message}`);
+        }
+    });
+}
+
+/**
+ * "Why?" button for a sidebar row (empty when the scanner left no explanation)
+ * @param {Object} item - Sidebar field info
+ * @returns {string}
+ */
+function renderWhyButton(item) {
+    if (!item.explanation || !window.ClassificationTrace) return '';
+    return `<button class="sh-nova-9x-why-btn" data-selector="${escapeHtmlNova(item.selector)}" title="Why was this field classified this way?">Why?</button>`;
+}
+
+/**
+ * Wire the rows' "Why?" buttons to the explanation popover
+ * @param {HTMLElement} panel - Sidebar panel
+ * @param {Array<Object>} items - Rendered sidebar field infos
+ */
+function initWhyPopovers(panel, items) {
+    const explained = new Map();
+    items.forEach(item => {
+        if (item.explanation) explained.set(item.selector, { explanation: item.explanation, source: item.source, item });
+    });
+    if (explained.size === 0) return;
+
+    panel.addEventListener('click', (e) => {
+        const btn = e.target.closest('.sh-nova-9x-why-btn');
+        if (!btn) return;
+        e.stopPropagation();
+        const entry = explained.get(btn.dataset.selector);
+        if (entry) showWhyPopover(panel, btn, entry.explanation, entry.source, entry.item);
+    });
+}
+
+/**
+ * Popover listing what the classifier saw and decided for one field, with a
+ * "Copy details" button for bug reports. Built with textContent only: labels
+ * and patterns come from the page.
+ * @param {HTMLElement} panel - Sidebar panel
+ * @param {HTMLElement} anchor - The "Why?" button
+ * @param {Object} explanation - ClassificationTrace output
+ * @param {string} source - Where the filled value came from
+ * @param {Object} [item] - Sidebar field info, for teaching the correct field type
+ */
+function showWhyPopover(panel, anchor, explanation, source, item) {
+    panel.querySelector('.sh-nova-9x-why-popover')?.close();
+
+    const popover = document.createElement('div');
+    popover.className = 'sh-nova-9x-why-popover';
+
+    const header = document.createElement('div');
+    header.className = 'sh-nova-9x-why-header';
+    const title = document.createElement('span');
+    title.textContent = `Why: ${explanation.field.label || explanation.field.name || explanation.field.id || 'this field'}`;
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'sh-nova-9x-why-close';
+    closeBtn.title = 'Close';
+    closeBtn.textContent = '×';
+    header.append(title, closeBtn);
+    popover.appendChild(header);
+
+    window.ClassificationTrace.describe(explanation, { source }).forEach(section => {
+        const block = document.createElement('div');
+        block.className = 'sh-nova-9x-why-section';
+        const heading = document.createElement('div');
+        heading.className = 'sh-nova-9x-why-heading';
+        heading.textContent = section.title;
+        const list = document.createElement('ul');
+        section.lines.forEach(line => {
+            const li = document.createElement('li');
+            li.textContent = line;
+            list.appendChild(li);
+        });
+        block.append(heading, list);
+        popover.appendChild(block);
+    });
+
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'sh-nova-9x-why-copy';
+    copyBtn.textContent = 'Copy details';
+    copyBtn.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(window.ClassificationTrace.toText(explanation, { source }));
+            copyBtn.textContent = 'Copied';
+        } catch (e) {
+            copyBtn.textContent = 'Copy failed';
+        }
+        setTimeout(() => { copyBtn.textContent = 'Copy details'; }, 1500);
+    });
+    popover.appendChild(copyBtn);
+    if (item && window.NeuralPersonalizer && window.FieldTypes) popover.appendChild(createTeachRow(explanation, item));
+
+    const onKey = (e) => { if (e.key === 'Escape') popover.close(); };
+    const onOutside = (e) => { if (!popover.contains(e.target) && e.target !== anchor) popover.close(); };
+    popover.close = () => {
+        document.removeEventListener('keydown', onKey, true);
+        document.removeEventListener('mousedown', onOutside, true);
+        popover.remove();
+    };
+    closeBtn.addEventListener('click', () => popover.close());
+    document.addEventListener('keydown', onKey, true);
+    document.addEventListener('mousedown', onOutside, true);
+
+    // Below the row, or above it when it sits near the bottom of the panel
+    panel.appendChild(popover);
+    const panelRect = panel.getBoundingClientRect();
+    const anchorRect = anchor.getBoundingClientRect();
+    const below = anchorRect.bottom - panelRect.top + 6;
+    const top = below + popover.offsetHeight > panel.clientHeight
+        ? Math.max(8, anchorRect.top - panelRect.top - popover.offsetHeight - 6)
+        : below;
+    popover.style.top = `${top}px`;
+}
+
+/**
+ * "Wrong type?" picker: stores the field under the chosen type in the
+ * on-device replay buffer (NeuralPersonalizer)
+ * @param {Object} explanation - ClassificationTrace output
+ * @param {Object} item - Sidebar field info
+ * @returns {HTMLElement}
+ */
+function createTeachRow(explanation, item) {
+    const fieldTypes = window.FieldTypes;
+    const row = document.createElement('div');
+    row.className = 'sh-nova-9x-why-teach';
+    const caption = document.createElement('span');
+    caption.textContent = 'Wrong type?';
+
+    const select = document.createElement('select');
+    select.title = 'Correct field type';
+    fieldTypes.ORDERED_CLASSES.filter(type => type !== 'unknown')
+        .forEach(type => select.appendChild(new Option(fieldTypes.getDisplayName(type), type)));
+    if (fieldTypes.isValidFieldType(explanation.outcome?.label)) select.value = explanation.outcome.label;
+
+    const teachBtn = document.createElement('button');
+    teachBtn.className = 'sh-nova-9x-why-copy';
+    teachBtn.textContent = 'Teach';
+    teachBtn.title = 'Learn this field type on this device';
+    teachBtn.addEventListener('click', async () => {
+        const element = item.field;
+        const field = {
+            name: element?.name || explanation.field.name,
+            id: element?.id || explanation.field.id,
+            label: explanation.field.label || item.label,
+            placeholder: element?.placeholder || '',
+            parentContext: item.parentContext,
+            type: element?.type || explanation.field.type
+        };
+        const saved = await window.NeuralPersonalizer.recordCorrection(field, select.value, 'sidebar').catch(() => false);
+        teachBtn.textContent = saved ? 'Learned' : 'Not saved';
+        teachBtn.disabled = saved;
+    });
+
+    row.append(caption, select, teachBtn);
+    return row;
+}
+
+/**
+ * The page's free-text cover letter box, if it has one
+ * @returns {HTMLTextAreaElement|null}
+ */
+function findCoverLetterTextarea() {
+    const pattern = /cover[\s_-]*letter|motivation/i;
+    return Array.from(document.querySelectorAll('textarea')).find(el => {
+        if (el.closest('#smarthirex-accordion-sidebar') || el.disabled || el.readOnly) return false;
+        const hints = [el.name, el.id, el.getAttribute('aria-label'), el.placeholder, getFieldLabel(el)].join(' ');
+        return pattern.test(hints);
+    }) || null;
+}
+
+/**
+ * Fit report markup. Everything from the page or the resume goes through escapeHtmlNova.
+ * @param {Object} job - JobContext
+ * @param {Object} report - JobFit.analyze() result
+ * @returns {string}
+ */
+function renderFitReport(job, report) {
+    const verdicts = { strong: 'Strong fit', partial: 'Partial fit', weak: 'Weak fit' };
+    const icon = (status) => ({ meets: '✓', match: '✓', short: '✗', mismatch: '✗', conflict: '✗' }[status] || '•');
+    const chip = (keyword, kind) => `<span class="sh-nova-9x-fit-chip ${kind} ${keyword.importance}" title="${escapeHtmlNova(keyword.importance === 'required' ? 'Required' : keyword.importance === 'nice' ? 'Nice to have' : 'Mentioned')}${keyword.evidence === 'experience' ? ' · found in your experience' : ''}">${escapeHtmlNova(keyword.name)}</span>`;
+    const { keywords, experience, location, visa } = report;
+
+    const yearsText = experience.requiredYears === null
+        ? `No years requirement found · you have ${experience.candidateYears}`
+        : `${experience.requiredYears}+ years asked · you have ${experience.candidateYears}`;
+
+    return `
+        <div class="sh-nova-9x-fit-summary ${report.verdict || 'unknown'}">
+            <div class="sh-nova-9x-fit-score">${report.score === null ? '–' : report.score}</div>
+            <div>
+                <div class="sh-nova-9x-fit-verdict">${report.verdict ? verdicts[report.verdict] : 'Not enough to compare'}</div>
+                <div class="sh-nova-9x-fit-job">${escapeHtmlNova([job.title, job.company].filter(Boolean).join(' · ') || 'This page')}</div>
+                ${job.source === 'fallback' ? '<div class="sh-nova-9x-fit-note">No job posting markup found; based on page text</div>' : ''}
+            </div>
+        </div>
+        <div class="sh-nova-9x-fit-section">
+            <div class="sh-nova-9x-fit-heading">Skills · ${keywords.matched.length} matched, ${keywords.missing.length} missing</div>
+            <div class="sh-nova-9x-fit-chips">
+                ${keywords.matched.map(k => chip(k, 'matched')).join('')}
+                ${keywords.missing.map(k => chip(k, 'missing')).join('')}
+                ${keywords.matched.length + keywords.missing.length === 0 ? '<span class="sh-nova-9x-fit-note">No known skills named in the posting</span>' : ''}
+            </div>
+        </div>
+        <div class="sh-nova-9x-fit-section">
+            <div class="sh-nova-9x-fit-row ${experience.status}"><span>${icon(experience.status)}</span> Experience: ${escapeHtmlNova(yearsText)}</div>
+            <div class="sh-nova-9x-fit-row ${location.status}"><span>${icon(location.status)}</span> Location: ${escapeHtmlNova(location.note)}</div>
+            <div class="sh-nova-9x-fit-row ${visa.status}"><span>${icon(visa.status)}</span> Visa: ${escapeHtmlNova(visa.note)}</div>
+        </div>
+        <div class="sh-nova-9x-fit-section">
+            <button class="sh-nova-9x-fit-explain">✨ Explain with AI</button>
+            <div class="sh-nova-9x-fit-narrative" style="display: none;"></div>
+        </div>
+        ${job.source === 'fallback' ? '' : `
+        <div class="sh-nova-9x-fit-section">
+            <button class="sh-nova-9x-fit-explain sh-nova-9x-fit-tailor">📝 Tailor resume for this job</button>
+            <button class="sh-nova-9x-fit-explain sh-nova-9x-fit-tailor-reset" style="display: none;">Use master resume</button>
+            <div class="sh-nova-9x-fit-note sh-nova-9x-fit-tailor-status" style="display: none;"></div>
+        </div>`}
+        <div class="sh-nova-9x-fit-section sh-nova-9x-cover" style="display: none;">
+            <div class="sh-nova-9x-fit-heading">Cover letter</div>
+            <div class="sh-nova-9x-cover-draft">
+                <select class="sh-nova-9x-cover-template" title="Template"></select>
+                <button class="sh-nova-9x-fit-explain sh-nova-9x-cover-fill">Use template</button>
+                <button class="sh-nova-9x-fit-explain sh-nova-9x-cover-ai">✨ Draft with AI</button>
+            </div>
+            <textarea class="sh-nova-9x-cover-text" rows="10" placeholder="Pick a template, or draft one with AI, then edit it here"></textarea>
+            <div class="sh-nova-9x-cover-actions">
+                <button class="sh-nova-9x-fit-explain" data-cover-action="save">Save</button>
+                <button class="sh-nova-9x-fit-explain" data-cover-action="insert">Insert into page</button>
+                <button class="sh-nova-9x-fit-explain" data-cover-action="pdf">PDF</button>
+                <button class="sh-nova-9x-fit-explain" data-cover-action="docx">DOCX</button>
+            </div>
+            <div class="sh-nova-9x-fit-note sh-nova-9x-cover-status" style="display: none;"></div>
+        </div>
+    `;
+}
+
 function setNativeValue(element, value) {
     let lastValue = element.value;
     element.value = value;
@@ -2169,6 +2698,9 @@ function attachSelfCorrectionTrigger(element) {
             newValue = element.value;
         }
 
+        // A resume value typed into a field classified as something else teaches the on-device model
+        window.NeuralPersonalizer?.recordEdit({ ...fieldObj, label, placeholder: element.placeholder }, newValue).catch(() => { });
+
         // ---------------------------------------------------------
         // CACHE ROUTING LOGIC
         // ---------------------------------------------------------
@@ -2297,6 +2829,9 @@ const NOVA_STATUS_MESSAGES = [
 
 let novaStatusInterval = null;
 
+// AbortController for the in-flight streamed regeneration (Stop button / tab close)
+let novaStreamController = null;
+
 /**
  * Create regeneration context object (uses existing extracted field: type, options, parent/sibling context)
  */
@@ -2497,6 +3032,9 @@ function closeNovaTab() {
     const panel = document.getElementById('smarthirex-accordion-sidebar');
     if (!panel) return;
 
+    // Stop any streaming generation
+    novaStreamController?.abort();
+
     // Clear any running status interval
     if (novaStatusInterval) {
         clearInterval(novaStatusInterval);
@@ -2634,15 +3172,50 @@ TASK: Regenerate the field value according to the user instruction and the rules
         // });
         // // console.log('📝 [Nova AI Call] System Prompt:', systemPrompt);
 
-        const result = await window.AIClient.callAI(
-            'Regenerate value:',
-            systemPrompt,
-            { maxTokens: 2000, temperature: 0.7 }
-        );
+        let result;
+        if (typeof window.AIClient.streamAI === 'function') {
+            // Stream tokens into a live preview; the typing indicator goes away on the first chunk
+            novaStreamController = new AbortController();
+            const controller = novaStreamController;
+            let livePreview = null;
+            try {
+                result = await window.AIClient.streamAI(
+                    'Regenerate value:',
+                    systemPrompt,
+                    {
+                        maxTokens: 2000,
+                        temperature: 0.7,
+                        subsystem: window.AIClient.AISubsystem.REGENERATION,
+                        signal: controller.signal,
+                        onChunk: (delta, fullText) => {
+                            if (!livePreview) {
+                                hideNovaTyping();
+                                livePreview = addNovaPreviewMessage(fullText, { streaming: true, onStop: () => controller.abort() });
+                            } else {
+                                livePreview.update(fullText);
+                            }
+                        }
+                    }
+                );
+            } finally {
+                if (novaStreamController === controller) novaStreamController = null;
+            }
+        } else {
+            result = await window.AIClient.callAI(
+                'Regenerate value:',
+                systemPrompt,
+                { maxTokens: 2000, temperature: 0.7, subsystem: window.AIClient.AISubsystem.REGENERATION }
+            );
+        }
 
         hideNovaTyping();
 
-        if (result.success) {
+        if (result.errorCode === window.AIClient.AIErrorCode?.CANCELLED) {
+            document.querySelectorAll('#nova-chat-messages .nova-preview').forEach(el => el.remove());
+            if (window._novaRegenerationContext === context) {
+                addNovaChatMessage('info', 'Generation stopped.');
+            }
+        } else if (result.success) {
             let newValue = result.text.trim()
                 .replace(/^["']|["']$/g, '')  // Remove surrounding quotes
                 .replace(/^Here'?s? (?:the |your )?(?:new |updated )?(?:value|response|answer)?:?\s*/i, ''); // Remove preamble
@@ -2741,15 +3314,44 @@ function addNovaChatMessage(type, content) {
 }
 
 /**
- * Show preview message with Apply/Retry/Cancel buttons
+ * Show preview message with Apply/Retry/Cancel buttons.
+ * With { streaming: true } renders a live preview with a Stop button and returns { update(text) }.
  */
-function addNovaPreviewMessage(newValue) {
+function addNovaPreviewMessage(newValue, options = {}) {
     const messagesContainer = document.getElementById('nova-chat-messages');
-    if (!messagesContainer) return;
+    if (!messagesContainer) return null;
 
     // Remove any existing preview
     messagesContainer.querySelectorAll('.nova-preview').forEach(el => el.remove());
 
+    if (options.streaming) {
+        const liveDiv = document.createElement('div');
+        liveDiv.className = 'nova-message nova-preview nova-preview-streaming';
+        liveDiv.innerHTML = `
+            <div class="nova-preview-label">✨ Writing...</div>
+            <div class="nova-preview-value"></div>
+            <div class="nova-preview-actions">
+                <button class="nova-btn nova-btn-cancel" id="nova-stop" title="Stop generating">
+                    ■ Stop
+                </button>
+            </div>
+        `;
+        const valueEl = liveDiv.querySelector('.nova-preview-value');
+        valueEl.textContent = newValue;
+        liveDiv.querySelector('#nova-stop')?.addEventListener('click', () => options.onStop?.());
+
+        messagesContainer.appendChild(liveDiv);
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+
+        return {
+            update(text) {
+                valueEl.textContent = text;
+                valueEl.scrollTop = valueEl.scrollHeight;
+                messagesContainer.scrollTop = messagesContainer.scrollHeight;
+            }
+        };
+    }
+
     const truncatedValue = newValue.length > 400
         ? newValue.substring(0, 400) + '...'
         : newValue;
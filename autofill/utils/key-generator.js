@@ -11,6 +11,7 @@
  * - Suffix Stemming (e.g., "required" -> "requir" -> dropped if stop word)
  * - Priority Token Retention (e.g., "zip", "id")
  * - Noise Reduction (Stop Words)
+ * - Locale Translation (e.g. "Vorname" -> "first name", via LocalePacks)
  */
 
 (function (global) {
@@ -61,6 +62,9 @@
         'race', 'ethnicity', 'disability', 'cover', 'letter', 'resume', 'cv'
     ]);
 
+    // 5. Scripts written without spaces (a whole label is one token, so short ones still count)
+    const CJK_REGEX = /[\u3040-\u30ff\u3400-\u9fff]/;
+
     // --- HELPER FUNCTIONS ---
 
     /**
@@ -74,6 +78,14 @@
             .replace(/([A-Z])([A-Z][a-z])/g, '$1 $2'); // UpperUpperLower -> Upper UpperLower
     }
 
+    /**
+     * Lowercase and strip accents ("Téléphone" -> "telephone"), the form locale packs use
+     */
+    function normalizeText(str) {
+        if (global.LocalePacks) return global.LocalePacks.foldText(str);
+        return String(str || '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+    }
+
     /**
      * Generates a robust cache key from a field object.
      * @param {Object} field - Field object or element (must have name/label/id/parentContext)
@@ -98,13 +110,18 @@
         if (!rawSoup.trim()) return '';
 
         // 2. Tokenize & Clean
-        // - Lowercase
-        // - Replace non-alphanumeric with space
+        // - Lowercase, strip accents
+        // - Replace anything but letters/digits with space
         // - Split by whitespace
-        let tokens = rawSoup.toLowerCase()
-            .replace(/[^a-z0-9]/g, ' ')
+        // - Translate locale words to English ("nachname" -> "last name") so keys match across languages
+        //   (only packs detected for this label, see LocalePacks.resolveLocales)
+        const packs = global.LocalePacks;
+        const lexicon = packs ? packs.getLexicon(packs.resolveLocales(rawSoup)) : { stopWords: new Set(), synonyms: {} };
+        let tokens = normalizeText(rawSoup)
+            .replace(/[^\p{L}\p{N}]/gu, ' ')
             .split(/\s+/)
-            .filter(t => t.length > 1); // Discard single chars (unless priority, checked later)
+            .flatMap(t => lexicon.synonyms[t] ? lexicon.synonyms[t].split(' ') : [t])
+            .filter(t => t.length > 1 || CJK_REGEX.test(t)); // Discard single chars (unless priority, checked later)
 
         // 3. Normalize & Transform
         tokens = tokens.map(token => {
@@ -140,11 +157,16 @@
             }
 
             // Keep if significant length and NOT a stop word
-            if (token.length > 2 && !STOP_WORDS.has(token)) {
+            if ((token.length > 2 || CJK_REGEX.test(token)) && !STOP_WORDS.has(token) && !lexicon.stopWords.has(token)) {
                 validTokens.add(token);
             }
         });
 
+        // Locale stop words never empty a key on their own ("Von" / "Bis" date ranges)
+        if (validTokens.size === 0) {
+            tokens.filter(token => lexicon.stopWords.has(token)).forEach(token => validTokens.add(token));
+        }
+
         // 5. Final Assembly
         // Sort for determinism (e.g. "Name First" vs "First Name" -> "first_name")
         const sortedTokens = Array.from(validTokens).sort();
@@ -5,7 +5,7 @@
  */
 
 // Import utility modules
-importScripts('../shared/security/StorageVault.js', '../shared/security/EncryptionService.js', '../shared/utils/ai-client.js', '../shared/utils/resume-manager.js');
+importScripts('../shared/security/StorageVault.js', '../shared/security/EncryptionService.js', '../shared/utils/ai-client.js', '../shared/utils/contact-normalizer.js', '../shared/utils/resume-manager.js', '../shared/utils/reminder-manager.js', '../shared/utils/application-store.js');
 
 
 // console.log('Nova Apply background service worker started');
@@ -19,7 +19,13 @@ const CONTENT_SCRIPTS = [
     'shared/security/StorageVault.js',
     'shared/security/EncryptionService.js',
     'shared/utils/ai-client.js',
+    'shared/utils/contact-normalizer.js',
     'shared/utils/resume-manager.js',
+    'shared/utils/application-store.js',
+    'shared/utils/document-renderer.js',
+    'shared/utils/cover-letter-manager.js',
+    'shared/utils/document-store.js',
+    'shared/utils/classification-rules.js',
     'shared/utils/form-extractor.js',
     'shared/utils/form-analyzer.js',
     'autofill/utils/field-utils.js',
@@ -35,9 +41,12 @@ const CONTENT_SCRIPTS = [
     // Inference Support
     'autofill/domains/inference/feature-extractor.js',
     'autofill/domains/inference/FieldTypes.js',
+    'autofill/domains/inference/locale-packs.js',
     'autofill/domains/inference/HeuristicEngine.js',
     'autofill/domains/inference/OptimizedMathKernel.js',
     'autofill/domains/inference/neural-classifier-v8.js',
+    'autofill/domains/inference/neural-personalizer.js',
+    'autofill/domains/inference/ConfidenceCalibrator.js',
     'autofill/domains/inference/HybridClassifier.js',
     'autofill/domains/inference/execution-engine.js',
     'autofill/domains/inference/CopilotClient.js',
@@ -48,6 +57,10 @@ const CONTENT_SCRIPTS = [
     'autofill/features/self-healing.js',
     'autofill/features/ai-field-regeneration.js',
     'autofill/features/form-observer.js',
+    'autofill/features/application-tracker.js',
+    'autofill/features/job-fit.js',
+    'autofill/features/resume-tailor.js',
+    'autofill/features/file-attacher.js',
 
     // Infrastructure
     'common/infrastructure/config.js',
@@ -65,6 +78,7 @@ const CONTENT_SCRIPTS = [
     // Enterprise Core (Phase 1-4)
     'autofill/core/ScanState.js',
     'autofill/core/FieldCandidates.js',
+    'autofill/core/ClassificationTrace.js',
     'autofill/core/FillabilityPolicy.js',
     'autofill/core/ContextFeatureExtractor.js',
     'autofill/core/AutofillScanner.js',
@@ -99,6 +113,19 @@ const CONTENT_SCRIPTS = [
     'autofill/core/autofill-orchestrator.js'
 ];
 
+/**
+ * Hostname of the tab that sent a message ('' for extension pages)
+ * @param {chrome.runtime.MessageSender} sender
+ * @returns {string}
+ */
+function senderHostname(sender) {
+    try {
+        return sender.tab?.url ? new URL(sender.tab.url).hostname : '';
+    } catch (e) {
+        return '';
+    }
+}
+
 // Listen for messages from content scripts or popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
@@ -170,11 +197,31 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return true;
     }
 
+    // Resume reads resolve the profile for the requesting tab's domain (and its tab pin)
+    const profileOptions = { profileId: message.profileId, hostname: senderHostname(sender), tabId: sender.tab?.id, posting: { url: sender.url || '' } };
+
+    // Tab profile pins (tailored variants) live in chrome.storage.session, out of the page's reach
+    if (message.type === 'SET_TAB_PROFILE' || message.type === 'GET_TAB_PROFILE') {
+        (async () => {
+            try {
+                const pin = { tabId: sender.tab?.id, posting: message.posting };
+                if (message.type === 'SET_TAB_PROFILE') {
+                    sendResponse({ success: await self.ResumeManager.setTabProfile(message.profileId, pin) });
+                } else {
+                    sendResponse({ success: true, profileId: await self.ResumeManager.getTabProfile(pin) });
+                }
+            } catch (error) {
+                sendResponse({ success: false, error: error.message });
+            }
+        })();
+        return true;
+    }
+
     // Get resume data
     if (message.type === 'GET_RESUME') {
         (async () => {
             try {
-                const data = await self.ResumeManager.getResumeData();
+                const data = await self.ResumeManager.getResumeData(profileOptions);
                 sendResponse({ success: true, data });
             } catch (error) {
                 sendResponse({ success: false, error: error.message });
@@ -187,7 +234,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'GET_FLAT_RESUME') {
         (async () => {
             try {
-                const data = await self.ResumeManager.getFlattenedResumeData();
+                const data = await self.ResumeManager.getFlattenedResumeData(profileOptions);
                 sendResponse({ success: true, data });
             } catch (error) {
                 sendResponse({ success: false, error: error.message });
@@ -200,7 +247,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'GET_RESUME_TEXT') {
         (async () => {
             try {
-                const text = await self.ResumeManager.getResumeAsText();
+                const text = await self.ResumeManager.getResumeAsText(profileOptions);
                 sendResponse({ success: true, text });
             } catch (error) {
                 sendResponse({ success: false, error: error.message });
@@ -208,11 +255,86 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         })();
         return true;
     }
+
+    // Submitted application from ApplicationTracker: written here because the page is unloading
+    if (message.type === 'RECORD_APPLICATION') {
+        (async () => {
+            try {
+                const record = { ...message.record };
+                if (!record.profileId) {
+                    const { profileId, name } = await self.ResumeManager.resolveProfile({ hostname: record.hostname, tabId: sender.tab?.id, posting: record });
+                    Object.assign(record, { profileId, profileName: name });
+                }
+                const stored = await self.ApplicationStore.recordApplication(record);
+                sendResponse({ success: Boolean(stored), id: stored?.id });
+            } catch (error) {
+                console.error('Failed to record application:', error);
+                sendResponse({ success: false, error: error.message });
+            }
+        })();
+        return true;
+    }
+});
+
+
+// Follow-up reminders: alarms fire here even when no extension page is open
+const REMINDER_NOTIFICATION_BUTTONS = [{ title: 'Snooze 1 day' }, { title: 'Done' }];
+
+async function showReminderNotification(reminderId) {
+    const reminder = await self.ReminderManager.getReminder(reminderId);
+    if (!reminder || reminder.status !== self.ReminderManager.ReminderStatus.PENDING) return;
+
+    chrome.notifications.create(reminderId, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title: self.ReminderManager.describeReminder(reminder),
+        message: reminder.note,
+        contextMessage: reminder.url ? new URL(reminder.url).hostname : '',
+        buttons: REMINDER_NOTIFICATION_BUTTONS,
+        requireInteraction: true
+    });
+    await self.ReminderManager.markReminderNotified(reminderId);
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    const reminderId = self.ReminderManager.reminderIdFromAlarm(alarm.name);
+    if (!reminderId) return;
+    showReminderNotification(reminderId).catch(error => console.warn('Reminder notification failed:', error));
 });
 
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+    const action = buttonIndex === 0
+        ? self.ReminderManager.snoozeReminder(notificationId, 1)
+        : self.ReminderManager.completeReminder(notificationId);
+    action.catch(error => console.warn('Reminder update failed:', error));
+    chrome.notifications.clear(notificationId);
+});
+
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+    const reminder = await self.ReminderManager.getReminder(notificationId);
+    if (reminder?.url) chrome.tabs.create({ url: reminder.url });
+    chrome.notifications.clear(notificationId);
+});
+
+// Alarms don't always survive a browser restart or an extension update;
+// rebuild them from the stored reminders whenever the worker starts.
+function syncReminders() {
+    self.ReminderManager.syncReminderAlarms().catch(error => console.warn('Reminder sync failed:', error));
+}
+
+chrome.runtime.onStartup.addListener(syncReminders);
+syncReminders();
+
+
+// A tab's profile pin ends with the tab
+chrome.tabs.onRemoved.addListener((tabId) => {
+    self.ResumeManager.setTabProfile(null, { tabId }).catch(error => console.warn('Tab profile cleanup failed:', error));
+});
 
 // Listen for extension installation
 chrome.runtime.onInstalled.addListener((details) => {
+    syncReminders();
+
     if (details.reason === 'install') {
         // console.log('Smart AI Job Apply extension installed');
         // Open options page for initial setup
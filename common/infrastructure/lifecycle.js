@@ -74,9 +74,11 @@ if (typeof window.NovaLifecycle === 'undefined') {
             this.registerService('PipelineOrchestrator', window.PipelineOrchestrator); // New
             this.registerService('PrefetchEngine', window.PrefetchEngine);
             this.registerService('FormObserver', window.FormObserver);
+            this.registerService('ApplicationTracker', window.ApplicationTracker);
 
             // Start Observer immediately
             if (window.FormObserver) window.FormObserver.start();
+            if (window.ApplicationTracker) window.ApplicationTracker.start();
         }
 
         /**
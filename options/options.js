@@ -20,7 +20,16 @@ document.addEventListener('DOMContentLoaded', async () => {
     initExperienceSection();
     initEducationSection();
     initProjectsSection();
+    initReferencesSection();
     initCustomFieldsSection();
+    initProfilesSection();
+    initApplicationsSection();
+    initCoverLettersSection();
+    initDocumentsSection();
+    initRulesSection();
+    initLearningSection();
+    initHistorySection();
+    initUsageSection();
 
     // Initialize buttons
     initButtons();
@@ -33,6 +42,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Update status
     updateDataStatus();
+    renderUsage();
+    loadApplications();
 });
 
 // ============================================
@@ -81,8 +92,31 @@ function maskKey(key) {
     return key.slice(0, 6) + '••••••••' + key.slice(-4);
 }
 
+function getSelectedProvider() {
+    const providers = window.AIClient?.listProviders?.() || [];
+    const id = document.getElementById('api-provider')?.value;
+    return providers.find(p => p.id === id) || providers[0] || { id: 'gemini', defaultModel: 'gemini-2.5-flash', defaultBaseUrl: '' };
+}
+
 function getModelValue() {
-    return document.getElementById('api-model')?.value?.trim() || 'gemini-2.5-flash';
+    return document.getElementById('api-model')?.value?.trim() || getSelectedProvider().defaultModel;
+}
+
+function renderProviderFields(provider, baseUrl) {
+    const baseUrlInput = document.getElementById('api-base-url');
+    const modelInput = document.getElementById('api-model');
+    if (baseUrlInput) {
+        baseUrlInput.placeholder = provider.defaultBaseUrl;
+        baseUrlInput.value = baseUrl && baseUrl !== provider.defaultBaseUrl ? baseUrl : '';
+    }
+    if (modelInput) modelInput.placeholder = `e.g., ${provider.defaultModel}`;
+}
+
+async function saveProviderSelection() {
+    const provider = getSelectedProvider();
+    const baseUrl = document.getElementById('api-base-url')?.value?.trim() || '';
+    await window.AIClient.saveProviderConfig(provider.id, baseUrl);
+    return provider;
 }
 
 function renderApiKeysList(keys) {
@@ -129,6 +163,33 @@ function initApiKeySection() {
     const apiModelInput = document.getElementById('api-model');
     const addKeyBtn = document.getElementById('add-api-key-btn');
     const newKeyInput = document.getElementById('api-key-new');
+    const providerSelect = document.getElementById('api-provider');
+    const baseUrlInput = document.getElementById('api-base-url');
+
+    if (providerSelect) {
+        (window.AIClient?.listProviders?.() || []).forEach(provider => {
+            const option = document.createElement('option');
+            option.value = provider.id;
+            option.textContent = provider.label;
+            providerSelect.appendChild(option);
+        });
+
+        providerSelect.addEventListener('change', async () => {
+            if (baseUrlInput) baseUrlInput.value = '';
+            const provider = await saveProviderSelection();
+            renderProviderFields(provider, '');
+            if (apiModelInput) apiModelInput.value = provider.defaultModel;
+            renderApiKeysList(await window.AIClient.getApiKeys(provider.id));
+            updateDataStatus();
+        });
+    }
+
+    if (baseUrlInput) {
+        baseUrlInput.addEventListener('change', async () => {
+            await saveProviderSelection();
+            updateDataStatus();
+        });
+    }
 
     if (addKeyBtn && newKeyInput) {
         addKeyBtn.addEventListener('click', async () => {
@@ -175,6 +236,47 @@ function initPersonalSection() {
             // Auto-save handled by saveAllData on explicit save button
         });
     });
+
+    const timezoneList = document.getElementById('timezone-options');
+    if (timezoneList && typeof Intl.supportedValuesOf === 'function') {
+        Intl.supportedValuesOf('timeZone').forEach(zone => {
+            const option = document.createElement('option');
+            option.value = zone;
+            timezoneList.appendChild(option);
+        });
+    }
+
+    // Suggest the calling code for the country the user enters
+    const countryInput = document.getElementById('country');
+    const countryCodeInput = document.getElementById('phoneCountryCode');
+    countryInput?.addEventListener('change', () => {
+        const dialCode = window.ContactNormalizer?.dialCodeForCountry(countryInput.value);
+        if (dialCode && countryCodeInput && !countryCodeInput.value.trim()) {
+            countryCodeInput.value = `+${dialCode}`;
+        }
+    });
+}
+
+/**
+ * Fill the Personal tab inputs (data-field="personal.*", nested for address/phoneDetails)
+ * @param {Object} personal
+ * @param {Object} [options] - { keepExisting: only overwrite with non-empty values }
+ */
+function fillPersonalFields(personal, options = {}) {
+    const normalized = window.ContactNormalizer?.normalizePersonal(personal) || personal;
+
+    const fill = (obj, prefix) => {
+        Object.entries(obj || {}).forEach(([key, value]) => {
+            if (value && typeof value === 'object') {
+                fill(value, `${prefix}.${key}`);
+                return;
+            }
+            const el = document.querySelector(`[data-field="${prefix}.${key}"]`);
+            if (!el || (options.keepExisting && !value)) return;
+            el.value = key === 'countryCode' && value ? `+${value}` : (value || '');
+        });
+    };
+    fill(normalized, 'personal');
 }
 
 // ============================================
@@ -380,6 +482,7 @@ function showExperienceModal(index = null) {
     document.getElementById('modal-save').onclick = () => {
         const newData = {
             id: data.id || window.ResumeManager.generateId(),
+            ...(data.jsonResume ? { jsonResume: data.jsonResume } : {}), // JSON Resume fields kept for export
             title: document.getElementById('modal-title-input').value.trim(),
             company: document.getElementById('modal-company').value.trim(),
             location: document.getElementById('modal-location').value.trim(),
@@ -520,6 +623,7 @@ function showEducationModal(index = null) {
     document.getElementById('modal-save').onclick = () => {
         const newData = {
             id: data.id || window.ResumeManager.generateId(),
+            ...(data.jsonResume ? { jsonResume: data.jsonResume } : {}), // JSON Resume fields kept for export
             school: document.getElementById('modal-school').value.trim(),
             degree: document.getElementById('modal-degree').value.trim(),
             field: document.getElementById('modal-field').value.trim(),
@@ -647,6 +751,7 @@ function showProjectModal(index = null) {
         const techInput = document.getElementById('modal-tech').value;
         const newData = {
             id: data.id || window.ResumeManager.generateId(),
+            ...(data.jsonResume ? { jsonResume: data.jsonResume } : {}), // JSON Resume fields kept for export
             name: document.getElementById('modal-name').value.trim(),
             description: document.getElementById('modal-description').value.trim(),
             technologies: techInput ? techInput.split(',').map(s => s.trim()).filter(s => s) : [],
@@ -680,6 +785,150 @@ function deleteProject(index) {
     });
 }
 
+// ============================================
+// REFERENCES SECTION
+// ============================================
+
+let referencesData = [];
+
+function initReferencesSection() {
+    document.getElementById('add-reference-btn').addEventListener('click', () => {
+        showReferenceModal();
+    });
+
+    document.getElementById('references-list').addEventListener('click', (e) => {
+        const btn = e.target.closest('button');
+        if (!btn) return;
+
+        const index = parseInt(btn.dataset.index);
+
+        if (btn.classList.contains('btn-edit')) {
+            showReferenceModal(index);
+        } else if (btn.classList.contains('btn-delete')) {
+            deleteReference(index);
+        }
+    });
+}
+
+function renderReferencesList() {
+    const list = document.getElementById('references-list');
+    const empty = document.getElementById('references-empty');
+
+    list.innerHTML = '';
+
+    if (referencesData.length === 0) {
+        empty.classList.remove('hidden');
+        return;
+    }
+
+    empty.classList.add('hidden');
+
+    // Order matters: the first reference fills the first block on a form
+    referencesData.forEach((ref, index) => {
+        const role = [ref.title, ref.company].filter(Boolean).join(' at ');
+        const contact = [ref.email, ref.phone].filter(Boolean).join(' · ');
+        const card = document.createElement('div');
+        card.className = 'item-card';
+        card.innerHTML = `
+            <div class="item-header">
+                <div>
+                    <div class="item-title">${ref.name || 'Unnamed Reference'}</div>
+                    <div class="item-subtitle">${[ref.relationship, role].filter(Boolean).join(' · ')}</div>
+                    ${contact ? `<div class="item-dates">${contact}</div>` : ''}
+                </div>
+                <div class="item-actions">
+                    <button class="btn btn-secondary btn-edit" data-index="${index}">Edit</button>
+                    <button class="btn btn-danger-outline btn-delete" data-index="${index}">Delete</button>
+                </div>
+            </div>
+        `;
+        list.appendChild(card);
+    });
+}
+
+function showReferenceModal(index = null) {
+    const isEdit = index !== null;
+    const data = isEdit ? referencesData[index] : {};
+
+    document.getElementById('modal-title').textContent = isEdit ? 'Edit Reference' : 'Add Reference';
+
+    document.getElementById('modal-body').innerHTML = `
+        <div class="form-row">
+            <div class="form-group">
+                <label>Name *</label>
+                <input type="text" id="modal-name" value="${data.name || ''}" placeholder="Jane Smith">
+            </div>
+            <div class="form-group">
+                <label>Relationship</label>
+                <input type="text" id="modal-relationship" value="${data.relationship || ''}" placeholder="Former manager">
+            </div>
+        </div>
+        <div class="form-row">
+            <div class="form-group">
+                <label>Company</label>
+                <input type="text" id="modal-company" value="${data.company || ''}" placeholder="Acme Corp">
+            </div>
+            <div class="form-group">
+                <label>Their Job Title</label>
+                <input type="text" id="modal-title-input" value="${data.title || ''}" placeholder="Engineering Manager">
+            </div>
+        </div>
+        <div class="form-row">
+            <div class="form-group">
+                <label>Email</label>
+                <input type="email" id="modal-email" value="${data.email || ''}" placeholder="jane@acme.com">
+            </div>
+            <div class="form-group">
+                <label>Phone</label>
+                <input type="tel" id="modal-phone" value="${data.phone || ''}" placeholder="+1 555 123 4567">
+            </div>
+        </div>
+        <div class="form-group">
+            <label>Years Known</label>
+            <input type="number" id="modal-years-known" min="0" max="60" value="${data.yearsKnown || ''}" placeholder="3">
+        </div>
+    `;
+
+    showModal();
+
+    document.getElementById('modal-save').onclick = () => {
+        const newData = {
+            id: data.id || window.ResumeManager.generateId(),
+            ...(data.jsonResume ? { jsonResume: data.jsonResume } : {}), // JSON Resume fields kept for export
+            name: document.getElementById('modal-name').value.trim(),
+            relationship: document.getElementById('modal-relationship').value.trim(),
+            company: document.getElementById('modal-company').value.trim(),
+            title: document.getElementById('modal-title-input').value.trim(),
+            email: document.getElementById('modal-email').value.trim(),
+            phone: document.getElementById('modal-phone').value.trim(),
+            yearsKnown: document.getElementById('modal-years-known').value.trim()
+        };
+
+        if (!newData.name) {
+            showToast('Please enter the reference\'s name', 'error');
+            return;
+        }
+
+        if (isEdit) {
+            referencesData[index] = newData;
+        } else {
+            referencesData.push(newData);
+        }
+
+        renderReferencesList();
+        hideModal();
+        showToast(isEdit ? 'Reference updated' : 'Reference added', 'success');
+    };
+}
+
+function deleteReference(index) {
+    showConfirmationModal(() => {
+        referencesData.splice(index, 1);
+        renderReferencesList();
+        showToast('Reference deleted', 'success');
+    });
+}
+
 // ============================================
 // CUSTOM FIELDS SECTION
 // ============================================
@@ -694,133 +943,1374 @@ function initCustomFieldsSection() {
 }
 
 // ============================================
-// BUTTONS & ACTIONS
+// PROFILES SECTION
 // ============================================
 
-function initButtons() {
-    // Save button
-    const saveBtn = document.getElementById('save-btn');
-    if (saveBtn) {
-        saveBtn.addEventListener('click', saveAllData);
-    }
+// Profile whose resume the tabs are editing (saveAllData writes here)
+let editingProfileId = null;
 
-    // Wire up per-tab save buttons
-    document.querySelectorAll('.save-tab-btn').forEach(btn => {
-        btn.addEventListener('click', saveAllData);
+function initProfilesSection() {
+    document.getElementById('editing-profile')?.addEventListener('change', async (e) => {
+        editingProfileId = e.target.value;
+        await loadResumeFields();
+        renderHistory();
+        showToast(`Editing ${e.target.options[e.target.selectedIndex].text}`);
     });
 
-    // Clear data button initialization
-    const clearDataBtn = document.getElementById('clear-data-btn');
-    const clearDataModal = document.getElementById('clear-data-modal');
-    const clearDataCloseBtn = clearDataModal.querySelector('.modal-close');
-    const deleteConfirmInput = document.getElementById('delete-confirmation-input');
-    const confirmDeleteBtn = document.getElementById('modal-confirm-delete');
-    const cancelClearBtn = document.getElementById('modal-cancel-clear');
+    document.getElementById('create-profile-btn')?.addEventListener('click', async () => {
+        const nameInput = document.getElementById('new-profile-name');
+        const name = nameInput.value.trim();
+        if (!name) {
+            showToast('Enter a profile name', 'warning');
+            return;
+        }
+        const copyFrom = document.getElementById('new-profile-copy').checked ? editingProfileId : null;
+        editingProfileId = await window.ResumeManager.createProfile(name, { copyFrom });
+        nameInput.value = '';
+        await renderProfiles();
+        await loadResumeFields();
+        showToast(`Profile "${name}" created`);
+    });
 
-    if (clearDataBtn) {
-        clearDataBtn.addEventListener('click', () => {
-            clearDataModal.classList.remove('hidden');
-            deleteConfirmInput.value = '';
-            confirmDeleteBtn.disabled = true;
-        });
-    }
+    document.getElementById('profiles-list')?.addEventListener('click', async (e) => {
+        const btn = e.target.closest('button[data-action]');
+        if (!btn) return;
+        const id = btn.dataset.id;
+
+        if (btn.dataset.action === 'edit') {
+            editingProfileId = id;
+            await loadResumeFields();
+        } else if (btn.dataset.action === 'default') {
+            await window.ResumeManager.setDefaultProfile(id);
+        } else if (btn.dataset.action === 'rename') {
+            const name = prompt('New profile name:', btn.dataset.name);
+            if (!name) return;
+            await window.ResumeManager.renameProfile(id, name);
+        } else if (btn.dataset.action === 'delete') {
+            if (!confirm(`Delete profile "${btn.dataset.name}" and its resume data?`)) return;
+            await window.ResumeManager.deleteProfile(id);
+            if (editingProfileId === id) {
+                editingProfileId = null;
+                await renderProfiles();
+                await loadResumeFields();
+                return;
+            }
+        }
+        await renderProfiles();
+    });
 
-    const hideClearDataModal = () => {
-        clearDataModal.classList.add('hidden');
-        deleteConfirmInput.value = '';
-    };
+    document.getElementById('add-domain-rule-btn')?.addEventListener('click', async () => {
+        const domainInput = document.getElementById('domain-rule-domain');
+        const domain = domainInput.value.trim();
+        if (!domain) {
+            showToast('Enter a domain, e.g. myworkdayjobs.com', 'warning');
+            return;
+        }
+        const { domainRules } = await window.ResumeManager.listProfiles();
+        await window.ResumeManager.saveDomainRules([
+            ...domainRules,
+            { domain, profileId: document.getElementById('domain-rule-profile').value }
+        ]);
+        domainInput.value = '';
+        await renderProfiles();
+    });
 
-    if (clearDataCloseBtn) clearDataCloseBtn.addEventListener('click', hideClearDataModal);
-    if (cancelClearBtn) cancelClearBtn.addEventListener('click', hideClearDataModal);
+    const jsonResumeFile = document.getElementById('json-resume-file');
+    document.getElementById('import-json-resume-btn')?.addEventListener('click', () => jsonResumeFile.click());
+    jsonResumeFile?.addEventListener('change', async () => {
+        const file = jsonResumeFile.files[0];
+        jsonResumeFile.value = '';
+        if (!file) return;
 
-    if (deleteConfirmInput) {
-        deleteConfirmInput.addEventListener('input', (e) => {
-            confirmDeleteBtn.disabled = e.target.value !== 'DELETE';
-        });
-    }
+        const result = await window.ResumeManager.importResumeJSON(await file.text(), { profileId: editingProfileId });
+        if (!result.success) {
+            showToast(`Import failed: ${result.error}`, 'error');
+            return;
+        }
+        await loadResumeFields();
+        updateDataStatus();
+        showToast('Resume imported');
+    });
 
-    if (confirmDeleteBtn) {
-        confirmDeleteBtn.addEventListener('click', async () => {
-            if (deleteConfirmInput.value === 'DELETE') {
-                await window.ResumeManager.clearResumeData();
-                await window.AIClient.removeApiKey();
+    document.getElementById('export-json-resume-btn')?.addEventListener('click', async () => {
+        const json = await window.ResumeManager.exportJsonResume({ profileId: editingProfileId });
+        const name = document.getElementById('editing-profile')?.selectedOptions[0]?.text || 'resume';
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.resume.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    });
 
-                // Reset UI
-                const newKeyEl = document.getElementById('api-key-new');
-                if (newKeyEl) newKeyEl.value = '';
-                renderApiKeysList([]);
-                document.querySelectorAll('input[data-field], textarea[data-field], select[data-field]').forEach(el => {
-                    if (el.type === 'radio' || el.type === 'checkbox') {
-                        el.checked = false;
-                    } else {
-                        el.value = '';
-                    }
-                });
-                experienceData = [];
-                educationData = [];
-                projectsData = [];
-                renderExperienceList();
-                renderEducationList();
-                renderProjectsList();
-                ['technical-skills-tags', 'soft-skills-tags', 'languages-tags', 'certifications-tags'].forEach(id => {
-                    const container = document.getElementById(id);
-                    if (container) container.innerHTML = '';
-                });
+    document.getElementById('domain-rules-list')?.addEventListener('click', async (e) => {
+        const btn = e.target.closest('button[data-rule-index]');
+        if (!btn) return;
+        const { domainRules } = await window.ResumeManager.listProfiles();
+        domainRules.splice(Number(btn.dataset.ruleIndex), 1);
+        await window.ResumeManager.saveDomainRules(domainRules);
+        await renderProfiles();
+    });
+}
 
-                clearDataModal.classList.add('hidden');
-                showToast('All data has been cleared', 'success');
-                updateDataStatus();
+/**
+ * Render the profile list, domain rules and the header "Editing" switcher
+ */
+async function renderProfiles() {
+    if (!window.ResumeManager?.listProfiles) return;
+    const { profiles, defaultProfileId, domainRules } = await window.ResumeManager.listProfiles();
+
+    if (!profiles.some(p => p.id === editingProfileId)) {
+        editingProfileId = defaultProfileId;
+    }
+    const nameOf = (id) => profiles.find(p => p.id === id)?.name || 'Unknown';
+    // Tailored variants are edited here but never offered as defaults or rule targets
+    const baseProfiles = profiles.filter(p => !window.ResumeManager.isTailoredProfile(p));
+
+    // Header switcher (only useful with more than one profile)
+    const switcher = document.getElementById('editing-profile');
+    const switcherWrap = document.getElementById('editing-profile-wrap');
+    if (switcher) {
+        switcher.innerHTML = '';
+        profiles.forEach(p => switcher.appendChild(new Option(p.name, p.id)));
+        switcher.value = editingProfileId;
+        switcherWrap?.classList.toggle('hidden', profiles.length < 2);
+    }
+
+    const list = document.getElementById('profiles-list');
+    if (list) {
+        list.innerHTML = '';
+        profiles.forEach(p => {
+            const row = document.createElement('div');
+            row.className = 'profile-item';
+            row.innerHTML = `
+                <div class="profile-item-name"></div>
+                <div class="profile-item-actions">
+                    <button type="button" class="btn btn-secondary btn-small" data-action="edit">Edit</button>
+                    <button type="button" class="btn btn-secondary btn-small" data-action="rename">Rename</button>
+                    <button type="button" class="btn btn-secondary btn-small" data-action="default">Make Default</button>
+                    <button type="button" class="btn btn-secondary btn-small" data-action="delete">Delete</button>
+                </div>
+            `;
+            const nameEl = row.querySelector('.profile-item-name');
+            nameEl.textContent = p.name;
+            if (p.id === defaultProfileId) nameEl.insertAdjacentHTML('beforeend', ' <span class="profile-badge">Default</span>');
+            if (p.id === editingProfileId) nameEl.insertAdjacentHTML('beforeend', ' <span class="profile-badge editing">Editing</span>');
+            if (window.ResumeManager.isTailoredProfile(p)) {
+                nameEl.insertAdjacentHTML('beforeend', ' <span class="profile-badge">Tailored</span>');
+                if (p.tailoredFor?.url) nameEl.title = p.tailoredFor.url;
             }
+
+            row.querySelectorAll('button').forEach(btn => {
+                btn.dataset.id = p.id;
+                btn.dataset.name = p.name;
+            });
+            const tailored = window.ResumeManager.isTailoredProfile(p);
+            row.querySelector('[data-action="default"]').disabled = p.id === defaultProfileId || tailored;
+            row.querySelector('[data-action="delete"]').disabled = !tailored && baseProfiles.length < 2;
+            list.appendChild(row);
+        });
+    }
+
+    const ruleProfile = document.getElementById('domain-rule-profile');
+    if (ruleProfile) {
+        ruleProfile.innerHTML = '';
+        baseProfiles.forEach(p => ruleProfile.appendChild(new Option(p.name, p.id)));
+    }
+
+    const rulesList = document.getElementById('domain-rules-list');
+    if (rulesList) {
+        rulesList.innerHTML = '';
+        if (domainRules.length === 0) {
+            rulesList.innerHTML = '<p class="field-hint">No rules yet. Sites without a rule use the default profile.</p>';
+        }
+        domainRules.forEach((rule, i) => {
+            const row = document.createElement('div');
+            row.className = 'profile-item';
+            row.innerHTML = `
+                <div class="profile-item-name"></div>
+                <div class="profile-item-actions">
+                    <button type="button" class="btn btn-secondary btn-small" data-rule-index="${i}">Remove</button>
+                </div>
+            `;
+            row.querySelector('.profile-item-name').textContent = `${rule.domain} → ${nameOf(rule.profileId)}`;
+            rulesList.appendChild(row);
         });
     }
 }
 
 // ============================================
-// DATA LOADING & SAVING
+// APPLICATIONS SECTION
 // ============================================
 
-async function loadAllData() {
-    try {
-        // Load API keys (round-robin list)
-        const apiKeys = await window.AIClient.getApiKeys?.() || [];
-        const apiModel = await window.AIClient.getStoredModel();
+let applicationsData = [];
 
-        if (apiKeys.length > 0) {
-            renderApiKeysList(apiKeys);
-        }
-        const modelInput = document.getElementById('api-model');
-        if (modelInput) {
-            modelInput.value = apiModel || 'gemini-2.5-flash';
-        }
+function initApplicationsSection() {
+    const store = window.ApplicationStore;
+    if (!store) return;
 
-        // Load resume data
-        const data = await window.ResumeManager.getResumeData();
+    const statusFilter = document.getElementById('applications-status-filter');
+    Object.entries(store.STATUS_LABELS).forEach(([value, label]) => {
+        statusFilter.appendChild(new Option(label, value));
+    });
 
-        if (!data) {
-            // // console.log('No existing resume data found');
-            return;
-        }
+    document.getElementById('add-application-btn').addEventListener('click', () => {
+        showApplicationModal();
+    });
 
-        // Personal info
-        if (data.personal) {
-            Object.entries(data.personal).forEach(([key, value]) => {
-                const el = document.querySelector(`[data-field="personal.${key}"]`);
-                if (el) el.value = value || '';
-            });
-        }
+    ['applications-search', 'applications-status-filter', 'applications-since', 'applications-sort'].forEach(id => {
+        const el = document.getElementById(id);
+        el.addEventListener(el.tagName === 'INPUT' && el.type !== 'date' ? 'input' : 'change', renderApplications);
+    });
 
-        // Summary
-        if (data.summary) {
-            const summaryEl = document.querySelector('[data-field="summary"]');
-            if (summaryEl) summaryEl.value = data.summary;
-        }
+    const table = document.getElementById('applications-table');
+    table.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-application]');
+        if (!btn) return;
 
-        // Skills
-        if (data.skills) {
-            setTagsInContainer('technical-skills-tags', data.skills.technical);
-            setTagsInContainer('soft-skills-tags', data.skills.soft);
-            setTagsInContainer('languages-tags', data.skills.languages);
-            setTagsInContainer('certifications-tags', data.skills.certifications);
+        if (btn.classList.contains('btn-edit')) {
+            showApplicationModal(applicationsData.find(app => app.id === btn.dataset.application));
+        } else if (btn.classList.contains('btn-delete')) {
+            deleteApplicationRecord(btn.dataset.application);
+        }
+    });
+
+    // Status is edited inline; everything else through the modal
+    table.addEventListener('change', async (e) => {
+        const select = e.target.closest('select[data-application]');
+        if (!select) return;
+        await store.updateApplication(select.dataset.application, { status: select.value });
+        await loadApplications();
+        showToast(`Moved to ${store.STATUS_LABELS[select.value]}`);
+    });
+
+    document.getElementById('export-applications-csv').addEventListener('click', () => {
+        downloadApplications(store.applicationsToCsv(getVisibleApplications()), 'csv', 'text/csv');
+    });
+
+    document.getElementById('export-applications-json').addEventListener('click', () => {
+        downloadApplications(JSON.stringify(getVisibleApplications(), null, 2), 'json', 'application/json');
+    });
+
+    // Refresh whenever the tab is opened (the tracker writes from other tabs)
+    document.querySelector('.tab[data-tab="applications"]')?.addEventListener('click', loadApplications);
+}
+
+async function loadApplications() {
+    if (!window.ApplicationStore) return;
+    applicationsData = await window.ApplicationStore.listApplications();
+    renderApplications();
+}
+
+/**
+ * Applications matching the toolbar filters, in the selected order
+ * @returns {Array<Object>}
+ */
+function getVisibleApplications() {
+    const query = document.getElementById('applications-search').value.trim().toLowerCase();
+    const status = document.getElementById('applications-status-filter').value;
+    const since = document.getElementById('applications-since').value;
+    const sort = document.getElementById('applications-sort').value;
+    const statusOrder = Object.keys(window.ApplicationStore.STATUS_LABELS);
+
+    const visible = applicationsData.filter(app => {
+        if (status && app.status !== status) return false;
+        if (since && String(app.appliedAt).slice(0, 10) < since) return false;
+        return !query || `${app.company} ${app.title}`.toLowerCase().includes(query);
+    });
+
+    const byDate = (a, b) => String(a.appliedAt).localeCompare(String(b.appliedAt));
+    const sorters = {
+        'date-desc': (a, b) => byDate(b, a),
+        'date-asc': byDate,
+        company: (a, b) => (a.company || '').localeCompare(b.company || '') || byDate(b, a),
+        status: (a, b) => statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status) || byDate(b, a)
+    };
+    return visible.sort(sorters[sort] || sorters['date-desc']);
+}
+
+function renderApplicationsSummary() {
+    const summary = document.getElementById('applications-summary');
+    summary.innerHTML = '';
+
+    const counts = [['Total', applicationsData.length]];
+    Object.entries(window.ApplicationStore.STATUS_LABELS).forEach(([value, label]) => {
+        counts.push([label, applicationsData.filter(app => app.status === value).length]);
+    });
+
+    counts.forEach(([label, count]) => {
+        const stat = document.createElement('div');
+        stat.className = 'usage-stat';
+        stat.innerHTML = '<div class="usage-stat-value"></div><div class="usage-stat-label"></div>';
+        stat.querySelector('.usage-stat-value').textContent = count;
+        stat.querySelector('.usage-stat-label').textContent = label;
+        summary.appendChild(stat);
+    });
+}
+
+function renderApplications() {
+    const store = window.ApplicationStore;
+    const table = document.getElementById('applications-table');
+    const empty = document.getElementById('applications-empty');
+    if (!store || !table) return;
+
+    renderApplicationsSummary();
+    table.innerHTML = '';
+
+    if (applicationsData.length === 0) {
+        empty.classList.remove('hidden');
+        return;
+    }
+    empty.classList.add('hidden');
+
+    const headRow = table.insertRow();
+    ['Company', 'Role', 'Applied', 'Status', 'Last Update', 'Notes', ''].forEach(header => {
+        const th = document.createElement('th');
+        th.textContent = header;
+        headRow.appendChild(th);
+    });
+
+    const visible = getVisibleApplications();
+    if (visible.length === 0) {
+        const cell = table.insertRow().insertCell();
+        cell.colSpan = 7;
+        cell.className = 'field-hint';
+        cell.textContent = 'No applications match these filters.';
+        return;
+    }
+
+    // Record text comes from job pages, so it is only ever set as textContent
+    visible.forEach(app => {
+        const row = table.insertRow();
+        row.insertCell().textContent = app.company || '—';
+
+        const roleCell = row.insertCell();
+        if (app.url) {
+            const link = document.createElement('a');
+            link.href = app.url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = app.title || app.url;
+            roleCell.appendChild(link);
+        } else {
+            roleCell.textContent = app.title || '—';
+        }
+
+        row.insertCell().textContent = new Date(app.appliedAt).toLocaleDateString();
+
+        const select = document.createElement('select');
+        select.className = `application-status status-${app.status}`;
+        select.dataset.application = app.id;
+        Object.entries(store.STATUS_LABELS).forEach(([value, label]) => select.appendChild(new Option(label, value)));
+        select.value = app.status;
+        row.insertCell().appendChild(select);
+
+        row.insertCell().textContent = new Date(app.updatedAt).toLocaleString();
+
+        const notesCell = row.insertCell();
+        notesCell.className = 'application-notes';
+        notesCell.textContent = app.notes;
+
+        const actions = row.insertCell();
+        actions.className = 'application-actions';
+        actions.innerHTML = `
+            <button class="btn btn-secondary btn-small btn-edit">Edit</button>
+            <button class="btn btn-danger-outline btn-small btn-delete">Delete</button>
+        `;
+        actions.querySelectorAll('button').forEach(btn => { btn.dataset.application = app.id; });
+    });
+}
+
+function showApplicationModal(app = null) {
+    const store = window.ApplicationStore;
+    const isEdit = Boolean(app);
+    const data = app || { status: store.ApplicationStatus.APPLIED, appliedAt: new Date().toISOString() };
+
+    document.getElementById('modal-title').textContent = isEdit ? 'Edit Application' : 'Add Application';
+
+    document.getElementById('modal-body').innerHTML = `
+        <div class="form-row">
+            <div class="form-group">
+                <label>Company *</label>
+                <input type="text" id="modal-company" placeholder="Acme Corp">
+            </div>
+            <div class="form-group">
+                <label>Role</label>
+                <input type="text" id="modal-title-input" placeholder="Senior Engineer">
+            </div>
+        </div>
+        <div class="form-group">
+            <label>Posting URL</label>
+            <input type="url" id="modal-url" placeholder="https://boards.greenhouse.io/acme/jobs/123">
+        </div>
+        <div class="form-row">
+            <div class="form-group">
+                <label>Date Applied</label>
+                <input type="date" id="modal-applied-at">
+            </div>
+            <div class="form-group">
+                <label>Status</label>
+                <select id="modal-status"></select>
+            </div>
+        </div>
+        <div class="form-group">
+            <label>Notes</label>
+            <textarea id="modal-notes" rows="4" placeholder="Recruiter name, interview dates, salary range..."></textarea>
+        </div>
+        <div id="modal-application-details"></div>
+    `;
+
+    const statusSelect = document.getElementById('modal-status');
+    Object.entries(store.STATUS_LABELS).forEach(([value, label]) => statusSelect.appendChild(new Option(label, value)));
+
+    document.getElementById('modal-company').value = data.company || '';
+    document.getElementById('modal-title-input').value = data.title || '';
+    document.getElementById('modal-url').value = data.url || '';
+    document.getElementById('modal-applied-at').value = String(data.appliedAt || '').slice(0, 10);
+    statusSelect.value = data.status;
+    document.getElementById('modal-notes').value = data.notes || '';
+
+    if (isEdit) renderApplicationDetails(document.getElementById('modal-application-details'), app);
+
+    showModal();
+
+    document.getElementById('modal-save').onclick = async () => {
+        const company = document.getElementById('modal-company').value.trim();
+        if (!company) {
+            showToast('Please enter the company', 'error');
+            return;
+        }
+
+        const day = document.getElementById('modal-applied-at').value;
+        const changes = {
+            company,
+            title: document.getElementById('modal-title-input').value.trim(),
+            url: document.getElementById('modal-url').value.trim(),
+            status: statusSelect.value,
+            notes: document.getElementById('modal-notes').value.trim()
+        };
+        // Keep the recorded time of day unless the date itself was changed
+        if (day && day !== String(data.appliedAt).slice(0, 10)) {
+            changes.appliedAt = new Date(`${day}T12:00:00`).toISOString();
+        }
+
+        if (isEdit) {
+            await store.updateApplication(app.id, changes);
+        } else {
+            await store.recordApplication({ ...changes, trigger: store.SubmissionTrigger.MANUAL });
+        }
+
+        hideModal();
+        await loadApplications();
+        showToast(isEdit ? 'Application updated' : 'Application added', 'success');
+    };
+}
+
+/**
+ * Status timeline and the answers that were sent, under the edit form
+ * @param {HTMLElement} container
+ * @param {Object} app
+ */
+function renderApplicationDetails(container, app) {
+    const labels = window.ApplicationStore.STATUS_LABELS;
+
+    const timeline = document.createElement('p');
+    timeline.className = 'field-hint';
+    timeline.textContent = app.statusHistory
+        .map(entry => `${labels[entry.status] || entry.status} ${new Date(entry.at).toLocaleDateString()}`)
+        .join(' → ');
+    if (app.profileName) timeline.textContent += ` · Profile: ${app.profileName}`;
+    container.appendChild(timeline);
+
+    if (app.answers.length === 0) return;
+
+    const details = document.createElement('details');
+    details.innerHTML = '<summary></summary><table class="usage-table revision-diff"></table>';
+    details.querySelector('summary').textContent = `Answers sent (${app.answers.length})`;
+    const table = details.querySelector('table');
+    app.answers.forEach(answer => {
+        const row = table.insertRow();
+        row.insertCell().textContent = answer.label;
+        row.insertCell().textContent = answer.value;
+    });
+    container.appendChild(details);
+}
+
+function deleteApplicationRecord(applicationId) {
+    showConfirmationModal(async () => {
+        await window.ApplicationStore.deleteApplication(applicationId);
+        await loadApplications();
+        showToast('Application deleted', 'success');
+    });
+}
+
+function downloadApplications(content, extension, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `applications-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// ============================================
+// COVER LETTERS SECTION
+// ============================================
+
+// Letter open in the editor card
+let editingLetterId = null;
+
+const LETTER_SOURCE_LABELS = {
+    template: 'From template',
+    ai: 'AI draft',
+    manual: 'Written by hand'
+};
+
+function initCoverLettersSection() {
+    const manager = window.CoverLetterManager;
+    if (!manager) return;
+
+    document.getElementById('cover-template-placeholders').textContent = 'Placeholders: ' +
+        Object.entries(manager.COVER_LETTER_PLACEHOLDERS).map(([key, what]) => `{{${key}}} ${what.toLowerCase()}`).join(' · ');
+
+    document.querySelector('.tab[data-tab="cover-letters"]')?.addEventListener('click', () => {
+        renderCoverTemplates();
+        renderCoverLetters();
+    });
+
+    const select = document.getElementById('cover-template-select');
+    select.addEventListener('change', () => showCoverTemplate(select.value));
+
+    document.getElementById('cover-template-new').addEventListener('click', () => {
+        select.value = '';
+        document.getElementById('cover-template-name').value = '';
+        document.getElementById('cover-template-body').value = '';
+        document.getElementById('cover-template-name').focus();
+    });
+
+    document.getElementById('cover-template-save').addEventListener('click', async () => {
+        try {
+            const id = await manager.saveTemplate({
+                id: select.value || null,
+                name: document.getElementById('cover-template-name').value,
+                body: document.getElementById('cover-template-body').value
+            });
+            await renderCoverTemplates(id);
+            showToast('Template saved');
+        } catch (e) {
+            showToast(e.message, 'error');
+        }
+    });
+
+    document.getElementById('cover-template-delete').addEventListener('click', async () => {
+        if (!select.value || !confirm('Delete this template?')) return;
+        await manager.deleteTemplate(select.value);
+        await renderCoverTemplates();
+        showToast('Template deleted');
+    });
+
+    document.getElementById('cover-letter-list').addEventListener('click', async (e) => {
+        const btn = e.target.closest('button[data-letter]');
+        if (!btn) return;
+
+        if (btn.dataset.action === 'open') {
+            await openCoverLetter(btn.dataset.letter);
+        } else if (btn.dataset.action === 'delete') {
+            if (!confirm('Delete this cover letter?')) return;
+            await manager.deleteLetter(btn.dataset.letter);
+            if (editingLetterId === btn.dataset.letter) {
+                editingLetterId = null;
+                document.getElementById('cover-letter-editor').classList.add('hidden');
+            }
+            await renderCoverLetters();
+        }
+    });
+
+    document.getElementById('cover-letter-editor').addEventListener('click', async (e) => {
+        const btn = e.target.closest('button[data-letter-action]');
+        if (!btn || !editingLetterId) return;
+
+        const letter = await manager.getLetter(editingLetterId);
+        if (!letter) return;
+        const body = document.getElementById('cover-letter-body').value;
+
+        try {
+            if (btn.dataset.letterAction === 'save') {
+                await manager.saveLetter({ id: letter.id, body, source: body === letter.body ? letter.source : 'manual' });
+                await renderCoverLetters();
+                showToast('Cover letter saved');
+            } else {
+                const { bytes, mimeType, fileName } = manager.exportLetter({ ...letter, body }, btn.dataset.letterAction);
+                const url = URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = fileName;
+                link.click();
+                URL.revokeObjectURL(url);
+            }
+        } catch (err) {
+            showToast(err.message, 'error');
+        }
+    });
+}
+
+async function renderCoverTemplates(selectId) {
+    const templates = await window.CoverLetterManager.listTemplates();
+    const select = document.getElementById('cover-template-select');
+    const current = selectId || select.value;
+
+    select.innerHTML = '';
+    templates.forEach(t => select.appendChild(new Option(t.name, t.id)));
+    select.value = templates.some(t => t.id === current) ? current : templates[0].id;
+    await showCoverTemplate(select.value);
+}
+
+async function showCoverTemplate(templateId) {
+    const template = (await window.CoverLetterManager.listTemplates()).find(t => t.id === templateId);
+    document.getElementById('cover-template-name').value = template?.name || '';
+    document.getElementById('cover-template-body').value = template?.body || '';
+}
+
+async function renderCoverLetters() {
+    const list = document.getElementById('cover-letter-list');
+    const letters = await window.CoverLetterManager.listLetters();
+    list.innerHTML = '';
+
+    if (letters.length === 0) {
+        list.innerHTML = '<p class="field-hint">No saved letters yet. Draft one from the Fit tab in the sidebar on a job posting.</p>';
+        return;
+    }
+
+    letters.forEach(letter => {
+        const row = document.createElement('div');
+        row.className = 'profile-item';
+        row.innerHTML = `
+            <div class="profile-item-name"></div>
+            <div class="profile-item-actions">
+                <button type="button" class="btn btn-secondary btn-small" data-action="open">Open</button>
+                <button type="button" class="btn btn-secondary btn-small" data-action="delete">Delete</button>
+            </div>
+        `;
+        const job = [letter.title, letter.company].filter(Boolean).join(' · ') || 'Untitled';
+        const when = new Date(letter.updatedAt).toLocaleDateString();
+        row.querySelector('.profile-item-name').textContent = `${job} — ${when}`;
+        row.querySelector('.profile-item-name').insertAdjacentHTML('beforeend',
+            ` <span class="profile-badge">${LETTER_SOURCE_LABELS[letter.source] || 'Saved'}</span>`);
+        if (letter.id === editingLetterId) {
+            row.querySelector('.profile-item-name').insertAdjacentHTML('beforeend', ' <span class="profile-badge editing">Open</span>');
+        }
+        row.querySelectorAll('button').forEach(btn => { btn.dataset.letter = letter.id; });
+        list.appendChild(row);
+    });
+}
+
+async function openCoverLetter(letterId) {
+    const letter = await window.CoverLetterManager.getLetter(letterId);
+    if (!letter) return;
+
+    editingLetterId = letter.id;
+    document.getElementById('cover-letter-editor-title').textContent =
+        [letter.title, letter.company].filter(Boolean).join(' at ') || 'Letter';
+    document.getElementById('cover-letter-body').value = letter.body;
+    document.getElementById('cover-letter-editor').classList.remove('hidden');
+    await renderCoverLetters();
+}
+
+// ============================================
+// DOCUMENTS SECTION
+// ============================================
+
+const DOCUMENT_KIND_LABELS = {
+    resume: 'Resume',
+    cover_letter: 'Cover letter'
+};
+
+function initDocumentsSection() {
+    const store = window.DocumentStore;
+    if (!store) return;
+
+    document.querySelector('.tab[data-tab="documents"]')?.addEventListener('click', renderDocuments);
+
+    document.getElementById('document-add').addEventListener('click', async () => {
+        const input = document.getElementById('document-file');
+        const file = input.files[0];
+        if (!file) {
+            showToast('Choose a file first', 'error');
+            return;
+        }
+
+        try {
+            await store.addDocument({
+                kind: document.getElementById('document-kind').value,
+                name: file.name,
+                mimeType: file.type,
+                bytes: new Uint8Array(await file.arrayBuffer()),
+                profileId: document.getElementById('document-profile').value || null
+            });
+            input.value = '';
+            await renderDocuments();
+            showToast('Document added');
+        } catch (e) {
+            showToast(e.message, 'error');
+        }
+    });
+
+    document.getElementById('document-list').addEventListener('click', async (e) => {
+        const btn = e.target.closest('button[data-document]');
+        if (!btn) return;
+
+        if (btn.dataset.action === 'download') {
+            const file = await store.getDocumentFile(btn.dataset.document);
+            if (!file) return;
+            const url = URL.createObjectURL(file);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = file.name;
+            link.click();
+            URL.revokeObjectURL(url);
+        } else if (btn.dataset.action === 'delete') {
+            if (!confirm('Delete this document?')) return;
+            await store.deleteDocument(btn.dataset.document);
+            await renderDocuments();
+        }
+    });
+}
+
+async function renderDocuments() {
+    const { profiles } = await window.ResumeManager.listProfiles();
+    const baseProfiles = profiles.filter(p => !window.ResumeManager.isTailoredProfile(p));
+    const profileSelect = document.getElementById('document-profile');
+    const selected = profileSelect.value;
+    profileSelect.innerHTML = '';
+    profileSelect.appendChild(new Option('Any profile', ''));
+    baseProfiles.forEach(p => profileSelect.appendChild(new Option(p.name, p.id)));
+    profileSelect.value = baseProfiles.some(p => p.id === selected) ? selected : '';
+
+    const list = document.getElementById('document-list');
+    const docs = await window.DocumentStore.listDocuments();
+    list.innerHTML = '';
+
+    if (docs.length === 0) {
+        list.innerHTML = '<p class="field-hint">No documents yet. Upload fields are left for you to fill by hand.</p>';
+        return;
+    }
+
+    docs.forEach(doc => {
+        const row = document.createElement('div');
+        row.className = 'profile-item';
+        row.innerHTML = `
+            <div class="profile-item-name"></div>
+            <div class="profile-item-actions">
+                <button type="button" class="btn btn-secondary btn-small" data-action="download">Download</button>
+                <button type="button" class="btn btn-secondary btn-small" data-action="delete">Delete</button>
+            </div>
+        `;
+        const profile = profiles.find(p => p.id === doc.profileId);
+        row.querySelector('.profile-item-name').textContent =
+            `${doc.name} — ${Math.max(1, Math.round(doc.size / 1024))} KB · ${profile ? profile.name : 'Any profile'}`;
+        row.querySelector('.profile-item-name').insertAdjacentHTML('beforeend',
+            ` <span class="profile-badge">${DOCUMENT_KIND_LABELS[doc.kind] || 'Document'}</span>`);
+        row.querySelectorAll('button').forEach(btn => { btn.dataset.document = doc.id; });
+        list.appendChild(row);
+    });
+}
+
+// ============================================
+// FIELD RULES SECTION
+// ============================================
+
+let editingRuleId = null;
+
+const RULE_TARGET_LABELS = {
+    field_type: 'Field type',
+    value: 'Fixed value',
+    resume_path: 'From resume'
+};
+
+const RULE_TARGET_PLACEHOLDERS = {
+    field_type: 'e.g. job_title',
+    value: 'e.g. 104233',
+    resume_path: 'e.g. customFields.employeeId or experience[0].company'
+};
+
+function initRulesSection() {
+    const rules = window.ClassificationRules;
+    if (!rules) return;
+
+    const fieldTypes = document.getElementById('rule-field-types');
+    (window.FieldTypes?.ORDERED_CLASSES || []).filter(t => t !== 'unknown')
+        .forEach(type => fieldTypes.appendChild(new Option(window.FieldTypes.getDisplayName(type), type)));
+
+    const targetType = document.getElementById('rule-target-type');
+    const updateTargetInput = () => {
+        const target = document.getElementById('rule-target');
+        target.placeholder = RULE_TARGET_PLACEHOLDERS[targetType.value];
+        if (targetType.value === 'field_type') target.setAttribute('list', 'rule-field-types');
+        else target.removeAttribute('list');
+    };
+    targetType.addEventListener('change', updateTargetInput);
+
+    document.querySelector('.tab[data-tab="rules"]')?.addEventListener('click', renderRules);
+
+    document.getElementById('rule-new').addEventListener('click', () => {
+        showRule(null);
+        document.getElementById('rule-name').focus();
+    });
+
+    document.getElementById('rule-save').addEventListener('click', async () => {
+        try {
+            const existing = editingRuleId ? (await rules.listRules()).find(r => r.id === editingRuleId) : null;
+            const saved = await rules.saveRule({ ...existing, ...readRuleEditor() });
+            editingRuleId = saved.id;
+            await renderRules();
+            showToast('Rule saved');
+        } catch (e) {
+            showToast(e.message, 'error');
+        }
+    });
+
+    document.getElementById('rule-list').addEventListener('click', async (e) => {
+        const btn = e.target.closest('button[data-rule]');
+        if (!btn) return;
+        const rule = (await rules.listRules()).find(r => r.id === btn.dataset.rule);
+        if (!rule) return;
+
+        if (btn.dataset.action === 'edit') {
+            showRule(rule);
+        } else if (btn.dataset.action === 'toggle') {
+            await rules.saveRule({ ...rule, enabled: !rule.enabled });
+        } else if (btn.dataset.action === 'delete') {
+            if (!confirm('Delete this rule?')) return;
+            await rules.deleteRule(rule.id);
+            if (editingRuleId === rule.id) showRule(null);
+        }
+        await renderRules();
+    });
+
+    document.getElementById('rule-test-run').addEventListener('click', async () => {
+        const table = document.getElementById('rule-test-results');
+        let rule;
+        try {
+            rule = rules.normalizeRule(readRuleEditor());
+        } catch (e) {
+            showToast(e.message, 'error');
+            return;
+        }
+
+        const domain = document.getElementById('rule-test-domain').value.trim();
+        const resumeData = rule.targetType === 'resume_path' ? await window.ResumeManager.getResumeData() : null;
+        const fields = rules.testRules([rule], document.getElementById('rule-test-html').value, {
+            hostname: domain ? rules.normalizeRuleDomain(domain) : undefined,
+            resumeData
+        });
+
+        table.innerHTML = '';
+        const headRow = table.insertRow();
+        ['Field', 'Name / id', 'Result'].forEach(header => {
+            const th = document.createElement('th');
+            th.textContent = header;
+            headRow.appendChild(th);
+        });
+
+        if (fields.length === 0) {
+            const cell = table.insertRow().insertCell();
+            cell.colSpan = 3;
+            cell.className = 'field-hint';
+            cell.textContent = 'No form fields found in the snippet.';
+            return;
+        }
+
+        fields.forEach(field => {
+            let result = 'No match';
+            if (field.skipped) result = `Matches, but not on ${domain}`;
+            else if (field.rule && rule.targetType === 'field_type') result = `Classified as ${field.classifiedAs}`;
+            else if (field.rule) result = field.value === null ? 'Matches, but the resume has no value there (the field is classified as usual)' : `Fills "${field.value}"`;
+
+            const row = table.insertRow();
+            [field.label || '(no label)', [field.name, field.id && `#${field.id}`].filter(Boolean).join(' ') || '—', result]
+                .forEach(text => { row.insertCell().textContent = text; });
+        });
+    });
+
+    updateTargetInput();
+}
+
+function readRuleEditor() {
+    return {
+        id: editingRuleId,
+        name: document.getElementById('rule-name').value,
+        pattern: document.getElementById('rule-pattern').value,
+        matchOn: Array.from(document.querySelectorAll('input[data-rule-match]:checked')).map(el => el.dataset.ruleMatch),
+        domain: document.getElementById('rule-domain').value,
+        targetType: document.getElementById('rule-target-type').value,
+        target: document.getElementById('rule-target').value,
+        priority: document.getElementById('rule-priority').value
+    };
+}
+
+function showRule(rule) {
+    editingRuleId = rule ? rule.id : null;
+    document.getElementById('rule-name').value = rule?.name || '';
+    document.getElementById('rule-pattern').value = rule?.pattern || '';
+    document.querySelectorAll('input[data-rule-match]').forEach(el => {
+        el.checked = rule ? rule.matchOn.includes(el.dataset.ruleMatch) : true;
+    });
+    document.getElementById('rule-domain').value = rule?.domain || '';
+    document.getElementById('rule-target-type').value = rule?.targetType || 'field_type';
+    document.getElementById('rule-target-type').dispatchEvent(new Event('change'));
+    document.getElementById('rule-target').value = rule?.target || '';
+    document.getElementById('rule-priority').value = rule ? rule.priority : 0;
+    renderRules();
+}
+
+async function renderRules() {
+    const list = document.getElementById('rule-list');
+    const rules = await window.ClassificationRules.listRules();
+    list.innerHTML = '';
+
+    if (rules.length === 0) {
+        list.innerHTML = '<p class="field-hint">No rules yet. Fields the classifier does not know are left for you or the AI to fill.</p>';
+        return;
+    }
+
+    rules.forEach(rule => {
+        const row = document.createElement('div');
+        row.className = 'profile-item';
+        row.innerHTML = `
+            <div class="profile-item-name"></div>
+            <div class="profile-item-actions">
+                <button type="button" class="btn btn-secondary btn-small" data-action="edit">Edit</button>
+                <button type="button" class="btn btn-secondary btn-small" data-action="toggle"></button>
+                <button type="button" class="btn btn-secondary btn-small" data-action="delete">Delete</button>
+            </div>
+        `;
+        const target = rule.targetType === 'value' ? `"${rule.target}"` : rule.target;
+        row.querySelector('.profile-item-name').textContent =
+            `${rule.name} — /${rule.pattern}/ → ${target} · ${rule.domain || 'Every site'} · priority ${rule.priority}`;
+        row.querySelector('.profile-item-name').insertAdjacentHTML('beforeend',
+            ` <span class="profile-badge">${RULE_TARGET_LABELS[rule.targetType] || 'Rule'}</span>`);
+        if (!rule.enabled) {
+            row.querySelector('.profile-item-name').insertAdjacentHTML('beforeend', ' <span class="profile-badge">Off</span>');
+        }
+        if (rule.id === editingRuleId) {
+            row.querySelector('.profile-item-name').insertAdjacentHTML('beforeend', ' <span class="profile-badge editing">Editing</span>');
+        }
+        row.querySelector('[data-action="toggle"]').textContent = rule.enabled ? 'Turn Off' : 'Turn On';
+        row.querySelectorAll('button').forEach(btn => { btn.dataset.rule = rule.id; });
+        list.appendChild(row);
+    });
+}
+
+// ============================================
+// ON-DEVICE LEARNING SECTION
+// ============================================
+
+function initLearningSection() {
+    const personalizer = window.NeuralPersonalizer;
+    if (!personalizer) return;
+
+    document.querySelector('.tab[data-tab="rules"]')?.addEventListener('click', renderLearningStatus);
+
+    document.getElementById('learning-reset').addEventListener('click', async () => {
+        await personalizer.reset();
+        await renderLearningStatus();
+        showToast('Classifier reset to the shipped model');
+    });
+}
+
+async function renderLearningStatus() {
+    const status = await window.NeuralPersonalizer.getStatus();
+    const pct = (n) => `${(n * 100).toFixed(1)}%`;
+    const parts = [`${status.corrections} correction${status.corrections === 1 ? '' : 's'} saved`];
+
+    if (status.delta) {
+        parts.push(`fine-tuned ${new Date(status.delta.trainedAt).toLocaleString()} on ${status.delta.corrections}` +
+            ` (standard field types: ${pct(status.delta.guardAccuracy)}, shipped model ${pct(status.delta.baseGuardAccuracy)})`);
+    } else {
+        parts.push('using the shipped model');
+    }
+    if (status.lastRun && !status.lastRun.accepted) {
+        parts.push(status.lastRun.reason === 'guard_failed'
+            ? 'last update discarded: it made standard field types worse'
+            : 'last update discarded: it did not improve on your corrections');
+    }
+
+    document.getElementById('learning-status').textContent = parts.join(' · ');
+    document.getElementById('learning-reset').disabled = status.corrections === 0 && !status.delta;
+}
+
+// ============================================
+// REVISION HISTORY SECTION
+// ============================================
+
+// Revision source for the next save (set after an AI import fills the form)
+let pendingSaveSource = null;
+
+const REVISION_SOURCE_LABELS = {
+    manual: 'Manual save',
+    ai_import: 'AI resume import',
+    import: 'File import',
+    profile_created: 'Profile created',
+    tailored: 'Tailored for a job',
+    rollback: 'Restored',
+    baseline: 'Before history'
+};
+
+function initHistorySection() {
+    document.querySelector('.tab[data-tab="history"]')?.addEventListener('click', renderHistory);
+
+    document.getElementById('revision-list')?.addEventListener('click', async (e) => {
+        const btn = e.target.closest('button[data-revision]');
+        if (!btn) return;
+
+        if (btn.dataset.action === 'view') {
+            await renderRevisionDiff(btn.dataset.revision);
+        } else if (btn.dataset.action === 'restore') {
+            if (!confirm('Restore this revision? Your current data is kept in the history.')) return;
+            await window.ResumeManager.rollbackResume(btn.dataset.revision, { profileId: editingProfileId });
+            await loadResumeFields();
+            await renderHistory();
+            showToast('Revision restored');
+        }
+    });
+}
+
+function formatDiffValue(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    if (Array.isArray(value)) return value.map(formatDiffValue).join(', ');
+    if (typeof value === 'object') return describeResumeItem(value);
+    return String(value);
+}
+
+function describeResumeItem(item) {
+    return [item.title, item.company, item.degree, item.school, item.name].filter(Boolean).join(' · ') || 'Entry';
+}
+
+async function renderHistory() {
+    const list = document.getElementById('revision-list');
+    if (!list || !window.ResumeManager?.getResumeHistory) return;
+
+    const revisions = await window.ResumeManager.getResumeHistory({ profileId: editingProfileId });
+    list.innerHTML = '';
+    document.getElementById('revision-diff-card').classList.add('hidden');
+
+    if (revisions.length === 0) {
+        list.innerHTML = '<p class="field-hint">No revisions yet. They are recorded each time this profile is saved.</p>';
+        return;
+    }
+
+    revisions.forEach((rev, i) => {
+        const row = document.createElement('div');
+        row.className = 'profile-item';
+        row.innerHTML = `
+            <div class="profile-item-name"></div>
+            <div class="profile-item-actions">
+                <button type="button" class="btn btn-secondary btn-small" data-action="view">View Changes</button>
+                <button type="button" class="btn btn-secondary btn-small" data-action="restore">Restore</button>
+            </div>
+        `;
+        const when = new Date(rev.ts).toLocaleString();
+        const what = REVISION_SOURCE_LABELS[rev.source] || rev.source;
+        row.querySelector('.profile-item-name').textContent = `${when} — ${what}${rev.changeCount ? ` (${rev.changeCount} change${rev.changeCount === 1 ? '' : 's'})` : ''}`;
+        if (i === 0) row.querySelector('.profile-item-name').insertAdjacentHTML('beforeend', ' <span class="profile-badge editing">Current</span>');
+        row.querySelectorAll('button').forEach(btn => { btn.dataset.revision = rev.id; });
+        row.querySelector('[data-action="restore"]').disabled = i === 0;
+        list.appendChild(row);
+    });
+}
+
+async function renderRevisionDiff(revisionId) {
+    const revision = await window.ResumeManager.getResumeRevision(revisionId, { profileId: editingProfileId });
+    if (!revision) return;
+
+    const card = document.getElementById('revision-diff-card');
+    const table = document.getElementById('revision-diff-table');
+    document.getElementById('revision-diff-title').textContent =
+        `Changes in ${new Date(revision.ts).toLocaleString()} (${REVISION_SOURCE_LABELS[revision.source] || revision.source})`;
+
+    table.innerHTML = '<tr><th>Field</th><th>Before</th><th>After</th></tr>';
+    if (revision.changes.length === 0) {
+        table.insertAdjacentHTML('beforeend', '<tr><td colspan="3" class="field-hint">No field changes (first recorded revision).</td></tr>');
+    }
+    revision.changes.forEach(change => {
+        const row = table.insertRow();
+        row.className = `diff-${change.type}`;
+        [change.path, formatDiffValue(change.before), formatDiffValue(change.after)].forEach(text => {
+            row.insertCell().textContent = text;
+        });
+    });
+    card.classList.remove('hidden');
+}
+
+// ============================================
+// AI USAGE SECTION
+// ============================================
+
+function initUsageSection() {
+    const saveBudgetBtn = document.getElementById('save-budget-btn');
+    const resetUsageBtn = document.getElementById('reset-usage-btn');
+    if (!saveBudgetBtn) return;
+
+    saveBudgetBtn.addEventListener('click', async () => {
+        await window.AIClient.saveUsageBudget({
+            dailyTokens: document.getElementById('budget-daily-tokens').value,
+            keyDailyTokens: document.getElementById('budget-key-tokens').value,
+            action: document.getElementById('budget-action').value,
+            downgradeModel: document.getElementById('budget-downgrade-model').value
+        });
+        showToast('Budget saved');
+        renderUsage();
+    });
+
+    resetUsageBtn.addEventListener('click', async () => {
+        if (!confirm('Clear all recorded AI usage?')) return;
+        await window.AIClient.resetUsageLedger();
+        showToast('Usage reset');
+        renderUsage();
+    });
+
+    // Refresh whenever the tab is opened so the numbers are current
+    document.querySelector('.tab[data-tab="usage"]')?.addEventListener('click', renderUsage);
+}
+
+function formatTokens(n) {
+    return Number(n || 0).toLocaleString();
+}
+
+function renderUsageTable(table, headers, rows) {
+    table.innerHTML = '';
+    const headRow = table.insertRow();
+    headers.forEach((header, i) => {
+        const th = document.createElement('th');
+        th.textContent = header;
+        if (i > 0) th.className = 'num';
+        headRow.appendChild(th);
+    });
+
+    if (rows.length === 0) {
+        const cell = table.insertRow().insertCell();
+        cell.colSpan = headers.length;
+        cell.className = 'field-hint';
+        cell.textContent = 'No AI calls recorded yet.';
+        return;
+    }
+
+    rows.forEach(values => {
+        const row = table.insertRow();
+        values.forEach((value, i) => {
+            const cell = row.insertCell();
+            cell.textContent = i > 0 ? formatTokens(value) : value;
+            if (i > 0) cell.className = 'num';
+        });
+    });
+}
+
+async function renderUsage() {
+    if (!window.AIClient?.getUsageSummary) return;
+    const { today, days, budget } = await window.AIClient.getUsageSummary(7);
+
+    document.getElementById('budget-daily-tokens').value = budget.dailyTokens || '';
+    document.getElementById('budget-key-tokens').value = budget.keyDailyTokens || '';
+    document.getElementById('budget-action').value = budget.action;
+    document.getElementById('budget-downgrade-model').value = budget.downgradeModel;
+
+    const stats = document.getElementById('usage-today');
+    stats.innerHTML = '';
+    [
+        [formatTokens(today.totalTokens), 'Tokens today'],
+        [formatTokens(today.calls), 'Calls today'],
+        [formatTokens(today.errors), 'Failed calls'],
+        [budget.dailyTokens ? formatTokens(budget.dailyTokens) : 'None', 'Daily budget']
+    ].forEach(([value, label]) => {
+        const stat = document.createElement('div');
+        stat.className = 'usage-stat';
+        stat.innerHTML = '<div class="usage-stat-value"></div><div class="usage-stat-label"></div>';
+        stat.querySelector('.usage-stat-value').textContent = value;
+        stat.querySelector('.usage-stat-label').textContent = label;
+        stats.appendChild(stat);
+    });
+
+    if (budget.dailyTokens) {
+        const ratio = today.totalTokens / budget.dailyTokens;
+        const bar = document.createElement('div');
+        bar.className = 'usage-bar';
+        bar.innerHTML = `<div class="usage-bar-fill${ratio >= 1 ? ' over' : ''}" style="width: ${Math.min(100, Math.round(ratio * 100))}%"></div>`;
+        stats.appendChild(bar);
+    }
+
+    renderUsageTable(
+        document.getElementById('usage-days-table'),
+        ['Day', 'Calls', 'Prompt tokens', 'Response tokens', 'Total'],
+        days.filter(d => d.calls > 0).map(d => [d.day, d.calls, d.promptTokens, d.responseTokens, d.totalTokens])
+    );
+
+    const breakdown = [];
+    const addGroup = (prefix, group) => {
+        Object.entries(group || {}).forEach(([name, totals]) => {
+            breakdown.push([`${prefix}: ${name}`, totals.calls, totals.tokens]);
+        });
+    };
+    addGroup('Feature', today.bySubsystem);
+    addGroup('Model', today.byModel);
+    addGroup('Key', today.byKey);
+    renderUsageTable(document.getElementById('usage-breakdown-table'), ['Source', 'Calls', 'Tokens'], breakdown);
+}
+
+// ============================================
+// BUTTONS & ACTIONS
+// ============================================
+
+function initButtons() {
+    // Save button
+    const saveBtn = document.getElementById('save-btn');
+    if (saveBtn) {
+        saveBtn.addEventListener('click', saveAllData);
+    }
+
+    // Wire up per-tab save buttons
+    document.querySelectorAll('.save-tab-btn').forEach(btn => {
+        btn.addEventListener('click', saveAllData);
+    });
+
+    // Clear data button initialization
+    const clearDataBtn = document.getElementById('clear-data-btn');
+    const clearDataModal = document.getElementById('clear-data-modal');
+    const clearDataCloseBtn = clearDataModal.querySelector('.modal-close');
+    const deleteConfirmInput = document.getElementById('delete-confirmation-input');
+    const confirmDeleteBtn = document.getElementById('modal-confirm-delete');
+    const cancelClearBtn = document.getElementById('modal-cancel-clear');
+
+    if (clearDataBtn) {
+        clearDataBtn.addEventListener('click', () => {
+            clearDataModal.classList.remove('hidden');
+            deleteConfirmInput.value = '';
+            confirmDeleteBtn.disabled = true;
+        });
+    }
+
+    const hideClearDataModal = () => {
+        clearDataModal.classList.add('hidden');
+        deleteConfirmInput.value = '';
+    };
+
+    if (clearDataCloseBtn) clearDataCloseBtn.addEventListener('click', hideClearDataModal);
+    if (cancelClearBtn) cancelClearBtn.addEventListener('click', hideClearDataModal);
+
+    if (deleteConfirmInput) {
+        deleteConfirmInput.addEventListener('input', (e) => {
+            confirmDeleteBtn.disabled = e.target.value !== 'DELETE';
+        });
+    }
+
+    if (confirmDeleteBtn) {
+        confirmDeleteBtn.addEventListener('click', async () => {
+            if (deleteConfirmInput.value === 'DELETE') {
+                await window.ResumeManager.clearResumeData();
+                await window.ApplicationStore?.clearApplications();
+                await window.ReminderManager?.clearReminders();
+                await window.CoverLetterManager?.clearCoverLetters();
+                await window.DocumentStore?.clearDocuments();
+                await window.ClassificationRules?.clearRules();
+                await window.NeuralPersonalizer?.reset();
+                await window.AIClient.removeApiKey();
+
+                // Reset UI
+                const newKeyEl = document.getElementById('api-key-new');
+                if (newKeyEl) newKeyEl.value = '';
+                renderApiKeysList([]);
+                document.querySelectorAll('input[data-field], textarea[data-field], select[data-field]').forEach(el => {
+                    if (el.type === 'radio' || el.type === 'checkbox') {
+                        el.checked = false;
+                    } else {
+                        el.value = '';
+                    }
+                });
+                experienceData = [];
+                educationData = [];
+                projectsData = [];
+                referencesData = [];
+                renderExperienceList();
+                renderEducationList();
+                renderProjectsList();
+                renderReferencesList();
+                applicationsData = [];
+                renderApplications();
+                ['technical-skills-tags', 'soft-skills-tags', 'languages-tags', 'certifications-tags'].forEach(id => {
+                    const container = document.getElementById(id);
+                    if (container) container.innerHTML = '';
+                });
+
+                clearDataModal.classList.add('hidden');
+                showToast('All data has been cleared', 'success');
+                updateDataStatus();
+            }
+        });
+    }
+}
+
+// ============================================
+// DATA LOADING & SAVING
+// ============================================
+
+async function loadAllData() {
+    try {
+        // Load provider, then its API keys (round-robin list)
+        const providerConfig = await window.AIClient.getProviderConfig?.();
+        const providerSelect = document.getElementById('api-provider');
+        if (providerConfig && providerSelect) {
+            providerSelect.value = providerConfig.provider;
+            renderProviderFields(getSelectedProvider(), providerConfig.baseUrl);
+        }
+
+        const apiKeys = await window.AIClient.getApiKeys?.() || [];
+        const apiModel = await window.AIClient.getStoredModel();
+
+        if (apiKeys.length > 0) {
+            renderApiKeysList(apiKeys);
+        }
+        const modelInput = document.getElementById('api-model');
+        if (modelInput) {
+            modelInput.value = apiModel || getSelectedProvider().defaultModel;
+        }
+
+        // Load profiles, then the resume of the profile being edited
+        await renderProfiles();
+        await loadResumeFields();
+
+    } catch (error) {
+        console.error('Error loading data:', error);
+        showToast('Error loading saved data', 'error');
+    }
+}
+
+// JSON Resume sections with no form (awards, volunteer...), carried over on save
+let jsonResumeExtras = null;
+
+/**
+ * Fill the resume tabs from the profile being edited (blank fields for a new profile)
+ */
+async function loadResumeFields() {
+    try {
+        const data = await window.ResumeManager.getResumeData({ profileId: editingProfileId })
+            || JSON.parse(JSON.stringify(window.ResumeManager.DEFAULT_RESUME_SCHEMA));
+
+        jsonResumeExtras = data.jsonResume || null;
+
+        // Personal info
+        if (data.personal) {
+            fillPersonalFields(data.personal);
+        }
+
+        // Summary
+        const summaryEl = document.querySelector('[data-field="summary"]');
+        if (summaryEl) summaryEl.value = data.summary || '';
+
+        // Skills
+        if (data.skills) {
+            setTagsInContainer('technical-skills-tags', data.skills.technical);
+            setTagsInContainer('soft-skills-tags', data.skills.soft);
+            setTagsInContainer('languages-tags', data.skills.languages);
+            setTagsInContainer('certifications-tags', data.skills.certifications);
         }
 
         // Experience
@@ -835,7 +2325,12 @@ async function loadAllData() {
         projectsData = data.projects || [];
         renderProjectsList();
 
+        // References
+        referencesData = data.references || [];
+        renderReferencesList();
+
         // Custom fields
+        document.querySelectorAll('#tab-custom input[type="radio"]').forEach(radio => { radio.checked = false; });
         if (data.customFields) {
             Object.entries(data.customFields).forEach(([key, value]) => {
                 const el = document.querySelector(`[data-field="customFields.${key}"]`);
@@ -854,8 +2349,8 @@ async function loadAllData() {
         // // console.log('Resume data loaded');
 
     } catch (error) {
-        console.error('Error loading data:', error);
-        showToast('Error loading saved data', 'error');
+        console.error('Error loading resume:', error);
+        showToast('Error loading saved resume', 'error');
     }
 }
 
@@ -869,10 +2364,26 @@ async function saveAllData() {
         const resumeData = {
             personal: {
                 firstName: document.getElementById('firstName')?.value.trim() || '',
+                middleName: document.getElementById('middleName')?.value.trim() || '',
                 lastName: document.getElementById('lastName')?.value.trim() || '',
+                preferredName: document.getElementById('preferredName')?.value.trim() || '',
+                pronouns: document.getElementById('pronouns')?.value.trim() || '',
                 email: document.getElementById('email')?.value.trim() || '',
-                phone: document.getElementById('phone')?.value.trim() || '',
-                location: document.getElementById('location')?.value.trim() || '',
+                // phone/location display strings are derived from these on save
+                phoneDetails: {
+                    countryCode: document.getElementById('phoneCountryCode')?.value.trim() || '',
+                    number: document.getElementById('phoneNumber')?.value.trim() || '',
+                    extension: document.getElementById('phoneExtension')?.value.trim() || ''
+                },
+                address: {
+                    line1: document.getElementById('addressLine1')?.value.trim() || '',
+                    line2: document.getElementById('addressLine2')?.value.trim() || '',
+                    city: document.getElementById('city')?.value.trim() || '',
+                    state: document.getElementById('state')?.value.trim() || '',
+                    postalCode: document.getElementById('postalCode')?.value.trim() || '',
+                    country: document.getElementById('country')?.value.trim() || '',
+                    timezone: document.getElementById('timezone')?.value.trim() || ''
+                },
                 linkedin: document.getElementById('linkedin')?.value.trim() || '',
                 github: document.getElementById('github')?.value.trim() || '',
                 portfolio: document.getElementById('portfolio')?.value.trim() || ''
@@ -887,6 +2398,7 @@ async function saveAllData() {
                 certifications: getTagsFromContainer('certifications-tags')
             },
             projects: projectsData,
+            references: referencesData,
             customFields: {
                 salaryExpectation: document.getElementById('salaryExpectation')?.value.trim() || '',
                 noticePeriod: document.getElementById('noticePeriod')?.value.trim() || '',
@@ -900,11 +2412,13 @@ async function saveAllData() {
                 gender: document.getElementById('gender')?.value || '',
                 ethnicity: document.getElementById('ethnicity')?.value || '',
                 referralSource: document.getElementById('referralSource')?.value.trim() || ''
-            }
+            },
+            ...(jsonResumeExtras ? { jsonResume: jsonResumeExtras } : {})
         };
 
-        // Save to storage
-        await window.ResumeManager.saveResumeData(resumeData);
+        // Save to storage (profile selected in the header)
+        await window.ResumeManager.saveResumeData(resumeData, { profileId: editingProfileId, source: pendingSaveSource || 'manual' });
+        pendingSaveSource = null;
 
         // Save API keys and model
         const apiModel = getModelValue();
@@ -978,6 +2492,7 @@ function initAIImport() {
     const fileInput = document.getElementById('ai-resume-file');
     const uploadZone = document.getElementById('resume-upload-zone');
     const selectedFileName = document.getElementById('selected-file-name');
+    const localOnlyCheckbox = document.getElementById('local-parse-only');
 
     let selectedFileBase64 = null;
 
@@ -999,10 +2514,10 @@ function initAIImport() {
         e.preventDefault();
         uploadZone.classList.remove('dragover');
         const file = e.dataTransfer.files[0];
-        if (file && file.type === 'application/pdf') {
+        if (file && (file.type === 'application/pdf' || window.LocalResumeParser?.supportsFile(file))) {
             handleFileSelection(file);
         } else {
-            setStatus(statusEl, 'Please upload a PDF file.', 'error');
+            setStatus(statusEl, 'Please upload a PDF, DOCX, TXT or Markdown file.', 'error');
         }
     });
 
@@ -1046,6 +2561,17 @@ function initAIImport() {
         selectedFileName.classList.remove('hidden');
         setPremiumStatus('', '');
 
+        // DOCX/TXT/Markdown: read on-device; only the extracted text goes to the AI (if allowed)
+        if (window.LocalResumeParser?.supportsFile(file)) {
+            await startLocalParsing({ name: file.name, type: file.type, buffer: await file.arrayBuffer() });
+            return;
+        }
+
+        if (localOnlyCheckbox.checked) {
+            setPremiumStatus('PDF files need AI parsing. Upload a DOCX, TXT or Markdown file to parse on this device.', 'error');
+            return;
+        }
+
         // Convert to Base64 and trigger parsing
         const reader = new FileReader();
         reader.onload = async () => {
@@ -1055,21 +2581,53 @@ function initAIImport() {
         reader.readAsDataURL(file);
     }
 
+    /**
+     * Offline path when the user opts out of AI or no provider is configured;
+     * otherwise the locally extracted text is structured by the AI.
+     */
+    async function startLocalParsing(file) {
+        const setup = await window.AIClient?.checkSetupStatus?.();
+        const useAI = !localOnlyCheckbox.checked && setup?.hasApiKey;
+
+        document.getElementById('processing-subtitle').textContent = useAI
+            ? 'Our AI is extracting your professional details'
+            : 'Reading your resume on this device';
+        startLoading();
+        try {
+            let result;
+            if (useAI) {
+                const text = await window.LocalResumeParser.extractText(file);
+                result = await window.ResumeManager.parseResumeText(text);
+            } else {
+                result = await window.ResumeManager.parseResumeLocally(file);
+            }
+            await applyParseResult(result, useAI ? window.ResumeManager.RevisionSource?.AI_IMPORT : window.ResumeManager.RevisionSource?.IMPORT);
+        } catch (error) {
+            setPremiumStatus(`Failed: ${error.message}`, 'error');
+            console.error('Local parsing error:', error);
+        }
+    }
+
+    async function applyParseResult(result, source) {
+        if (result && result.success) {
+            await distributeParsedData(result.data);
+            pendingSaveSource = source;
+            setPremiumStatus('Success! Profile updated.', 'success');
+            showToast('Resume parsed successfully! Please review and save.', 'success');
+            setTimeout(hideAIModal, 2000);
+        } else {
+            setPremiumStatus(result ? `Failed: ${result.error}` : 'Parsing failed.', 'error');
+        }
+    }
+
     async function startAutoParsing() {
         if (!selectedFileBase64) return;
 
+        document.getElementById('processing-subtitle').textContent = 'Our AI is extracting your professional details';
         startLoading();
         try {
             const result = await window.ResumeManager.parseResumeFile(selectedFileBase64);
-
-            if (result && result.success) {
-                await distributeParsedData(result.data);
-                setPremiumStatus('Success! Profile updated.', 'success');
-                showToast('Resume parsed successfully! Please review and save.', 'success');
-                setTimeout(hideAIModal, 2000);
-            } else {
-                setPremiumStatus(result ? `Failed: ${result.error}` : 'Parsing failed.', 'error');
-            }
+            await applyParseResult(result, window.ResumeManager.RevisionSource?.AI_IMPORT);
         } catch (error) {
             setPremiumStatus('An unexpected error occurred.', 'error');
             console.error('Auto-parsing error:', error);
@@ -1109,10 +2667,7 @@ async function distributeParsedData(data) {
 
     // Personal Info
     if (data.personal) {
-        Object.entries(data.personal).forEach(([key, value]) => {
-            const el = document.querySelector(`[data-field="personal.${key}"]`);
-            if (el && value) el.value = value;
-        });
+        fillPersonalFields(data.personal, { keepExisting: true });
     }
 
     // Summary
@@ -1173,6 +2728,17 @@ async function distributeParsedData(data) {
         renderProjectsList();
     }
 
+    // References (existing order kept: it decides which block each one fills)
+    if (data.references && data.references.length > 0) {
+        referencesData = [...referencesData, ...data.references];
+        referencesData = referencesData.reduce((acc, current) => {
+            const x = acc.find(item => item.name === current.name);
+            if (!x) return acc.concat([current]);
+            else return acc;
+        }, []);
+        renderReferencesList();
+    }
+
     // Custom Fields
     if (data.customFields) {
         Object.entries(data.customFields).forEach(([key, value]) => {
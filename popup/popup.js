@@ -41,6 +41,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     fillBtn.addEventListener('click', handleFillForm);
 
     undoBtn.addEventListener('click', handleUndo);
+    document.getElementById('mark-applied-btn').addEventListener('click', handleMarkApplied);
+    document.getElementById('add-reminder-btn').addEventListener('click', handleAddReminder);
     settingsBtn.addEventListener('click', openSettings);
     openSettingsBtn.addEventListener('click', openSettings);
 
@@ -77,6 +79,9 @@ async function checkSetup() {
         if (status.ready) {
             isReady = true;
             showMainSection();
+            renderProfilePicker();
+            renderUsageSummary();
+            renderReminders();
             await detectForms();
         } else {
             showSetupSection(status);
@@ -88,6 +93,66 @@ async function checkSetup() {
     }
 }
 
+/**
+ * Populate the resume profile picker. "Auto" resolves via domain rules for the
+ * current tab, then the default profile.
+ */
+async function renderProfilePicker() {
+    const row = document.getElementById('profile-row');
+    const select = document.getElementById('profile-select');
+    if (!row || !window.ResumeManager?.listProfiles) return;
+
+    try {
+        const { profiles: allProfiles, activeProfileId } = await window.ResumeManager.listProfiles();
+        const profiles = allProfiles.filter(p => !window.ResumeManager.isTailoredProfile(p));
+        if (profiles.length < 2) return;
+
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        let hostname = '';
+        try { hostname = tab?.url ? new URL(tab.url).hostname : ''; } catch (e) { }
+        const auto = await window.ResumeManager.resolveProfile({ hostname, profileId: null, tabId: tab?.id, posting: { url: tab?.url || '' } });
+
+        select.innerHTML = '';
+        const autoOption = new Option(activeProfileId ? 'Auto' : `Auto (${auto.name})`, '');
+        select.appendChild(autoOption);
+        profiles.forEach(p => select.appendChild(new Option(p.name, p.id)));
+        select.value = activeProfileId || '';
+        row.classList.remove('hidden');
+
+        select.onchange = async () => {
+            await window.ResumeManager.setActiveProfile(select.value || null);
+            const selected = select.value ? select.options[select.selectedIndex].text : 'automatic selection';
+            showToast(`Using ${selected} for the next fill`);
+        };
+    } catch (error) {
+        console.warn('Profile picker unavailable:', error);
+    }
+}
+
+/**
+ * Show today's AI token usage (and budget share, if a budget is set)
+ */
+async function renderUsageSummary() {
+    const el = document.getElementById('usage-summary');
+    if (!el || !window.AIClient?.getUsageSummary) return;
+
+    try {
+        const { today, budget } = await window.AIClient.getUsageSummary(1);
+        if (!today.calls && !budget.dailyTokens) return;
+
+        let text = `Today: ${today.totalTokens.toLocaleString()} tokens · ${today.calls} AI call${today.calls === 1 ? '' : 's'}`;
+        if (budget.dailyTokens) {
+            const percent = Math.round((today.totalTokens / budget.dailyTokens) * 100);
+            text += ` · ${percent}% of budget`;
+            el.classList.toggle('over-budget', percent >= 100);
+        }
+        el.textContent = text;
+        el.classList.remove('hidden');
+    } catch (error) {
+        console.warn('Usage summary unavailable:', error);
+    }
+}
+
 function updateChecklist(id, isComplete) {
     const item = document.getElementById(id);
     const icon = item.querySelector('.check-icon');
@@ -111,7 +176,7 @@ function showSetupSection(status) {
     if (!status.hasApiKey && !status.hasResume) {
         message.textContent = 'Configure your API key and resume to get started.';
     } else if (!status.hasApiKey) {
-        message.textContent = 'Add your Gemini API key to enable AI features.';
+        message.textContent = 'Add an AI provider API key to enable AI features.';
     } else {
         message.textContent = 'Add your resume data to auto-fill applications.';
     }
@@ -279,6 +344,148 @@ async function handleUndo() {
     }
 }
 
+/**
+ * The job posting in the active tab: title/company from the page when the
+ * content script answers, the tab title otherwise. Null for non-web tabs.
+ */
+async function getCurrentPosting() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.url || !/^https?:/.test(tab.url) || !window.ApplicationStore) return null;
+
+    let job = null;
+    try {
+        const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_JOB_CONTEXT' }, { frameId: 0 });
+        job = response?.job || null;
+    } catch (e) {
+        console.warn('Job context unavailable:', e.message);
+    }
+
+    return {
+        tabId: tab.id,
+        url: tab.url,
+        hostname: new URL(tab.url).hostname,
+        jobContext: job?.text || '',
+        title: job?.title || tab.title || '',
+        company: job?.company || '',
+        location: job?.locations.join('; ') || '',
+        requisitionId: job?.requisitionId || ''
+    };
+}
+
+/**
+ * Log the posting in the current tab as applied (for applications sent
+ * without a detected submit, e.g. by email or on another device)
+ */
+async function handleMarkApplied() {
+    const btn = document.getElementById('mark-applied-btn');
+    try {
+        btn.disabled = true;
+        const posting = await getCurrentPosting();
+        if (!posting) return;
+
+        const profile = await window.ResumeManager.resolveProfile({ hostname: posting.hostname, tabId: posting.tabId, posting });
+        const record = await window.ApplicationStore.recordApplication({
+            ...posting,
+            profileId: profile.profileId,
+            profileName: profile.name,
+            trigger: window.ApplicationStore.SubmissionTrigger.MANUAL
+        });
+
+        const what = [record?.title, record?.company].filter(Boolean).join(' at ') || posting.hostname;
+        showToast(`Logged: ${what}`);
+    } catch (error) {
+        console.error('Mark as applied failed:', error);
+        showToast('Could not log this application', 'warning');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+/**
+ * Schedule a follow-up for the posting in the current tab. The background
+ * worker shows the notification when the alarm fires.
+ */
+async function handleAddReminder() {
+    const btn = document.getElementById('add-reminder-btn');
+    const noteInput = document.getElementById('reminder-note');
+    try {
+        btn.disabled = true;
+        const posting = await getCurrentPosting();
+        if (!posting || !window.ReminderManager) return;
+
+        const previous = await window.ApplicationStore.findPreviousApplication(posting);
+        await window.ReminderManager.createReminder({
+            title: posting.title,
+            company: posting.company,
+            url: posting.url,
+            applicationId: previous?.kind === 'applied' ? previous.applicationId : null,
+            note: noteInput.value,
+            days: Number(document.getElementById('reminder-days').value)
+        });
+
+        noteInput.value = '';
+        showToast('Reminder set');
+        await renderReminders();
+    } catch (error) {
+        console.error('Reminder failed:', error);
+        showToast('Could not set the reminder', 'warning');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+/**
+ * List pending reminders with Snooze / Done actions
+ */
+async function renderReminders() {
+    const list = document.getElementById('reminder-list');
+    if (!list || !window.ReminderManager) return;
+
+    try {
+        const reminders = await window.ReminderManager.listReminders({ status: window.ReminderManager.ReminderStatus.PENDING });
+        list.innerHTML = '';
+
+        reminders.forEach(reminder => {
+            const item = document.createElement('li');
+            item.className = 'reminder-item';
+            if (new Date(reminder.dueAt) <= new Date()) item.classList.add('due');
+
+            const text = document.createElement('div');
+            text.className = 'reminder-text';
+            const title = document.createElement('span');
+            title.className = 'reminder-title';
+            title.textContent = [reminder.title, reminder.company].filter(Boolean).join(' at ') || reminder.url;
+            title.title = reminder.note;
+            const due = document.createElement('span');
+            due.className = 'reminder-due';
+            due.textContent = `${reminder.note} · ${new Date(reminder.dueAt).toLocaleDateString()}`;
+            text.append(title, due);
+
+            const snooze = document.createElement('button');
+            snooze.className = 'reminder-action';
+            snooze.textContent = 'Snooze';
+            snooze.title = 'Remind me again tomorrow';
+            snooze.addEventListener('click', async () => {
+                await window.ReminderManager.snoozeReminder(reminder.id, 1);
+                renderReminders();
+            });
+
+            const done = document.createElement('button');
+            done.className = 'reminder-action';
+            done.textContent = 'Done';
+            done.addEventListener('click', async () => {
+                await window.ReminderManager.completeReminder(reminder.id);
+                renderReminders();
+            });
+
+            item.append(text, snooze, done);
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.warn('Reminders unavailable:', error);
+    }
+}
+
 /**
  * Show error message
  */
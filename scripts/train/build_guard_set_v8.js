@@ -0,0 +1,94 @@
+/**
+ * Guard Set Builder for on-device fine-tuning (NeuralPersonalizer)
+ *
+ * Picks a few dataset samples per field type that the shipped model_v8.json
+ * classifies correctly and writes them to guard_set_v8.json:
+ * - rehearsal: mixed into every fine-tuning run so the output layer keeps
+ *   seeing the shipped classes, not only the user's corrections
+ * - guard:     held out; a fine-tuned delta is rejected when its accuracy
+ *   here drops more than NeuralPersonalizer.GUARD_TOLERANCE below the
+ *   shipped weights'
+ *
+ * Samples keep only raw attributes (label, name, ...); features are extracted
+ * in the extension so the file stays small and follows feature-extractor.js.
+ *
+ * Run again after retraining model_v8.json.
+ *
+ * Usage: node scripts/train/build_guard_set_v8.js [--per-class 4]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FieldTypes = require('../../autofill/domains/inference/FieldTypes.js');
+const NeuralClassifierV8 = require('../../autofill/domains/inference/neural-classifier-v8.js');
+const FeatureExtractor = require('../../autofill/domains/inference/feature-extractor.js');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+    modelPath: path.join(__dirname, '../../autofill/domains/inference/model_v8.json'),
+    outputPath: path.join(__dirname, '../../autofill/domains/inference/guard_set_v8.json'),
+    batchFolder: path.join(__dirname, 'train-dataset'),
+    // Correct samples kept per class, alternating between rehearsal and guard
+    perClass: process.argv.includes('--per-class') ? parseInt(process.argv[process.argv.indexOf('--per-class') + 1], 10) : 4
+};
+
+const RAW_ATTRIBUTES = ['label', 'name', 'automationId', 'placeholder', 'parentContext'];
+
+function loadDataset() {
+    return fs.readdirSync(CONFIG.batchFolder)
+        .filter(f => f.endsWith('.json'))
+        .sort()
+        .flatMap(f => JSON.parse(fs.readFileSync(path.join(CONFIG.batchFolder, f), 'utf8')));
+}
+
+function buildGuardSet() {
+    console.log('🛡️  Building guard set for on-device fine-tuning...');
+
+    const weights = JSON.parse(fs.readFileSync(CONFIG.modelPath, 'utf8'));
+    const classifier = new NeuralClassifierV8({ fieldTypes: FieldTypes });
+    classifier.loadWeights(weights);
+    const extractor = new FeatureExtractor();
+
+    const picked = {};
+    const seen = new Set();
+    for (const sample of loadDataset()) {
+        const label = sample.label;
+        if (!FieldTypes.isValidFieldType(label) || label === 'unknown') continue;
+        if ((picked[label] || []).length >= CONFIG.perClass) continue;
+
+        const attributes = {};
+        RAW_ATTRIBUTES.forEach(key => {
+            if (sample.features?.[key]) attributes[key] = sample.features[key];
+        });
+        const key = JSON.stringify(attributes);
+        if (seen.has(key)) continue;
+
+        if (classifier.predict(extractor.extract({ features: attributes })).label !== label) continue;
+        seen.add(key);
+        (picked[label] = picked[label] || []).push({ features: attributes, label });
+    }
+
+    const rehearsal = [];
+    const guard = [];
+    Object.values(picked).forEach(samples => samples.forEach((s, i) => (i % 2 === 0 ? rehearsal : guard).push(s)));
+
+    const missing = FieldTypes.ORDERED_CLASSES.filter(c => c !== 'unknown' && !picked[c]);
+    const output = {
+        version: 1,
+        modelVersion: weights.version,
+        builtAt: new Date().toISOString(),
+        rehearsal,
+        guard
+    };
+    fs.writeFileSync(CONFIG.outputPath, JSON.stringify(output));
+
+    console.log(`✅ ${Object.keys(picked).length} classes: ${rehearsal.length} rehearsal, ${guard.length} guard samples`);
+    if (missing.length > 0) console.log(`⚠️  No correctly classified sample for: ${missing.join(', ')}`);
+    console.log(`💾 Saved to ${CONFIG.outputPath}`);
+}
+
+buildGuardSet();
@@ -1,13 +1,96 @@
+/**
+ * Evaluation + Confidence Calibration for HybridClassifier V8
+ *
+ * 1. Runs the hybrid classifier over the dataset (accuracy, arbitration breakdown)
+ * 2. Fits ConfidenceCalibrator on 4/5 of the samples, re-derives the arbitration and
+ *    FillabilityPolicy thresholds on the calibrated scale (each tier keeps the number
+ *    of fields it covered on raw confidences) and writes both to calibration_v8.json
+ *    next to model_v8.json
+ * 3. Prints, for the held-out 1/5, accuracy and reliability diagrams before and after
+ *    calibration, and each policy tier's precision and coverage with the raw thresholds
+ *    on raw confidences vs the derived thresholds on calibrated ones
+ * 4. Checks the extension's setup, where no extractor is injected and HybridClassifier
+ *    falls back to FeatureExtractorV3, against the empty features the neural model
+ *    got before that fallback
+ *
+ * The report has no timestamp, so re-running on the same data and model leaves
+ * calibration_report.txt and calibration_v8.json unchanged.
+ *
+ * Usage: node scripts/train/evaluate_hybrid_v8.js [--heuristic-method temperature|isotonic] [--neural-method temperature|isotonic]
+ */
+
+// Content scripts share one global scope: feature-extractor.js registers FeatureExtractorV3 on it
+global.window = global;
+
 const HybridClassifier = require('../../autofill/domains/inference/HybridClassifier.js');
 const NeuralClassifierV8 = require('../../autofill/domains/inference/neural-classifier-v8.js');
 const HeuristicEngine = require('../../autofill/domains/inference/HeuristicEngine.js');
 const FeatureExtractor = require('../../autofill/domains/inference/feature-extractor.js');
 const FieldTypes = require('../../autofill/domains/inference/FieldTypes.js');
+const ConfidenceCalibrator = require('../../autofill/domains/inference/ConfidenceCalibrator.js');
+const FillabilityPolicy = require('../../autofill/core/FillabilityPolicy.js');
+require('../../autofill/core/FieldCandidates.js');
 const fs = require('fs');
 const path = require('path');
 
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+    modelPath: path.join(__dirname, '../../autofill/domains/inference/model_v8.json'),
+    calibrationPath: path.join(__dirname, '../../autofill/domains/inference/calibration_v8.json'),
+    reportPath: path.join(__dirname, 'calibration_report.txt'),
+    // Augmented dataset (augment_dataset.js) when present, the raw batch files otherwise
+    datasetPath: path.join(__dirname, 'train-dataset-augmented.json'),
+    batchFolder: path.join(__dirname, 'train-dataset'),
+    // Every Nth sample is held out of fitting and used for the reliability report
+    holdoutEvery: 5,
+    categories: ['general', 'contact', 'job', 'education', 'reference'],
+    heuristicMethod: process.argv.includes('--heuristic-method') ? process.argv[process.argv.indexOf('--heuristic-method') + 1] : 'temperature',
+    neuralMethod: process.argv.includes('--neural-method') ? process.argv[process.argv.indexOf('--neural-method') + 1] : 'temperature'
+};
+
+function loadDataset() {
+    if (fs.existsSync(CONFIG.datasetPath)) {
+        return JSON.parse(fs.readFileSync(CONFIG.datasetPath, 'utf8'));
+    }
+    return fs.readdirSync(CONFIG.batchFolder)
+        .filter(f => f.endsWith('.json'))
+        .sort()
+        .flatMap(f => JSON.parse(fs.readFileSync(path.join(CONFIG.batchFolder, f), 'utf8')));
+}
+
+// HybridClassifier expects { name, id, placeholder, label, etc. }
+// The dataset has these keys directly in sample.features
+function toField(rawAttributes) {
+    return {
+        name: rawAttributes.name || '',
+        id: rawAttributes.automationId || '', // automationId often maps to ID
+        label: rawAttributes.label || '',
+        placeholder: rawAttributes.placeholder || '',
+        type: 'text', // Defaulting to text input
+        parentContext: rawAttributes.parentContext || '',
+        siblingContext: rawAttributes.siblingContext || ''
+    };
+}
+
+// The scanner's view: the FieldCandidates winner FillabilityPolicy scores, on raw or calibrated confidences
+function policyCandidate({ heuristic, neural }, calibrated) {
+    const score = (h) => (calibrated ? h.calibratedConfidence ?? h.confidence : h.confidence);
+    const candidates = new FieldCandidates();
+    candidates.addCandidate(heuristic.label, score(heuristic), heuristic.source);
+    if (!String(heuristic.label).startsWith('reference_')) candidates.addCandidate(neural.label, score(neural), neural.source);
+    const top = candidates.getBestCandidate(0);
+    return candidates.getBestCandidate(['work_auth', 'sponsorship'].includes(top.label) ? 0.02 : 0.15);
+}
+
+// Scores the policy sees (0 when the candidates leave the field unknown)
+const policyScore = (best) => (best.label === 'unknown' ? 0 : best.score);
+const round4 = (n) => Math.round(n * 1e4) / 1e4;
+
 async function evaluateHybrid() {
-    // console.log('🚀 Starting HybridClassifier V8 Evaluation...');
+    console.log('🚀 Starting HybridClassifier V8 Evaluation...');
 
     // 1. Initialize Components
     const featureExtractor = new FeatureExtractor();
@@ -17,114 +100,180 @@ async function evaluateHybrid() {
     });
 
     // Load trained model
-    const modelPath = path.join(__dirname, '../../autofill/domains/inference/model_v8.json');
-    if (fs.existsSync(modelPath)) {
-        // console.log('📦 Loading V8 Model...');
-        const modelData = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
-        await neuralClassifier.loadWeights(modelData);
-    } else {
-        console.error('❌ Model V8 not found at:', modelPath);
+    if (!fs.existsSync(CONFIG.modelPath)) {
+        console.error('❌ Model V8 not found at:', CONFIG.modelPath);
         process.exit(1);
     }
+    await neuralClassifier.loadWeights(JSON.parse(fs.readFileSync(CONFIG.modelPath, 'utf8')));
 
-    // 2. Initialize Hybrid with V8
+    // 2. Initialize Hybrid with V8 (uncalibrated: raw confidences)
     const hybrid = new HybridClassifier({
         heuristicEngine,
         neuralClassifier,
         featureExtractor,
+        calibrator: new ConfidenceCalibrator(),
         debug: false
     });
 
-    // 3. Load Dataset (Use Augmented Dataset for Raw Attributes)
-    const datasetPath = path.join(__dirname, 'train-dataset-augmented.json');
-    // console.log('📂 Loading Dataset:', datasetPath);
-    const data = JSON.parse(fs.readFileSync(datasetPath, 'utf8'));
+    const data = loadDataset();
+    console.log(`⚡ Processing ${data.length} samples...`);
 
-    // 4. Run Inference
+    // 3. Run Inference, collecting fitting samples from the training split
     let correct = 0;
     let total = 0;
-    let sourceStats = {
-        ensemble_unanimous: 0,
-        ensemble_heuristic_strong: 0,
-        ensemble_neural_strong: 0,
-        ensemble_heuristic_weighted: 0,
-        ensemble_neural_weighted: 0,
-        ensemble_heuristic_fallback: 0,
-        ensemble_neural_fallback: 0,
-        ensemble_ambiguous: 0,
-        heuristic_only: 0,
-        neural_only: 0,
-        both_failed: 0
-    };
-
-    // console.log(`⚡ Processing ${data.length} samples...`);
-
-    // Using a subset for speed if needed, but full run is better
-    const samples = data;
+    const sourceStats = {};
+    const fitting = { heuristic: [], neural: [], unanimous: [] };
+    const fittingHypotheses = [];
+    const holdout = [];
     const startTime = Date.now();
 
-    for (const sample of samples) {
-        // Construct Field Object from dataset "features" (which are actually attributes in this file)
-        const rawAttributes = sample.features;
-
-        // HybridClassifier expects { name, id, placeholder, label, etc. }
-        // The dataset has these keys directly in rawAttributes
-        const field = {
-            name: rawAttributes.name || '',
-            id: rawAttributes.automationId || '', // automationId often maps to ID
-            label: rawAttributes.label || '',
-            placeholder: rawAttributes.placeholder || '',
-            type: 'text', // Defaulting to text input
-            parentContext: rawAttributes.parentContext || '',
-            siblingContext: rawAttributes.siblingContext || ''
-        };
-
-        const result = await hybrid.classify(field);
-
-        // Ground Truth
+    for (const [index, sample] of data.entries()) {
+        const field = toField(sample.features);
         const groundTruth = sample.label;
 
-        // Check Correctness
-        // Hybrid V8 might return 'unknown' or a class. match is exact string match.
-        if (result.label === groundTruth) {
-            correct++;
-        }
+        const hypotheses = await hybrid.getHypotheses(field);
+        const result = hybrid._arbitrate(hypotheses.heuristic, hypotheses.neural);
 
-        // Stats
         total++;
+        if (result.label === groundTruth) correct++;
         if (result.agreementType) {
             sourceStats[result.agreementType] = (sourceStats[result.agreementType] || 0) + 1;
         }
 
-        // Only log Both Failed if the ground truth was ACTUALLY a specific class we missed
-        if (result.agreementType === 'both_failed' && groundTruth !== 'unknown' && sourceStats.both_failed_meaningful <= 20) {
-            sourceStats.both_failed_meaningful = (sourceStats.both_failed_meaningful || 0) + 1;
-            // console.log(`\n❌ BOTH FAIL #${sourceStats.both_failed_meaningful} (Truth: ${groundTruth}):`);
-            // console.log(`   Attributes: name="${field.name}", id="${field.id}", label="${field.label}", placeholder="${field.placeholder}"`);
-            // Re-run for debug
-            const features = await hybrid._extractFeatures(field);
-            const neuralRaw = await neuralClassifier.predict(features);
-            const heuristicRaw = await heuristicEngine.classify(field);
-
-            // console.log(`   Neural: ${JSON.stringify(neuralRaw)}`);
-            // console.log(`   Heuristic: ${JSON.stringify(heuristicRaw)}`);
+        if (index % CONFIG.holdoutEvery === 0) {
+            holdout.push({ field, groundTruth, raw: { result, hypotheses } });
+        } else {
+            const { heuristic, neural } = hypotheses;
+            fittingHypotheses.push(hypotheses);
+            [['heuristic', heuristic], ['neural', neural]].forEach(([stage, h]) => {
+                if (h.label === 'unknown') return;
+                fitting[stage].push({ confidence: h.confidence, correct: h.label === groundTruth, category: hybrid._getGroupType(h.label) });
+            });
+            if (result.agreementType === 'unanimous') {
+                fitting.unanimous.push({ confidence: result.confidence, correct: result.label === groundTruth, category: hybrid._getGroupType(result.label) });
+            }
         }
 
         if (total % 1000 === 0) {
-            process.stdout.write(`\rProgress: ${total}/${samples.length} | Acc: ${((correct / total) * 100).toFixed(2)}%`);
+            process.stdout.write(`\rProgress: ${total}/${data.length} | Acc: ${((correct / total) * 100).toFixed(2)}%`);
         }
     }
 
     const duration = (Date.now() - startTime) / 1000;
-    // console.log(`\n\n✅ Evaluation Complete in ${duration.toFixed(2)}s`);
-    // console.log(`--------------------------------------------------`);
-    // console.log(`Total Samples: ${total}`);
-    // console.log(`Accuracy:      ${((correct / total) * 100).toFixed(2)}% (${correct}/${total})`);
-    // console.log(`--------------------------------------------------`);
-    // console.log(`Source Breakdown:`);
+    console.log(`\n\n✅ Evaluation Complete in ${duration.toFixed(2)}s`);
+    console.log(`--------------------------------------------------`);
+    console.log(`Total Samples: ${total}`);
+    console.log(`Accuracy:      ${((correct / total) * 100).toFixed(2)}% (${correct}/${total})`);
+    console.log(`--------------------------------------------------`);
+    console.log(`Source Breakdown:`);
     Object.entries(sourceStats).forEach(([key, val]) => {
-        if (val > 0) // console.log(`  ${key.padEnd(30)}: ${val} (${((val / total) * 100).toFixed(1)}%)`);
+        console.log(`  ${key.padEnd(30)}: ${val} (${((val / total) * 100).toFixed(1)}%)`);
+    });
+
+    // 4. Fit the calibration
+    const calibration = ConfidenceCalibrator.fit(fitting, { heuristicMethod: CONFIG.heuristicMethod, neuralMethod: CONFIG.neuralMethod });
+    const curves = new ConfidenceCalibrator(calibration);
+    const calibrate = (stage, confidence, category) => round4(curves.calibrate(stage, confidence, category));
+
+    // 5. Thresholds on the calibrated scale
+    // Arbitration: each raw cut mapped through its stage's curve for the category
+    const arbitration = Object.fromEntries(CONFIG.categories.map(category => {
+        const raw = hybrid._getDynamicThresholds(category);
+        return [category, {
+            heuristicThreshold: calibrate('heuristic', raw.heuristicThreshold, category),
+            neuralThreshold: calibrate('neural', raw.neuralThreshold, category),
+            heuristicWeakThreshold: calibrate('heuristic', raw.heuristicWeakThreshold, category)
+        }];
+    }));
+    // Policy: each tier covers as many fitting-split fields as its raw threshold did
+    const scored = new HybridClassifier({ calibrator: curves });
+    const withCalibration = ({ heuristic, neural }) => ({
+        heuristic: { ...heuristic, calibratedConfidence: scored._calibrate('heuristic', heuristic.confidence, heuristic.label) },
+        neural: { ...neural, calibratedConfidence: scored._calibrate('neural', neural.confidence, neural.label) }
+    });
+    const coverage = fittingHypotheses.map(withCalibration).map(h => ({
+        raw: policyScore(policyCandidate(h, false)),
+        calibrated: policyScore(policyCandidate(h, true))
+    }));
+    const policy = Object.fromEntries(Object.entries(FillabilityPolicy.RAW_THRESHOLDS)
+        .map(([tier, threshold]) => [tier, ConfidenceCalibrator.matchCoverage(coverage, threshold)]));
+    calibration.thresholds = { arbitration, policy };
+
+    const calibrator = new ConfidenceCalibrator(calibration);
+    const calibrated = new HybridClassifier({ heuristicEngine, neuralClassifier, featureExtractor, calibrator, debug: false });
+    // The extension injects no extractor; before the FeatureExtractorV3 fallback that meant no features
+    const extension = new HybridClassifier({ heuristicEngine, neuralClassifier, calibrator, debug: false });
+    const featureless = new HybridClassifier({ heuristicEngine, neuralClassifier, featureExtractor: { extract: () => [] }, calibrator, debug: false });
+
+    // 6. Held-out split, before (raw arbitration and policy) and after calibration
+    const pairs = { before: { hybrid: [], policy: [] }, after: { hybrid: [], policy: [] } };
+    const setups = { extension: [], featureless: [] };
+    for (const { field, groundTruth, raw } of holdout) {
+        for (const [name, classifier] of [['extension', extension], ['featureless', featureless]]) {
+            const setupResult = await classifier.classify(field);
+            setups[name].push({ label: setupResult.label, correct: setupResult.label === groundTruth });
+        }
+
+        const hypotheses = await calibrated.getHypotheses(field);
+        const result = calibrated._arbitrate(hypotheses.heuristic, hypotheses.neural);
+
+        pairs.before.hybrid.push({ label: raw.result.label, confidence: raw.result.confidence, correct: raw.result.label === groundTruth });
+        pairs.after.hybrid.push({ label: result.label, confidence: result.calibratedConfidence, correct: result.label === groundTruth });
+        [['before', raw.hypotheses, false], ['after', hypotheses, true]].forEach(([when, h, useCalibrated]) => {
+            const best = policyCandidate(h, useCalibrated);
+            if (best.label !== 'unknown') pairs[when].policy.push({ confidence: best.score, correct: best.label === groundTruth });
+        });
+    }
+
+    const known = (list) => list.filter(p => p.label !== 'unknown');
+    const tierLines = (list, thresholds) => ['autoFill', 'suggest', 'ask'].map(name => {
+        const t = thresholds[name];
+        const above = list.filter(p => p.confidence >= t);
+        const precision = above.length ? above.filter(p => p.correct).length / above.length : 0;
+        return `  ${name.padEnd(8)} ≥ ${(t * 100).toFixed(1).padStart(4)}%: precision ${(precision * 100).toFixed(1)}% over ${above.length} fields`;
     });
+
+    calibration.reliability = {
+        holdout: holdout.length,
+        before: ConfidenceCalibrator.reliability(known(pairs.before.hybrid)),
+        after: ConfidenceCalibrator.reliability(known(pairs.after.hybrid))
+    };
+
+    const accuracy = (list) => `${((list.filter(p => p.correct).length / holdout.length) * 100).toFixed(2)}%`;
+    const pct = (n) => `${(n * 100).toFixed(1)}%`;
+    const report = [
+        `Calibration (heuristic: ${CONFIG.heuristicMethod}, neural: ${CONFIG.neuralMethod})`,
+        `Fitting samples: heuristic ${fitting.heuristic.length}, neural ${fitting.neural.length}, unanimous ${fitting.unanimous.length}; held out ${holdout.length}`,
+        `Held-out accuracy: ${accuracy(pairs.before.hybrid)} arbitrating raw confidences, ${accuracy(pairs.after.hybrid)} arbitrating calibrated ones`,
+        '',
+        'Arbitration thresholds on the calibrated scale (heuristic strong / neural strong / heuristic weak):',
+        ...CONFIG.categories.map(category => {
+            const raw = hybrid._getDynamicThresholds(category);
+            const t = arbitration[category];
+            return `  ${category.padEnd(10)} ${pct(raw.heuristicThreshold)} → ${pct(t.heuristicThreshold)}  ${pct(raw.neuralThreshold)} → ${pct(t.neuralThreshold)}  ${pct(raw.heuristicWeakThreshold)} → ${pct(t.heuristicWeakThreshold)}`;
+        }),
+        '',
+        ConfidenceCalibrator.formatReliability('Hybrid result, BEFORE', calibration.reliability.before),
+        '',
+        ConfidenceCalibrator.formatReliability('Hybrid result, AFTER', calibration.reliability.after),
+        '',
+        ConfidenceCalibrator.formatReliability('FillabilityPolicy input, raw', ConfidenceCalibrator.reliability(pairs.before.policy)),
+        'Policy tiers, raw thresholds on raw confidences (no calibration loaded):',
+        ...tierLines(pairs.before.policy, FillabilityPolicy.RAW_THRESHOLDS),
+        '',
+        ConfidenceCalibrator.formatReliability('FillabilityPolicy input, calibrated', ConfidenceCalibrator.reliability(pairs.after.policy)),
+        `Policy tiers, derived thresholds on calibrated confidences (as shipped; soft veto below ${pct(policy.softVeto)}):`,
+        ...tierLines(pairs.after.policy, policy),
+        '',
+        'Extension setup (no extractor injected), held-out accuracy:',
+        `  FeatureExtractorV3 fallback: ${accuracy(setups.extension)}`,
+        `  empty features (no fallback): ${accuracy(setups.featureless)}`
+    ].join('\n');
+
+    fs.writeFileSync(CONFIG.calibrationPath, JSON.stringify(calibration, null, 2));
+    fs.writeFileSync(CONFIG.reportPath, report + '\n');
+    console.log(`\n${report}`);
+    console.log(`\n💾 Calibration saved to ${CONFIG.calibrationPath}`);
 }
 
 evaluateHybrid();
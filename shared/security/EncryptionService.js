@@ -27,6 +27,7 @@ const AAD = {
     entity: (store) => `nova:vault:identity:${store}:v1`,
     cache: (name) => `nova:vault:memory:${name}:v1`,
     aiKey: () => `nova:vault:ai:keys:v1`,
+    document: (id) => `nova:document:${id}:v1`,
     internal: () => `nova:vault:system:test:v1`,
 
     // Legacy Support (pre-v4)
@@ -292,7 +293,13 @@ class EncryptionService {
     }
 
     _bufToBase64(buf) {
-        return btoa(String.fromCharCode(...new Uint8Array(buf)));
+        // Chunked: spreading a multi-MB buffer into fromCharCode overflows the call stack
+        const bytes = new Uint8Array(buf);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
     }
 
     _base64ToBuf(str) {
@@ -1,9 +1,13 @@
 /**
  * AI Client for Nova Apply Extension
  *
- * Unified AI client using Google Gemini API with:
+ * Unified AI client with pluggable providers (Gemini, OpenAI-compatible, Ollama, Anthropic):
+ * - Provider registry: each adapter maps prompt, systemInstruction, jsonMode and fileData
  * - Enterprise-Grade Key Rotation: Round-Robin across up to 5 API keys
  * - Cooldown management and predictive aborts
+ * - Streaming variant (streamAI) with incremental onChunk callbacks and AbortSignal cancellation
+ * - Usage ledger (ai_usage_ledger): tokens per day/key/model/subsystem, with daily budgets
+ * - Response cache (ai_response_cache): TTL'd results keyed by caller-built signatures
  * - Error taxonomy (RATE_LIMIT_TEMP, QUOTA_EXHAUSTED, INVALID_KEY, etc.)
  * - Rich state storage (ai_key_state) for status, retryAfterTs, lastError per key (hashed)
  */
@@ -11,8 +15,22 @@
 // Gemini API Configuration
 const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
 const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash';
+// Older or problematic models; a stored one is force-upgraded to DEFAULT_GEMINI_MODEL
+const LEGACY_GEMINI_MODELS = ['gemini-2.5-flash-lite', 'gemini-2.0-flash', 'gemini-2.5-flash-exp'];
+// Cheaper model for budget downgrades: the alias tracking the current Flash-Lite release
+const GEMINI_BUDGET_MODEL = 'gemini-flash-lite-latest';
+const OPENAI_API_BASE = 'https://api.openai.com/v1';
+const OLLAMA_API_BASE = 'http://localhost:11434';
+const ANTHROPIC_API_BASE = 'https://api.anthropic.com/v1';
+const ANTHROPIC_API_VERSION = '2023-06-01';
+const DEFAULT_PROVIDER = 'gemini';
 const MAX_API_KEYS = 5;
 const KEY_COOLDOWN_MS = 60 * 1000; // 1 min default for rate limit
+const USAGE_RETENTION_DAYS = 30;
+const USAGE_RECENT_LIMIT = 200;
+const BUDGET_DOWNGRADE_MAX_TOKENS = 1024;
+const RESPONSE_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const RESPONSE_CACHE_MAX_ENTRIES = 200;
 
 // Storage keys
 const STORAGE_KEYS = {
@@ -21,7 +39,28 @@ const STORAGE_KEYS = {
     MODEL: 'gemini_model',
     PROVIDER: 'ai_provider',
     AI_KEY_STATE: 'ai_key_state',
-    LAST_USED_INDEX: 'ai_last_used_index'
+    LAST_USED_INDEX: 'ai_last_used_index',
+    USAGE_LEDGER: 'usage_ledger',
+    BUDGET: 'ai_budget',
+    RESPONSE_CACHE: 'response_cache'
+};
+
+/**
+ * Calling subsystems recorded in the usage ledger (options.subsystem)
+ * @readonly
+ */
+const AISubsystem = {
+    BATCH_FILL: 'batch_fill',
+    COPILOT: 'copilot',
+    RESUME_PARSE: 'resume_parse',
+    REGENERATION: 'regeneration',
+    CHAT: 'chat',
+    FORM_ANALYSIS: 'form_analysis',
+    VALIDATION: 'validation',
+    JOB_FIT: 'job_fit',
+    RESUME_TAILOR: 'resume_tailor',
+    COVER_LETTER: 'cover_letter',
+    OTHER: 'other'
 };
 
 /**
@@ -36,6 +75,9 @@ const AIErrorCode = {
     MODEL_NOT_FOUND: 'MODEL_NOT_FOUND',
     SAFETY_BLOCK: 'SAFETY_BLOCK',
     NETWORK_ERROR: 'NETWORK_ERROR',
+    UNSUPPORTED_INPUT: 'UNSUPPORTED_INPUT',
+    CANCELLED: 'CANCELLED',
+    BUDGET_EXCEEDED: 'BUDGET_EXCEEDED',
     UNKNOWN: 'UNKNOWN'
 };
 
@@ -101,6 +143,7 @@ function classifyError(status, message) {
         const retrySec = msg.includes('minute') ? 60 : (msg.includes('hour') ? 3600 : 60);
         return { code: msg.includes('quota') ? AIErrorCode.QUOTA_EXHAUSTED : AIErrorCode.RATE_LIMIT_TEMP, retryAfterSeconds: retrySec };
     }
+    if (status === 401) return { code: AIErrorCode.INVALID_KEY };
     if (status === 403) {
         if (msg.includes('api key') || msg.includes('invalid') || msg.includes('revoked')) return { code: AIErrorCode.INVALID_KEY };
         return { code: AIErrorCode.UNAUTHORIZED };
@@ -109,22 +152,380 @@ function classifyError(status, message) {
         if (msg.includes('api key')) return { code: AIErrorCode.INVALID_KEY };
         if (msg.includes('not found') || msg.includes('model')) return { code: AIErrorCode.MODEL_NOT_FOUND };
     }
-    if (status === 503 || status === 502) return { code: AIErrorCode.RATE_LIMIT_TEMP, retryAfterSeconds: 30 };
+    if (status === 404 && msg.includes('model')) return { code: AIErrorCode.MODEL_NOT_FOUND };
+    if (status === 503 || status === 502 || status === 529) return { code: AIErrorCode.RATE_LIMIT_TEMP, retryAfterSeconds: 30 };
     if (msg.includes('safety') || msg.includes('blocked')) return { code: AIErrorCode.SAFETY_BLOCK };
     if (msg.includes('network') || msg.includes('fetch')) return { code: AIErrorCode.NETWORK_ERROR };
     return { code: AIErrorCode.UNKNOWN };
 }
 
+// ==========================================
+// PROVIDER ADAPTERS
+// ==========================================
+
+/**
+ * Split fileData into a data URL (used by OpenAI-compatible and Anthropic payloads)
+ * @param {{ mimeType: string, data: string }} fileData
+ * @returns {string}
+ */
+function toDataUrl(fileData) {
+    return `data:${fileData.mimeType};base64,${fileData.data}`;
+}
+
+/**
+ * Instruction appended for providers without a native JSON response mode
+ * @type {string}
+ */
+const JSON_ONLY_INSTRUCTION = 'Respond with valid JSON only. Do not wrap it in markdown or add commentary.';
+
+/**
+ * Provider registry. Each adapter translates the provider-neutral call
+ * (prompt, systemInstruction, maxTokens, temperature, jsonMode, fileData)
+ * into its wire format and extracts { text, finishReason, blocked } back.
+ *
+ * Adapter shape:
+ * - id, label, defaultModel, defaultBaseUrl, requiresKey
+ * - supportsFile(mimeType) -> boolean
+ * - buildRequest(input, modelName) -> request body
+ * - buildUrl(baseUrl, modelName, apiKey) -> string
+ * - buildHeaders(apiKey) -> Object
+ * - parseResponse(data) -> { text, finishReason, blocked }
+ * - parseUsage(data) -> { promptTokens, responseTokens } | null
+ * - parseError(errorData) -> string|null
+ * - budgetModel: cheaper model used when a budget downgrades calls
+ *
+ * Streaming (streamAI):
+ * - streamFormat: 'sse' | 'ndjson'
+ * - buildStreamUrl(baseUrl, modelName, apiKey) -> string
+ * - buildStreamRequest(requestBody) -> request body with streaming enabled
+ * - parseStreamEvent(event) -> { delta, finishReason, blocked, error, usage }
+ */
+const AI_PROVIDERS = {};
+
+/**
+ * Register (or replace) a provider adapter
+ * @param {Object} adapter
+ */
+function registerAIProvider(adapter) {
+    if (!adapter?.id) throw new Error('[AIClient] Provider adapter requires an id');
+    AI_PROVIDERS[adapter.id] = adapter;
+}
+
+/**
+ * Resolve a provider adapter by id (falls back to Gemini)
+ * @param {string} providerId
+ * @returns {Object}
+ */
+function getProviderAdapter(providerId) {
+    return AI_PROVIDERS[providerId] || AI_PROVIDERS[DEFAULT_PROVIDER];
+}
+
+registerAIProvider({
+    id: 'gemini',
+    label: 'Google Gemini',
+    defaultModel: DEFAULT_GEMINI_MODEL,
+    defaultBaseUrl: GEMINI_API_BASE,
+    requiresKey: true,
+    supportsFile: () => true,
+    buildRequest({ prompt, systemInstruction, maxTokens, temperature, jsonMode, fileData }) {
+        const parts = [{ text: prompt }];
+        if (fileData) {
+            parts.push({
+                inlineData: { mimeType: fileData.mimeType, data: fileData.data }
+            });
+        }
+
+        const requestBody = {
+            contents: [{ parts }],
+            generationConfig: { maxOutputTokens: maxTokens, temperature }
+        };
+        if (systemInstruction) {
+            requestBody.systemInstruction = { parts: [{ text: systemInstruction }] };
+        }
+        if (jsonMode) {
+            requestBody.generationConfig.responseMimeType = 'application/json';
+        }
+        return requestBody;
+    },
+    buildUrl: (baseUrl, modelName, apiKey) => `${baseUrl}/models/${modelName}:generateContent?key=${apiKey}`,
+    buildHeaders: () => ({ 'Content-Type': 'application/json' }),
+    parseResponse(data) {
+        const candidate = data?.candidates?.[0];
+        return {
+            text: candidate?.content?.parts?.[0]?.text,
+            finishReason: candidate?.finishReason,
+            blocked: candidate?.finishReason === 'SAFETY'
+        };
+    },
+    parseUsage: (data) => (data?.usageMetadata ? {
+        promptTokens: data.usageMetadata.promptTokenCount || 0,
+        responseTokens: (data.usageMetadata.candidatesTokenCount || 0) + (data.usageMetadata.thoughtsTokenCount || 0)
+    } : null),
+    parseError: (errorData) => errorData?.error?.message || null,
+    budgetModel: GEMINI_BUDGET_MODEL,
+    streamFormat: 'sse',
+    buildStreamUrl: (baseUrl, modelName, apiKey) => `${baseUrl}/models/${modelName}:streamGenerateContent?alt=sse&key=${apiKey}`,
+    buildStreamRequest: (requestBody) => requestBody,
+    parseStreamEvent(event) {
+        const candidate = event?.candidates?.[0];
+        return {
+            delta: (candidate?.content?.parts || []).map(part => part.text || '').join(''),
+            finishReason: candidate?.finishReason,
+            blocked: candidate?.finishReason === 'SAFETY',
+            error: event?.error?.message,
+            usage: this.parseUsage(event)
+        };
+    }
+});
+
+registerAIProvider({
+    id: 'openai',
+    label: 'OpenAI-compatible (OpenAI, llama.cpp, vLLM, LM Studio)',
+    defaultModel: 'gpt-4o-mini',
+    defaultBaseUrl: OPENAI_API_BASE,
+    requiresKey: false, // Self-hosted servers (llama.cpp, vLLM) usually run without auth
+    supportsFile: () => true,
+    buildRequest({ prompt, systemInstruction, maxTokens, temperature, jsonMode, fileData }, modelName) {
+        const messages = [];
+        if (systemInstruction) messages.push({ role: 'system', content: systemInstruction });
+
+        if (fileData) {
+            const filePart = fileData.mimeType.startsWith('image/')
+                ? { type: 'image_url', image_url: { url: toDataUrl(fileData) } }
+                : { type: 'file', file: { filename: 'attachment', file_data: toDataUrl(fileData) } };
+            messages.push({ role: 'user', content: [{ type: 'text', text: prompt }, filePart] });
+        } else {
+            messages.push({ role: 'user', content: prompt });
+        }
+
+        const requestBody = { model: modelName, messages, max_tokens: maxTokens, temperature };
+        if (jsonMode) requestBody.response_format = { type: 'json_object' };
+        return requestBody;
+    },
+    buildUrl: (baseUrl) => `${baseUrl}/chat/completions`,
+    buildHeaders(apiKey) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+        return headers;
+    },
+    parseResponse(data) {
+        const choice = data?.choices?.[0];
+        return {
+            text: choice?.message?.content,
+            finishReason: choice?.finish_reason,
+            blocked: choice?.finish_reason === 'content_filter'
+        };
+    },
+    parseUsage: (data) => (data?.usage ? {
+        promptTokens: data.usage.prompt_tokens || 0,
+        responseTokens: data.usage.completion_tokens || 0
+    } : null),
+    parseError: (errorData) => errorData?.error?.message || (typeof errorData?.error === 'string' ? errorData.error : null),
+    budgetModel: 'gpt-4o-mini',
+    streamFormat: 'sse',
+    buildStreamUrl: (baseUrl) => `${baseUrl}/chat/completions`,
+    buildStreamRequest: (requestBody) => ({ ...requestBody, stream: true, stream_options: { include_usage: true } }),
+    parseStreamEvent(event) {
+        const choice = event?.choices?.[0];
+        return {
+            delta: choice?.delta?.content || '',
+            finishReason: choice?.finish_reason,
+            blocked: choice?.finish_reason === 'content_filter',
+            error: event?.error?.message,
+            usage: this.parseUsage(event)
+        };
+    }
+});
+
+registerAIProvider({
+    id: 'ollama',
+    label: 'Ollama (local)',
+    defaultModel: 'llama3.1',
+    defaultBaseUrl: OLLAMA_API_BASE,
+    requiresKey: false,
+    supportsFile: (mimeType) => (mimeType || '').startsWith('image/'),
+    buildRequest({ prompt, systemInstruction, maxTokens, temperature, jsonMode, fileData }, modelName) {
+        const messages = [];
+        if (systemInstruction) messages.push({ role: 'system', content: systemInstruction });
+
+        const userMessage = { role: 'user', content: prompt };
+        if (fileData) userMessage.images = [fileData.data];
+        messages.push(userMessage);
+
+        const requestBody = {
+            model: modelName,
+            messages,
+            stream: false,
+            options: { num_predict: maxTokens, temperature }
+        };
+        if (jsonMode) requestBody.format = 'json';
+        return requestBody;
+    },
+    buildUrl: (baseUrl) => `${baseUrl}/api/chat`,
+    buildHeaders: () => ({ 'Content-Type': 'application/json' }),
+    parseResponse(data) {
+        return {
+            text: data?.message?.content,
+            finishReason: data?.done_reason,
+            blocked: false
+        };
+    },
+    parseUsage: (data) => (data?.prompt_eval_count !== undefined || data?.eval_count !== undefined ? {
+        promptTokens: data.prompt_eval_count || 0,
+        responseTokens: data.eval_count || 0
+    } : null),
+    parseError: (errorData) => (typeof errorData?.error === 'string' ? errorData.error : null),
+    budgetModel: null, // Local models have no per-token cost; budgets only block
+    streamFormat: 'ndjson',
+    buildStreamUrl: (baseUrl) => `${baseUrl}/api/chat`,
+    buildStreamRequest: (requestBody) => ({ ...requestBody, stream: true }),
+    parseStreamEvent(event) {
+        return {
+            delta: event?.message?.content || '',
+            finishReason: event?.done ? (event.done_reason || 'stop') : undefined,
+            blocked: false,
+            error: typeof event?.error === 'string' ? event.error : undefined,
+            usage: event?.done ? this.parseUsage(event) : null
+        };
+    }
+});
+
+registerAIProvider({
+    id: 'anthropic',
+    label: 'Anthropic Claude',
+    defaultModel: 'claude-3-5-haiku-latest',
+    defaultBaseUrl: ANTHROPIC_API_BASE,
+    requiresKey: true,
+    supportsFile: (mimeType) => mimeType === 'application/pdf' || (mimeType || '').startsWith('image/'),
+    buildRequest({ prompt, systemInstruction, maxTokens, temperature, jsonMode, fileData }, modelName) {
+        const content = [];
+        if (fileData) {
+            content.push({
+                type: fileData.mimeType === 'application/pdf' ? 'document' : 'image',
+                source: { type: 'base64', media_type: fileData.mimeType, data: fileData.data }
+            });
+        }
+        content.push({ type: 'text', text: prompt });
+
+        const system = [systemInstruction, jsonMode ? JSON_ONLY_INSTRUCTION : ''].filter(Boolean).join('\n\n');
+        const requestBody = {
+            model: modelName,
+            max_tokens: maxTokens,
+            temperature,
+            messages: [{ role: 'user', content }]
+        };
+        if (system) requestBody.system = system;
+        return requestBody;
+    },
+    buildUrl: (baseUrl) => `${baseUrl}/messages`,
+    buildHeaders: (apiKey) => ({
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_API_VERSION,
+        'anthropic-dangerous-direct-browser-access': 'true'
+    }),
+    parseResponse(data) {
+        const text = (data?.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+        return {
+            text: text || undefined,
+            finishReason: data?.stop_reason,
+            blocked: data?.stop_reason === 'refusal'
+        };
+    },
+    parseUsage: (data) => (data?.usage ? {
+        promptTokens: data.usage.input_tokens || 0,
+        responseTokens: data.usage.output_tokens || 0
+    } : null),
+    parseError: (errorData) => errorData?.error?.message || null,
+    budgetModel: 'claude-3-5-haiku-latest',
+    streamFormat: 'sse',
+    buildStreamUrl: (baseUrl) => `${baseUrl}/messages`,
+    buildStreamRequest: (requestBody) => ({ ...requestBody, stream: true }),
+    parseStreamEvent(event) {
+        return {
+            delta: event?.type === 'content_block_delta' ? (event.delta?.text || '') : '',
+            finishReason: event?.type === 'message_delta' ? event.delta?.stop_reason : undefined,
+            blocked: event?.type === 'message_delta' && event.delta?.stop_reason === 'refusal',
+            error: event?.type === 'error' ? event.error?.message : undefined,
+            usage: event?.type === 'message_start'
+                ? { promptTokens: event.message?.usage?.input_tokens || 0, responseTokens: 0 }
+                : (event?.type === 'message_delta' ? { responseTokens: event.usage?.output_tokens || 0 } : null)
+        };
+    }
+});
+
+/**
+ * Get the active provider configuration
+ * @returns {Promise<{ provider: string, baseUrl: string }>}
+ */
+async function getProviderConfig() {
+    const vault = globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
+    let config = null;
+    if (vault) {
+        await vault.waitUntilReady?.();
+        config = await vault.bucket('system').get('config');
+    }
+    const adapter = getProviderAdapter(config?.[STORAGE_KEYS.PROVIDER]);
+    const baseUrl = (config?.ai_base_url || adapter.defaultBaseUrl).replace(/\/+$/, '');
+    return { provider: adapter.id, baseUrl };
+}
+
+/**
+ * Save the active provider and optional base URL override
+ * @param {string} providerId
+ * @param {string} [baseUrl] - Empty to use the provider default
+ * @returns {Promise<boolean>}
+ */
+async function saveProviderConfig(providerId, baseUrl = '') {
+    const vault = globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
+    if (!vault) return false;
+    if (!AI_PROVIDERS[providerId]) throw new Error(`[AIClient] Unknown AI provider: ${providerId}`);
+
+    await vault.waitUntilReady?.();
+    await vault.bucket('system').update('config', async (config = {}) => {
+        // Model ids are provider-specific; fall back to the new provider's default
+        if ((config[STORAGE_KEYS.PROVIDER] || DEFAULT_PROVIDER) !== providerId) config.ai_model = null;
+        config[STORAGE_KEYS.PROVIDER] = providerId;
+        config.ai_base_url = (baseUrl || '').trim() || null;
+        return config;
+    });
+    return true;
+}
+
+/**
+ * List registered providers (for settings UI)
+ * @returns {Array<{ id: string, label: string, defaultModel: string, defaultBaseUrl: string, requiresKey: boolean }>}
+ */
+function listProviders() {
+    return Object.values(AI_PROVIDERS).map(({ id, label, defaultModel, defaultBaseUrl, requiresKey }) => ({
+        id, label, defaultModel, defaultBaseUrl, requiresKey
+    }));
+}
+
+/**
+ * Vault key holding the API keys for a provider (Gemini keeps the legacy 'keys' slot)
+ * @param {string} providerId
+ * @returns {string}
+ */
+function keysStorageKey(providerId) {
+    return !providerId || providerId === DEFAULT_PROVIDER ? 'keys' : `keys_${providerId}`;
+}
+
 /**
  * Get list of API keys (supports legacy single key)
+ * @param {string} [providerId] - Defaults to the active provider
  * @returns {Promise<string[]>}
  */
-async function getApiKeys() {
+async function getApiKeys(providerId) {
     const vault = globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
     if (!vault) return [];
 
     await vault.waitUntilReady?.();
-    const keys = await vault.bucket('ai').get('keys');
+    const provider = providerId || (await getProviderConfig()).provider;
+    const keys = await vault.bucket('ai').get(keysStorageKey(provider));
 
     // Legacy support: if stored as string, wrap in array
     if (typeof keys === 'string' && keys.trim().length > 0) {
@@ -136,10 +537,11 @@ async function getApiKeys() {
 
 /**
  * Get next API key for round-robin (skips cooldown and revoked)
+ * @param {string} [providerId] - Defaults to the active provider
  * @returns {Promise<{ key: string, index: number }|null>}
  */
-async function getNextApiKey() {
-    const keys = await getApiKeys();
+async function getNextApiKey(providerId) {
+    const keys = await getApiKeys(providerId);
     if (keys.length === 0) return null;
 
     const state = await getKeyState();
@@ -208,10 +610,13 @@ async function getStoredModel() {
     const vault = globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
     if (vault) {
         const config = await vault.bucket('system').get('config');
+        const adapter = getProviderAdapter(config?.[STORAGE_KEYS.PROVIDER]);
+        if (adapter.id !== DEFAULT_PROVIDER) {
+            return config?.ai_model || adapter.defaultModel;
+        }
         let model = config?.ai_model || DEFAULT_GEMINI_MODEL;
         // Force upgrade to gemini-2.5-flash if on older or problematic models
-        const legacyModels = ['gemini-2.5-flash-lite', 'gemini-2.0-flash', 'gemini-2.5-flash-exp'];
-        if (!model || legacyModels.includes(model)) {
+        if (!model || LEGACY_GEMINI_MODELS.includes(model)) {
             model = DEFAULT_GEMINI_MODEL;
         }
         return model;
@@ -220,7 +625,7 @@ async function getStoredModel() {
 }
 
 /**
- * Save a single Gemini API key (appends to list, max 5). For multiple keys use saveApiKeys.
+ * Save a single API key for the active provider (appends to list, max 5). For multiple keys use saveApiKeys.
  * @param {string} apiKey
  * @param {string} model (optional)
  * @returns {Promise<void>}
@@ -238,7 +643,7 @@ async function saveApiKey(apiKey, model = DEFAULT_GEMINI_MODEL) {
 }
 
 /**
- * Save multiple Gemini API keys (max 5)
+ * Save multiple API keys for the active provider (max 5)
  * @param {string[]} apiKeys
  * @param {string} model (optional)
  * @returns {Promise<void>}
@@ -253,14 +658,15 @@ async function saveApiKeys(apiKeys, model = DEFAULT_GEMINI_MODEL) {
     if (!vault) return false;
 
     await vault.waitUntilReady?.();
+    const { provider } = await getProviderConfig();
 
     // Save to AI bucket (Encryption handled by Vault)
     // We allow an empty list if the user wants to clear all keys
-    await vault.bucket('ai').set('keys', list);
+    await vault.bucket('ai').set(keysStorageKey(provider), list);
 
     // Save model to System bucket
     await vault.bucket('system').update('config', async (config = {}) => {
-        config.ai_model = model || DEFAULT_GEMINI_MODEL;
+        config.ai_model = model || getProviderAdapter(provider).defaultModel;
         return config;
     });
 
@@ -269,14 +675,16 @@ async function saveApiKeys(apiKeys, model = DEFAULT_GEMINI_MODEL) {
 }
 
 /**
- * Remove all stored API keys and key state
+ * Remove all stored API keys (every provider) and key state
  * @returns {Promise<void>}
  */
 async function removeApiKey() {
     const vault = globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
     if (!vault) return;
 
-    await vault.bucket('ai').remove('keys');
+    for (const providerId of Object.keys(AI_PROVIDERS)) {
+        await vault.bucket('ai').remove(keysStorageKey(providerId));
+    }
     await vault.bucket('ai').remove('key_state');
     await vault.bucket('system').update('ai_meta', async (meta = {}) => {
         meta.last_used_index = -1;
@@ -296,16 +704,36 @@ async function resetAIState() {
 }
 
 /**
- * Validate a Gemini API key by making a test request
+ * Validate an API key (or keyless endpoint) by making a test request
  * @param {string} apiKey
  * @param {string} modelName (optional)
+ * @param {string} providerId (optional) - Defaults to the active provider
  * @returns {Promise<{valid: boolean, error?: string}>}
  */
-async function validateApiKey(apiKey, modelName = DEFAULT_GEMINI_MODEL) {
-    if (!apiKey || apiKey.trim() === '') {
+async function validateApiKey(apiKey, modelName = DEFAULT_GEMINI_MODEL, providerId = null) {
+    const { provider, baseUrl } = await getProviderConfig();
+    const adapter = getProviderAdapter(providerId || provider);
+
+    if ((!apiKey || apiKey.trim() === '') && adapter.requiresKey) {
         return { valid: false, error: 'API key is empty' };
     }
 
+    if (adapter.id !== DEFAULT_PROVIDER) {
+        const model = modelName || adapter.defaultModel;
+        const requestBody = adapter.buildRequest({ prompt: 'Say "OK"', maxTokens: 5, temperature: 0 }, model);
+        const endpoint = adapter.id === provider ? baseUrl : adapter.defaultBaseUrl;
+        const result = await fetchWithKey((apiKey || '').trim(), model, requestBody, adapter, endpoint, 10000);
+        if (result.ok) return { valid: true };
+        if (result.errorCode === AIErrorCode.NETWORK_ERROR) {
+            return { valid: false, error: `Could not reach ${endpoint}. Is the server running?` };
+        }
+        if (result.errorCode === AIErrorCode.MODEL_NOT_FOUND) {
+            return { valid: false, error: `Model '${model}' not found on ${adapter.label}.` };
+        }
+        if (result.errorCode === AIErrorCode.INVALID_KEY) return { valid: false, error: 'API key is invalid or has been revoked' };
+        return { valid: false, error: result.error };
+    }
+
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 10000); // 10s timeout
 
@@ -362,11 +790,21 @@ async function validateApiKey(apiKey, modelName = DEFAULT_GEMINI_MODEL) {
  * @returns {Promise<{ status: 'ok'|'degraded'|'offline', usableKeys: number, totalKeys: number }>}
  */
 async function getAIStatus() {
-    const keys = await getApiKeys();
-    if (keys.length === 0) return { status: 'offline', usableKeys: 0, totalKeys: 0 };
-
+    const { provider, baseUrl } = await getProviderConfig();
+    const adapter = getProviderAdapter(provider);
+    const keys = await getApiKeys(provider);
     const state = await getKeyState();
     const now = Date.now();
+
+    if (keys.length === 0 && !adapter.requiresKey) {
+        const entry = state[endpointHash(adapter, baseUrl)];
+        const cooling = entry?.status === 'cooldown' && entry.retryAfterTs > now;
+        return cooling
+            ? { status: 'offline', usableKeys: 0, totalKeys: 1 }
+            : { status: 'ok', usableKeys: 1, totalKeys: 1 };
+    }
+    if (keys.length === 0) return { status: 'offline', usableKeys: 0, totalKeys: 0 };
+
     let usable = 0;
     for (const key of keys) {
         const keyHash = hashKey(key);
@@ -382,7 +820,7 @@ async function getAIStatus() {
 }
 
 /**
- * Check if the extension is properly set up (has API key)
+ * Check if the extension is properly set up (has API key, or a keyless local provider)
  * @returns {Promise<{ready: boolean, hasApiKey: boolean, hasResume: boolean}>}
  */
 async function checkSetupStatus() {
@@ -392,11 +830,12 @@ async function checkSetupStatus() {
     try {
         await vault.waitUntilReady?.();
 
-        const keys = await getApiKeys();
+        const { provider } = await getProviderConfig();
+        const keys = await getApiKeys(provider);
         const resumeData = await vault.bucket('identity').get('resumeData');
         const profile = await vault.bucket('identity').get('profile');
 
-        const hasApiKey = Array.isArray(keys) && keys.length > 0;
+        const hasApiKey = (Array.isArray(keys) && keys.length > 0) || !getProviderAdapter(provider).requiresKey;
         const hasResume = (resumeData && Object.keys(resumeData).length > 0) || (profile && Object.keys(profile).length > 0);
 
         return {
@@ -412,27 +851,69 @@ async function checkSetupStatus() {
 }
 
 /**
- * Call Gemini API with one key (internal); returns result or error with classified code
- * @param {string} apiKey
+ * Call a provider endpoint with one key (internal); returns result or error with classified code
+ * @param {string} apiKey - May be empty for keyless providers
  * @param {string} modelName
- * @param {Object} requestBody
+ * @param {Object} requestBody - Provider-specific body from adapter.buildRequest
+ * @param {Object} [adapter] - Provider adapter (defaults to Gemini)
+ * @param {string} [baseUrl] - Endpoint base URL (defaults to adapter.defaultBaseUrl)
+ * @param {number} [timeoutMs] - Abort after this many ms (0 = no timeout)
  * @returns {Promise<{ ok: boolean, data?: Object, error?: string, status?: number, errorCode?: string }>}
  */
-async function fetchWithKey(apiKey, modelName, requestBody) {
-    const url = `${GEMINI_API_BASE}/models/${modelName}:generateContent?key=${apiKey}`;
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(requestBody)
-    });
+async function fetchWithKey(apiKey, modelName, requestBody, adapter = AI_PROVIDERS[DEFAULT_PROVIDER], baseUrl = adapter.defaultBaseUrl, timeoutMs = 0) {
+    const url = adapter.buildUrl(baseUrl, modelName, apiKey);
+    const controller = timeoutMs ? new AbortController() : null;
+    const timeoutId = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: adapter.buildHeaders(apiKey),
+            body: JSON.stringify(requestBody),
+            signal: controller?.signal
+        });
+    } catch (error) {
+        return networkFailure(adapter, error);
+    } finally {
+        if (timeoutId) clearTimeout(timeoutId);
+    }
 
     if (response.ok) {
         const data = await response.json();
         return { ok: true, data };
     }
 
+    return readErrorResponse(response, adapter);
+}
+
+/**
+ * Map a thrown fetch/read error to a fetchWithKey-shaped failure (AbortError = cancelled)
+ * @param {Object} adapter
+ * @param {Error} error
+ * @returns {{ ok: false, error: string, status: number, errorCode: string }}
+ */
+function networkFailure(adapter, error) {
+    if (error?.name === 'AbortError') {
+        return { ok: false, error: 'Generation cancelled.', status: 0, errorCode: AIErrorCode.CANCELLED };
+    }
+    return {
+        ok: false,
+        error: `Network error contacting ${adapter.label}: ${error.message}`,
+        status: 0,
+        errorCode: AIErrorCode.NETWORK_ERROR
+    };
+}
+
+/**
+ * Read and classify a non-2xx provider response
+ * @param {Response} response
+ * @param {Object} adapter
+ * @returns {Promise<{ ok: false, error: string, status: number, errorCode: string, retryAfterSeconds?: number }>}
+ */
+async function readErrorResponse(response, adapter) {
     const errorData = await response.json().catch(() => ({}));
-    const errorMessage = errorData.error?.message || `API request failed with status ${response.status}`;
+    const errorMessage = adapter.parseError(errorData) || `API request failed with status ${response.status}`;
     const classified = classifyError(response.status, errorMessage);
     return {
         ok: false,
@@ -444,54 +925,495 @@ async function fetchWithKey(apiKey, modelName, requestBody) {
 }
 
 /**
- * Call Gemini API with round-robin key rotation and automatic retry on 429/403
+ * Read a streaming response body and dispatch each parsed JSON event
+ * @param {Response} response
+ * @param {'sse'|'ndjson'} format
+ * @param {Function} onEvent - Called with each parsed event object
+ * @returns {Promise<void>}
+ */
+async function readEventStream(response, format, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let dataLines = [];
+
+    const dispatch = (payload) => {
+        if (!payload || payload === '[DONE]') return;
+        try {
+            onEvent(JSON.parse(payload));
+        } catch (e) {
+            console.warn('[AIClient] Skipping malformed stream event:', payload.slice(0, 120));
+        }
+    };
+
+    const handleLine = (rawLine) => {
+        const line = rawLine.replace(/\r$/, '');
+        if (format === 'ndjson') {
+            dispatch(line.trim());
+            return;
+        }
+        // SSE: accumulate data lines until a blank line ends the event
+        if (line === '') {
+            dispatch(dataLines.join('\n'));
+            dataLines = [];
+        } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).trimStart());
+        }
+    };
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+    }
+    buffer += decoder.decode();
+    if (buffer) handleLine(buffer);
+    if (dataLines.length > 0) dispatch(dataLines.join('\n'));
+}
+
+/**
+ * Stream a provider response with one key (internal). Resolves once the stream ends.
+ * @param {string} apiKey
+ * @param {string} modelName
+ * @param {Object} requestBody - Non-streaming body from adapter.buildRequest
+ * @param {Object} adapter
+ * @param {string} baseUrl
+ * @param {{ onChunk?: Function, signal?: AbortSignal }} streamOptions
+ * @returns {Promise<{ ok: boolean, parsed?: Object, error?: string, status?: number, errorCode?: string, partialText?: string }>}
+ */
+async function streamWithKey(apiKey, modelName, requestBody, adapter, baseUrl, { onChunk, signal } = {}) {
+    let response;
+    try {
+        response = await fetch(adapter.buildStreamUrl(baseUrl, modelName, apiKey), {
+            method: 'POST',
+            headers: adapter.buildHeaders(apiKey),
+            body: JSON.stringify(adapter.buildStreamRequest(requestBody)),
+            signal
+        });
+    } catch (error) {
+        return networkFailure(adapter, error);
+    }
+
+    if (!response.ok) return readErrorResponse(response, adapter);
+
+    let text = '';
+    let finishReason;
+    let blocked = false;
+    let streamError = null;
+    let usage = null;
+    try {
+        await readEventStream(response, adapter.streamFormat, (event) => {
+            const parsed = adapter.parseStreamEvent(event);
+            if (parsed.usage) {
+                // Providers report usage incrementally or only at the end; keep the largest counts
+                usage = {
+                    promptTokens: Math.max(usage?.promptTokens || 0, parsed.usage.promptTokens || 0),
+                    responseTokens: Math.max(usage?.responseTokens || 0, parsed.usage.responseTokens || 0)
+                };
+            }
+            if (parsed.error) streamError = parsed.error;
+            if (parsed.finishReason) finishReason = parsed.finishReason;
+            if (parsed.blocked) blocked = true;
+            if (parsed.delta) {
+                text += parsed.delta;
+                if (onChunk) {
+                    try { onChunk(parsed.delta, text); } catch (e) { console.warn('[AIClient] onChunk callback failed:', e); }
+                }
+            }
+        });
+    } catch (error) {
+        return { ...networkFailure(adapter, error), partialText: text, usage };
+    }
+
+    if (streamError && !text) {
+        const classified = classifyError(response.status, streamError);
+        return { ok: false, error: streamError, status: response.status, errorCode: classified.code, retryAfterSeconds: classified.retryAfterSeconds };
+    }
+    return { ok: true, parsed: { text, finishReason, blocked, usage } };
+}
+
+// ==========================================
+// TRANSPORT OVERRIDE (offline mock / record-replay)
+// ==========================================
+
+/** @type {Function|null} Replaces fetchWithKey for every provider call when set */
+let activeTransport = null;
+
+/**
+ * Install a transport that stands in for fetchWithKey (pass null to restore the network).
+ * The transport receives { provider, model, baseUrl, input, requestBody, promptHash, send }
+ * where send() performs the real request, and must resolve to the fetchWithKey result shape.
+ * @param {Function|null} transport
+ */
+function setTransport(transport) {
+    activeTransport = typeof transport === 'function' ? transport : null;
+}
+
+/**
+ * Stable hash of the provider-neutral request (prompt, system instruction, mode, attachment).
+ * Used as the fixture key for recorded exchanges.
+ * @param {{ prompt: string, systemInstruction?: string, jsonMode?: boolean, fileData?: Object }} input
+ * @returns {string}
+ */
+function hashPrompt({ prompt = '', systemInstruction = '', jsonMode = false, fileData = null }) {
+    const source = [systemInstruction, prompt, jsonMode ? 'json' : 'text', fileData ? `${fileData.mimeType}:${fileData.data}` : ''].join('\u0000');
+    // cyrb53: fast 53-bit string hash, deterministic across browser and Node
+    let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+    for (let i = 0; i < source.length; i++) {
+        const ch = source.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return 'p_' + (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+/**
+ * Send one provider request through the active transport (or the network).
+ * With streamOptions the network path streams; a transport replays the full text as one chunk.
+ * @returns {Promise<{ ok: boolean, data?: Object, parsed?: Object, error?: string, status?: number, errorCode?: string }>}
+ */
+async function sendProviderRequest(apiKey, modelName, requestBody, adapter, baseUrl, input, streamOptions = null) {
+    if (streamOptions && !activeTransport) {
+        return streamWithKey(apiKey, modelName, requestBody, adapter, baseUrl, streamOptions);
+    }
+    const send = () => fetchWithKey(apiKey, modelName, requestBody, adapter, baseUrl);
+    if (!activeTransport) return send();
+    const result = await activeTransport({
+        provider: adapter.id,
+        model: modelName,
+        baseUrl,
+        input,
+        requestBody,
+        promptHash: hashPrompt(input),
+        send
+    });
+    if (streamOptions && result.ok) {
+        const parsed = { ...adapter.parseResponse(result.data), usage: adapter.parseUsage(result.data) };
+        if (parsed.text && streamOptions.onChunk) streamOptions.onChunk(parsed.text, parsed.text);
+        return { ok: true, parsed };
+    }
+    return result;
+}
+
+/**
+ * Cooldown identity for a keyless endpoint (stored in ai_key_state like a key hash)
+ * @param {Object} adapter
+ * @param {string} baseUrl
+ * @returns {string}
+ */
+function endpointHash(adapter, baseUrl) {
+    return hashKey(`${adapter.id}@${baseUrl}`);
+}
+
+// ==========================================
+// USAGE LEDGER & BUDGETS
+// ==========================================
+
+/**
+ * Local calendar day key (YYYY-MM-DD) used to bucket usage
+ * @param {number} [ts]
+ * @returns {string}
+ */
+function usageDayKey(ts = Date.now()) {
+    const d = new Date(ts);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Rough token estimate (~4 chars/token) for providers that don't report usage
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Append one call to the usage ledger (per-day totals by key, model and subsystem + recent log)
+ * @param {{ provider: string, model: string, subsystem: string, keyHash: string, promptTokens: number, responseTokens: number, estimated: boolean, errorCode?: string }} entry
+ * @returns {Promise<void>}
+ */
+async function recordUsage(entry) {
+    const vault = globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
+    if (!vault) return;
+
+    const ts = Date.now();
+    const day = usageDayKey(ts);
+    const tokens = (entry.promptTokens || 0) + (entry.responseTokens || 0);
+
+    const bump = (map, name) => {
+        const bucket = map[name] || { calls: 0, tokens: 0 };
+        bucket.calls++;
+        bucket.tokens += tokens;
+        map[name] = bucket;
+    };
+
+    try {
+        await vault.bucket('ai').update(STORAGE_KEYS.USAGE_LEDGER, async (ledger) => {
+            ledger = ledger || { days: {}, recent: [] };
+            const totals = ledger.days[day] || {
+                calls: 0, errors: 0, promptTokens: 0, responseTokens: 0,
+                byKey: {}, byModel: {}, bySubsystem: {}
+            };
+            totals.calls++;
+            if (entry.errorCode) totals.errors++;
+            totals.promptTokens += entry.promptTokens || 0;
+            totals.responseTokens += entry.responseTokens || 0;
+            bump(totals.byKey, entry.keyHash || 'none');
+            bump(totals.byModel, `${entry.provider}/${entry.model}`);
+            bump(totals.bySubsystem, entry.subsystem || AISubsystem.OTHER);
+            ledger.days[day] = totals;
+
+            // Retention: drop days older than USAGE_RETENTION_DAYS
+            const cutoff = usageDayKey(ts - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+            Object.keys(ledger.days).forEach(d => { if (d < cutoff) delete ledger.days[d]; });
+
+            ledger.recent.push({ ts, ...entry });
+            if (ledger.recent.length > USAGE_RECENT_LIMIT) ledger.recent = ledger.recent.slice(-USAGE_RECENT_LIMIT);
+            return ledger;
+        });
+    } catch (e) {
+        console.warn('[AIClient] Failed to record usage:', e);
+    }
+}
+
+/**
+ * Get the raw usage ledger
+ * @returns {Promise<{ days: Object, recent: Array }>}
+ */
+async function getUsageLedger() {
+    const vault = globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
+    if (!vault) return { days: {}, recent: [] };
+    await vault.waitUntilReady?.();
+    const ledger = await vault.bucket('ai').get(STORAGE_KEYS.USAGE_LEDGER);
+    return ledger || { days: {}, recent: [] };
+}
+
+/**
+ * Usage summary for popup/options: today's totals, last N days, and budget state
+ * @param {number} [days=7]
+ * @returns {Promise<{ today: Object, days: Array<Object>, budget: Object, recent: Array }>}
+ */
+async function getUsageSummary(days = 7) {
+    const ledger = await getUsageLedger();
+    const budget = await getUsageBudget();
+    const empty = { calls: 0, errors: 0, promptTokens: 0, responseTokens: 0, byKey: {}, byModel: {}, bySubsystem: {} };
+
+    const list = [];
+    for (let i = 0; i < days; i++) {
+        const day = usageDayKey(Date.now() - i * 24 * 60 * 60 * 1000);
+        const totals = ledger.days[day] || empty;
+        list.push({ day, ...totals, totalTokens: totals.promptTokens + totals.responseTokens });
+    }
+
+    return { today: list[0], days: list, budget, recent: ledger.recent.slice(-20).reverse() };
+}
+
+/**
+ * Clear all recorded usage
+ * @returns {Promise<void>}
+ */
+async function resetUsageLedger() {
+    const vault = globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
+    if (!vault) return;
+    await vault.bucket('ai').remove(STORAGE_KEYS.USAGE_LEDGER);
+}
+
+/**
+ * Get the configured budget (0 = unlimited)
+ * @returns {Promise<{ dailyTokens: number, keyDailyTokens: number, action: 'block'|'downgrade', downgradeModel: string }>}
+ */
+async function getUsageBudget() {
+    const vault = globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
+    const config = vault ? await vault.bucket('system').get('config') : null;
+    const budget = config?.[STORAGE_KEYS.BUDGET] || {};
+    return {
+        dailyTokens: Number(budget.dailyTokens) || 0,
+        keyDailyTokens: Number(budget.keyDailyTokens) || 0,
+        action: budget.action === 'downgrade' ? 'downgrade' : 'block',
+        downgradeModel: budget.downgradeModel || ''
+    };
+}
+
+/**
+ * Save budget settings
+ * @param {{ dailyTokens?: number, keyDailyTokens?: number, action?: string, downgradeModel?: string }} budget
+ * @returns {Promise<boolean>}
+ */
+async function saveUsageBudget(budget = {}) {
+    const vault = globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
+    if (!vault) return false;
+    await vault.waitUntilReady?.();
+    await vault.bucket('system').update('config', async (config = {}) => {
+        config[STORAGE_KEYS.BUDGET] = {
+            dailyTokens: Math.max(0, parseInt(budget.dailyTokens, 10) || 0),
+            keyDailyTokens: Math.max(0, parseInt(budget.keyDailyTokens, 10) || 0),
+            action: budget.action === 'downgrade' ? 'downgrade' : 'block',
+            downgradeModel: (budget.downgradeModel || '').trim()
+        };
+        return config;
+    });
+    return true;
+}
+
+/**
+ * Check today's usage against the budget
+ * @returns {Promise<{ overDaily: boolean, budget: Object, today: Object }>}
+ */
+async function checkUsageBudget() {
+    const budget = await getUsageBudget();
+    if (!budget.dailyTokens && !budget.keyDailyTokens) return { overDaily: false, budget, today: null };
+
+    const ledger = await getUsageLedger();
+    const today = ledger.days[usageDayKey()] || { promptTokens: 0, responseTokens: 0, byKey: {} };
+    const used = today.promptTokens + today.responseTokens;
+    return { overDaily: budget.dailyTokens > 0 && used >= budget.dailyTokens, budget, today };
+}
+
+// ==========================================
+// RESPONSE CACHE
+// ==========================================
+
+/**
+ * Read a cached response (stored encrypted in the 'ai' bucket)
+ * @param {string} signature - Caller-built cache key (see hashPrompt)
+ * @returns {Promise<any|null>} Cached value, or null on miss/expiry
+ */
+async function getCachedResponse(signature) {
+    const vault = globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
+    if (!vault || !signature) return null;
+
+    const cache = await vault.bucket('ai').get(STORAGE_KEYS.RESPONSE_CACHE);
+    const entry = cache?.[signature];
+    if (!entry) return null;
+    if (Date.now() > entry.expiresAt) return null;
+    return entry.value;
+}
+
+/**
+ * Store a response; expired entries are pruned and the oldest evicted past RESPONSE_CACHE_MAX_ENTRIES
+ * @param {string} signature
+ * @param {any} value - JSON-serialisable
+ * @param {number} [ttlMs]
+ * @returns {Promise<void>}
+ */
+async function setCachedResponse(signature, value, ttlMs = RESPONSE_CACHE_TTL_MS) {
+    const vault = globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
+    if (!vault || !signature) return;
+
+    const now = Date.now();
+    await vault.bucket('ai').update(STORAGE_KEYS.RESPONSE_CACHE, async (cache = {}) => {
+        cache[signature] = { value, storedAt: now, expiresAt: now + ttlMs };
+
+        const live = Object.entries(cache)
+            .filter(([, entry]) => entry && entry.expiresAt > now)
+            .sort((a, b) => b[1].storedAt - a[1].storedAt)
+            .slice(0, RESPONSE_CACHE_MAX_ENTRIES);
+        return Object.fromEntries(live);
+    });
+}
+
+/**
+ * Drop every cached response (called when the profile changes)
+ * @returns {Promise<void>}
+ */
+async function clearResponseCache() {
+    const vault = globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
+    if (!vault) return;
+    await vault.bucket('ai').remove(STORAGE_KEYS.RESPONSE_CACHE);
+}
+
+/**
+ * Call a provider with round-robin key rotation and automatic retry on 429/403.
+ * Set options.stream to receive text incrementally via options.onChunk(delta, fullText);
+ * keys are only rotated before the first chunk arrives.
+ * Every attempt is recorded in the usage ledger under options.subsystem; daily budgets
+ * block (BUDGET_EXCEEDED) or downgrade to a cheaper model once exceeded.
+ * @param {string} providerId
  * @param {string} prompt
  * @param {string} systemInstruction
  * @param {Object} options
- * @returns {Promise<{success: boolean, text?: string, error?: string, errorCode?: string}>}
+ * @returns {Promise<{success: boolean, text?: string, error?: string, errorCode?: string, partialText?: string}>}
  */
-async function callGemini(prompt, systemInstruction = '', options = {}) {
+async function callProvider(providerId, prompt, systemInstruction = '', options = {}) {
     const {
-        maxTokens = 8192,
         temperature = 0.7,
         jsonMode = false,
-        fileData = null
+        fileData = null,
+        stream = false,
+        onChunk = null,
+        signal = null,
+        subsystem = AISubsystem.OTHER
     } = options;
-
-    const modelName = await getStoredModel();
-    const keys = await getApiKeys();
-    if (keys.length === 0) {
+    let { maxTokens = 8192 } = options;
+
+    const config = await getProviderConfig();
+    const adapter = getProviderAdapter(providerId);
+    const baseUrl = adapter.id === config.provider ? config.baseUrl : adapter.defaultBaseUrl;
+    let modelName = adapter.id === config.provider ? await getStoredModel() : adapter.defaultModel;
+    const keys = await getApiKeys(adapter.id);
+    const keyless = keys.length === 0 && !adapter.requiresKey;
+    if (keys.length === 0 && !keyless) {
         return {
             success: false,
-            error: 'No API key configured. Please set up your Gemini API key in settings.',
+            error: `No API key configured. Please set up your ${adapter.label} API key in settings.`,
             errorCode: AIErrorCode.INVALID_KEY
         };
     }
 
-    const parts = [{ text: prompt }];
-    if (fileData) {
-        parts.push({
-            inlineData: { mimeType: fileData.mimeType, data: fileData.data }
-        });
+    if (fileData && !adapter.supportsFile(fileData.mimeType)) {
+        return {
+            success: false,
+            error: `${adapter.label} cannot read ${fileData.mimeType} attachments.`,
+            errorCode: AIErrorCode.UNSUPPORTED_INPUT
+        };
     }
 
-    const requestBody = {
-        contents: [{ parts }],
-        generationConfig: { maxOutputTokens: maxTokens, temperature }
-    };
-    if (systemInstruction) {
-        requestBody.systemInstruction = { parts: [{ text: systemInstruction }] };
-    }
-    if (jsonMode) {
-        requestBody.generationConfig.responseMimeType = 'application/json';
+    const usageCheck = await checkUsageBudget();
+    if (usageCheck.overDaily) {
+        const downgradeModel = usageCheck.budget.downgradeModel || adapter.budgetModel;
+        if (usageCheck.budget.action !== 'downgrade' || !downgradeModel) {
+            return {
+                success: false,
+                error: `Daily AI token budget (${usageCheck.budget.dailyTokens.toLocaleString()}) reached. Adjust it in settings.`,
+                errorCode: AIErrorCode.BUDGET_EXCEEDED
+            };
+        }
+        modelName = downgradeModel;
+        maxTokens = Math.min(maxTokens, BUDGET_DOWNGRADE_MAX_TOKENS);
     }
 
+    const input = { prompt, systemInstruction, maxTokens, temperature, jsonMode, fileData };
+    const requestBody = adapter.buildRequest(input, modelName);
+    const logUsage = (keyHash, usage, errorCode, responseText = '') => recordUsage({
+        provider: adapter.id,
+        model: modelName,
+        subsystem,
+        keyHash,
+        promptTokens: usage ? (usage.promptTokens || 0) : (errorCode && errorCode !== AIErrorCode.CANCELLED ? 0 : estimateTokens(systemInstruction + prompt)),
+        responseTokens: usage ? (usage.responseTokens || 0) : estimateTokens(responseText),
+        estimated: !usage,
+        errorCode: errorCode || null
+    });
+
     const triedHashes = new Set();
     let lastError = null;
     let lastErrorCode = null;
 
     while (true) {
-        const next = await getNextApiKey();
+        let next = null;
+        if (keyless) {
+            const entry = (await getKeyState())[endpointHash(adapter, baseUrl)];
+            if (!(entry?.status === 'cooldown' && entry.retryAfterTs > Date.now())) next = { key: '', index: 0 };
+        } else {
+            next = await getNextApiKey(adapter.id);
+        }
         if (!next) {
             return {
                 success: false,
@@ -500,18 +1422,28 @@ async function callGemini(prompt, systemInstruction = '', options = {}) {
             };
         }
 
-        const keyHash = hashKey(next.key);
+        const keyHash = keyless ? endpointHash(adapter, baseUrl) : hashKey(next.key);
         if (triedHashes.has(keyHash)) break;
         triedHashes.add(keyHash);
 
-        const result = await fetchWithKey(next.key, modelName, requestBody);
+        // Per-key daily budget: skip keys that already spent their share today
+        const keyUsage = usageCheck.today?.byKey?.[keyHash];
+        if (usageCheck.budget.keyDailyTokens > 0 && keyUsage && keyUsage.tokens >= usageCheck.budget.keyDailyTokens) {
+            lastError = `Per-key daily token budget (${usageCheck.budget.keyDailyTokens.toLocaleString()}) reached for every key.`;
+            lastErrorCode = AIErrorCode.BUDGET_EXCEEDED;
+            continue;
+        }
+
+        const streamOptions = stream ? { onChunk, signal } : null;
+        const result = await sendProviderRequest(next.key, modelName, requestBody, adapter, baseUrl, input, streamOptions);
 
         if (result.ok) {
-            await markKeySuccess(next.key);
-            const text = result.data?.candidates?.[0]?.content?.parts?.[0]?.text;
-            const finishReason = result.data?.candidates?.[0]?.finishReason;
+            if (!keyless) await markKeySuccess(next.key);
+            const { text, blocked } = result.parsed || adapter.parseResponse(result.data);
+            const usage = result.parsed ? result.parsed.usage : adapter.parseUsage(result.data);
+            await logUsage(keyHash, usage, text ? null : (blocked ? AIErrorCode.SAFETY_BLOCK : AIErrorCode.UNKNOWN), text);
             if (!text) {
-                if (finishReason === 'SAFETY') {
+                if (blocked) {
                     return { success: false, error: 'Response blocked by safety filters.', errorCode: AIErrorCode.SAFETY_BLOCK };
                 }
                 return { success: false, error: 'No response generated.' };
@@ -521,10 +1453,20 @@ async function callGemini(prompt, systemInstruction = '', options = {}) {
 
         lastError = result.error;
         lastErrorCode = result.errorCode;
+        if (result.status) await logUsage(keyHash, result.usage, result.errorCode);
+
+        if (result.errorCode === AIErrorCode.CANCELLED) {
+            await logUsage(keyHash, result.usage, result.errorCode, result.partialText);
+            return { success: false, error: result.error, errorCode: result.errorCode, partialText: result.partialText || '' };
+        }
+
+        // Unreachable endpoint is not the key's fault; don't burn it
+        if (result.errorCode === AIErrorCode.NETWORK_ERROR) break;
+
         const retryAfterTs = result.retryAfterSeconds
             ? Date.now() + result.retryAfterSeconds * 1000
             : Date.now() + KEY_COOLDOWN_MS;
-        const isRevoked = result.errorCode === AIErrorCode.INVALID_KEY || result.errorCode === AIErrorCode.UNAUTHORIZED;
+        const isRevoked = !keyless && (result.errorCode === AIErrorCode.INVALID_KEY || result.errorCode === AIErrorCode.UNAUTHORIZED);
         await updateKeyState(
             keyHash,
             isRevoked ? 'revoked' : 'cooldown',
@@ -546,14 +1488,41 @@ async function callGemini(prompt, systemInstruction = '', options = {}) {
 }
 
 /**
- * Main AI call function - entry point for all AI requests
+ * Call Gemini API with round-robin key rotation (kept for direct Gemini callers)
+ * @param {string} prompt
+ * @param {string} systemInstruction
+ * @param {Object} options
+ * @returns {Promise<{success: boolean, text?: string, error?: string, errorCode?: string}>}
+ */
+async function callGemini(prompt, systemInstruction = '', options = {}) {
+    return callProvider('gemini', prompt, systemInstruction, options);
+}
+
+/**
+ * Main AI call function - entry point for all AI requests.
+ * Dispatches to the provider selected in settings (ai_provider).
  * @param {string} prompt
  * @param {string} systemInstruction
  * @param {Object} options
  * @returns {Promise<{success: boolean, text?: string, error?: string, errorCode?: string}>}
  */
 async function callAI(prompt, systemInstruction = '', options = {}) {
-    return callGemini(prompt, systemInstruction, options);
+    const { provider } = await getProviderConfig();
+    return callProvider(provider, prompt, systemInstruction, options);
+}
+
+/**
+ * Streaming variant of callAI. Partial text is delivered through options.onChunk(delta, fullText);
+ * pass options.signal (AbortSignal) to cancel. Resolves with the same shape as callAI once done
+ * (errorCode CANCELLED plus partialText when aborted).
+ * @param {string} prompt
+ * @param {string} systemInstruction
+ * @param {Object} options - callAI options plus { onChunk, signal }
+ * @returns {Promise<{success: boolean, text?: string, error?: string, errorCode?: string, partialText?: string}>}
+ */
+async function streamAI(prompt, systemInstruction = '', options = {}) {
+    const { provider } = await getProviderConfig();
+    return callProvider(provider, prompt, systemInstruction, { ...options, stream: true });
 }
 
 /**
@@ -631,13 +1600,30 @@ const AIClientExport = {
     validateApiKey,
     checkSetupStatus,
     callAI,
+    streamAI,
     callGemini,
+    callProvider,
     parseAIJson,
     getApiKeys,
     getAIStatus,
     getKeyState,
     resetAIState,
+    registerAIProvider,
+    listProviders,
+    getProviderConfig,
+    saveProviderConfig,
+    setTransport,
+    hashPrompt,
+    getUsageSummary,
+    getUsageLedger,
+    resetUsageLedger,
+    getUsageBudget,
+    saveUsageBudget,
+    getCachedResponse,
+    setCachedResponse,
+    clearResponseCache,
     AIErrorCode,
+    AISubsystem,
     STORAGE_KEYS,
     MAX_API_KEYS
 };
@@ -0,0 +1,572 @@
+/**
+ * Application Store for Nova Apply Extension
+ *
+ * Local log of submitted job applications, kept in the identity bucket under
+ * 'applications' (oldest first). Each record holds where the application went
+ * (company, title, URL, job context), the answers that were sent, when, and
+ * which resume profile filled it.
+ *
+ * Each record also moves through a pipeline status (applied -> screening ->
+ * interview -> offer / rejected / ghosted) with notes and a status history,
+ * edited from the options page. Records can be added by hand or from the
+ * popup's "Mark as applied", and exported as CSV or JSON.
+ *
+ * Filled postings: every completed fill records the posting's identity
+ * (title, company, requisition ID, URL) under 'filledPostings', so a later
+ * visit to the same job - also through another ATS mirror - can be flagged.
+ *
+ * Records are written by the content-side ApplicationTracker and read by the
+ * options page and popup, so this file has no DOM dependencies.
+ */
+
+// Vault key (identity bucket) for the application log
+const APPLICATIONS_STORAGE_KEY = 'applications';
+// Records kept (oldest dropped first)
+const MAX_APPLICATIONS = 1000;
+// A second submission signal for the same posting within this window updates the first record
+const DUPLICATE_WINDOW_MS = 10 * 60 * 1000;
+// Long free-text answers (cover letters) are truncated in the snapshot
+const MAX_ANSWER_LENGTH = 4000;
+// Vault key (identity bucket) for postings a fill completed on
+const FILLED_POSTINGS_STORAGE_KEY = 'filledPostings';
+const MAX_FILLED_POSTINGS = 1000;
+
+/**
+ * What detected the submission
+ * @readonly
+ */
+const SubmissionTrigger = {
+    SUBMIT: 'submit',               // Submit button click / form submit event
+    CONFIRMATION: 'confirmation',   // ATS "thank you for applying" page
+    URL_CHANGE: 'url_change',       // Navigation after a submit
+    MANUAL: 'manual'                // Logged by the user
+};
+
+/**
+ * Where an application is in the hiring pipeline
+ * @readonly
+ */
+const ApplicationStatus = {
+    APPLIED: 'applied',
+    SCREENING: 'screening',
+    INTERVIEW: 'interview',
+    OFFER: 'offer',
+    REJECTED: 'rejected',
+    GHOSTED: 'ghosted'
+};
+
+const STATUS_LABELS = {
+    applied: 'Applied',
+    screening: 'Screening',
+    interview: 'Interview',
+    offer: 'Offer',
+    rejected: 'Rejected',
+    ghosted: 'Ghosted'
+};
+
+/**
+ * @typedef {Object} ApplicationRecord
+ * @property {string} id
+ * @property {string} company
+ * @property {string} title
+ * @property {string} location
+ * @property {string} requisitionId - Employer's job/requisition ID, when the page exposes one
+ * @property {string} url - Page the form was submitted from
+ * @property {string} hostname
+ * @property {string} jobContext - getJobContext().text at the time of the application
+ * @property {Array<{label: string, value: string, selector: string, source: string}>} answers
+ * @property {string} appliedAt - ISO timestamp
+ * @property {string|null} profileId
+ * @property {string} profileName
+ * @property {string} trigger - SubmissionTrigger
+ * @property {string} status - ApplicationStatus
+ * @property {string} notes
+ * @property {Array<{status: string, at: string}>} statusHistory - Oldest first
+ * @property {string} updatedAt - ISO timestamp of the last edit
+ */
+
+function getVault() {
+    return globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
+}
+
+function generateApplicationId() {
+    return 'app_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Fill fields added after a record was stored (status, notes, ...)
+ * @param {Object} app
+ * @returns {ApplicationRecord}
+ */
+function withDefaults(app) {
+    const status = STATUS_LABELS[app.status] ? app.status : ApplicationStatus.APPLIED;
+    return {
+        ...app,
+        answers: Array.isArray(app.answers) ? app.answers : [],
+        status,
+        notes: app.notes || '',
+        statusHistory: Array.isArray(app.statusHistory) && app.statusHistory.length
+            ? app.statusHistory
+            : [{ status, at: app.appliedAt }],
+        updatedAt: app.updatedAt || app.appliedAt
+    };
+}
+
+/**
+ * Pull title/company/location out of job context text ("Title: ...\nCompany: ...",
+ * or the "Page Title:/Header:" fallback), for records that only carry the text
+ * @param {string} context
+ * @returns {{ title: string, company: string, location: string }}
+ */
+function parseJobContext(context) {
+    const text = String(context || '');
+    const line = (label) => {
+        const match = text.match(new RegExp(`^${label}:[ \\t]*(.*)$`, 'mi'));
+        return match ? match[1].trim() : '';
+    };
+
+    let title = line('Title');
+    const company = line('Company');
+    const location = line('Location');
+
+    if (!title) {
+        // Semantic fallback: the first header, else the page title
+        title = line('Header').split('|').map(s => s.trim()).find(Boolean) || line('Page Title');
+    }
+
+    return { title, company, location };
+}
+
+/**
+ * URL identity for a posting: no fragment, no tracking parameters
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeApplicationUrl(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        [...parsed.searchParams.keys()]
+            .filter(key => /^(utm_|gh_src$|source$|ref$|src$)/i.test(key))
+            .forEach(key => parsed.searchParams.delete(key));
+        return parsed.toString().replace(/\/$/, '');
+    } catch {
+        return String(url || '').split('#')[0];
+    }
+}
+
+/**
+ * Trim an answers snapshot to what is worth keeping
+ * @param {Array<Object>} answers
+ * @returns {Array<{label: string, value: string, selector: string, source: string}>}
+ */
+function sanitizeAnswers(answers) {
+    return (answers || [])
+        .map(a => ({
+            label: String(a.label || '').trim(),
+            value: String(a.value ?? '').slice(0, MAX_ANSWER_LENGTH),
+            selector: String(a.selector || ''),
+            source: String(a.source || '')
+        }))
+        .filter(a => a.value.trim());
+}
+
+/**
+ * Log a submitted application. A repeat signal for the same posting shortly
+ * after (submit click, then the confirmation page) updates the earlier record.
+ * @param {Partial<ApplicationRecord>} record
+ * @returns {Promise<ApplicationRecord|null>} The stored record
+ */
+async function recordApplication(record) {
+    const vault = getVault();
+    if (!vault) return null;
+
+    const appliedAt = record.appliedAt || new Date().toISOString();
+    const parsed = parseJobContext(record.jobContext);
+    const entry = {
+        id: record.id || generateApplicationId(),
+        company: record.company || parsed.company,
+        title: record.title || parsed.title,
+        location: record.location || parsed.location,
+        requisitionId: String(record.requisitionId || ''),
+        url: record.url || '',
+        hostname: record.hostname || '',
+        jobContext: record.jobContext || '',
+        answers: sanitizeAnswers(record.answers),
+        appliedAt,
+        profileId: record.profileId || null,
+        profileName: record.profileName || '',
+        trigger: record.trigger || SubmissionTrigger.MANUAL,
+        status: STATUS_LABELS[record.status] ? record.status : ApplicationStatus.APPLIED,
+        notes: String(record.notes || ''),
+        updatedAt: appliedAt
+    };
+    entry.statusHistory = [{ status: entry.status, at: appliedAt }];
+
+    let stored = entry;
+    await vault.bucket('identity').update(APPLICATIONS_STORAGE_KEY, (current) => {
+        const list = Array.isArray(current) ? current : [];
+        const key = normalizeApplicationUrl(entry.url);
+
+        const existing = key && list.find(app =>
+            normalizeApplicationUrl(app.url) === key &&
+            Math.abs(new Date(appliedAt) - new Date(app.appliedAt)) < DUPLICATE_WINDOW_MS
+        );
+
+        if (existing) {
+            // Keep the first record's id and date; fill gaps from the later signal
+            stored = {
+                ...withDefaults(existing),
+                company: existing.company || entry.company,
+                title: existing.title || entry.title,
+                location: existing.location || entry.location,
+                requisitionId: existing.requisitionId || entry.requisitionId,
+                jobContext: existing.jobContext || entry.jobContext,
+                answers: existing.answers?.length ? existing.answers : entry.answers
+            };
+            return list.map(app => app === existing ? stored : app);
+        }
+
+        return [...list, entry].slice(-MAX_APPLICATIONS);
+    });
+
+    return stored;
+}
+
+/**
+ * All logged applications, newest first
+ * @returns {Promise<ApplicationRecord[]>}
+ */
+async function listApplications() {
+    const vault = getVault();
+    if (!vault) return [];
+    const list = await vault.bucket('identity').get(APPLICATIONS_STORAGE_KEY);
+    return (Array.isArray(list) ? list : [])
+        .map(withDefaults)
+        .sort((a, b) => String(b.appliedAt).localeCompare(String(a.appliedAt)));
+}
+
+/**
+ * @param {string} applicationId
+ * @returns {Promise<ApplicationRecord|null>}
+ */
+async function getApplication(applicationId) {
+    const list = await listApplications();
+    return list.find(app => app.id === applicationId) || null;
+}
+
+/**
+ * Edit a record. A status change is appended to its status history.
+ * @param {string} applicationId
+ * @param {Partial<ApplicationRecord>} changes - company, title, url, appliedAt, status, notes, ...
+ * @returns {Promise<ApplicationRecord|null>} The updated record, or null if not found
+ */
+async function updateApplication(applicationId, changes) {
+    const vault = getVault();
+    if (!vault) return null;
+
+    let updated = null;
+    await vault.bucket('identity').update(APPLICATIONS_STORAGE_KEY, (current) => {
+        const list = Array.isArray(current) ? current : [];
+        return list.map(raw => {
+            if (raw.id !== applicationId) return raw;
+
+            const app = withDefaults(raw);
+            const now = new Date().toISOString();
+            const { id, statusHistory, answers, ...editable } = changes || {};
+            const next = { ...app, ...editable, updatedAt: now };
+
+            if (!STATUS_LABELS[next.status]) next.status = app.status;
+            if (next.status !== app.status) {
+                next.statusHistory = [...app.statusHistory, { status: next.status, at: now }];
+            }
+            updated = next;
+            return next;
+        });
+    });
+
+    return updated;
+}
+
+/**
+ * @param {string} applicationId
+ * @returns {Promise<void>}
+ */
+async function deleteApplication(applicationId) {
+    const vault = getVault();
+    if (!vault) return;
+    await vault.bucket('identity').update(APPLICATIONS_STORAGE_KEY, (current) =>
+        (Array.isArray(current) ? current : []).filter(app => app.id !== applicationId)
+    );
+}
+
+/**
+ * Remove the whole log
+ * @returns {Promise<void>}
+ */
+async function clearApplications() {
+    const vault = getVault();
+    if (!vault) return;
+    await vault.bucket('identity').remove(APPLICATIONS_STORAGE_KEY);
+}
+
+// ============================================
+// POSTING IDENTITY
+// ============================================
+
+/**
+ * Job IDs in ATS URLs. The same posting is often reachable through several
+ * hosts (boards. / job-boards.greenhouse.io, a careers page embedding ?gh_jid=,
+ * /apply and /application sub-pages), so matching is on the ID, not the URL.
+ */
+const ATS_URL_PATTERNS = [
+    { ats: 'greenhouse', host: /greenhouse\.io$/, path: /\/jobs\/(\d+)/ },
+    { ats: 'greenhouse', param: 'gh_jid' },
+    { ats: 'lever', host: /lever\.co$/, path: /^\/[^/]+\/([0-9a-f-]{36})/i },
+    { ats: 'ashby', host: /ashbyhq\.com$/, path: /^\/[^/]+\/([0-9a-f-]{36})/i },
+    { ats: 'ashby', param: 'ashby_jid' },
+    { ats: 'smartrecruiters', host: /smartrecruiters\.com$/, path: /\/(\d{6,})/ }
+];
+
+// Workday puts the requisition at the end of the job slug: .../Senior-Engineer_R-12345(-1)
+const WORKDAY_REQUISITION_REGEX = /_((?:[a-z]{1,4}-?)?\d{3,})(?:-\d{1,2})?(?:\/(?:apply|application)?)?\/?$/i;
+
+/**
+ * Requisition IDs written differently on different pages ("R-012345", "r12345",
+ * "JR 12345") compare equal
+ * @param {string} id
+ * @returns {string}
+ */
+function normalizeRequisitionId(id) {
+    return String(id || '')
+        .toUpperCase()
+        .replace(/[^A-Z0-9]/g, '')
+        .replace(/^(REQ|JR|JOB|ID|R)(?=\d)/, '')
+        .replace(/^0+(?=\d)/, '');
+}
+
+/**
+ * ATS job key for a URL ("greenhouse:4012345"), or '' for other pages
+ * @param {string} url
+ * @returns {string}
+ */
+function atsPostingKey(url) {
+    let parsed;
+    try { parsed = new URL(url); } catch { return ''; }
+
+    for (const pattern of ATS_URL_PATTERNS) {
+        if (pattern.param) {
+            const value = parsed.searchParams.get(pattern.param);
+            if (value) return `${pattern.ats}:${value.toLowerCase()}`;
+        } else if (pattern.host.test(parsed.hostname)) {
+            const match = parsed.pathname.match(pattern.path);
+            if (match) return `${pattern.ats}:${match[1].toLowerCase()}`;
+        }
+    }
+    return '';
+}
+
+/**
+ * Requisition ID from the URL where the ATS puts it there (Workday)
+ * @param {string} url
+ * @returns {string}
+ */
+function requisitionIdFromUrl(url) {
+    try {
+        const parsed = new URL(url);
+        if (!/myworkday(jobs)?\.com$/.test(parsed.hostname)) return '';
+        const match = parsed.pathname.match(WORKDAY_REQUISITION_REGEX);
+        return match ? match[1] : '';
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Posting URL without the apply/confirmation sub-page, for same-site matching
+ * @param {string} url
+ * @returns {string}
+ */
+function postingPageUrl(url) {
+    return normalizeApplicationUrl(url)
+        .replace(/^(https?:\/\/)www\./i, '$1')
+        .replace(/\/(apply|application|applications?\/new)$/i, '');
+}
+
+function normalizeName(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/^\s*at\s+/, '')   // Greenhouse renders the company as "at Acme"
+        .replace(/\b(inc|llc|ltd|corp|corporation|gmbh|co)\b\.?/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Do two postings (application records or page identities) describe the same job?
+ * Same ATS job ID or page wins and different ATS job IDs lose (one company often posts
+ * several openings under the same title); otherwise the requisition ID decides when
+ * both have one; otherwise company and title must both match.
+ * @param {{ url?: string, requisitionId?: string, company?: string, title?: string }} a
+ * @param {{ url?: string, requisitionId?: string, company?: string, title?: string }} b
+ * @returns {boolean}
+ */
+function isSamePosting(a, b) {
+    if (!a || !b) return false;
+
+    const keyA = atsPostingKey(a.url);
+    const keyB = atsPostingKey(b.url);
+    if (keyA && keyB) return keyA === keyB;
+    if (a.url && b.url && postingPageUrl(a.url) === postingPageUrl(b.url)) return true;
+
+    const companyA = normalizeName(a.company);
+    const companyB = normalizeName(b.company);
+    const sameCompany = !companyA || !companyB || companyA === companyB;
+
+    const reqA = normalizeRequisitionId(a.requisitionId || requisitionIdFromUrl(a.url));
+    const reqB = normalizeRequisitionId(b.requisitionId || requisitionIdFromUrl(b.url));
+    if (reqA && reqB) return reqA === reqB && sameCompany;
+
+    const titleA = normalizeName(a.title);
+    return Boolean(titleA && companyA && companyB) && titleA === normalizeName(b.title) && companyA === companyB;
+}
+
+/**
+ * Remember that a fill completed on this posting
+ * @param {{ title: string, company: string, requisitionId?: string, url: string }} identity
+ * @returns {Promise<void>}
+ */
+async function recordFilledPosting(identity) {
+    const vault = getVault();
+    if (!vault || !identity) return;
+
+    const now = new Date().toISOString();
+    const entry = {
+        title: String(identity.title || ''),
+        company: String(identity.company || ''),
+        requisitionId: String(identity.requisitionId || ''),
+        url: String(identity.url || ''),
+        filledAt: now,
+        lastFilledAt: now
+    };
+
+    await vault.bucket('identity').update(FILLED_POSTINGS_STORAGE_KEY, (current) => {
+        const list = Array.isArray(current) ? current : [];
+        const existing = list.find(posting => isSamePosting(posting, entry));
+        if (existing) {
+            return list.map(posting => posting === existing
+                ? { ...existing, lastFilledAt: now, requisitionId: existing.requisitionId || entry.requisitionId }
+                : posting);
+        }
+        return [...list, entry].slice(-MAX_FILLED_POSTINGS);
+    });
+}
+
+/**
+ * Earliest earlier application to (or completed fill on) this posting.
+ * Logged applications win over fills.
+ * @param {{ title: string, company: string, requisitionId?: string, url: string }} identity
+ * @param {Object} [options] - { before: ISO time; ignore history from this point on (the current visit) }
+ * @returns {Promise<{ kind: 'applied'|'filled', title: string, company: string, date: string, applicationId?: string }|null>}
+ */
+async function findPreviousApplication(identity, options = {}) {
+    const vault = getVault();
+    if (!vault || !identity) return null;
+    const before = options.before || '\uffff';
+
+    const applied = (await listApplications())
+        .filter(app => app.appliedAt < before && isSamePosting(app, identity))
+        .pop(); // listApplications is newest first
+    if (applied) {
+        return {
+            kind: 'applied',
+            title: applied.title || identity.title,
+            company: applied.company || identity.company,
+            date: applied.appliedAt,
+            applicationId: applied.id
+        };
+    }
+
+    const filled = (await vault.bucket('identity').get(FILLED_POSTINGS_STORAGE_KEY)) || [];
+    const posting = filled.find(p => p.filledAt < before && isSamePosting(p, identity));
+    if (!posting) return null;
+    return {
+        kind: 'filled',
+        title: posting.title || identity.title,
+        company: posting.company || identity.company,
+        date: posting.filledAt
+    };
+}
+
+/**
+ * Banner text for a findPreviousApplication() match
+ * @param {{ kind: string, title: string, company: string, date: string }} match
+ * @returns {string}
+ */
+function formatDuplicateWarning(match) {
+    const role = match.title || 'this role';
+    const company = normalizeName(match.company) ? ` at ${String(match.company).replace(/^\s*at\s+/i, '').trim()}` : '';
+    const day = String(match.date || '').slice(0, 10);
+    return match.kind === 'applied'
+        ? `You already applied to ${role}${company} on ${day}`
+        : `You already filled the application for ${role}${company} on ${day}`;
+}
+
+const CSV_COLUMNS = [
+    ['Company', app => app.company],
+    ['Role', app => app.title],
+    ['Status', app => STATUS_LABELS[app.status] || app.status],
+    ['Date Applied', app => String(app.appliedAt || '').slice(0, 10)],
+    ['Last Updated', app => app.updatedAt],
+    ['Location', app => app.location],
+    ['URL', app => app.url],
+    ['Profile', app => app.profileName],
+    ['Notes', app => app.notes]
+];
+
+function csvCell(value) {
+    let text = String(value ?? '');
+    // Company/title come from job pages; keep spreadsheets from running them as formulas
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV of the given records (one row each, RFC 4180 quoting)
+ * @param {ApplicationRecord[]} applications
+ * @returns {string}
+ */
+function applicationsToCsv(applications) {
+    const rows = [CSV_COLUMNS.map(([header]) => header)];
+    (applications || []).map(withDefaults).forEach(app => {
+        rows.push(CSV_COLUMNS.map(([, read]) => read(app)));
+    });
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+}
+
+const ApplicationStore = {
+    recordApplication,
+    listApplications,
+    getApplication,
+    updateApplication,
+    deleteApplication,
+    clearApplications,
+    parseJobContext,
+    normalizeApplicationUrl,
+    applicationsToCsv,
+    recordFilledPosting,
+    findPreviousApplication,
+    formatDuplicateWarning,
+    isSamePosting,
+    normalizeRequisitionId,
+    SubmissionTrigger,
+    ApplicationStatus,
+    STATUS_LABELS,
+    APPLICATIONS_STORAGE_KEY
+};
+
+globalThis.ApplicationStore = ApplicationStore;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ApplicationStore;
+}
@@ -0,0 +1,319 @@
+/**
+ * Classification Rules for Nova Apply Extension
+ *
+ * User-written rules for company-specific fields the built-in taxonomy never
+ * learns ("Employee ID of referrer", "Req #"). A rule matches a field by a
+ * regex over its label, name and/or id, optionally only on one domain, and
+ * either classifies the field as a known field type or fills it with a fixed
+ * value or a value read from the resume (e.g. "customFields.employeeId").
+ *
+ * Rules live in the vault (identity bucket: fixed values can be personal) and
+ * are checked by AutofillScanner before the hybrid classifier; the highest
+ * priority match wins.
+ */
+
+// Vault key (identity bucket) for the rule list
+const CLASSIFICATION_RULES_STORAGE_KEY = 'classification_rules';
+const MAX_CLASSIFICATION_RULES = 100;
+const MAX_RULE_PATTERN_LENGTH = 500;
+
+/**
+ * @readonly
+ */
+const RuleTarget = {
+    FIELD_TYPE: 'field_type',
+    VALUE: 'value',
+    RESUME_PATH: 'resume_path'
+};
+
+// Field attributes a rule's pattern can be tested against
+const RULE_MATCH_ATTRIBUTES = ['label', 'name', 'id'];
+
+/**
+ * @typedef {Object} ClassificationRule
+ * @property {string} id
+ * @property {string} name - Shown in the editor and in fill explanations
+ * @property {string} pattern - Regular expression source (case-insensitive)
+ * @property {string[]} matchOn - Subset of 'label', 'name', 'id'
+ * @property {string} domain - Hostname the rule is limited to ('' for every site)
+ * @property {string} targetType - RuleTarget
+ * @property {string} target - Field type, fixed value or resume path
+ * @property {number} priority - Higher wins when several rules match
+ * @property {boolean} enabled
+ * @property {string} createdAt
+ */
+
+function getRulesVault() {
+    return globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
+}
+
+/**
+ * Validate and normalize editor input; throws with a message fit for the user
+ * @param {Object} input
+ * @returns {ClassificationRule}
+ */
+function normalizeRule(input) {
+    const name = String(input.name || '').trim();
+    if (!name) throw new Error('Give the rule a name');
+
+    const pattern = String(input.pattern || '').trim();
+    if (!pattern) throw new Error('Enter a pattern to match');
+    if (pattern.length > MAX_RULE_PATTERN_LENGTH) throw new Error(`Patterns can be up to ${MAX_RULE_PATTERN_LENGTH} characters`);
+    try {
+        new RegExp(pattern, 'i');
+    } catch (e) {
+        throw new Error(`Invalid pattern: ${e.message}`);
+    }
+
+    const matchOn = (Array.isArray(input.matchOn) ? input.matchOn : RULE_MATCH_ATTRIBUTES)
+        .filter(attr => RULE_MATCH_ATTRIBUTES.includes(attr));
+    if (matchOn.length === 0) throw new Error('Match on at least one of label, name or id');
+
+    if (!Object.values(RuleTarget).includes(input.targetType)) throw new Error(`Unknown rule target: ${input.targetType}`);
+    const target = input.targetType === RuleTarget.VALUE ? String(input.target ?? '') : String(input.target || '').trim();
+    if (!target) throw new Error(input.targetType === RuleTarget.VALUE ? 'Enter the value to fill' : 'Choose what the rule sets');
+    const fieldTypes = globalThis.FieldTypes;
+    if (input.targetType === RuleTarget.FIELD_TYPE && fieldTypes && !fieldTypes.isValidFieldType(target)) {
+        throw new Error(`Unknown field type: ${target}`);
+    }
+
+    const priority = Number(input.priority);
+    return {
+        id: input.id || 'rule_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+        name,
+        pattern,
+        matchOn,
+        domain: normalizeRuleDomain(input.domain),
+        targetType: input.targetType,
+        target,
+        priority: Number.isFinite(priority) ? Math.round(priority) : 0,
+        enabled: input.enabled !== false,
+        createdAt: input.createdAt || new Date().toISOString()
+    };
+}
+
+/**
+ * "https://www.Acme.com/jobs", "*.acme.com" -> "www.acme.com", "acme.com"
+ * @param {string} domain
+ * @returns {string}
+ */
+function normalizeRuleDomain(domain) {
+    return String(domain || '').trim().toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/[/?#].*$/, '')
+        .replace(/^\*\./, '');
+}
+
+/**
+ * Whether a rule applies on a hostname (its domain or any subdomain of it)
+ * @param {ClassificationRule} rule
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+function ruleAppliesTo(rule, hostname) {
+    if (!rule.domain) return true;
+    const host = String(hostname || '').toLowerCase();
+    return host === rule.domain || host.endsWith('.' + rule.domain);
+}
+
+// Compiled pattern per rule object (null when it does not compile or is over the length limit)
+const compiledRulePatterns = new WeakMap();
+
+/**
+ * A rule's pattern as a case-insensitive RegExp, compiled once per loaded rule
+ * @param {ClassificationRule} rule
+ * @returns {RegExp|null}
+ */
+function compileRulePattern(rule) {
+    if (compiledRulePatterns.has(rule)) return compiledRulePatterns.get(rule);
+    let regex = null;
+    const pattern = String(rule.pattern || '');
+    if (pattern && pattern.length <= MAX_RULE_PATTERN_LENGTH) {
+        try {
+            regex = new RegExp(pattern, 'i');
+        } catch (e) {
+            regex = null;
+        }
+    }
+    compiledRulePatterns.set(rule, regex);
+    return regex;
+}
+
+/**
+ * Stored rules, highest priority first (ties: oldest first). With enabledOnly the
+ * patterns are compiled here and rules whose pattern does not compile are dropped.
+ * @param {Object} [filter] - { hostname, enabledOnly }
+ * @returns {Promise<ClassificationRule[]>}
+ */
+async function listRules(filter = {}) {
+    const vault = getRulesVault();
+    const rules = vault ? await vault.bucket('identity').get(CLASSIFICATION_RULES_STORAGE_KEY) : null;
+    return (Array.isArray(rules) ? rules : [])
+        .filter(rule => !filter.enabledOnly || (rule.enabled && compileRulePattern(rule) !== null))
+        .filter(rule => filter.hostname === undefined || ruleAppliesTo(rule, filter.hostname))
+        .sort((a, b) => (b.priority - a.priority) || String(a.createdAt).localeCompare(String(b.createdAt)));
+}
+
+/**
+ * Add a rule or replace the one with the same id
+ * @param {Object} input - Rule fields (see ClassificationRule)
+ * @returns {Promise<ClassificationRule>}
+ */
+async function saveRule(input) {
+    const vault = getRulesVault();
+    if (!vault) throw new Error('Storage unavailable');
+    const rule = normalizeRule(input);
+
+    await vault.bucket('identity').update(CLASSIFICATION_RULES_STORAGE_KEY, (current) => {
+        const rules = Array.isArray(current) ? current : [];
+        if (rules.some(r => r.id === rule.id)) return rules.map(r => r.id === rule.id ? rule : r);
+        if (rules.length >= MAX_CLASSIFICATION_RULES) throw new Error(`Up to ${MAX_CLASSIFICATION_RULES} rules can be stored`);
+        return [...rules, rule];
+    });
+    return rule;
+}
+
+/**
+ * Delete a rule
+ * @param {string} ruleId
+ * @returns {Promise<void>}
+ */
+async function deleteRule(ruleId) {
+    const vault = getRulesVault();
+    if (!vault) return;
+    await vault.bucket('identity').update(CLASSIFICATION_RULES_STORAGE_KEY, (current) =>
+        (Array.isArray(current) ? current : []).filter(rule => rule.id !== ruleId));
+}
+
+/**
+ * Remove all rules (Clear All Data)
+ * @returns {Promise<void>}
+ */
+async function clearRules() {
+    const vault = getRulesVault();
+    if (!vault) return;
+    await vault.bucket('identity').remove(CLASSIFICATION_RULES_STORAGE_KEY);
+}
+
+/**
+ * First rule (in the given order) whose pattern matches the field. With resume data,
+ * a resume path rule that reads nothing is passed over so the field gets classified
+ * normally instead of being labelled with the rule's name.
+ * @param {ClassificationRule[]} rules - As returned by listRules
+ * @param {Object} field - { label, name, id }
+ * @param {Object} [resumeData]
+ * @returns {ClassificationRule|null}
+ */
+function matchRule(rules, field, resumeData) {
+    for (const rule of rules) {
+        if (!rule.enabled) continue;
+        const regex = compileRulePattern(rule);
+        if (!regex || !rule.matchOn.some(attr => field[attr] && regex.test(String(field[attr])))) continue;
+        if (resumeData && rule.targetType === RuleTarget.RESUME_PATH && resolveResumePath(resumeData, rule.target) === null) continue;
+        return rule;
+    }
+    return null;
+}
+
+/**
+ * Read a value out of resume data: "customFields.employeeId", "experience[0].company"
+ * @param {Object} resumeData
+ * @param {string} path
+ * @returns {string|null} - null when the path is empty or leads to an object
+ */
+function resolveResumePath(resumeData, path) {
+    const value = String(path || '').replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean)
+        .reduce((node, key) => (node == null ? undefined : node[key]), resumeData);
+    if (Array.isArray(value)) {
+        const items = value.filter(v => typeof v === 'string' || typeof v === 'number');
+        return items.length > 0 ? items.join(', ') : null;
+    }
+    if (typeof value === 'string') return value.trim() || null;
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    return null;
+}
+
+/**
+ * Value a rule fills in (null for field type rules, which leave it to the resolvers)
+ * @param {ClassificationRule} rule
+ * @param {Object} resumeData
+ * @returns {string|null}
+ */
+function resolveRuleValue(rule, resumeData) {
+    if (rule.targetType === RuleTarget.VALUE) return rule.target;
+    if (rule.targetType === RuleTarget.RESUME_PATH) return resolveResumePath(resumeData || {}, rule.target);
+    return null;
+}
+
+/**
+ * Label a matched field is classified as: the field type, or a slug of the rule name
+ * @param {ClassificationRule} rule
+ * @returns {string}
+ */
+function ruleLabel(rule) {
+    if (rule.targetType === RuleTarget.FIELD_TYPE) return rule.target;
+    return rule.name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '') || 'custom_rule';
+}
+
+/**
+ * Label text of a form control in a parsed snippet: <label for>, a wrapping
+ * <label>, aria-label, then placeholder
+ * @param {Element} element
+ * @param {Document} doc
+ * @returns {string}
+ */
+function getSnippetLabel(element, doc) {
+    const byFor = element.id ? Array.from(doc.querySelectorAll('label')).find(l => l.getAttribute('for') === element.id) : null;
+    const label = byFor || element.closest('label');
+    const text = label ? label.textContent : (element.getAttribute('aria-label') || element.getAttribute('placeholder') || '');
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Run rules against a pasted HTML snippet (options page test console)
+ * @param {ClassificationRule[]} rules - Rules to try, in priority order
+ * @param {string} html
+ * @param {Object} [options] - { hostname, resumeData }
+ * @returns {Array<{ label: string, name: string, id: string, rule: ClassificationRule|null, skipped: boolean, classifiedAs: string|null, value: string|null }>}
+ */
+function testRules(rules, html, options = {}) {
+    const doc = new DOMParser().parseFromString(String(html || ''), 'text/html');
+    const applicable = rules.filter(rule => options.hostname === undefined || ruleAppliesTo(rule, options.hostname));
+
+    return Array.from(doc.querySelectorAll('input, select, textarea'))
+        .filter(el => !['hidden', 'submit', 'button', 'reset', 'image'].includes((el.getAttribute('type') || '').toLowerCase()))
+        .map(el => {
+            const field = { label: getSnippetLabel(el, doc), name: el.getAttribute('name') || '', id: el.id || '' };
+            const rule = matchRule(applicable, field);
+            return {
+                ...field,
+                rule,
+                skipped: !rule && matchRule(rules, field) !== null,
+                classifiedAs: rule ? ruleLabel(rule) : null,
+                value: rule ? resolveRuleValue(rule, options.resumeData) : null
+            };
+        });
+}
+
+const ClassificationRules = {
+    listRules,
+    saveRule,
+    deleteRule,
+    clearRules,
+    normalizeRule,
+    normalizeRuleDomain,
+    ruleAppliesTo,
+    matchRule,
+    resolveResumePath,
+    resolveRuleValue,
+    ruleLabel,
+    testRules,
+    RuleTarget,
+    RULE_MATCH_ATTRIBUTES
+};
+
+globalThis.ClassificationRules = ClassificationRules;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClassificationRules;
+}
@@ -0,0 +1,250 @@
+/**
+ * Contact Normalizer for Nova Apply Extension
+ *
+ * Structured personal info on top of the legacy free-text fields:
+ * - personal.address      { line1, line2, city, state, postalCode, country, timezone }
+ * - personal.phoneDetails { countryCode, number, extension, e164 }
+ *
+ * personal.location and personal.phone stay as display strings (AI prompts,
+ * exports and older readers use them); location is derived from the address,
+ * phone keeps the user's own formatting unless the number changed.
+ * personal.phoneE164 is the dialable form, empty while the calling code is
+ * unknown. Resumes saved before the structured model existed are migrated by
+ * parsing the old strings.
+ */
+
+// Country -> calling code (common job-application countries; extend as needed)
+const COUNTRY_DIAL_CODES = {
+    'united states': '1', 'usa': '1', 'us': '1', 'canada': '1',
+    'united kingdom': '44', 'uk': '44', 'great britain': '44', 'ireland': '353',
+    'india': '91', 'germany': '49', 'france': '33', 'spain': '34', 'italy': '39',
+    'netherlands': '31', 'belgium': '32', 'switzerland': '41', 'austria': '43',
+    'sweden': '46', 'norway': '47', 'denmark': '45', 'finland': '358', 'poland': '48',
+    'portugal': '351', 'australia': '61', 'new zealand': '64', 'singapore': '65',
+    'japan': '81', 'south korea': '82', 'china': '86', 'hong kong': '852',
+    'philippines': '63', 'indonesia': '62', 'vietnam': '84', 'pakistan': '92',
+    'brazil': '55', 'mexico': '52', 'argentina': '54', 'south africa': '27',
+    'nigeria': '234', 'kenya': '254', 'egypt': '20', 'israel': '972',
+    'united arab emirates': '971', 'uae': '971', 'turkey': '90', 'russia': '7'
+};
+
+// Longest calling codes first so "+353..." is not read as "+35..."
+const KNOWN_DIAL_CODES = [...new Set(Object.values(COUNTRY_DIAL_CODES))].sort((a, b) => b.length - a.length);
+
+const US_STATES = {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+    CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+    HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas',
+    KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts',
+    MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi', MO: 'Missouri', MT: 'Montana',
+    NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico',
+    NY: 'New York', NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma',
+    OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+    SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+    VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+const US_STATE_NAMES = new Set(Object.values(US_STATES).map(s => s.toLowerCase()));
+
+const POSTAL_CODE_REGEX = /\b(\d{5}(?:-\d{4})?|\d{4,6}|[A-Z]\d[A-Z]\s?\d[A-Z]\d|[A-Z]{1,2}\d[A-Z\d]?\s?\d[A-Z]{2})\b/i;
+const EXTENSION_REGEX = /\s*(?:ext\.?|extension|x|#)\s*(\d{1,6})\s*$/i;
+
+const EMPTY_ADDRESS = { line1: '', line2: '', city: '', state: '', postalCode: '', country: '', timezone: '' };
+const EMPTY_PHONE = { countryCode: '', number: '', extension: '', e164: '' };
+
+/**
+ * Calling code for a country name ("India" -> "91"), or '' if unknown
+ * @param {string} country
+ * @returns {string}
+ */
+function dialCodeForCountry(country) {
+    return COUNTRY_DIAL_CODES[String(country || '').trim().toLowerCase().replace(/\./g, '')] || '';
+}
+
+/**
+ * Calling code implied by an address: its country, or +1 for a US state; '' if unknown
+ * @param {Object} address
+ * @returns {string}
+ */
+function dialCodeForAddress(address) {
+    if (!address) return '';
+    return dialCodeForCountry(address.country) || (!address.country && isKnownState(address.state) ? '1' : '');
+}
+
+/**
+ * Is this string a state/province we can recognise?
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isKnownState(value) {
+    const v = String(value || '').trim();
+    return Boolean(US_STATES[v.toUpperCase()] && v.length === 2) || US_STATE_NAMES.has(v.toLowerCase());
+}
+
+/**
+ * Parse a free-text phone into calling code, national number and extension
+ * @param {string} raw - e.g. "+1 (555) 123-4567 ext. 89", "020 7946 0958"
+ * @param {string} [defaultCountryCode] - Used when the number has no "+"/"00" prefix; without it
+ *        a national number gets no calling code (and no e164)
+ * @returns {{ countryCode: string, number: string, extension: string, e164: string }}
+ */
+function parsePhone(raw, defaultCountryCode = '') {
+    let value = String(raw || '').trim();
+    if (!value) return { ...EMPTY_PHONE };
+
+    let extension = '';
+    const ext = value.match(EXTENSION_REGEX);
+    if (ext) {
+        extension = ext[1];
+        value = value.slice(0, ext.index);
+    }
+
+    const international = /^\s*(\+|00)/.test(value);
+    let digits = value.replace(/\D/g, '');
+    if (value.trim().startsWith('00')) digits = digits.slice(2);
+
+    let countryCode = '';
+    if (international) {
+        countryCode = KNOWN_DIAL_CODES.find(code => digits.startsWith(code)) || digits.slice(0, digits.length > 10 ? digits.length - 10 : 1);
+        digits = digits.slice(countryCode.length);
+    } else if (digits.length === 11 && digits.startsWith('1') && defaultCountryCode === '1') {
+        countryCode = '1';
+        digits = digits.slice(1);
+    } else {
+        countryCode = defaultCountryCode;
+        // National trunk prefix ("020 ..." in the UK) is dropped in E.164
+        if (countryCode && countryCode !== '1') digits = digits.replace(/^0+/, '');
+    }
+
+    return buildPhone({ countryCode, number: digits, extension });
+}
+
+/**
+ * Fill in e164 from the parts
+ * @param {{ countryCode?: string, number?: string, extension?: string }} parts
+ * @returns {{ countryCode: string, number: string, extension: string, e164: string }}
+ */
+function buildPhone(parts) {
+    const countryCode = String(parts.countryCode || '').replace(/\D/g, '');
+    const number = String(parts.number || '').replace(/\D/g, '');
+    const extension = String(parts.extension || '').replace(/\D/g, '');
+    const e164 = number && countryCode ? `+${countryCode}${number}` : '';
+    return { countryCode, number, extension, e164 };
+}
+
+/**
+ * Display string for a phone ("+1 5551234567 ext. 89", "5551234567" without a calling code)
+ * @param {Object} details - phoneDetails
+ * @returns {string}
+ */
+function formatPhone(details) {
+    if (!details || !details.number) return '';
+    const base = details.countryCode ? `+${details.countryCode} ${details.number}` : details.number;
+    return details.extension ? `${base} ext. ${details.extension}` : base;
+}
+
+/**
+ * Parse a free-text location/address into components
+ * @param {string} raw - e.g. "Austin, TX", "221B Baker St, London NW1 6XE, UK"
+ * @returns {Object} address
+ */
+function parseLocation(raw) {
+    const address = { ...EMPTY_ADDRESS };
+    let parts = String(raw || '').split(',').map(p => p.trim()).filter(Boolean);
+    if (parts.length === 0 || /^remote$/i.test(parts.join(''))) return address;
+
+    // Country is the last part when we recognise it
+    if (dialCodeForCountry(parts[parts.length - 1]) && !isKnownState(parts[parts.length - 1])) {
+        address.country = parts.pop();
+    }
+
+    // Postal code may trail the state or city ("TX 78701", "London NW1 6XE")
+    parts = parts.map(part => {
+        const match = !address.postalCode && part.match(POSTAL_CODE_REGEX);
+        if (!match || /^\d+\s+\D/.test(part)) return part; // "221 Baker St" is a street, not a postcode
+        address.postalCode = match[1];
+        return part.replace(match[0], '').trim();
+    }).filter(Boolean);
+
+    // A leading part starting with a number is the street ("221B Baker St")
+    if (parts.length > 1 && /^\d/.test(parts[0])) address.line1 = parts.shift();
+
+    if (parts.length > 1 && (isKnownState(parts[parts.length - 1]) || parts.length > 2 || (address.country && !address.line1))) {
+        address.state = parts.pop();
+    }
+    if (parts.length > 0) address.city = parts.pop();
+    if (parts.length > 0) address[address.line1 ? 'line2' : 'line1'] = parts.join(', ');
+    return address;
+}
+
+/**
+ * Display string for an address ("Austin, TX, United States")
+ * @param {Object} address
+ * @returns {string}
+ */
+function formatLocation(address) {
+    if (!address) return '';
+    return [address.city, address.state, address.country].map(v => String(v || '').trim()).filter(Boolean).join(', ');
+}
+
+/**
+ * Does the address have any component filled?
+ * @param {Object} address
+ * @returns {boolean}
+ */
+function hasAddress(address) {
+    return Boolean(address) && ['line1', 'line2', 'city', 'state', 'postalCode', 'country'].some(k => String(address[k] || '').trim());
+}
+
+/**
+ * Bring a personal block to the structured model. Structured values win; legacy
+ * strings only seed empty structures. Display strings are re-derived.
+ * @param {Object} personal
+ * @returns {Object} New personal object
+ */
+function normalizePersonal(personal) {
+    const out = { ...(personal || {}) };
+    const address = { ...EMPTY_ADDRESS, ...(out.address || {}) };
+
+    if (hasAddress(address)) {
+        out.address = address;
+        out.location = formatLocation(address) || out.location || '';
+    } else {
+        out.address = { ...parseLocation(out.location), timezone: address.timezone };
+    }
+
+    const details = { ...EMPTY_PHONE, ...(out.phoneDetails || {}) };
+    if (details.number && details.countryCode) {
+        out.phoneDetails = buildPhone(details);
+    } else if (details.number) {
+        // Typed without a calling code: "+44 20 ..." in the number box, or a national number
+        const parsed = parsePhone(details.number, dialCodeForAddress(out.address));
+        out.phoneDetails = buildPhone({ ...parsed, extension: details.extension || parsed.extension });
+    } else {
+        out.phoneDetails = parsePhone(out.phone, dialCodeForAddress(out.address));
+    }
+    // Keep the user's formatting while it is still the same number; re-derive it after an edit
+    const typed = String(out.phone || '').trim();
+    const sameNumber = typed && (!out.phoneDetails.number || typed.replace(/\D/g, '').includes(out.phoneDetails.number));
+    out.phone = sameNumber ? typed : formatPhone(out.phoneDetails);
+    out.phoneE164 = out.phoneDetails.e164;
+
+    return out;
+}
+
+const ContactNormalizer = {
+    parsePhone,
+    buildPhone,
+    formatPhone,
+    parseLocation,
+    formatLocation,
+    normalizePersonal,
+    dialCodeForCountry,
+    isKnownState,
+    COUNTRY_DIAL_CODES
+};
+
+globalThis.ContactNormalizer = ContactNormalizer;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContactNormalizer;
+}
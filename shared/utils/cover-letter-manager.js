@@ -0,0 +1,392 @@
+/**
+ * Cover Letter Manager for Nova Apply Extension
+ *
+ * Cover letters for ATSs that want a letter rather than a free-text answer:
+ * - Templates: user-editable text with {{placeholders}} (company, role, highlights, ...)
+ *   filled from the job context (getJobContext) and the active resume
+ * - Drafting: the filled template as-is, or rewritten by the AI grounded in the
+ *   posting and the resume
+ * - Library: saved letters, linked to the posting they were written for
+ *
+ * Templates and letters live in the identity bucket (encrypted). Letters render
+ * to PDF / DOCX locally through DocumentRenderer.
+ */
+
+// Vault keys (identity bucket)
+const COVER_LETTER_TEMPLATES_KEY = 'coverLetterTemplates';
+const COVER_LETTERS_KEY = 'coverLetters';
+// Letters kept in the library (least recently updated dropped first)
+const MAX_COVER_LETTERS = 100;
+// Resume bullets quoted by {{highlights}}
+const COVER_LETTER_HIGHLIGHT_COUNT = 3;
+
+/**
+ * Placeholders a template can use, with what they are filled with
+ * @readonly
+ */
+const COVER_LETTER_PLACEHOLDERS = {
+    company: 'Company from the posting',
+    role: 'Job title from the posting',
+    hiringManager: 'Greeting name ("Hiring Manager")',
+    highlights: 'Your resume bullets most relevant to the posting',
+    skills: 'Your skills the posting asks for',
+    currentRole: 'Your most recent title and employer',
+    fullName: 'Your full name',
+    firstName: 'Your first name',
+    email: 'Your email',
+    phone: 'Your phone',
+    date: "Today's date"
+};
+
+/**
+ * Templates offered until the user saves their own
+ */
+const BUILTIN_COVER_LETTER_TEMPLATES = [
+    {
+        id: 'standard',
+        name: 'Standard',
+        body: '{{date}}\n\nDear {{hiringManager}},\n\n' +
+            'I am writing to apply for the {{role}} position at {{company}}. As {{currentRole}}, I have built experience with {{skills}}, and I would welcome the chance to bring it to your team.\n\n' +
+            'A few highlights:\n{{highlights}}\n\n' +
+            'I would be glad to discuss how I can contribute to {{company}}. Thank you for your time and consideration.\n\n' +
+            'Sincerely,\n{{fullName}}\n{{email}} · {{phone}}'
+    },
+    {
+        id: 'short',
+        name: 'Short note',
+        body: 'Dear {{hiringManager}},\n\n' +
+            'I am excited to apply for the {{role}} role at {{company}}. My background in {{skills}} matches what you are looking for, most recently as {{currentRole}}.\n\n' +
+            'Thank you for considering my application.\n\n' +
+            'Best regards,\n{{fullName}}'
+    }
+];
+
+/**
+ * @typedef {Object} CoverLetter
+ * @property {string} id
+ * @property {string} title - Job title
+ * @property {string} company
+ * @property {string} url - Posting URL
+ * @property {string} requisitionId
+ * @property {string|null} templateId
+ * @property {string} body - Letter text
+ * @property {'template'|'ai'|'manual'} source - How the text was produced
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+function getCoverLetterVault() {
+    return globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
+}
+
+function generateCoverLetterId(prefix) {
+    return prefix + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+// ============================================
+// TEMPLATES
+// ============================================
+
+/**
+ * Saved templates, or the built-in ones until the user saves their own
+ * @returns {Promise<Array<{id: string, name: string, body: string}>>}
+ */
+async function listTemplates() {
+    const vault = getCoverLetterVault();
+    const stored = vault ? await vault.bucket('identity').get(COVER_LETTER_TEMPLATES_KEY) : null;
+    if (Array.isArray(stored) && stored.length > 0) return stored;
+    return BUILTIN_COVER_LETTER_TEMPLATES.map(t => ({ ...t }));
+}
+
+/**
+ * Create or update a template. Editing a built-in saves the whole set, so the
+ * other built-ins are kept as the user's own.
+ * @param {{ id?: string, name: string, body: string }} template
+ * @returns {Promise<string>} - Template ID
+ */
+async function saveTemplate(template) {
+    const name = String(template?.name || '').trim();
+    const body = String(template?.body || '');
+    if (!name) throw new Error('Template name is required');
+    if (!body.trim()) throw new Error('Template text is required');
+
+    const vault = getCoverLetterVault();
+    if (!vault) throw new Error('Storage unavailable');
+
+    const templates = await listTemplates();
+    const id = template.id && templates.some(t => t.id === template.id) ? template.id : generateCoverLetterId('tpl_');
+    const next = templates.some(t => t.id === id)
+        ? templates.map(t => t.id === id ? { ...t, name, body } : t)
+        : [...templates, { id, name, body }];
+
+    await vault.bucket('identity').set(COVER_LETTER_TEMPLATES_KEY, next);
+    return id;
+}
+
+/**
+ * Delete a template. Deleting the last one brings the built-ins back.
+ * @param {string} templateId
+ * @returns {Promise<boolean>}
+ */
+async function deleteTemplate(templateId) {
+    const vault = getCoverLetterVault();
+    const templates = await listTemplates();
+    if (!vault || !templates.some(t => t.id === templateId)) return false;
+
+    await vault.bucket('identity').set(COVER_LETTER_TEMPLATES_KEY, templates.filter(t => t.id !== templateId));
+    return true;
+}
+
+/**
+ * Replace {{placeholders}}. Unknown placeholders are left in place so they stand out.
+ * @param {string} body
+ * @param {Object<string, string>} values
+ * @returns {string}
+ */
+function renderTemplate(body, values) {
+    return String(body || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+        Object.prototype.hasOwnProperty.call(values, key) ? String(values[key] ?? '') : match);
+}
+
+// ============================================
+// PLACEHOLDER VALUES
+// ============================================
+
+/**
+ * "a", "a and b", "a, b and c"
+ * @param {string[]} items
+ * @returns {string}
+ */
+function joinNatural(items) {
+    if (items.length <= 1) return items[0] || '';
+    return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/**
+ * Resume bullets that share the most words with the posting, in resume order on ties
+ * @param {Object} job - JobContext
+ * @param {Object} resume
+ * @param {number} [count]
+ * @returns {string[]}
+ */
+function pickHighlights(job, resume, count = COVER_LETTER_HIGHLIGHT_COUNT) {
+    const wordsOf = (text) => new Set(String(text || '').toLowerCase().match(/[a-z][a-z0-9+#.]{3,}/g) || []);
+    const jobWords = wordsOf([job?.title, ...(job?.requirements || []), ...(job?.niceToHaves || []), job?.description].join(' '));
+
+    const bullets = (resume?.experience || []).flatMap(exp => {
+        const items = Array.isArray(exp.achievements) && exp.achievements.length > 0
+            ? exp.achievements
+            : String(exp.description || '').split('\n');
+        return items.map(b => String(b).replace(/^\s*(?:[-*•●▪◦]|\d+[.)])\s+/, '').trim()).filter(Boolean);
+    });
+
+    return bullets
+        .map((text, i) => ({ text, i, score: [...wordsOf(text)].filter(w => jobWords.has(w)).length }))
+        .sort((a, b) => (b.score - a.score) || (a.i - b.i))
+        .slice(0, count)
+        .map(b => b.text);
+}
+
+/**
+ * Values for every placeholder from the posting and the resume
+ * @param {Object} job - JobContext
+ * @param {Object} resume
+ * @returns {Object<string, string>}
+ */
+function buildPlaceholderValues(job, resume) {
+    const personal = resume?.personal || {};
+    const latest = (resume?.experience || [])[0];
+
+    // Skills the posting asks for; otherwise the first few listed
+    const fit = globalThis.JobFit;
+    let skills = fit && job ? fit.compareKeywords(job, resume || {}).matched.map(k => k.name) : [];
+    if (skills.length === 0 && fit) skills = fit.flattenSkills(resume?.skills);
+    if (skills.length === 0) skills = Object.values(resume?.skills || {}).flat().filter(s => typeof s === 'string');
+
+    return {
+        company: job?.company || 'your company',
+        role: job?.title || 'open',
+        hiringManager: 'Hiring Manager',
+        highlights: pickHighlights(job, resume).map(h => `• ${h}`).join('\n'),
+        skills: joinNatural(skills.slice(0, 4)) || 'the areas this role covers',
+        currentRole: latest ? [latest.title, latest.company].filter(Boolean).join(' at ') : 'a professional in this field',
+        fullName: [personal.firstName, personal.lastName].filter(Boolean).join(' '),
+        firstName: personal.firstName || '',
+        email: personal.email || '',
+        phone: personal.phone || '',
+        date: new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+    };
+}
+
+// ============================================
+// DRAFTING
+// ============================================
+
+/**
+ * Draft a letter for a posting from a template, optionally rewritten by the AI
+ * @param {Object} job - JobContext from getJobContext()
+ * @param {Object} [options] - { templateId, useAI, resumeData }
+ * @returns {Promise<{ success: boolean, text: string, source: 'template'|'ai', templateId: string, error?: string }>}
+ */
+async function draftCoverLetter(job, options = {}) {
+    const templates = await listTemplates();
+    const template = templates.find(t => t.id === options.templateId) || templates[0];
+    const resume = options.resumeData || await globalThis.ResumeManager?.getResumeData() || {};
+    const filled = renderTemplate(template.body, buildPlaceholderValues(job, resume));
+
+    if (!options.useAI) {
+        return { success: true, text: filled, source: 'template', templateId: template.id };
+    }
+
+    const ai = globalThis.AIClient;
+    if (!ai?.callAI) {
+        return { success: false, text: filled, source: 'template', templateId: template.id, error: 'AI Client not available' };
+    }
+
+    const resumeText = await globalThis.ResumeManager?.getResumeAsText?.() || '';
+    const prompt = [
+        `JOB:\n${job?.text || 'Not available'}`,
+        `RESUME:\n${resumeText || 'Not available'}`,
+        `TEMPLATE DRAFT:\n${filled}`
+    ].join('\n\n');
+
+    const result = await ai.callAI(
+        prompt,
+        'You write cover letters. Rewrite the template draft into a finished letter for this job: keep its structure, greeting, sign-off and contact lines, tie the candidate\'s experience to the posting\'s requirements, and use only facts from the resume. 250-350 words, plain text, no markdown, no placeholders.',
+        { maxTokens: 900, temperature: 0.6, subsystem: ai.AISubsystem?.COVER_LETTER || 'cover_letter' }
+    );
+
+    if (!result.success || !String(result.text || '').trim()) {
+        return { success: false, text: filled, source: 'template', templateId: template.id, error: result.error || 'Empty AI response' };
+    }
+    return { success: true, text: result.text.trim(), source: 'ai', templateId: template.id };
+}
+
+// ============================================
+// LIBRARY
+// ============================================
+
+async function readCoverLetters() {
+    const vault = getCoverLetterVault();
+    if (!vault) return [];
+    const list = await vault.bucket('identity').get(COVER_LETTERS_KEY);
+    return Array.isArray(list) ? list : [];
+}
+
+/**
+ * Save a letter to the library (new when it has no id)
+ * @param {Partial<CoverLetter>} letter
+ * @returns {Promise<CoverLetter|null>}
+ */
+async function saveLetter(letter) {
+    const vault = getCoverLetterVault();
+    if (!vault) return null;
+    if (!String(letter?.body || '').trim()) throw new Error('Cover letter is empty');
+
+    const now = new Date().toISOString();
+    let saved = null;
+    await vault.bucket('identity').update(COVER_LETTERS_KEY, (current) => {
+        const list = Array.isArray(current) ? current : [];
+        const existing = letter.id ? list.find(l => l.id === letter.id) : null;
+
+        saved = {
+            id: existing?.id || generateCoverLetterId('cl_'),
+            title: String(letter.title ?? existing?.title ?? '').trim(),
+            company: String(letter.company ?? existing?.company ?? '').trim(),
+            url: letter.url ?? existing?.url ?? '',
+            requisitionId: letter.requisitionId ?? existing?.requisitionId ?? '',
+            templateId: letter.templateId ?? existing?.templateId ?? null,
+            body: String(letter.body),
+            source: letter.source || existing?.source || 'manual',
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+
+        const next = existing ? list.map(l => l.id === saved.id ? saved : l) : [...list, saved];
+        return next
+            .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+            .slice(0, MAX_COVER_LETTERS);
+    });
+    return saved;
+}
+
+/**
+ * Letters in the library, most recently updated first
+ * @param {Object} [filter] - { posting: { url, requisitionId, company, title } } letters written for that posting
+ * @returns {Promise<CoverLetter[]>}
+ */
+async function listLetters(filter = {}) {
+    let list = await readCoverLetters();
+    if (filter.posting) {
+        const same = globalThis.ApplicationStore?.isSamePosting || ((a, b) => a.url === b.url);
+        list = list.filter(l => same(l, filter.posting));
+    }
+    return list.slice().sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+/**
+ * @param {string} letterId
+ * @returns {Promise<CoverLetter|null>}
+ */
+async function getLetter(letterId) {
+    return (await readCoverLetters()).find(l => l.id === letterId) || null;
+}
+
+/**
+ * @param {string} letterId
+ * @returns {Promise<void>}
+ */
+async function deleteLetter(letterId) {
+    const vault = getCoverLetterVault();
+    if (!vault) return;
+    await vault.bucket('identity').update(COVER_LETTERS_KEY, (current) =>
+        (Array.isArray(current) ? current : []).filter(l => l.id !== letterId));
+}
+
+/**
+ * Remove all letters and templates (Clear All Data)
+ * @returns {Promise<void>}
+ */
+async function clearCoverLetters() {
+    const vault = getCoverLetterVault();
+    if (!vault) return;
+    await vault.bucket('identity').remove(COVER_LETTERS_KEY);
+    await vault.bucket('identity').remove(COVER_LETTER_TEMPLATES_KEY);
+}
+
+/**
+ * Render a letter to a file
+ * @param {CoverLetter} letter
+ * @param {'pdf'|'docx'|'txt'} format
+ * @returns {{ bytes: Uint8Array, mimeType: string, fileName: string }}
+ */
+function exportLetter(letter, format) {
+    const renderer = globalThis.DocumentRenderer;
+    if (!renderer) throw new Error('Document renderer not available');
+
+    const title = ['Cover Letter', letter.company].filter(Boolean).join(' - ');
+    return renderer.renderDocument(letter.body, format, { title, fileName: title });
+}
+
+const CoverLetterManager = {
+    listTemplates,
+    saveTemplate,
+    deleteTemplate,
+    renderTemplate,
+    buildPlaceholderValues,
+    pickHighlights,
+    draftCoverLetter,
+    saveLetter,
+    listLetters,
+    getLetter,
+    deleteLetter,
+    clearCoverLetters,
+    exportLetter,
+    COVER_LETTER_PLACEHOLDERS
+};
+
+globalThis.CoverLetterManager = CoverLetterManager;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CoverLetterManager;
+}
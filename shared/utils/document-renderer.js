@@ -0,0 +1,371 @@
+/**
+ * Document Renderer for Nova Apply Extension
+ *
+ * Renders plain text (cover letters) to files locally, with no libraries and
+ * nothing leaving the browser:
+ * - PDF: US Letter pages, Helvetica 11pt (a PDF standard font, so nothing is
+ *   embedded), WinAnsi text, word wrap by the font's metrics
+ * - DOCX: minimal WordprocessingML package in a stored (uncompressed) ZIP
+ *
+ * Paragraphs are separated by newlines; blank lines are kept as spacing.
+ */
+
+// PDF page geometry in points (US Letter, 1" margins)
+const PDF_PAGE = { width: 612, height: 792, margin: 72 };
+const PDF_FONT_SIZE = 11;
+const PDF_LEADING = 15;
+
+/**
+ * Helvetica advance widths (1/1000 em) for ASCII 32-126; other characters use 556
+ */
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+/**
+ * WinAnsiEncoding bytes for the characters outside Latin-1 that letters commonly use
+ */
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '•': 0x95, '–': 0x96, '—': 0x97,
+    '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '™': 0x99, 'Œ': 0x8C, 'œ': 0x9C, 'Š': 0x8A, 'š': 0x9A
+};
+
+/**
+ * MIME types of the formats renderDocument produces
+ * @readonly
+ */
+const DocumentMimeType = {
+    pdf: 'application/pdf',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    txt: 'text/plain'
+};
+
+// ============================================
+// PDF
+// ============================================
+
+/**
+ * Map text to WinAnsi character codes; unsupported characters become '?'
+ * @param {string} text
+ * @returns {string} - One char per byte (codes 0-255)
+ */
+function toWinAnsi(text) {
+    let out = '';
+    for (const ch of String(text)) {
+        const code = ch.codePointAt(0);
+        if (WIN_ANSI_EXTRAS[ch]) out += String.fromCharCode(WIN_ANSI_EXTRAS[ch]);
+        else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) out += ch;
+        else if (ch === '\t') out += '    ';
+        else out += '?';
+    }
+    return out;
+}
+
+/**
+ * Width of a WinAnsi string in points at the letter's font size
+ * @param {string} text
+ * @returns {number}
+ */
+function textWidth(text) {
+    let units = 0;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+    }
+    return units * PDF_FONT_SIZE / 1000;
+}
+
+/**
+ * Greedy word wrap to the printable width. Words longer than a line are split.
+ * @param {string} paragraph - WinAnsi text without newlines
+ * @param {number} maxWidth - Points
+ * @returns {string[]}
+ */
+function wrapLine(paragraph, maxWidth) {
+    if (!paragraph.trim()) return [''];
+
+    const lines = [];
+    let line = '';
+    for (let word of paragraph.split(/ +/)) {
+        while (textWidth(word) > maxWidth) {
+            let cut = word.length - 1;
+            while (cut > 1 && textWidth(word.slice(0, cut)) > maxWidth) cut--;
+            if (line) { lines.push(line); line = ''; }
+            lines.push(word.slice(0, cut));
+            word = word.slice(cut);
+        }
+        const candidate = line ? `${line} ${word}` : word;
+        if (textWidth(candidate) <= maxWidth) {
+            line = candidate;
+        } else {
+            lines.push(line);
+            line = word;
+        }
+    }
+    lines.push(line);
+    return lines;
+}
+
+/**
+ * Escape a string for a PDF literal string
+ * @param {string} text
+ * @returns {string}
+ */
+function escapePdfString(text) {
+    return text.replace(/[\\()]/g, m => `\\${m}`);
+}
+
+/**
+ * Render text as a PDF document
+ * @param {string} text
+ * @param {Object} [options] - { title }
+ * @returns {Uint8Array}
+ */
+function renderPdf(text, options = {}) {
+    const maxWidth = PDF_PAGE.width - 2 * PDF_PAGE.margin;
+    const linesPerPage = Math.floor((PDF_PAGE.height - 2 * PDF_PAGE.margin) / PDF_LEADING);
+
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n')
+        .flatMap(paragraph => wrapLine(toWinAnsi(paragraph), maxWidth));
+    const pages = [];
+    for (let i = 0; i < lines.length; i += linesPerPage) pages.push(lines.slice(i, i + linesPerPage));
+    if (pages.length === 0) pages.push(['']);
+
+    // Objects: 1 catalog, 2 page tree, 3 font, 4 info, then a page + content stream per page
+    const objects = [];
+    const pageIds = pages.map((_, i) => 5 + i * 2);
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = `<< /Title (${escapePdfString(toWinAnsi(options.title || 'Cover Letter'))}) /Producer (Nova Apply) >>`;
+
+    pages.forEach((pageLines, i) => {
+        const top = PDF_PAGE.height - PDF_PAGE.margin - PDF_FONT_SIZE;
+        const body = pageLines.map(line => line ? `(${escapePdfString(line)}) Tj T*` : 'T*').join('\n');
+        const stream = `BT\n/F1 ${PDF_FONT_SIZE} Tf\n${PDF_LEADING} TL\n${PDF_PAGE.margin} ${top} Td\n${body}\nET`;
+        objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+        objects[pageIds[i] + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+    });
+
+    // Every char is one byte, so string offsets are byte offsets
+    let pdf = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = pdf.length;
+        pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    const bytes = new Uint8Array(pdf.length);
+    for (let i = 0; i < pdf.length; i++) bytes[i] = pdf.charCodeAt(i);
+    return bytes;
+}
+
+// ============================================
+// DOCX
+// ============================================
+
+let crcTable = null;
+
+/**
+ * CRC-32 (ZIP polynomial)
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a ZIP archive of stored (uncompressed) entries
+ * @param {Array<{name: string, data: Uint8Array}>} entries
+ * @returns {Uint8Array}
+ */
+function buildZip(entries) {
+    const encoder = new TextEncoder();
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = encoder.encode(entry.name);
+        const crc = crc32(entry.data);
+
+        const local = new Uint8Array(30 + name.length + entry.data.length);
+        const lv = new DataView(local.buffer);
+        lv.setUint32(0, 0x04034b50, true);
+        lv.setUint16(4, 20, true);           // version needed
+        lv.setUint16(8, 0, true);            // stored
+        lv.setUint16(12, 0x21, true);        // 1980-01-01
+        lv.setUint32(14, crc, true);
+        lv.setUint32(18, entry.data.length, true);
+        lv.setUint32(22, entry.data.length, true);
+        lv.setUint16(26, name.length, true);
+        local.set(name, 30);
+        local.set(entry.data, 30 + name.length);
+
+        const central = new Uint8Array(46 + name.length);
+        const cv = new DataView(central.buffer);
+        cv.setUint32(0, 0x02014b50, true);
+        cv.setUint16(4, 20, true);           // version made by
+        cv.setUint16(6, 20, true);           // version needed
+        cv.setUint16(10, 0, true);           // stored
+        cv.setUint16(14, 0x21, true);
+        cv.setUint32(16, crc, true);
+        cv.setUint32(20, entry.data.length, true);
+        cv.setUint32(24, entry.data.length, true);
+        cv.setUint16(28, name.length, true);
+        cv.setUint32(42, offset, true);
+        central.set(name, 46);
+
+        locals.push(local);
+        centrals.push(central);
+        offset += local.length;
+    }
+
+    const centralSize = centrals.reduce((sum, c) => sum + c.length, 0);
+    const eocd = new Uint8Array(22);
+    const ev = new DataView(eocd.buffer);
+    ev.setUint32(0, 0x06054b50, true);
+    ev.setUint16(8, entries.length, true);
+    ev.setUint16(10, entries.length, true);
+    ev.setUint32(12, centralSize, true);
+    ev.setUint32(16, offset, true);
+
+    const zip = new Uint8Array(offset + centralSize + eocd.length);
+    let pos = 0;
+    for (const part of [...locals, ...centrals, eocd]) {
+        zip.set(part, pos);
+        pos += part.length;
+    }
+    return zip;
+}
+
+/**
+ * Escape text for XML content
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Render text as a Word (.docx) document
+ * @param {string} text
+ * @param {Object} [options] - { title }
+ * @returns {Uint8Array}
+ */
+function renderDocx(text, options = {}) {
+    const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+    const runProps = '<w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr>';
+
+    const paragraphs = String(text || '').replace(/\r\n?/g, '\n').split('\n').map(line => line.trim()
+        ? `<w:p><w:pPr><w:spacing w:after="0"/></w:pPr><w:r>${runProps}<w:t xml:space="preserve">${escapeXml(line.replace(/\t/g, '    '))}</w:t></w:r></w:p>`
+        : '<w:p><w:pPr><w:spacing w:after="0"/></w:pPr></w:p>');
+
+    const files = {
+        '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+            '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+            '</Types>',
+        '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+            '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+            '</Relationships>',
+        'docProps/core.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+            `<dc:title>${escapeXml(options.title || 'Cover Letter')}</dc:title>` +
+            '</cp:coreProperties>',
+        'word/document.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            `<w:document xmlns:w="${W_NS}"><w:body>${paragraphs.join('')}` +
+            '<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>' +
+            '</w:body></w:document>'
+    };
+
+    const encoder = new TextEncoder();
+    return buildZip(Object.entries(files).map(([name, content]) => ({ name, data: encoder.encode(content) })));
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Render text in a file format
+ * @param {string} text
+ * @param {'pdf'|'docx'|'txt'} format
+ * @param {Object} [options] - { title, fileName } fileName without extension
+ * @returns {{ bytes: Uint8Array, mimeType: string, fileName: string }}
+ */
+function renderDocument(text, format, options = {}) {
+    const renderers = {
+        pdf: renderPdf,
+        docx: renderDocx,
+        txt: (t) => new TextEncoder().encode(String(t || ''))
+    };
+    if (!renderers[format]) throw new Error(`Unsupported document format: ${format}`);
+
+    const baseName = String(options.fileName || options.title || 'Cover Letter').replace(/[\\/:*?"<>|]+/g, '').trim() || 'Cover Letter';
+    return {
+        bytes: renderers[format](text, options),
+        mimeType: DocumentMimeType[format],
+        fileName: `${baseName}.${format}`
+    };
+}
+
+/**
+ * Render straight to a File (for downloads and file inputs)
+ * @param {string} text
+ * @param {'pdf'|'docx'|'txt'} format
+ * @param {Object} [options] - { title, fileName }
+ * @returns {File}
+ */
+function renderDocumentFile(text, format, options = {}) {
+    const { bytes, mimeType, fileName } = renderDocument(text, format, options);
+    return new File([bytes], fileName, { type: mimeType, lastModified: Date.now() });
+}
+
+const DocumentRenderer = {
+    renderDocument,
+    renderDocumentFile,
+    renderPdf,
+    renderDocx,
+    wrapLine,
+    toWinAnsi,
+    DocumentMimeType
+};
+
+globalThis.DocumentRenderer = DocumentRenderer;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocumentRenderer;
+}
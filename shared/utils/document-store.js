@@ -0,0 +1,246 @@
+/**
+ * Document Store for Nova Apply Extension
+ *
+ * Resume and cover letter files (PDF, DOCX, ...) kept on the device so they can
+ * be attached to upload fields. The index ('documents', identity bucket) holds
+ * metadata only. Each file's bytes are stored base64-encoded in their own
+ * chrome.storage.local entry ('nova_document:<id>'), encrypted with an AAD bound
+ * to that document: the vault is a single entry rewritten on every save, so
+ * files kept inside it would be re-encrypted and re-serialised by every write.
+ *
+ * A document can be linked to a resume profile; the attacher prefers the file
+ * linked to the profile in use on the page.
+ */
+
+// Vault key (identity bucket) for the document index
+const DOCUMENTS_STORAGE_KEY = 'documents';
+// Keeps each encrypted entry under EncryptionService's payload cap
+const MAX_DOCUMENT_BYTES = 2 * 1024 * 1024;
+const MAX_DOCUMENTS = 10;
+const DOCUMENT_EXTENSIONS = /\.(pdf|docx?|odt|rtf|txt)$/i;
+
+/**
+ * @readonly
+ */
+const DocumentKind = {
+    RESUME: 'resume',
+    COVER_LETTER: 'cover_letter'
+};
+
+/**
+ * @typedef {Object} StoredDocument
+ * @property {string} id
+ * @property {string} kind - DocumentKind
+ * @property {string} name - File name
+ * @property {string} mimeType
+ * @property {number} size - Bytes
+ * @property {string|null} profileId - Resume profile the file belongs to (null: any)
+ * @property {string} createdAt
+ */
+
+function getDocumentVault() {
+    return globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
+}
+
+function getDocumentEncryption() {
+    return globalThis.EncryptionService || (typeof EncryptionService !== 'undefined' ? EncryptionService : null);
+}
+
+function documentDataKey(documentId) {
+    return `nova_document:${documentId}`;
+}
+
+function documentAAD(documentId) {
+    return globalThis.EncryptionAAD?.document?.(documentId) || `nova:document:${documentId}:v1`;
+}
+
+/**
+ * Write a file's bytes to their own storage entry, encrypted when the service is loaded
+ * @param {string} documentId
+ * @param {Uint8Array} bytes
+ * @returns {Promise<void>}
+ */
+async function writeDocumentData(documentId, bytes) {
+    const encryption = getDocumentEncryption();
+    let data = bytesToBase64(bytes);
+    if (encryption) data = await encryption.encrypt(data, documentAAD(documentId));
+    await chrome.storage.local.set({ [documentDataKey(documentId)]: data });
+}
+
+/**
+ * A file's bytes (base64), or null when missing or unreadable
+ * @param {string} documentId
+ * @returns {Promise<string|null>}
+ */
+async function readDocumentData(documentId) {
+    const key = documentDataKey(documentId);
+    const raw = (await chrome.storage.local.get(key))[key];
+    if (typeof raw !== 'string') return null;
+
+    const encryption = getDocumentEncryption();
+    if (!encryption?.isEncrypted?.(raw)) return raw;
+    try {
+        return await encryption.decrypt(raw, documentAAD(documentId));
+    } catch (err) {
+        console.warn(`⚠️ [DocumentStore] Decryption failed for ${documentId}`);
+        return null;
+    }
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+/**
+ * Stored documents, newest first (metadata only)
+ * @param {Object} [filter] - { kind }
+ * @returns {Promise<StoredDocument[]>}
+ */
+async function listDocuments(filter = {}) {
+    const vault = getDocumentVault();
+    const index = vault ? await vault.bucket('identity').get(DOCUMENTS_STORAGE_KEY) : null;
+    return (Array.isArray(index) ? index : [])
+        .filter(doc => !filter.kind || doc.kind === filter.kind)
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Store a file
+ * @param {Object} input - { kind, name, mimeType, bytes: Uint8Array|ArrayBuffer, profileId }
+ * @returns {Promise<StoredDocument>}
+ */
+async function addDocument(input) {
+    const vault = getDocumentVault();
+    if (!vault) throw new Error('Storage unavailable');
+    if (!Object.values(DocumentKind).includes(input.kind)) throw new Error(`Unknown document kind: ${input.kind}`);
+
+    const name = String(input.name || '').trim();
+    if (!DOCUMENT_EXTENSIONS.test(name)) throw new Error('Only PDF, Word, ODT, RTF and text files can be stored');
+
+    const bytes = input.bytes instanceof Uint8Array ? input.bytes : new Uint8Array(input.bytes || []);
+    if (bytes.length === 0) throw new Error('File is empty');
+    if (bytes.length > MAX_DOCUMENT_BYTES) throw new Error(`Files up to ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB can be stored`);
+    if ((await listDocuments()).length >= MAX_DOCUMENTS) throw new Error(`Up to ${MAX_DOCUMENTS} documents can be stored; delete one first`);
+
+    const doc = {
+        id: 'doc_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+        kind: input.kind,
+        name,
+        mimeType: input.mimeType || 'application/octet-stream',
+        size: bytes.length,
+        profileId: input.profileId || null,
+        createdAt: new Date().toISOString()
+    };
+
+    await writeDocumentData(doc.id, bytes);
+    await vault.bucket('identity').update(DOCUMENTS_STORAGE_KEY, (current) => [...(Array.isArray(current) ? current : []), doc]);
+    return doc;
+}
+
+/**
+ * Change a document's kind or profile link
+ * @param {string} documentId
+ * @param {Object} updates - { kind, profileId }
+ * @returns {Promise<StoredDocument|null>}
+ */
+async function updateDocument(documentId, updates) {
+    const vault = getDocumentVault();
+    if (!vault) return null;
+
+    let updated = null;
+    await vault.bucket('identity').update(DOCUMENTS_STORAGE_KEY, (current) =>
+        (Array.isArray(current) ? current : []).map(doc => {
+            if (doc.id !== documentId) return doc;
+            updated = {
+                ...doc,
+                kind: Object.values(DocumentKind).includes(updates.kind) ? updates.kind : doc.kind,
+                profileId: updates.profileId === undefined ? doc.profileId : (updates.profileId || null)
+            };
+            return updated;
+        }));
+    return updated;
+}
+
+/**
+ * Delete a document and its bytes
+ * @param {string} documentId
+ * @returns {Promise<void>}
+ */
+async function deleteDocument(documentId) {
+    const vault = getDocumentVault();
+    if (!vault) return;
+    await vault.bucket('identity').update(DOCUMENTS_STORAGE_KEY, (current) =>
+        (Array.isArray(current) ? current : []).filter(doc => doc.id !== documentId));
+    await chrome.storage.local.remove(documentDataKey(documentId));
+}
+
+/**
+ * Remove all documents (Clear All Data)
+ * @returns {Promise<void>}
+ */
+async function clearDocuments() {
+    const vault = getDocumentVault();
+    if (!vault) return;
+    await chrome.storage.local.remove((await listDocuments()).map(doc => documentDataKey(doc.id)));
+    await vault.bucket('identity').remove(DOCUMENTS_STORAGE_KEY);
+}
+
+/**
+ * A stored document as a File
+ * @param {string} documentId
+ * @returns {Promise<File|null>}
+ */
+async function getDocumentFile(documentId) {
+    const doc = (await listDocuments()).find(d => d.id === documentId);
+    if (!doc) return null;
+
+    const data = await readDocumentData(documentId);
+    if (!data) return null;
+    return new File([base64ToBytes(data)], doc.name, { type: doc.mimeType, lastModified: new Date(doc.createdAt).getTime() });
+}
+
+/**
+ * The document of a kind to use with a profile: linked to that profile, then to the
+ * profile it was derived from (tailored variants), then one linked to no profile,
+ * then the newest of the kind
+ * @param {string} kind - DocumentKind
+ * @param {Object} [profile] - { profileId, derivedFrom }
+ * @returns {Promise<StoredDocument|null>}
+ */
+async function pickDocument(kind, profile = {}) {
+    const docs = await listDocuments({ kind });
+    return docs.find(d => profile.profileId && d.profileId === profile.profileId)
+        || docs.find(d => profile.derivedFrom && d.profileId === profile.derivedFrom)
+        || docs.find(d => !d.profileId)
+        || docs[0]
+        || null;
+}
+
+const DocumentStore = {
+    listDocuments,
+    addDocument,
+    updateDocument,
+    deleteDocument,
+    clearDocuments,
+    getDocumentFile,
+    pickDocument,
+    DocumentKind,
+    MAX_DOCUMENT_BYTES
+};
+
+globalThis.DocumentStore = DocumentStore;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocumentStore;
+}
@@ -218,7 +218,8 @@ const HEURISTIC_PATTERNS = {
     linkedin: [/linkedin/i],
     github: [/github/i, /git/i],
     portfolio: [/portfolio/i, /website/i, /personal.*site/i],
-    city: [/city/i, /location/i],
+    city: [/city/i],
+    location: [/location/i],
     resume: [/resume/i, /cv/i, /upload.*resume/i],
     cover_letter: [/cover.*letter/i]
 };
@@ -503,7 +504,8 @@ function mapFieldsHeuristically(fields, resumeData) {
         linkedin: { val: personal.linkedin, conf: 0.95 },
         github: { val: personal.github, conf: 0.95 },
         portfolio: { val: personal.portfolio, conf: 0.9 },
-        city: { val: personal.location, conf: 0.8 },
+        city: { val: personal.address?.city || personal.location, conf: 0.9 },
+        location: { val: personal.location, conf: 0.8 },
         resume: { val: '', conf: 0, skip: true, instruction: "Please upload resume manually" }
     };
 
@@ -631,7 +633,8 @@ async function mapResumeToFields(fields, resumeData, pageContext = '') {
     const result = await window.AIClient.callAI(prompt, '', {
         maxTokens: 4000, // Reduced token count for efficiency
         temperature: 0.3,
-        jsonMode: true
+        jsonMode: true,
+        subsystem: window.AIClient.AISubsystem.BATCH_FILL
 
     });
 
@@ -829,7 +832,8 @@ async function mapFieldsBatch(fields, context, pageContext = '') {
         const result = await window.AIClient.callAI(prompt, '', {
             maxTokens: context.type === 'full' ? 3000 : 1500,
             temperature: 0.3,
-            jsonMode: true
+            jsonMode: true,
+            subsystem: context.subsystem || window.AIClient.AISubsystem.BATCH_FILL
         });
 
         if (!result) {
@@ -912,9 +916,10 @@ async function mapFieldsBatch(fields, context, pageContext = '') {
  * Generate a smart answer for an open-ended question
  * @param {string} question - The question to answer
  * @param {string} context - Additional context (job description, etc.)
- * @returns {Promise<{success: boolean, answer?: string, error?: string}>}
+ * @param {Object} options - { onChunk(delta, fullText), signal } to stream the answer; subsystem for the usage ledger
+ * @returns {Promise<{success: boolean, answer?: string, error?: string, errorCode?: string}>}
  */
-async function generateSmartAnswer(question, context = '') {
+async function generateSmartAnswer(question, context = '', options = {}) {
     const resumeText = await window.ResumeManager.getResumeAsText();
 
     const prompt = PROMPTS.GENERATE_ANSWER
@@ -922,13 +927,18 @@ async function generateSmartAnswer(question, context = '') {
         .replace('{{CONTEXT}}', context || 'No additional context provided.')
         .replace('{{RESUME}}', resumeText);
 
-    const result = await window.AIClient.callAI(prompt, '', {
+    const aiOptions = {
         maxTokens: 1024,
-        temperature: 0.7
-    });
+        temperature: 0.7,
+        subsystem: options.subsystem || window.AIClient.AISubsystem.COPILOT
+    };
+    const streaming = typeof options.onChunk === 'function' && typeof window.AIClient.streamAI === 'function';
+    const result = streaming
+        ? await window.AIClient.streamAI(prompt, '', { ...aiOptions, onChunk: options.onChunk, signal: options.signal })
+        : await window.AIClient.callAI(prompt, '', aiOptions);
 
     if (!result.success) {
-        return { success: false, error: result.error };
+        return { success: false, error: result.error, errorCode: result.errorCode };
     }
 
     return { success: true, answer: result.text.trim() };
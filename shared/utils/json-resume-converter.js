@@ -0,0 +1,444 @@
+/**
+ * JSON Resume Converter for Nova Apply Extension
+ *
+ * Converts between the extension's resume schema (ResumeManager.DEFAULT_RESUME_SCHEMA)
+ * and JSON Resume v1 (https://jsonresume.org/schema).
+ *
+ * Mapping:
+ * - personal/summary      <-> basics (name, email, phone, url, summary, location, profiles)
+ * - experience            <-> work
+ * - education             <-> education
+ * - projects              <-> projects
+ * - references            <-> references (contact details go in a readable "reference" line)
+ * - skills.technical/soft <-> skills (one group each: "Technical", "Soft Skills")
+ * - skills.languages      <-> languages
+ * - skills.certifications <-> certificates
+ *
+ * Anything JSON Resume has no slot for (item ids, first/middle/last name split,
+ * preferred name, pronouns, country name/timezone, phone parts, custom
+ * application answers, education achievements, reference contact fields) is kept in the "x-nova-apply"
+ * extension block so an export -> import round trip is lossless.
+ *
+ * The other way round, JSON Resume data the internal schema has no slot for
+ * (awards, volunteer, publications, interests, basics.image, other profiles,
+ * item fields like work.url) is kept on import in `jsonResume` fields (on the
+ * resume and on each item) and written back out on export.
+ */
+
+const JSON_RESUME_SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+const EXTENSION_KEY = 'x-nova-apply';
+const TECHNICAL_SKILLS_GROUP = 'Technical';
+const SOFT_SKILLS_GROUP = 'Soft Skills';
+const EXTRAS_FIELD = 'jsonResume';
+
+// JSON Resume keys the converter maps; everything else is kept as-is in EXTRAS_FIELD
+const MAPPED_KEYS = {
+    document: ['$schema', 'basics', 'work', 'education', 'projects', 'skills', 'languages', 'certificates', 'references', 'meta', EXTENSION_KEY],
+    basics: ['name', 'label', 'email', 'phone', 'url', 'summary', 'location', 'profiles'],
+    work: ['name', 'company', 'position', 'location', 'startDate', 'endDate', 'summary', 'description', 'highlights'],
+    education: ['institution', 'studyType', 'area', 'startDate', 'endDate', 'score'],
+    projects: ['name', 'description', 'keywords', 'url', 'startDate', 'endDate'],
+    references: ['name']
+};
+
+/**
+ * Does this object look like a JSON Resume document (rather than the internal schema)?
+ * @param {Object} data
+ * @returns {boolean}
+ */
+function isJsonResume(data) {
+    if (!data || typeof data !== 'object') return false;
+    if (data.personal || data.experience) return false;
+    return Boolean(data.basics || data.work || data.$schema?.includes('jsonresume'));
+}
+
+/**
+ * Internal dates are "YYYY-MM", "YYYY" or "Present"; JSON Resume wants ISO 8601 or nothing
+ * @param {string} date
+ * @returns {string|undefined}
+ */
+function toIsoDate(date) {
+    const value = String(date || '').trim();
+    if (!value || /^present$/i.test(value)) return undefined;
+    return /^\d{4}(-\d{2}){0,2}$/.test(value) ? value : undefined;
+}
+
+/**
+ * JSON Resume dates may carry a day; the internal schema stops at the month
+ * @param {string} date
+ * @returns {string}
+ */
+function fromIsoDate(date) {
+    const match = String(date || '').match(/^(\d{4})(-\d{2})?/);
+    return match ? match[1] + (match[2] || '') : '';
+}
+
+/**
+ * Drop undefined/empty values so exports stay schema-clean
+ * @param {Object} obj
+ * @returns {Object}
+ */
+function compact(obj) {
+    const out = {};
+    Object.entries(obj).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === '') return;
+        if (Array.isArray(value) && value.length === 0) return;
+        if (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0) return;
+        out[key] = value;
+    });
+    return out;
+}
+
+/**
+ * The keys of a JSON Resume object that have no internal slot
+ * @param {Object} obj
+ * @param {string[]} mapped - Keys the converter maps
+ * @returns {Object}
+ */
+function unmappedFields(obj, mapped) {
+    const out = {};
+    Object.entries(obj || {}).forEach(([key, value]) => {
+        if (!mapped.includes(key)) out[key] = value;
+    });
+    return out;
+}
+
+/**
+ * Attach kept JSON Resume fields to an internal object (nothing when there are none)
+ * @param {Object} extras
+ * @returns {Object}
+ */
+function withExtras(extras) {
+    const kept = compact(extras);
+    return Object.keys(kept).length > 0 ? { [EXTRAS_FIELD]: kept } : {};
+}
+
+/**
+ * An exported JSON Resume item: kept fields first, mapped values on top
+ * @param {Object} item - Internal item
+ * @param {Object} mapped - Mapped JSON Resume fields
+ * @returns {Object}
+ */
+function withKeptFields(item, mapped) {
+    return { ...(item?.[EXTRAS_FIELD] || {}), ...compact(mapped) };
+}
+
+/**
+ * Structured address (or legacy "Austin, TX" string) -> JSON Resume location
+ * @param {Object} personal
+ * @returns {Object}
+ */
+function toJsonLocation(personal) {
+    const address = personal.address || {};
+    if (address.city || address.state || address.line1 || address.postalCode) {
+        return compact({
+            address: [address.line1, address.line2].filter(Boolean).join(', '),
+            postalCode: address.postalCode,
+            city: address.city,
+            region: address.state
+        });
+    }
+    const parts = String(personal.location || '').split(',').map(p => p.trim()).filter(Boolean);
+    if (parts.length === 0) return {};
+    return compact({ city: parts[0], region: parts.slice(1).join(', ') });
+}
+
+/**
+ * "Spanish (Fluent)" -> { language: 'Spanish', fluency: 'Fluent' }
+ * @param {string} entry
+ * @returns {Object}
+ */
+function splitLanguage(entry) {
+    const match = String(entry || '').match(/^(.*?)\s*[(\-–—:]\s*([^)]*)\)?$/);
+    if (match && match[1] && match[2]) return { language: match[1].trim(), fluency: match[2].trim() };
+    return { language: String(entry || '').trim() };
+}
+
+/**
+ * Is this basics.profiles entry for a network ('linkedin', 'github')?
+ * @param {Object} profile
+ * @param {string} network
+ * @returns {boolean}
+ */
+function isProfileFor(profile, network) {
+    return String(profile.network || '').toLowerCase() === network ||
+        String(profile.url || '').toLowerCase().includes(`${network}.com`);
+}
+
+/**
+ * Profile URL for a network (LinkedIn/GitHub) from basics.profiles
+ * @param {Array} profiles
+ * @param {string} network
+ * @returns {string}
+ */
+function findProfileUrl(profiles, network) {
+    const match = (profiles || []).find(p => isProfileFor(p, network));
+    if (!match) return '';
+    if (match.url) return match.url;
+    return match.username ? `https://${network}.com/${network === 'linkedin' ? 'in/' : ''}${match.username}` : '';
+}
+
+/**
+ * Readable JSON Resume "reference" line for a reference entry
+ * ("Former manager, Engineering Lead at Acme · jane@acme.com · known 4 years")
+ * @param {Object} ref
+ * @returns {string}
+ */
+function describeReference(ref) {
+    const role = [ref.title, ref.company].filter(Boolean).join(' at ');
+    const years = ref.yearsKnown ? `known ${ref.yearsKnown} years` : '';
+    return [[ref.relationship, role].filter(Boolean).join(', '), ref.email, ref.phone, years].filter(Boolean).join(' · ');
+}
+
+/**
+ * Convert internal resume data to a JSON Resume v1 document
+ * @param {Object} data - Internal resume (DEFAULT_RESUME_SCHEMA shape)
+ * @returns {Object}
+ */
+function toJsonResume(data) {
+    const resume = data || {};
+    const personal = resume.personal || {};
+    const skills = resume.skills || {};
+    const experience = Array.isArray(resume.experience) ? resume.experience : [];
+    const education = Array.isArray(resume.education) ? resume.education : [];
+    const projects = Array.isArray(resume.projects) ? resume.projects : [];
+    const references = Array.isArray(resume.references) ? resume.references : [];
+    const currentJob = experience.find(j => j && j.current) || experience[0];
+
+    const kept = resume[EXTRAS_FIELD] || {};
+    const { profiles: keptProfiles, ...keptBasics } = kept.basics || {};
+
+    const profiles = [];
+    if (personal.linkedin) profiles.push({ network: 'LinkedIn', url: personal.linkedin });
+    if (personal.github) profiles.push({ network: 'GitHub', url: personal.github });
+    profiles.push(...(keptProfiles || []));
+
+    const skillGroups = [];
+    if (skills.technical?.length) skillGroups.push({ name: TECHNICAL_SKILLS_GROUP, keywords: skills.technical });
+    if (skills.soft?.length) skillGroups.push({ name: SOFT_SKILLS_GROUP, keywords: skills.soft });
+
+    return compact({
+        $schema: JSON_RESUME_SCHEMA_URL,
+        basics: {
+            ...keptBasics,
+            ...compact({
+                name: `${personal.firstName || ''} ${personal.lastName || ''}`.trim(),
+                label: currentJob?.title,
+                email: personal.email,
+                phone: personal.phone,
+                url: personal.portfolio,
+                summary: resume.summary,
+                location: toJsonLocation(personal),
+                profiles
+            })
+        },
+        work: experience.map(job => withKeptFields(job, {
+            name: job.company,
+            position: job.title,
+            location: job.location,
+            startDate: toIsoDate(job.startDate),
+            endDate: job.current ? undefined : toIsoDate(job.endDate),
+            summary: job.description,
+            highlights: job.achievements
+        })),
+        education: education.map(edu => withKeptFields(edu, {
+            institution: edu.school,
+            area: edu.field || edu.major,
+            studyType: edu.degree,
+            startDate: toIsoDate(edu.startDate),
+            endDate: toIsoDate(edu.endDate),
+            score: edu.gpa
+        })),
+        projects: projects.map(project => withKeptFields(project, {
+            name: project.name,
+            description: project.description,
+            keywords: project.technologies,
+            url: project.link,
+            startDate: toIsoDate(project.startDate),
+            endDate: toIsoDate(project.endDate)
+        })),
+        skills: skillGroups,
+        languages: (skills.languages || []).map(splitLanguage),
+        certificates: (skills.certifications || []).map(name => ({ name })),
+        references: references.map(ref => withKeptFields(ref, {
+            name: ref.name,
+            reference: describeReference(ref)
+        })),
+        ...unmappedFields(kept, ['basics']),
+        meta: compact({
+            version: 'v1.0.0',
+            lastModified: resume.meta?.updatedAt
+        }),
+        [EXTENSION_KEY]: {
+            version: 1,
+            personal: {
+                firstName: personal.firstName || '',
+                lastName: personal.lastName || '',
+                ...compact({
+                    middleName: personal.middleName,
+                    preferredName: personal.preferredName,
+                    pronouns: personal.pronouns,
+                    address: personal.address,
+                    phoneDetails: personal.phoneDetails
+                })
+            },
+            customFields: resume.customFields || {},
+            experience: experience.map(job => ({ id: job.id, current: Boolean(job.current) })),
+            education: education.map(edu => ({ id: edu.id, achievements: edu.achievements || [] })),
+            projects: projects.map(project => ({ id: project.id })),
+            references: references.map(ref => compact({
+                id: ref.id,
+                relationship: ref.relationship,
+                company: ref.company,
+                title: ref.title,
+                email: ref.email,
+                phone: ref.phone,
+                yearsKnown: ref.yearsKnown
+            }))
+        }
+    });
+}
+
+/**
+ * Convert a JSON Resume v1 document to internal resume data.
+ * Values from the "x-nova-apply" block (if this file was exported by us) are restored.
+ * @param {Object} json - JSON Resume document
+ * @returns {Object} Internal resume (merge with DEFAULT_RESUME_SCHEMA before saving)
+ */
+function fromJsonResume(json) {
+    const doc = json || {};
+    const basics = doc.basics || {};
+    const ext = doc[EXTENSION_KEY] || {};
+    const location = basics.location || {};
+
+    // Name split is only a guess without the extension block ("Mary Ann Smith")
+    const nameParts = String(basics.name || '').trim().split(/\s+/).filter(Boolean);
+    const firstName = ext.personal?.firstName ?? (nameParts.length > 1 ? nameParts.slice(0, -1).join(' ') : (nameParts[0] || ''));
+    const lastName = ext.personal?.lastName ?? (nameParts.length > 1 ? nameParts[nameParts.length - 1] : '');
+
+    const technical = [];
+    const soft = [];
+    (doc.skills || []).forEach(group => {
+        const keywords = Array.isArray(group.keywords) && group.keywords.length > 0 ? group.keywords : [group.name].filter(Boolean);
+        if (/soft/i.test(group.name || '')) {
+            soft.push(...keywords);
+        } else {
+            technical.push(...keywords);
+        }
+    });
+
+    return {
+        personal: {
+            firstName,
+            lastName,
+            middleName: ext.personal?.middleName || '',
+            preferredName: ext.personal?.preferredName || '',
+            pronouns: ext.personal?.pronouns || '',
+            email: basics.email || '',
+            phone: basics.phone || '',
+            ...(ext.personal?.phoneDetails ? { phoneDetails: ext.personal.phoneDetails } : {}),
+            location: [location.city, location.region, location.countryCode].filter(Boolean).join(', ') || location.address || '',
+            address: ext.personal?.address || {
+                line1: location.address || '',
+                line2: '',
+                city: location.city || '',
+                state: location.region || '',
+                postalCode: location.postalCode || '',
+                country: location.countryCode || '',
+                timezone: ''
+            },
+            linkedin: findProfileUrl(basics.profiles, 'linkedin'),
+            portfolio: basics.url || '',
+            github: findProfileUrl(basics.profiles, 'github')
+        },
+        summary: basics.summary || '',
+        experience: (doc.work || []).map((job, i) => {
+            const extra = ext.experience?.[i] || {};
+            const current = extra.current ?? !job.endDate;
+            return {
+                ...(extra.id ? { id: extra.id } : {}),
+                company: job.name || job.company || '',
+                title: job.position || '',
+                location: job.location || '',
+                startDate: fromIsoDate(job.startDate),
+                endDate: current ? 'Present' : fromIsoDate(job.endDate),
+                current,
+                description: job.summary || job.description || '',
+                achievements: job.highlights || [],
+                ...withExtras(unmappedFields(job, MAPPED_KEYS.work))
+            };
+        }),
+        education: (doc.education || []).map((edu, i) => {
+            const extra = ext.education?.[i] || {};
+            return {
+                ...(extra.id ? { id: extra.id } : {}),
+                school: edu.institution || '',
+                degree: edu.studyType || '',
+                field: edu.area || '',
+                location: '',
+                startDate: fromIsoDate(edu.startDate),
+                endDate: fromIsoDate(edu.endDate),
+                gpa: edu.score || '',
+                achievements: extra.achievements || edu.courses || [],
+                ...withExtras(unmappedFields(edu, MAPPED_KEYS.education))
+            };
+        }),
+        skills: {
+            technical,
+            soft,
+            languages: (doc.languages || []).map(l => l.fluency ? `${l.language} (${l.fluency})` : (l.language || '')).filter(Boolean),
+            certifications: (doc.certificates || []).map(c => c.name || '').filter(Boolean)
+        },
+        projects: (doc.projects || []).map((project, i) => {
+            const extra = ext.projects?.[i] || {};
+            return {
+                ...(extra.id ? { id: extra.id } : {}),
+                name: project.name || '',
+                description: project.description || (project.highlights || []).join(' '),
+                technologies: project.keywords || [],
+                link: project.url || '',
+                startDate: fromIsoDate(project.startDate),
+                endDate: fromIsoDate(project.endDate),
+                ...withExtras(unmappedFields(project, MAPPED_KEYS.projects))
+            };
+        }),
+        references: (doc.references || []).map((ref, i) => {
+            const extra = ext.references?.[i] || {};
+            const kept = unmappedFields(ref, MAPPED_KEYS.references);
+            // Our exports build "reference" from the contact fields; any other text is kept
+            if (kept.reference === describeReference(extra)) delete kept.reference;
+            return {
+                ...(extra.id ? { id: extra.id } : {}),
+                name: ref.name || '',
+                relationship: extra.relationship || '',
+                company: extra.company || '',
+                title: extra.title || '',
+                email: extra.email || '',
+                phone: extra.phone || '',
+                yearsKnown: extra.yearsKnown || '',
+                ...withExtras(kept)
+            };
+        }),
+        customFields: ext.customFields || {},
+        ...withExtras({
+            ...unmappedFields(doc, MAPPED_KEYS.document),
+            basics: compact({
+                ...unmappedFields(basics, MAPPED_KEYS.basics),
+                profiles: (basics.profiles || []).filter(p => !isProfileFor(p, 'linkedin') && !isProfileFor(p, 'github'))
+            })
+        })
+    };
+}
+
+const JsonResumeConverter = {
+    isJsonResume,
+    toJsonResume,
+    fromJsonResume,
+    EXTENSION_KEY
+};
+
+globalThis.JsonResumeConverter = JsonResumeConverter;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JsonResumeConverter;
+}
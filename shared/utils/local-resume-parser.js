@@ -0,0 +1,552 @@
+/**
+ * Local Resume Parser for Nova Apply Extension
+ *
+ * Offline resume ingestion (no AI, nothing leaves the browser):
+ * - DOCX: minimal ZIP reader + WordprocessingML text extraction (paragraphs, tabs, list bullets)
+ * - TXT / Markdown: used as-is
+ *
+ * The text is then split deterministically: contact header, section headings
+ * (Summary, Experience, Education, Skills, Projects, Certifications, Languages),
+ * date ranges and bullet lists, and mapped onto ResumeManager.DEFAULT_RESUME_SCHEMA.
+ */
+
+const SECTION_HEADINGS = {
+    summary: /^(professional\s+)?(summary|profile|objective|about( me)?|career (summary|objective))$/,
+    experience: /^((professional|work|relevant)\s+)?(experience|employment( history)?|work history|career history)$/,
+    education: /^(education|academic (background|history)|education (and|&) training)$/,
+    skills: /^((technical|core|key)\s+)?(skills|competencies|expertise|technologies)( (and|&) (tools|technologies|interests))?$/,
+    projects: /^((personal|selected|key)\s+)?projects$/,
+    certifications: /^(certifications?|licenses?( (and|&) certifications?)?|certificates?)$/,
+    languages: /^languages?$/
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DATE_PATTERN = `(?:${MONTH_PATTERN}\\s+\\d{4}|\\d{1,2}\\/\\d{4}|\\d{4}-\\d{2}|\\d{4})`;
+const DATE_RANGE_REGEX = new RegExp(`(${DATE_PATTERN})\\s*(?:-|–|—|to|until)\\s*(${DATE_PATTERN}|present|current|now|today)`, 'i');
+const SINGLE_DATE_REGEX = new RegExp(`\\b(${DATE_PATTERN})\\b`, 'i');
+
+const BULLET_REGEX = /^\s*(?:[-*•◦▪●‣–]|\d+[.)])\s+/;
+const EMAIL_REGEX = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const PHONE_REGEX = /(?:\+?\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\d{2,4})[\s.-]?\d{3,4}[\s.-]?\d{3,4}/;
+const URL_REGEX = /(?:https?:\/\/)?(?:www\.)?[\w-]+(?:\.[\w-]+)+(?:\/[\w\-./?%&=#]*)?/gi;
+const LOCATION_REGEX = /^[A-Z][\w .'-]+,\s*[A-Z][\w .'-]+$/;
+const COMPANY_SUFFIX_REGEX = /^(inc|llc|ltd|corp|co|plc|gmbh|ag|sa|lp|llp)\.?$/i;
+// "Languages: Python, Go" under Skills lists programming languages, not spoken ones
+const TECH_LANGUAGE_REGEX = /^(javascript|typescript|python|java|go(lang)?|rust|c|c\+\+|c#|ruby|php|kotlin|swift|scala|sql|r|perl|bash|shell|html|css|dart|elixir|erlang|haskell|lua|matlab|objective-c|julia|groovy|clojure|f#|fortran|cobol|solidity|assembly)$/i;
+
+const TITLE_WORDS = /\b(engineer|developer|manager|analyst|designer|intern|lead|director|consultant|scientist|specialist|architect|officer|coordinator|assistant|associate|administrator|programmer|head|vp|president|founder|technician|researcher|teacher|accountant)\b/i;
+const DEGREE_REGEX = /\b(bachelor(?:'s)?|master(?:'s)?|ph\.?d\.?|doctorate|mba|associate(?:'s)?|diploma|b\.?sc?\.?|m\.?sc?\.?|b\.?a\.?|m\.?a\.?|b\.?eng\.?|m\.?eng\.?|b\.?tech|m\.?tech)\b[^,|–—]*/i;
+const SCHOOL_WORDS = /\b(university|college|institute|school|academy|polytechnic)\b/i;
+const GPA_REGEX = /\bgpa[:\s]*([\d.]+(?:\s*\/\s*[\d.]+)?)/i;
+
+// ============================================
+// DOCX EXTRACTION
+// ============================================
+
+/**
+ * Read one file out of a ZIP archive (stored or deflated entries)
+ * @param {ArrayBuffer} buffer
+ * @param {string} entryName - e.g. 'word/document.xml'
+ * @returns {Promise<Uint8Array|null>}
+ */
+async function readZipEntry(buffer, entryName) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    // End of central directory: scan back over the (max 64KB) comment
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd === -1) throw new Error('Not a ZIP archive');
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+
+    for (let n = 0; n < entryCount; n++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) break;
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        if (name === entryName) {
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const data = bytes.subarray(dataStart, dataStart + compressedSize);
+            if (method === 0) return data;
+            if (method !== 8) throw new Error(`Unsupported ZIP compression method ${method}`);
+
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return null;
+}
+
+/**
+ * Decode the XML entities WordprocessingML uses in text runs
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Extract plain text from a DOCX file: one line per paragraph, list items prefixed with "• "
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<string>}
+ */
+async function extractDocxText(buffer) {
+    const xmlBytes = await readZipEntry(buffer, 'word/document.xml');
+    if (!xmlBytes) throw new Error('Not a Word document (word/document.xml missing)');
+
+    const xml = new TextDecoder().decode(xmlBytes);
+    const paragraphs = xml.match(/<w:p[ >][\s\S]*?<\/w:p>|<w:p\/>/g) || [];
+
+    return paragraphs.map(p => {
+        const isListItem = /<w:numPr>/.test(p);
+        const text = (p.match(/<w:t(?:\s[^>]*)?>[^<]*<\/w:t>|<w:tab\/>|<w:br\/>/g) || [])
+            .map(run => {
+                if (run === '<w:tab/>') return '\t';
+                if (run === '<w:br/>') return '\n';
+                return decodeXmlEntities(run.replace(/<[^>]+>/g, ''));
+            })
+            .join('')
+            .trim();
+        return text && isListItem ? `• ${text}` : text;
+    }).join('\n');
+}
+
+// ============================================
+// TEXT HELPERS
+// ============================================
+
+/**
+ * "Jan 2020" / "01/2020" / "2020-01" / "2020" / "Present" -> "2020-01" / "2020" / "Present"
+ * @param {string} raw
+ * @returns {string}
+ */
+function normalizeDate(raw) {
+    const value = String(raw || '').trim().toLowerCase().replace(/\.$/, '');
+    if (!value) return '';
+    if (/^(present|current|now|today)$/.test(value)) return 'Present';
+
+    let match = value.match(/^([a-z]+)\.?\s+(\d{4})$/);
+    if (match) {
+        const month = MONTHS.indexOf(match[1].slice(0, 3));
+        return month === -1 ? match[2] : `${match[2]}-${String(month + 1).padStart(2, '0')}`;
+    }
+    match = value.match(/^(\d{1,2})\/(\d{4})$/);
+    if (match) return `${match[2]}-${match[1].padStart(2, '0')}`;
+    match = value.match(/^(\d{4})(?:-(\d{2}))?$/);
+    if (match) return match[2] ? `${match[1]}-${match[2]}` : match[1];
+    return '';
+}
+
+/**
+ * Clean a raw line: markdown emphasis/heading marks, stray separators
+ * @param {string} line
+ * @returns {string}
+ */
+function cleanLine(line) {
+    return line
+        .replace(/\*\*|__/g, '')
+        .replace(/^#+\s*/, '')
+        .replace(/[ \u00a0]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Which section (if any) a line is the heading of
+ * @param {string} line
+ * @returns {string|null}
+ */
+function detectHeading(line) {
+    const candidate = cleanLine(line).replace(/[:：]$/, '').toLowerCase();
+    if (!candidate || candidate.length > 40) return null;
+    for (const [section, regex] of Object.entries(SECTION_HEADINGS)) {
+        if (regex.test(candidate)) return section;
+    }
+    return null;
+}
+
+/**
+ * Split a header line into parts on common separators ("Title at Company | City, ST")
+ * @param {string} line
+ * @param {boolean} [splitOnAt=true] - false for school names ("University of Texas at Austin")
+ * @returns {string[]}
+ */
+function splitHeaderParts(line, splitOnAt = true) {
+    const separator = splitOnAt ? /\s+(?:at|@)\s+|\s*[|•·–—]\s*|\s+-\s+|\t+/ : /\s*[|•·–—]\s*|\s+-\s+|\t+/;
+    return line
+        .split(separator)
+        .map(p => p.trim().replace(/^,|,$/g, '').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Split a comma-separated header ("Engineer, Acme, Inc., Austin, TX") into parts,
+ * keeping company suffixes with the name before them
+ * @param {string} part
+ * @returns {string[]}
+ */
+function splitCommaParts(part) {
+    return part.split(/\s*,\s+/).reduce((parts, piece) => {
+        if (parts.length > 0 && COMPANY_SUFFIX_REGEX.test(piece)) parts[parts.length - 1] += `, ${piece}`;
+        else if (piece) parts.push(piece);
+        return parts;
+    }, []);
+}
+
+/**
+ * Is this a US state, a country or "Remote"? Needs ContactNormalizer for states and countries.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isKnownPlace(value) {
+    const normalizer = globalThis.ContactNormalizer;
+    return /^remote$/i.test(value) ||
+        Boolean(normalizer && (normalizer.isKnownState(value) || normalizer.dialCodeForCountry(value)));
+}
+
+/**
+ * Take the location out of a job header's parts. A location is a separate part after
+ * the first ("Engineer | Acme | Austin, TX"), or trailing comma parts ending in a known
+ * state or country ("Engineer, Acme Corp, Austin, TX"); "Engineer, Acme Corp" has none.
+ * @param {string[]} parts - splitHeaderParts() of the header lines
+ * @returns {{ location: string, rest: string[] }}
+ */
+function splitHeaderLocation(parts) {
+    const separate = parts.findIndex((p, i) => i > 0 && (LOCATION_REGEX.test(p) || /^remote$/i.test(p)));
+    if (separate !== -1) return { location: parts[separate], rest: parts.filter((p, i) => i !== separate) };
+
+    const tail = splitCommaParts(parts[parts.length - 1] || '');
+    const trailingPlace = tail.length > 1 && isKnownPlace(tail[tail.length - 1]);
+    // A lone header line is comma-separated: "Senior Software Engineer, Acme Corp"
+    const rest = parts.length === 1 || trailingPlace ? [...parts.slice(0, -1), ...tail] : parts;
+    if (!trailingPlace) return { location: '', rest };
+
+    // "City, ST" when the parts leave room for a title and company, else just the state/country
+    const size = rest.length >= 4 && !/^remote$/i.test(rest[rest.length - 1]) ? 2 : 1;
+    return { location: rest.slice(-size).join(', '), rest: rest.slice(0, -size) };
+}
+
+/**
+ * Split a list line ("Python, Go • SQL; Docker") into items
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitList(line) {
+    return line.split(/\s*[,;|•·]\s*/).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Group section lines into entries: a new entry starts at a header line that follows
+ * bullets, or at a second date range for the same entry.
+ * @param {string[]} lines
+ * @returns {Array<{ header: string[], bullets: string[], range: RegExpMatchArray|null }>}
+ */
+function groupEntries(lines) {
+    const entries = [];
+    let current = null;
+
+    lines.forEach(raw => {
+        const isBullet = BULLET_REGEX.test(raw);
+        const line = cleanLine(raw.replace(BULLET_REGEX, ''));
+        if (!line) return;
+
+        const range = isBullet ? null : line.match(DATE_RANGE_REGEX);
+        const startsNew = !current ||
+            (!isBullet && current.bullets.length > 0) ||
+            (range && current.range);
+
+        if (isBullet) {
+            if (!current) current = entries[entries.push({ header: [], bullets: [], range: null }) - 1];
+            current.bullets.push(line);
+            return;
+        }
+
+        if (startsNew) {
+            current = entries[entries.push({ header: [], bullets: [], range: null }) - 1];
+        }
+        if (range) {
+            current.range = range;
+            const rest = line.replace(range[0], '').replace(/[\s|,•·–—-]+$|^[\s|,•·–—-]+/g, '').replace(/\(\s*\)/g, '').trim();
+            if (rest) current.header.push(rest);
+        } else {
+            current.header.push(line);
+        }
+    });
+
+    return entries;
+}
+
+// ============================================
+// SECTION PARSERS
+// ============================================
+
+/**
+ * Contact block: name, email, phone, links and location from the lines above the first section
+ * @param {string[]} lines
+ * @returns {Object} personal
+ */
+function parseContact(lines) {
+    const personal = { firstName: '', lastName: '', email: '', phone: '', location: '', linkedin: '', portfolio: '', github: '' };
+    const text = lines.join('\n');
+
+    personal.email = (text.match(EMAIL_REGEX) || [''])[0];
+    const withoutEmail = text.replace(EMAIL_REGEX, ' ');
+    (withoutEmail.match(URL_REGEX) || []).forEach(url => {
+        const lower = url.toLowerCase();
+        if (lower.includes('linkedin.com')) personal.linkedin = personal.linkedin || url;
+        else if (lower.includes('github.com')) personal.github = personal.github || url;
+        else if (/[a-z]/.test(lower) && !personal.portfolio) personal.portfolio = url;
+    });
+    const phone = withoutEmail.replace(URL_REGEX, ' ').match(PHONE_REGEX);
+    personal.phone = phone ? phone[0].trim() : '';
+
+    for (const line of lines) {
+        const parts = splitHeaderParts(cleanLine(line));
+        const location = parts.find(p => LOCATION_REGEX.test(p) && !EMAIL_REGEX.test(p) && !/\d{3}/.test(p));
+        if (location) { personal.location = location; break; }
+    }
+
+    const nameLine = lines.map(cleanLine).find(l => l && !EMAIL_REGEX.test(l) && !PHONE_REGEX.test(l) &&
+        !/https?:|www\.|\.com/i.test(l) && l.split(' ').length <= 5 && !TITLE_WORDS.test(l));
+    if (nameLine) {
+        const words = nameLine.split(' ');
+        personal.firstName = words.length > 1 ? words.slice(0, -1).join(' ') : words[0];
+        personal.lastName = words.length > 1 ? words[words.length - 1] : '';
+    }
+
+    return personal;
+}
+
+/**
+ * Work experience entries
+ * @param {string[]} lines
+ * @returns {Array}
+ */
+function parseExperience(lines) {
+    return groupEntries(lines).map(entry => {
+        const { location, rest } = splitHeaderLocation(entry.header.flatMap(line => splitHeaderParts(line)));
+        const titleIndex = rest.findIndex(p => TITLE_WORDS.test(p));
+        const title = titleIndex === -1 ? (rest[0] || '') : rest[titleIndex];
+        const company = rest.find((p, i) => i !== (titleIndex === -1 ? 0 : titleIndex)) || '';
+        const endDate = entry.range ? normalizeDate(entry.range[2]) : '';
+
+        return {
+            company,
+            title,
+            location,
+            startDate: entry.range ? normalizeDate(entry.range[1]) : '',
+            endDate,
+            current: endDate === 'Present',
+            description: '',
+            achievements: entry.bullets
+        };
+    }).filter(job => job.company || job.title);
+}
+
+/**
+ * Education entries
+ * @param {string[]} lines
+ * @returns {Array}
+ */
+function parseEducation(lines) {
+    // Education often has no bullets: each date/degree line pair is one entry
+    return groupEntries(lines).map(entry => {
+        const all = [...entry.header, ...entry.bullets];
+        const joined = all.join(' | ');
+        const parts = all.flatMap(line => splitHeaderParts(line, false)).flatMap(part => part.split(/,\s+/));
+        const degreeMatch = joined.match(DEGREE_REGEX);
+        const degreeText = degreeMatch ? degreeMatch[0].trim() : '';
+        const fieldMatch = degreeText.match(/^(.*?)\s+in\s+(.+)$/i) || degreeText.match(/^(.*?)\s+of\s+(.+)$/i);
+        const school = parts.find(p => SCHOOL_WORDS.test(p)) || parts.find(p => p !== degreeText && !DEGREE_REGEX.test(p)) || '';
+        const single = !entry.range && joined.match(SINGLE_DATE_REGEX);
+        const gpa = joined.match(GPA_REGEX);
+
+        let degree = fieldMatch ? fieldMatch[1] : degreeText;
+        let field = fieldMatch ? fieldMatch[2] : '';
+        if (!field && degreeText) {
+            // "BSc Computer Science" / "BSc, Computer Science"
+            const after = parts[parts.findIndex(p => p.includes(degreeText)) + 1];
+            const inline = degreeText.match(/^(\S+)\s+(.+)$/);
+            if (inline && !/^(of|in)$/i.test(inline[2]) && /^[A-Z]/.test(inline[2]) && !/science$|arts$|engineering$|administration$/i.test(inline[1])) {
+                degree = inline[1];
+                field = inline[2];
+            } else if (after && !SCHOOL_WORDS.test(after) && !SINGLE_DATE_REGEX.test(after)) {
+                field = after;
+            }
+        }
+
+        return {
+            school: school.replace(SINGLE_DATE_REGEX, '').replace(/[,\s]+$/, '').trim(),
+            degree: degree.replace(/[,\s]+$/, ''),
+            field: field.replace(SINGLE_DATE_REGEX, '').replace(/[,\s]+$/, '').trim(),
+            location: '',
+            startDate: entry.range ? normalizeDate(entry.range[1]) : '',
+            endDate: entry.range ? normalizeDate(entry.range[2]) : (single ? normalizeDate(single[1]) : ''),
+            gpa: gpa ? gpa[1] : '',
+            achievements: entry.bullets.filter(b => !DEGREE_REGEX.test(b) && !SCHOOL_WORDS.test(b))
+        };
+    }).filter(edu => edu.school || edu.degree);
+}
+
+/**
+ * Skills, optionally grouped by "Label: a, b" lines
+ * @param {string[]} lines
+ * @returns {{ technical: string[], soft: string[], languages: string[], certifications: string[] }}
+ */
+function parseSkills(lines) {
+    const skills = { technical: [], soft: [], languages: [], certifications: [] };
+
+    lines.forEach(raw => {
+        const line = cleanLine(raw.replace(BULLET_REGEX, ''));
+        if (!line) return;
+
+        const labelled = line.match(/^([^:]{2,40}):\s*(.+)$/);
+        const label = labelled ? labelled[1].toLowerCase() : '';
+        const items = splitList(labelled ? labelled[2] : line);
+
+        if (/soft|interpersonal/.test(label)) skills.soft.push(...items);
+        else if (/language/.test(label) && !/programming/.test(label) && !items.some(item => TECH_LANGUAGE_REGEX.test(item))) {
+            skills.languages.push(...items);
+        }
+        else if (/certif/.test(label)) skills.certifications.push(...items);
+        else skills.technical.push(...items);
+    });
+
+    return skills;
+}
+
+/**
+ * Project entries ("Name - short description", bullets, "Tech: a, b")
+ * @param {string[]} lines
+ * @returns {Array}
+ */
+function parseProjects(lines) {
+    return groupEntries(lines).map(entry => {
+        const [first = '', ...more] = entry.header;
+        const parts = splitHeaderParts(first);
+        const techLine = [...more, ...entry.bullets].find(l => /^(tech(nologies)?|stack|built with)\s*:/i.test(l));
+        const link = (entry.header.join(' ').match(URL_REGEX) || []).find(u => /[a-z]/i.test(u) && u.includes('.')) || '';
+        const description = [...parts.slice(1), ...more, ...entry.bullets]
+            .filter(l => l !== techLine && l !== link)
+            .join(' ');
+
+        return {
+            name: (parts[0] || '').replace(link, '').trim(),
+            description,
+            technologies: techLine ? splitList(techLine.replace(/^[^:]+:\s*/, '')) : [],
+            link,
+            startDate: entry.range ? normalizeDate(entry.range[1]) : '',
+            endDate: entry.range ? normalizeDate(entry.range[2]) : ''
+        };
+    }).filter(project => project.name);
+}
+
+// ============================================
+// ENTRY POINTS
+// ============================================
+
+/**
+ * Parse resume plain text (TXT, Markdown or extracted DOCX) into the resume schema
+ * @param {string} text
+ * @returns {Object} Resume data (merge with DEFAULT_RESUME_SCHEMA before saving)
+ */
+function parseResumeText(text) {
+    const sections = { header: [] };
+    let current = 'header';
+
+    String(text || '').replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+        const heading = detectHeading(line);
+        if (heading) {
+            current = heading;
+            sections[current] = sections[current] || [];
+            return;
+        }
+        if (/^\s*([-=_*]){3,}\s*$/.test(line)) return; // Markdown rules / underlines
+        (sections[current] = sections[current] || []).push(line);
+    });
+
+    const nonEmpty = (lines) => (lines || []).filter(l => l.trim());
+    const skills = parseSkills(nonEmpty(sections.skills));
+    nonEmpty(sections.certifications).forEach(l => skills.certifications.push(cleanLine(l.replace(BULLET_REGEX, ''))));
+    nonEmpty(sections.languages).forEach(l => skills.languages.push(...splitList(cleanLine(l.replace(BULLET_REGEX, '')))));
+
+    return {
+        personal: parseContact(nonEmpty(sections.header)),
+        summary: nonEmpty(sections.summary).map(cleanLine).join(' '),
+        experience: parseExperience(nonEmpty(sections.experience)),
+        education: parseEducation(nonEmpty(sections.education)),
+        skills,
+        projects: parseProjects(nonEmpty(sections.projects)),
+        customFields: {}
+    };
+}
+
+/**
+ * Parse a resume file without AI
+ * @param {{ name: string, type?: string, buffer: ArrayBuffer }} file
+ * @returns {Promise<Object>} Resume data
+ */
+async function parseResumeFile(file) {
+    const text = await extractText(file);
+    return parseResumeText(text);
+}
+
+/**
+ * Plain text of a DOCX/TXT/Markdown file
+ * @param {{ name: string, type?: string, buffer: ArrayBuffer }} file
+ * @returns {Promise<string>}
+ */
+async function extractText(file) {
+    const name = String(file.name || '').toLowerCase();
+    if (name.endsWith('.docx') || file.type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+        return extractDocxText(file.buffer);
+    }
+    if (/\.(txt|md|markdown|text)$/.test(name) || /^text\//.test(file.type || '')) {
+        return new TextDecoder().decode(file.buffer);
+    }
+    throw new Error('Only DOCX, TXT and Markdown files can be parsed on this device');
+}
+
+/**
+ * Whether a file can be parsed locally
+ * @param {{ name: string, type?: string }} file
+ * @returns {boolean}
+ */
+function supportsFile(file) {
+    return /\.(docx|txt|md|markdown|text)$/i.test(file.name || '') || /^text\//.test(file.type || '');
+}
+
+const LocalResumeParser = {
+    parseResumeText,
+    parseResumeFile,
+    extractText,
+    extractDocxText,
+    supportsFile,
+    normalizeDate
+};
+
+globalThis.LocalResumeParser = LocalResumeParser;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocalResumeParser;
+}
@@ -0,0 +1,305 @@
+/**
+ * Reminder Manager for Nova Apply Extension
+ *
+ * Follow-up reminders for a job posting ("nudge the recruiter in 7 days").
+ * Reminders live in the identity bucket under 'reminders'; each pending one
+ * has a chrome.alarms alarm named 'nova-reminder:<id>'. The background worker
+ * turns a fired alarm into a notification with Snooze / Done buttons.
+ *
+ * The stored list is the source of truth: alarms are re-created from it when
+ * the service worker starts (Chrome may drop alarms on browser restart), and
+ * reminders that came due while nothing was running fire on the next start.
+ */
+
+// Vault key (identity bucket) for reminders
+const REMINDERS_STORAGE_KEY = 'reminders';
+const REMINDER_ALARM_PREFIX = 'nova-reminder:';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Completed reminders kept for reference (oldest dropped first)
+const MAX_DONE_REMINDERS = 200;
+
+/**
+ * @readonly
+ */
+const ReminderStatus = {
+    PENDING: 'pending',
+    DONE: 'done'
+};
+
+/**
+ * @typedef {Object} Reminder
+ * @property {string} id
+ * @property {string} title - Job title
+ * @property {string} company
+ * @property {string} url - Posting URL
+ * @property {string|null} applicationId - ApplicationStore record, when one matches
+ * @property {string} note - What to do ("Nudge recruiter")
+ * @property {string} dueAt - ISO timestamp
+ * @property {string} status - ReminderStatus
+ * @property {number} snoozeCount
+ * @property {string} createdAt
+ * @property {string|null} completedAt
+ * @property {string|null} notifiedAt - When the notification for dueAt was shown
+ */
+
+function getVault() {
+    return globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
+}
+
+function alarmsApi() {
+    return typeof chrome !== 'undefined' && chrome.alarms ? chrome.alarms : null;
+}
+
+function generateReminderId() {
+    return 'rem_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+function alarmName(reminderId) {
+    return REMINDER_ALARM_PREFIX + reminderId;
+}
+
+/**
+ * Reminder id for one of our alarm names, or null for other alarms
+ * @param {string} name
+ * @returns {string|null}
+ */
+function reminderIdFromAlarm(name) {
+    return String(name || '').startsWith(REMINDER_ALARM_PREFIX) ? name.slice(REMINDER_ALARM_PREFIX.length) : null;
+}
+
+async function readReminders() {
+    const vault = getVault();
+    if (!vault) return [];
+    const list = await vault.bucket('identity').get(REMINDERS_STORAGE_KEY);
+    return Array.isArray(list) ? list : [];
+}
+
+/**
+ * Apply a change to one reminder
+ * @param {string} reminderId
+ * @param {function(Reminder): Reminder} change
+ * @returns {Promise<Reminder|null>}
+ */
+async function updateReminder(reminderId, change) {
+    const vault = getVault();
+    if (!vault) return null;
+
+    let updated = null;
+    await vault.bucket('identity').update(REMINDERS_STORAGE_KEY, (current) => {
+        const list = Array.isArray(current) ? current : [];
+        const next = list.map(reminder => {
+            if (reminder.id !== reminderId) return reminder;
+            updated = change(reminder);
+            return updated;
+        });
+
+        // Trim old completed reminders
+        const done = next.filter(r => r.status === ReminderStatus.DONE);
+        if (done.length <= MAX_DONE_REMINDERS) return next;
+        const drop = new Set(done.slice(0, done.length - MAX_DONE_REMINDERS).map(r => r.id));
+        return next.filter(r => !drop.has(r.id));
+    });
+    return updated;
+}
+
+async function scheduleAlarm(reminder) {
+    const alarms = alarmsApi();
+    if (!alarms || reminder.status !== ReminderStatus.PENDING) return;
+    // Alarms in the past fire as soon as possible
+    await alarms.create(alarmName(reminder.id), { when: Math.max(Date.now() + 1000, new Date(reminder.dueAt).getTime()) });
+}
+
+async function clearAlarm(reminderId) {
+    const alarms = alarmsApi();
+    if (alarms) await alarms.clear(alarmName(reminderId));
+}
+
+/**
+ * Schedule a follow-up for a posting
+ * @param {Object} input - { title, company, url, applicationId, note, dueAt } or { ..., days }
+ * @returns {Promise<Reminder|null>}
+ */
+async function createReminder(input) {
+    const vault = getVault();
+    if (!vault) return null;
+
+    const now = Date.now();
+    const days = Number(input.days);
+    const dueAt = input.dueAt || new Date(now + (days > 0 ? days : 7) * DAY_MS).toISOString();
+
+    const reminder = {
+        id: generateReminderId(),
+        title: String(input.title || ''),
+        company: String(input.company || ''),
+        url: String(input.url || ''),
+        applicationId: input.applicationId || null,
+        note: String(input.note || '').trim() || 'Follow up on your application',
+        dueAt,
+        status: ReminderStatus.PENDING,
+        snoozeCount: 0,
+        createdAt: new Date(now).toISOString(),
+        completedAt: null,
+        notifiedAt: null
+    };
+
+    await vault.bucket('identity').update(REMINDERS_STORAGE_KEY, (current) =>
+        [...(Array.isArray(current) ? current : []), reminder]
+    );
+    await scheduleAlarm(reminder);
+    return reminder;
+}
+
+/**
+ * Push a reminder back (default one day from now)
+ * @param {string} reminderId
+ * @param {number} [days=1]
+ * @returns {Promise<Reminder|null>}
+ */
+async function snoozeReminder(reminderId, days = 1) {
+    const reminder = await updateReminder(reminderId, r => ({
+        ...r,
+        status: ReminderStatus.PENDING,
+        dueAt: new Date(Date.now() + days * DAY_MS).toISOString(),
+        snoozeCount: (r.snoozeCount || 0) + 1
+    }));
+    if (reminder) await scheduleAlarm(reminder);
+    return reminder;
+}
+
+/**
+ * Record that the notification was shown, so restarting the worker doesn't
+ * show it again. The reminder stays pending until snoozed or completed.
+ * @param {string} reminderId
+ * @returns {Promise<Reminder|null>}
+ */
+async function markReminderNotified(reminderId) {
+    return updateReminder(reminderId, r => ({ ...r, notifiedAt: new Date().toISOString() }));
+}
+
+/**
+ * Whether a pending reminder still needs its alarm (not yet shown for its due time)
+ * @param {Reminder} reminder
+ * @returns {boolean}
+ */
+function isAwaitingAlarm(reminder) {
+    return reminder.status === ReminderStatus.PENDING &&
+        !(reminder.notifiedAt && new Date(reminder.notifiedAt) >= new Date(reminder.dueAt));
+}
+
+/**
+ * Mark a reminder done; its alarm is cancelled
+ * @param {string} reminderId
+ * @returns {Promise<Reminder|null>}
+ */
+async function completeReminder(reminderId) {
+    const reminder = await updateReminder(reminderId, r => ({
+        ...r,
+        status: ReminderStatus.DONE,
+        completedAt: new Date().toISOString()
+    }));
+    await clearAlarm(reminderId);
+    return reminder;
+}
+
+/**
+ * @param {string} reminderId
+ * @returns {Promise<void>}
+ */
+async function deleteReminder(reminderId) {
+    const vault = getVault();
+    if (!vault) return;
+    await vault.bucket('identity').update(REMINDERS_STORAGE_KEY, (current) =>
+        (Array.isArray(current) ? current : []).filter(r => r.id !== reminderId)
+    );
+    await clearAlarm(reminderId);
+}
+
+/**
+ * Remove every reminder and its alarm
+ * @returns {Promise<void>}
+ */
+async function clearReminders() {
+    const vault = getVault();
+    const list = await readReminders();
+    for (const reminder of list) await clearAlarm(reminder.id);
+    if (vault) await vault.bucket('identity').remove(REMINDERS_STORAGE_KEY);
+}
+
+/**
+ * Reminders, soonest due first
+ * @param {Object} [options] - { status: ReminderStatus to filter on, url: only this posting }
+ * @returns {Promise<Reminder[]>}
+ */
+async function listReminders(options = {}) {
+    const list = await readReminders();
+    return list
+        .filter(r => !options.status || r.status === options.status)
+        .filter(r => !options.url || r.url === options.url)
+        .sort((a, b) => String(a.dueAt).localeCompare(String(b.dueAt)));
+}
+
+/**
+ * @param {string} reminderId
+ * @returns {Promise<Reminder|null>}
+ */
+async function getReminder(reminderId) {
+    const list = await readReminders();
+    return list.find(r => r.id === reminderId) || null;
+}
+
+/**
+ * Make the alarms match the stored reminders: one alarm per pending reminder
+ * that hasn't been shown yet, none for anything else. Run when the service
+ * worker starts.
+ * @returns {Promise<number>} Number of reminders with an alarm
+ */
+async function syncReminderAlarms() {
+    const alarms = alarmsApi();
+    if (!alarms) return 0;
+
+    const pending = (await readReminders()).filter(isAwaitingAlarm);
+    const wanted = new Set(pending.map(r => alarmName(r.id)));
+
+    const existing = await alarms.getAll();
+    for (const alarm of existing) {
+        if (reminderIdFromAlarm(alarm.name) && !wanted.has(alarm.name)) await alarms.clear(alarm.name);
+    }
+
+    const scheduled = new Set(existing.map(alarm => alarm.name));
+    for (const reminder of pending) {
+        if (!scheduled.has(alarmName(reminder.id))) await scheduleAlarm(reminder);
+    }
+    return pending.length;
+}
+
+/**
+ * Notification title for a reminder ("Follow up: Senior Engineer at Acme")
+ * @param {Reminder} reminder
+ * @returns {string}
+ */
+function describeReminder(reminder) {
+    const what = [reminder.title, reminder.company].filter(Boolean).join(' at ');
+    return `Follow up: ${what || reminder.url || 'job application'}`;
+}
+
+const ReminderManager = {
+    createReminder,
+    snoozeReminder,
+    completeReminder,
+    markReminderNotified,
+    deleteReminder,
+    clearReminders,
+    listReminders,
+    getReminder,
+    syncReminderAlarms,
+    reminderIdFromAlarm,
+    describeReminder,
+    ReminderStatus,
+    REMINDERS_STORAGE_KEY
+};
+
+globalThis.ReminderManager = ReminderManager;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReminderManager;
+}
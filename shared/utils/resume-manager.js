@@ -3,10 +3,39 @@
  * 
  * Handles all resume data operations using Chrome local storage.
  * Provides CRUD operations and import/export functionality.
+ *
+ * Profiles (personas): each named profile holds a full resume object. The
+ * default profile keeps the legacy 'resumeData' key; others live at
+ * 'resumeData:<id>'. Reads without an explicit profileId resolve to the
+ * picked profile, else the first domain rule matching the page, else the default.
+ *
+ * Revision history: every save appends a snapshot (with its source) to
+ * '<profile key>:history', so changes can be diffed and rolled back.
  */
 
 // Storage key for resume data
 const RESUME_STORAGE_KEY = 'resumeData';
+// Storage key for the profile index (names, default, picker selection, domain rules)
+const PROFILES_STORAGE_KEY = 'resumeProfiles';
+const DEFAULT_PROFILE_ID = 'default';
+// chrome.storage.session key pinning profiles to tabs (tailored variants): { [tabId]: { profileId, posting } }
+const TAB_PROFILES_SESSION_KEY = 'tabProfiles';
+// Snapshots kept per profile (oldest dropped first)
+const MAX_RESUME_REVISIONS = 30;
+
+/**
+ * What produced a saved revision (saveResumeData options.source)
+ * @readonly
+ */
+const RevisionSource = {
+    MANUAL: 'manual',           // Options page "Save"
+    AI_IMPORT: 'ai_import',     // AI resume parsing, reviewed then saved
+    IMPORT: 'import',           // JSON / JSON Resume file import
+    PROFILE_CREATED: 'profile_created',
+    TAILORED: 'tailored',       // Per-job variant generated from another profile
+    ROLLBACK: 'rollback',
+    BASELINE: 'baseline'        // Data that existed before history was recorded
+};
 
 /**
  * Default resume data structure
@@ -15,10 +44,29 @@ const RESUME_STORAGE_KEY = 'resumeData';
 const DEFAULT_RESUME_SCHEMA = {
     personal: {
         firstName: '',
+        middleName: '',
         lastName: '',
+        preferredName: '',     // Name the candidate goes by, if different
+        pronouns: '',          // e.g., "she/her"
         email: '',
-        phone: '',
-        location: '',          // City, State/Country
+        phone: '',             // Display string, as typed or derived from phoneDetails
+        phoneE164: '',         // e.g., "+15551234567"; empty while the calling code is unknown
+        phoneDetails: {
+            countryCode: '',   // Calling code without "+", e.g., "1"
+            number: '',        // National number, digits only
+            extension: '',
+            e164: ''           // e.g., "+15551234567"
+        },
+        location: '',          // "City, State, Country", derived from address
+        address: {
+            line1: '',
+            line2: '',
+            city: '',
+            state: '',         // State / province / region
+            postalCode: '',
+            country: '',
+            timezone: ''       // IANA name, e.g., "America/Chicago"
+        },
         linkedin: '',
         portfolio: '',         // Website/Portfolio URL
         github: ''
@@ -67,6 +115,18 @@ const DEFAULT_RESUME_SCHEMA = {
         //     endDate: ''
         // }
     ],
+    references: [
+        // {
+        //     id: 'uuid',
+        //     name: '',
+        //     relationship: '',   // e.g., "Former manager"
+        //     company: '',
+        //     title: '',
+        //     email: '',
+        //     phone: '',
+        //     yearsKnown: ''
+        // }
+    ],
     customFields: {
         // Common job application questions
         salaryExpectation: '',
@@ -101,19 +161,379 @@ function generateId() {
     });
 }
 
+// ============================================
+// PROFILES (PERSONAS)
+// ============================================
+
+/**
+ * Vault key holding a profile's resume object
+ * @param {string} profileId
+ * @returns {string}
+ */
+function profileStorageKey(profileId) {
+    return profileId === DEFAULT_PROFILE_ID ? RESUME_STORAGE_KEY : `${RESUME_STORAGE_KEY}:${profileId}`;
+}
+
+/**
+ * Get the profile index, creating the implicit default profile on first use
+ * @returns {Promise<{ profiles: Array<{id: string, name: string, createdAt: string, derivedFrom?: string, tailoredFor?: Object}>, defaultProfileId: string, activeProfileId: string|null, domainRules: Array<{domain: string, profileId: string}> }>}
+ */
+async function listProfiles() {
+    const vault = globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
+    const index = vault ? await vault.bucket('identity').get(PROFILES_STORAGE_KEY) : null;
+
+    if (index && Array.isArray(index.profiles) && index.profiles.length > 0) {
+        return {
+            profiles: index.profiles,
+            defaultProfileId: index.defaultProfileId || index.profiles[0].id,
+            activeProfileId: index.activeProfileId || null,
+            domainRules: Array.isArray(index.domainRules) ? index.domainRules : []
+        };
+    }
+
+    return {
+        profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Default', createdAt: null }],
+        defaultProfileId: DEFAULT_PROFILE_ID,
+        activeProfileId: null,
+        domainRules: []
+    };
+}
+
+/**
+ * Apply a change to the profile index
+ * @param {Function} fn - Receives the current index, returns the new one
+ * @returns {Promise<void>}
+ */
+async function updateProfileIndex(fn) {
+    const vault = globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
+    if (!vault) return;
+
+    const current = await listProfiles();
+    await vault.bucket('identity').set(PROFILES_STORAGE_KEY, await fn(current));
+}
+
+/**
+ * Create a named profile, optionally copying another profile's data
+ * @param {string} name
+ * @param {Object} [options] - { copyFrom: profileId }
+ * @returns {Promise<string>} - The new profile ID
+ */
+async function createProfile(name, options = {}) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new Error('Profile name is required');
+
+    const id = generateId();
+    const source = options.copyFrom ? await getResumeData({ profileId: options.copyFrom }) : null;
+    const data = source ? JSON.parse(JSON.stringify(source)) : JSON.parse(JSON.stringify(DEFAULT_RESUME_SCHEMA));
+    if (source) data.meta = { createdAt: null, updatedAt: null, version: 0 };
+
+    await updateProfileIndex(index => ({
+        ...index,
+        profiles: [...index.profiles, { id, name: trimmed, createdAt: new Date().toISOString() }]
+    }));
+    await saveResumeData(data, { profileId: id, source: RevisionSource.PROFILE_CREATED });
+
+    return id;
+}
+
+/**
+ * Create a variant of a profile tailored to one job posting. The variant is a
+ * normal profile linked back to its base, so history and the options editor
+ * work on it; pickers and domain rules leave it out (see isTailoredProfile).
+ * @param {string} baseProfileId - Profile the variant was generated from
+ * @param {Object} data - Tailored resume data
+ * @param {Object} posting - { title, company, url, requisitionId }
+ * @returns {Promise<string>} - The new profile ID
+ */
+async function createTailoredProfile(baseProfileId, data, posting = {}) {
+    const { profiles } = await listProfiles();
+    const base = profiles.find(p => p.id === baseProfileId);
+    if (!base) throw new Error('Base profile not found');
+
+    const tailoredFor = {
+        title: posting.title || '',
+        company: posting.company || '',
+        url: posting.url || '',
+        requisitionId: posting.requisitionId || ''
+    };
+    const label = [tailoredFor.title, tailoredFor.company].filter(Boolean).join(' @ ') || 'this job';
+    const id = generateId();
+
+    await updateProfileIndex(index => ({
+        ...index,
+        profiles: [...index.profiles, {
+            id,
+            name: `${base.name} → ${label}`,
+            createdAt: new Date().toISOString(),
+            derivedFrom: baseProfileId,
+            tailoredFor
+        }]
+    }));
+    await saveResumeData(data, { profileId: id, source: RevisionSource.TAILORED });
+
+    return id;
+}
+
+/**
+ * Whether a profile index entry is a per-job tailored variant
+ * @param {Object} profile
+ * @returns {boolean}
+ */
+function isTailoredProfile(profile) {
+    return !!(profile && profile.derivedFrom);
+}
+
+/**
+ * Rename a profile
+ * @param {string} profileId
+ * @param {string} name
+ * @returns {Promise<boolean>}
+ */
+async function renameProfile(profileId, name) {
+    const trimmed = String(name || '').trim();
+    const { profiles } = await listProfiles();
+    if (!trimmed || !profiles.some(p => p.id === profileId)) return false;
+
+    await updateProfileIndex(index => ({
+        ...index,
+        profiles: index.profiles.map(p => p.id === profileId ? { ...p, name: trimmed } : p)
+    }));
+    return true;
+}
+
+/**
+ * Delete a profile and its data. The last remaining (non-tailored) profile cannot be
+ * deleted; deleting the default promotes the first remaining one. Variants tailored
+ * from a deleted base become standalone profiles.
+ * @param {string} profileId
+ * @returns {Promise<boolean>}
+ */
+async function deleteProfile(profileId) {
+    const { profiles } = await listProfiles();
+    const target = profiles.find(p => p.id === profileId);
+    const baseCount = profiles.filter(p => !isTailoredProfile(p)).length;
+    if (!target || (!isTailoredProfile(target) && baseCount <= 1)) return false;
+
+    await updateProfileIndex(index => {
+        const remaining = index.profiles
+            .filter(p => p.id !== profileId)
+            .map(p => {
+                if (p.derivedFrom !== profileId) return p;
+                const { derivedFrom, ...standalone } = p;
+                return standalone;
+            });
+        const promoted = remaining.find(p => !isTailoredProfile(p));
+        return {
+            profiles: remaining,
+            defaultProfileId: index.defaultProfileId === profileId ? promoted.id : index.defaultProfileId,
+            activeProfileId: index.activeProfileId === profileId ? null : index.activeProfileId,
+            domainRules: index.domainRules.filter(r => r.profileId !== profileId)
+        };
+    });
+
+    const vault = globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
+    await vault?.bucket('identity').remove(profileStorageKey(profileId));
+    await vault?.bucket('identity').remove(historyStorageKey(profileId));
+    return true;
+}
+
+/**
+ * Set the profile used when no picker selection or domain rule applies
+ * @param {string} profileId
+ * @returns {Promise<boolean>}
+ */
+async function setDefaultProfile(profileId) {
+    const { profiles } = await listProfiles();
+    if (!profiles.some(p => p.id === profileId && !isTailoredProfile(p))) return false;
+
+    await updateProfileIndex(index => ({ ...index, defaultProfileId: profileId }));
+    return true;
+}
+
+/**
+ * Pick the profile for upcoming applications (popup/sidebar picker).
+ * Pass null to go back to automatic selection (domain rules, then default).
+ * @param {string|null} profileId
+ * @returns {Promise<boolean>}
+ */
+async function setActiveProfile(profileId) {
+    const { profiles } = await listProfiles();
+    if (profileId && !profiles.some(p => p.id === profileId && !isTailoredProfile(p))) return false;
+
+    await updateProfileIndex(index => ({ ...index, activeProfileId: profileId || null }));
+    return true;
+}
+
+/**
+ * Replace the per-domain rules. A rule's domain matches the host itself and its subdomains
+ * (e.g. 'myworkdayjobs.com' matches 'acme.wd5.myworkdayjobs.com'); the first match wins.
+ * @param {Array<{domain: string, profileId: string}>} rules
+ * @returns {Promise<void>}
+ */
+async function saveDomainRules(rules) {
+    const { profiles } = await listProfiles();
+    const clean = (Array.isArray(rules) ? rules : [])
+        .map(r => ({
+            domain: String(r.domain || '').trim().toLowerCase().replace(/^\*\./, '').replace(/^https?:\/\//, '').replace(/\/.*$/, ''),
+            profileId: r.profileId
+        }))
+        .filter(r => r.domain && profiles.some(p => p.id === r.profileId && !isTailoredProfile(p)));
+
+    await updateProfileIndex(index => ({ ...index, domainRules: clean }));
+}
+
+/**
+ * Current page hostname (content scripts); extension pages never match a rule
+ * @returns {string}
+ */
+function currentHostname() {
+    const loc = globalThis.location;
+    if (!loc || !/^https?:$/.test(loc.protocol || '')) return '';
+    return loc.hostname || '';
+}
+
+/**
+ * Session storage for tab pins. Only the background and extension pages can read it
+ * (not web pages, not content scripts); content scripts go through the background.
+ * @returns {Object|null} chrome.storage.session
+ */
+function tabSession() {
+    if (currentHostname()) return null;
+    return globalThis.chrome?.storage?.session || null;
+}
+
+/**
+ * Identity of the posting on this page (content scripts), to scope a tab pin
+ * @returns {{ url: string, title: string, company: string, requisitionId: string }}
+ */
+function currentPosting() {
+    let job = null;
+    try {
+        job = typeof globalThis.getJobContext === 'function' ? globalThis.getJobContext() : null;
+    } catch (e) {
+        job = null;
+    }
+    return {
+        url: globalThis.location?.href || '',
+        title: job?.title || '',
+        company: job?.company || '',
+        requisitionId: job?.requisitionId || ''
+    };
+}
+
+/**
+ * Message the background worker from a content script
+ * @param {Object} message
+ * @returns {Promise<Object|null>}
+ */
+async function sendToBackground(message) {
+    try {
+        return await globalThis.chrome?.runtime?.sendMessage?.(message) || null;
+    } catch (e) {
+        return null; // Extension context invalidated
+    }
+}
+
+/**
+ * Use a profile for one tab and posting only, ahead of the picker and domain rules.
+ * Pass null to go back to the usual selection. From a content script the pin is for
+ * the sender's tab and the posting on the page.
+ * @param {string|null} profileId
+ * @param {Object} [options] - { tabId, posting } (background / extension pages)
+ * @returns {Promise<boolean>} - false when the pin could not be stored
+ */
+async function setTabProfile(profileId, options = {}) {
+    if (currentHostname()) {
+        const response = await sendToBackground({ type: 'SET_TAB_PROFILE', profileId: profileId || null, posting: currentPosting() });
+        return Boolean(response?.success);
+    }
+
+    const session = tabSession();
+    if (!session || options.tabId === undefined || options.tabId === null) return false;
+
+    const { [TAB_PROFILES_SESSION_KEY]: pins = {} } = await session.get(TAB_PROFILES_SESSION_KEY);
+    if (profileId) pins[options.tabId] = { profileId, posting: options.posting || {} };
+    else delete pins[options.tabId];
+    await session.set({ [TAB_PROFILES_SESSION_KEY]: pins });
+    return true;
+}
+
+/**
+ * Profile pinned to a tab by setTabProfile, while the tab still shows that posting
+ * (ApplicationStore.isSamePosting, so ATS redirects and apply sub-pages keep it)
+ * @param {Object} [options] - { tabId, posting } (background / extension pages)
+ * @returns {Promise<string|null>}
+ */
+async function getTabProfile(options = {}) {
+    if (currentHostname()) {
+        const response = await sendToBackground({ type: 'GET_TAB_PROFILE', posting: currentPosting() });
+        return response?.profileId || null;
+    }
+
+    const session = tabSession();
+    if (!session || options.tabId === undefined || options.tabId === null) return null;
+
+    const { [TAB_PROFILES_SESSION_KEY]: pins = {} } = await session.get(TAB_PROFILES_SESSION_KEY);
+    const pin = pins[options.tabId];
+    if (!pin) return null;
+
+    const isSamePosting = globalThis.ApplicationStore?.isSamePosting;
+    if (options.posting && isSamePosting && !isSamePosting(pin.posting, options.posting)) return null;
+    return pin.profileId;
+}
+
+/**
+ * Resolve which profile a read/write applies to
+ * @param {Object} [options] - { profileId, hostname, tabId, posting } (tabId/posting outside content scripts)
+ * @returns {Promise<{ profileId: string, name: string, source: 'explicit'|'tab'|'picked'|'rule'|'default' }>}
+ */
+async function resolveProfile(options = {}) {
+    const index = await listProfiles();
+    const byId = (id) => index.profiles.find(p => p.id === id);
+
+    if (options.profileId && byId(options.profileId)) {
+        return { profileId: options.profileId, name: byId(options.profileId).name, source: 'explicit' };
+    }
+    // Only tailored variants are pinned to tabs; skip the lookup when there are none
+    const tabProfileId = index.profiles.some(isTailoredProfile) ? await getTabProfile({ tabId: options.tabId, posting: options.posting }) : null;
+    if (tabProfileId && byId(tabProfileId)) {
+        return { profileId: tabProfileId, name: byId(tabProfileId).name, source: 'tab' };
+    }
+    if (index.activeProfileId && byId(index.activeProfileId)) {
+        return { profileId: index.activeProfileId, name: byId(index.activeProfileId).name, source: 'picked' };
+    }
+
+    const host = String(options.hostname ?? currentHostname()).toLowerCase();
+    if (host) {
+        const rule = index.domainRules.find(r => host === r.domain || host.endsWith(`.${r.domain}`));
+        if (rule && byId(rule.profileId)) {
+            return { profileId: rule.profileId, name: byId(rule.profileId).name, source: 'rule' };
+        }
+    }
+
+    const fallback = byId(index.defaultProfileId) || index.profiles[0];
+    return { profileId: fallback.id, name: fallback.name, source: 'default' };
+}
+
+// ============================================
+// RESUME DATA
+// ============================================
+
 /**
  * Get the complete resume data
+ * @param {Object} [options] - { profileId, hostname }; defaults to the active profile for this page
  * @returns {Promise<Object>}
  */
-async function getResumeData() {
+async function getResumeData(options = {}) {
     const vault = globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
     if (!vault) return null;
 
     await vault.waitUntilReady?.();
-    let data = await vault.bucket('identity').get(RESUME_STORAGE_KEY);
+    const { profileId } = await resolveProfile(options);
+    let data = await vault.bucket('identity').get(profileStorageKey(profileId));
 
     // --- BRIDGING LOGIC: Fallback to EntityStore (Profile) within Vault ---
-    if (!data || (!data.experience?.length && !data.education?.length)) {
+    if (profileId === DEFAULT_PROFILE_ID && (!data || (!data.experience?.length && !data.education?.length))) {
         const profile = await vault.bucket('identity').get('profile');
         if (profile) {
             data = data || JSON.parse(JSON.stringify(DEFAULT_RESUME_SCHEMA));
@@ -151,15 +571,32 @@ async function getResumeData() {
 
     if (!data) return null;
 
-    return deepMerge(JSON.parse(JSON.stringify(DEFAULT_RESUME_SCHEMA)), data);
+    const merged = deepMerge(JSON.parse(JSON.stringify(DEFAULT_RESUME_SCHEMA)), data);
+    return normalizeContact(merged);
+}
+
+/**
+ * Structured address/phone from (or for) the legacy location/phone strings.
+ * Resumes saved before the structured model are migrated here on read.
+ * @param {Object} data - Resume data (mutated)
+ * @returns {Object}
+ */
+function normalizeContact(data) {
+    const normalizer = globalThis.ContactNormalizer;
+    if (normalizer && data && data.personal) {
+        data.personal = normalizer.normalizePersonal(data.personal);
+    }
+    return data;
 }
 
 /**
  * Save complete resume data
  * @param {Object} data - Complete resume data object
+ * @param {Object} [options] - { profileId, hostname, source }; profile defaults to the active one for this page,
+ *   source (RevisionSource) labels the revision and defaults to 'manual'
  * @returns {Promise<void>}
  */
-async function saveResumeData(data) {
+async function saveResumeData(data, options = {}) {
     // Update metadata
     const now = new Date().toISOString();
     if (!data.meta) data.meta = {};
@@ -170,34 +607,228 @@ async function saveResumeData(data) {
     const vault = globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
     if (!vault) return;
 
-    await vault.bucket('identity').set(RESUME_STORAGE_KEY, data);
+    normalizeContact(data);
+
+    const { profileId } = await resolveProfile(options);
+    const previous = await vault.bucket('identity').get(profileStorageKey(profileId));
+    await vault.bucket('identity').set(profileStorageKey(profileId), data);
+    await recordRevision(profileId, previous, data, options.source || RevisionSource.MANUAL);
+
+    // Cached AI batch answers were derived from the old profile
+    await globalThis.AIClient?.clearResponseCache?.();
+}
+
+// ============================================
+// REVISION HISTORY
+// ============================================
+
+/**
+ * Vault key holding a profile's revision list
+ * @param {string} profileId
+ * @returns {string}
+ */
+function historyStorageKey(profileId) {
+    return `${profileStorageKey(profileId)}:history`;
+}
+
+/**
+ * Resume content without metadata, for comparisons
+ * @param {Object} data
+ * @returns {string}
+ */
+function resumeFingerprint(data) {
+    const { meta, ...content } = data || {};
+    return JSON.stringify(content);
+}
+
+/**
+ * Append a snapshot to the profile's history. The first recorded save also keeps the
+ * data it replaced as a 'baseline' revision; saves that change nothing are skipped.
+ * @param {string} profileId
+ * @param {Object|null} previous - Data before this save
+ * @param {Object} data - Data as saved
+ * @param {string} source - RevisionSource
+ * @returns {Promise<void>}
+ */
+async function recordRevision(profileId, previous, data, source) {
+    const vault = globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
+    if (!vault) return;
+
+    await vault.bucket('identity').update(historyStorageKey(profileId), async (history) => {
+        const revisions = Array.isArray(history) ? history : [];
+
+        if (revisions.length === 0 && previous) {
+            revisions.push({
+                id: generateId(),
+                ts: previous.meta?.updatedAt || new Date().toISOString(),
+                source: RevisionSource.BASELINE,
+                data: previous
+            });
+        }
+
+        const last = revisions[revisions.length - 1];
+        if (last && resumeFingerprint(last.data) === resumeFingerprint(data)) return revisions;
+
+        revisions.push({ id: generateId(), ts: data.meta?.updatedAt || new Date().toISOString(), source, data: JSON.parse(JSON.stringify(data)) });
+        return revisions.slice(-MAX_RESUME_REVISIONS);
+    });
+}
+
+/**
+ * List revisions (newest first) with the number of field changes each one made
+ * @param {Object} [options] - { profileId, hostname }
+ * @returns {Promise<Array<{ id: string, ts: string, source: string, changeCount: number }>>}
+ */
+async function getResumeHistory(options = {}) {
+    const vault = globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
+    if (!vault) return [];
+
+    const { profileId } = await resolveProfile(options);
+    const revisions = await vault.bucket('identity').get(historyStorageKey(profileId)) || [];
+
+    return revisions.map((rev, i) => ({
+        id: rev.id,
+        ts: rev.ts,
+        source: rev.source,
+        changeCount: i === 0 ? 0 : diffResumeData(revisions[i - 1].data, rev.data).length
+    })).reverse();
+}
+
+/**
+ * Get one revision, plus its diff against the revision before it
+ * @param {string} revisionId
+ * @param {Object} [options] - { profileId, hostname }
+ * @returns {Promise<{ id: string, ts: string, source: string, data: Object, changes: Array }|null>}
+ */
+async function getResumeRevision(revisionId, options = {}) {
+    const vault = globalThis.StorageVault || (typeof StorageVault !== 'undefined' ? StorageVault : null);
+    if (!vault) return null;
+
+    const { profileId } = await resolveProfile(options);
+    const revisions = await vault.bucket('identity').get(historyStorageKey(profileId)) || [];
+    const index = revisions.findIndex(rev => rev.id === revisionId);
+    if (index === -1) return null;
+
+    const rev = revisions[index];
+    return { ...rev, changes: diffResumeData(index > 0 ? revisions[index - 1].data : null, rev.data) };
+}
+
+/**
+ * Restore an earlier revision (recorded as a new 'rollback' revision, so it can itself be undone)
+ * @param {string} revisionId
+ * @param {Object} [options] - { profileId, hostname }
+ * @returns {Promise<boolean>}
+ */
+async function rollbackResume(revisionId, options = {}) {
+    const revision = await getResumeRevision(revisionId, options);
+    if (!revision) return false;
+
+    const { profileId } = await resolveProfile(options);
+    await saveResumeData(JSON.parse(JSON.stringify(revision.data)), { profileId, source: RevisionSource.ROLLBACK });
+    return true;
+}
+
+/**
+ * Readable name for an array item in diff paths (e.g. the company of an experience entry)
+ * @param {Object} item
+ * @param {number} index
+ * @returns {string}
+ */
+function describeItem(item, index) {
+    if (!item || typeof item !== 'object') return `#${index + 1}`;
+    return item.company || item.school || item.name || item.title || `#${index + 1}`;
+}
+
+/**
+ * Field-level diff between two resume objects (metadata ignored).
+ * Object arrays (experience, education, projects, references) are matched by id; string arrays
+ * (skills) are compared as sets.
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Array<{ path: string, type: 'added'|'removed'|'changed', before: any, after: any }>}
+ */
+function diffResumeData(before, after) {
+    const changes = [];
+    const isEmpty = (v) => v === undefined || v === null || v === '' || (Array.isArray(v) && v.length === 0);
+
+    const walk = (a, b, path) => {
+        if (Array.isArray(a) || Array.isArray(b)) {
+            const listA = Array.isArray(a) ? a : [];
+            const listB = Array.isArray(b) ? b : [];
+            const isObjectList = [...listA, ...listB].some(item => item && typeof item === 'object');
+
+            if (!isObjectList) {
+                const added = listB.filter(v => !listA.includes(v));
+                const removed = listA.filter(v => !listB.includes(v));
+                if (added.length || removed.length) {
+                    changes.push({ path, type: 'changed', before: listA, after: listB, added, removed });
+                }
+                return;
+            }
+
+            const keyOf = (item, i) => item?.id || `#${i}`;
+            const mapA = new Map(listA.map((item, i) => [keyOf(item, i), { item, i }]));
+            const mapB = new Map(listB.map((item, i) => [keyOf(item, i), { item, i }]));
+
+            mapA.forEach(({ item, i }, key) => {
+                const label = `${path}[${describeItem(item, i)}]`;
+                if (!mapB.has(key)) changes.push({ path: label, type: 'removed', before: item, after: null });
+                else walk(item, mapB.get(key).item, label);
+            });
+            mapB.forEach(({ item, i }, key) => {
+                if (!mapA.has(key)) changes.push({ path: `${path}[${describeItem(item, i)}]`, type: 'added', before: null, after: item });
+            });
+            return;
+        }
+
+        if ((a && typeof a === 'object') || (b && typeof b === 'object')) {
+            const objA = a && typeof a === 'object' ? a : {};
+            const objB = b && typeof b === 'object' ? b : {};
+            new Set([...Object.keys(objA), ...Object.keys(objB)]).forEach(key => {
+                if (key === 'meta' && !path) return;
+                if (key === 'id') return;
+                walk(objA[key], objB[key], path ? `${path}.${key}` : key);
+            });
+            return;
+        }
+
+        if (isEmpty(a) && isEmpty(b)) return;
+        if (a === b) return;
+        const type = isEmpty(a) ? 'added' : isEmpty(b) ? 'removed' : 'changed';
+        changes.push({ path, type, before: a ?? null, after: b ?? null });
+    };
+
+    walk(before || {}, after || {}, '');
+    return changes;
 }
 
 /**
  * Update a specific section of the resume
  * @param {string} section - Section name (e.g., 'personal', 'experience')
  * @param {Object|Array} sectionData - The new data for that section
+ * @param {Object} [options] - { profileId, hostname }
  * @returns {Promise<void>}
  */
-async function updateSection(section, sectionData) {
-    const currentData = await getResumeData() || JSON.parse(JSON.stringify(DEFAULT_RESUME_SCHEMA));
+async function updateSection(section, sectionData, options = {}) {
+    const currentData = await getResumeData(options) || JSON.parse(JSON.stringify(DEFAULT_RESUME_SCHEMA));
 
     if (!(section in currentData)) {
         throw new Error(`Unknown resume section: ${section}`);
     }
 
     currentData[section] = sectionData;
-    await saveResumeData(currentData);
+    await saveResumeData(currentData, options);
 }
 
 /**
- * Add an item to an array section (experience, education, projects)
+ * Add an item to an array section (experience, education, projects, references)
  * @param {string} section - Section name
  * @param {Object} item - Item to add
+ * @param {Object} [options] - { profileId, hostname }
  * @returns {Promise<string>} - The ID of the added item
  */
-async function addItem(section, item) {
-    const currentData = await getResumeData() || JSON.parse(JSON.stringify(DEFAULT_RESUME_SCHEMA));
+async function addItem(section, item, options = {}) {
+    const currentData = await getResumeData(options) || JSON.parse(JSON.stringify(DEFAULT_RESUME_SCHEMA));
 
     if (!Array.isArray(currentData[section])) {
         throw new Error(`Section ${section} is not an array`);
@@ -207,7 +838,7 @@ async function addItem(section, item) {
     item.id = id;
 
     currentData[section].push(item);
-    await saveResumeData(currentData);
+    await saveResumeData(currentData, options);
 
     return id;
 }
@@ -217,10 +848,11 @@ async function addItem(section, item) {
  * @param {string} section - Section name
  * @param {string} itemId - ID of the item to update
  * @param {Object} updates - Fields to update
+ * @param {Object} [options] - { profileId, hostname }
  * @returns {Promise<boolean>}
  */
-async function updateItem(section, itemId, updates) {
-    const currentData = await getResumeData();
+async function updateItem(section, itemId, updates, options = {}) {
+    const currentData = await getResumeData(options);
 
     if (!currentData || !Array.isArray(currentData[section])) {
         return false;
@@ -232,7 +864,7 @@ async function updateItem(section, itemId, updates) {
     }
 
     currentData[section][index] = { ...currentData[section][index], ...updates };
-    await saveResumeData(currentData);
+    await saveResumeData(currentData, options);
 
     return true;
 }
@@ -241,10 +873,11 @@ async function updateItem(section, itemId, updates) {
  * Delete an item from an array section
  * @param {string} section - Section name
  * @param {string} itemId - ID of the item to delete
+ * @param {Object} [options] - { profileId, hostname }
  * @returns {Promise<boolean>}
  */
-async function deleteItem(section, itemId) {
-    const currentData = await getResumeData();
+async function deleteItem(section, itemId, options = {}) {
+    const currentData = await getResumeData(options);
 
     if (!currentData || !Array.isArray(currentData[section])) {
         return false;
@@ -256,26 +889,28 @@ async function deleteItem(section, itemId) {
     }
 
     currentData[section].splice(index, 1);
-    await saveResumeData(currentData);
+    await saveResumeData(currentData, options);
 
     return true;
 }
 
 /**
  * Export resume data as JSON string
+ * @param {Object} [options] - { profileId, hostname }
  * @returns {Promise<string>}
  */
-async function exportResumeJSON() {
-    const data = await getResumeData();
+async function exportResumeJSON(options = {}) {
+    const data = await getResumeData(options);
     return JSON.stringify(data, null, 2);
 }
 
 /**
  * Import resume data from JSON string
  * @param {string} jsonString - JSON string to import
+ * @param {Object} [options] - { profileId, hostname }
  * @returns {Promise<{success: boolean, error?: string}>}
  */
-async function importResumeJSON(jsonString) {
+async function importResumeJSON(jsonString, options = {}) {
     try {
         const data = JSON.parse(jsonString);
 
@@ -284,10 +919,15 @@ async function importResumeJSON(jsonString) {
             return { success: false, error: 'Invalid JSON: not an object' };
         }
 
+        // JSON Resume (jsonresume.org) documents are converted to the internal schema
+        const converter = globalThis.JsonResumeConverter;
+        const internal = converter?.isJsonResume(data) ? converter.fromJsonResume(data) : data;
+        assignMissingIds(internal);
+
         // Merge with default schema to ensure compatibility
-        const mergedData = deepMerge(JSON.parse(JSON.stringify(DEFAULT_RESUME_SCHEMA)), data);
+        const mergedData = deepMerge(JSON.parse(JSON.stringify(DEFAULT_RESUME_SCHEMA)), internal);
 
-        await saveResumeData(mergedData);
+        await saveResumeData(mergedData, { source: RevisionSource.IMPORT, ...options });
         return { success: true };
 
     } catch (error) {
@@ -296,6 +936,32 @@ async function importResumeJSON(jsonString) {
     }
 }
 
+/**
+ * Export resume data as a JSON Resume v1 document (https://jsonresume.org/schema)
+ * @param {Object} [options] - { profileId, hostname }
+ * @returns {Promise<string>}
+ */
+async function exportJsonResume(options = {}) {
+    const converter = globalThis.JsonResumeConverter;
+    if (!converter) throw new Error('JSON Resume converter not loaded');
+
+    const data = await getResumeData(options);
+    return JSON.stringify(converter.toJsonResume(data), null, 2);
+}
+
+/**
+ * Give array items (experience, education, projects, references) an id where missing
+ * @param {Object} data
+ */
+function assignMissingIds(data) {
+    ['experience', 'education', 'projects', 'references'].forEach(section => {
+        if (!Array.isArray(data[section])) return;
+        data[section].forEach(item => {
+            if (item && !item.id) item.id = generateId();
+        });
+    });
+}
+
 /**
  * Clear all resume data
  * @returns {Promise<void>}
@@ -307,22 +973,39 @@ async function clearResumeData() {
 /**
  * Get a flattened version of resume data for form filling
  * This creates a simple key-value map for easy field matching
+ * @param {Object} [options] - { profileId, hostname }; defaults to the active profile
  * @returns {Promise<Object>}
  */
-async function getFlattenedResumeData() {
-    const data = await getResumeData();
+async function getFlattenedResumeData(options = {}) {
+    const data = await getResumeData(options);
     if (!data) return {};
 
     const flat = {};
 
     // Personal info
     if (data.personal) {
+        const address = data.personal.address || {};
+        const phoneDetails = data.personal.phoneDetails || {};
         flat.firstName = data.personal.firstName || '';
+        flat.middleName = data.personal.middleName || '';
         flat.lastName = data.personal.lastName || '';
+        flat.preferredName = data.personal.preferredName || '';
+        flat.pronouns = data.personal.pronouns || '';
         flat.fullName = `${data.personal.firstName || ''} ${data.personal.lastName || ''}`.trim();
         flat.email = data.personal.email || '';
         flat.phone = data.personal.phone || '';
+        flat.phoneE164 = data.personal.phoneE164 || '';
+        flat.phoneCountryCode = phoneDetails.countryCode ? `+${phoneDetails.countryCode}` : '';
+        flat.phoneNumber = phoneDetails.number || '';
+        flat.phoneExtension = phoneDetails.extension || '';
         flat.location = data.personal.location || '';
+        flat.addressLine1 = address.line1 || '';
+        flat.addressLine2 = address.line2 || '';
+        flat.city = address.city || '';
+        flat.state = address.state || '';
+        flat.postalCode = address.postalCode || '';
+        flat.country = address.country || '';
+        flat.timezone = address.timezone || '';
         flat.linkedin = data.personal.linkedin || '';
         flat.portfolio = data.personal.portfolio || '';
         flat.github = data.personal.github || '';
@@ -388,10 +1071,11 @@ async function getFlattenedResumeData() {
 
 /**
  * Get resume as formatted text (for AI context)
+ * @param {Object} [options] - { profileId, hostname }; defaults to the active profile
  * @returns {Promise<string>}
  */
-async function getResumeAsText() {
-    const data = await getResumeData();
+async function getResumeAsText(options = {}) {
+    const data = await getResumeData(options);
     if (!data) return '';
 
     let text = '';
@@ -400,9 +1084,12 @@ async function getResumeAsText() {
     if (data.personal) {
         const p = data.personal;
         text += `# ${p.firstName} ${p.lastName}\n`;
+        if (p.preferredName) text += `Preferred Name: ${p.preferredName}\n`;
+        if (p.pronouns) text += `Pronouns: ${p.pronouns}\n`;
         if (p.email) text += `Email: ${p.email}\n`;
         if (p.phone) text += `Phone: ${p.phone}\n`;
         if (p.location) text += `Location: ${p.location}\n`;
+        if (p.address?.timezone) text += `Timezone: ${p.address.timezone}\n`;
         if (p.linkedin) text += `LinkedIn: ${p.linkedin}\n`;
         if (p.portfolio) text += `Website: ${p.portfolio}\n`;
         text += '\n';
@@ -472,6 +1159,21 @@ async function getResumeAsText() {
         });
     }
 
+    // References: this text goes into AI prompts, so the referees' own email/phone stay out
+    // (reference contact fields are filled locally by RuleEngine)
+    if (data.references && data.references.length > 0) {
+        text += '## References\n';
+        data.references.forEach(ref => {
+            text += `### ${ref.name}`;
+            if (ref.relationship) text += ` (${ref.relationship})`;
+            text += '\n';
+            const role = [ref.title, ref.company].filter(Boolean).join(', ');
+            if (role) text += `${role}\n`;
+            if (ref.yearsKnown) text += `Known for: ${ref.yearsKnown} years\n`;
+            text += '\n';
+        });
+    }
+
     return text.trim();
 }
 
@@ -571,7 +1273,8 @@ ${resumeText}`;
         const result = await window.AIClient.callAI(prompt, systemInstruction, {
             jsonMode: true,
             temperature: 0.1, // Low temperature for higher extraction accuracy
-            maxTokens: 4096
+            maxTokens: 4096,
+            subsystem: window.AIClient.AISubsystem.RESUME_PARSE
         });
 
         if (result.success) {
@@ -696,6 +1399,7 @@ SCHEMA TEMPLATE:
             jsonMode: true,
             temperature: 0.1,
             maxTokens: 4096,
+            subsystem: window.AIClient.AISubsystem.RESUME_PARSE,
             fileData: {
                 mimeType: 'application/pdf',
                 data: base64Data
@@ -733,6 +1437,37 @@ SCHEMA TEMPLATE:
     }
 }
 
+/**
+ * Parse a DOCX, TXT or Markdown resume on-device (no AI, nothing uploaded)
+ * @param {{ name: string, type?: string, buffer: ArrayBuffer }} file
+ * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+ */
+async function parseResumeLocally(file) {
+    const parser = globalThis.LocalResumeParser;
+    if (!parser) {
+        return { success: false, error: 'Local resume parser not loaded' };
+    }
+    if (!file || !parser.supportsFile(file)) {
+        return { success: false, error: 'Only DOCX, TXT and Markdown files can be parsed offline.' };
+    }
+
+    try {
+        const text = await parser.extractText(file);
+        if (!text || text.trim().length < 50) {
+            return { success: false, error: 'Resume text is too short or empty.' };
+        }
+
+        const parsedData = deepMerge(JSON.parse(JSON.stringify(DEFAULT_RESUME_SCHEMA)), parser.parseResumeText(text));
+        delete parsedData.meta;
+        assignMissingIds(parsedData);
+
+        return { success: true, data: parsedData };
+    } catch (error) {
+        console.error('Error parsing resume locally:', error);
+        return { success: false, error: error.message };
+    }
+}
+
 /**
  * Deep merge two objects
  * @param {Object} target 
@@ -763,15 +1498,16 @@ function deepMerge(target, source) {
  * Get optimized context for AI generation
  * Reduces token cost by converting to Markdown and optionally pruning
  * @param {string} mode - 'full' or 'compact'
+ * @param {Object} [options] - { profileId, hostname }; defaults to the active profile
  * @returns {Promise<string>}
  */
-async function getOptimizedContext(mode = 'full') {
-    const data = await getResumeData();
+async function getOptimizedContext(mode = 'full', options = {}) {
+    const data = await getResumeData(options);
     if (!data) return '';
 
     // For V1, we primarily use the Markdown text conversion
     // This saves ~40% tokens vs JSON
-    let text = await getResumeAsText();
+    let text = await getResumeAsText(options);
 
     // Future: Implement 'compact' mode pruning here
     // if (mode === 'compact') { ... }
@@ -789,15 +1525,35 @@ const manager = {
     deleteItem,
     exportResumeJSON,
     importResumeJSON,
+    exportJsonResume,
+    getResumeHistory,
+    getResumeRevision,
+    rollbackResume,
+    diffResumeData,
     clearResumeData,
     getFlattenedResumeData,
     getResumeAsText,
     getOptimizedContext,
     parseResumeText,
     parseResumeFile,
+    parseResumeLocally,
     generateId,
+    listProfiles,
+    createProfile,
+    createTailoredProfile,
+    isTailoredProfile,
+    renameProfile,
+    deleteProfile,
+    setDefaultProfile,
+    setActiveProfile,
+    setTabProfile,
+    getTabProfile,
+    saveDomainRules,
+    resolveProfile,
     DEFAULT_RESUME_SCHEMA,
-    RESUME_STORAGE_KEY
+    RESUME_STORAGE_KEY,
+    DEFAULT_PROFILE_ID,
+    RevisionSource
 };
 
 globalThis.ResumeManager = manager;
@@ -0,0 +1,97 @@
+/**
+ * AI Record/Replay Harness
+ *
+ * Offline stand-in for AIClient's network layer (fetchWithKey). Exchanges are
+ * stored as one JSON fixture per prompt hash (AIClient.hashPrompt), so the
+ * same prompt always replays the same provider response.
+ *
+ * Modes (AI_FIXTURE_MODE env var or `mode` option):
+ * - replay (default): serve fixtures only; a miss is recorded and returned as a NETWORK_ERROR
+ * - record: send the real request and write/overwrite the fixture
+ *
+ * Usage:
+ *   const { installAIReplay } = require('./harness/ai-replay.js');
+ *   const replay = installAIReplay(AIClient, { fixtureDir: 'test/fixtures/ai' });
+ *   ... run code that calls AIClient.callAI ...
+ *   replay.uninstall();
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryVault } = require('./test-utils.js');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '../fixtures/ai');
+
+/**
+ * Create a transport for AIClient.setTransport
+ * @param {Object} [options]
+ * @param {string} [options.fixtureDir]
+ * @param {'replay'|'record'} [options.mode]
+ * @returns {Function & { calls: Array, misses: Array }}
+ */
+function createReplayTransport(options = {}) {
+    const fixtureDir = options.fixtureDir || DEFAULT_FIXTURE_DIR;
+    const mode = options.mode || process.env.AI_FIXTURE_MODE || 'replay';
+
+    const transport = async (request) => {
+        const file = path.join(fixtureDir, `${request.promptHash}.json`);
+        transport.calls.push({ promptHash: request.promptHash, provider: request.provider, file });
+
+        if (mode === 'record') {
+            const response = await request.send();
+            fs.mkdirSync(fixtureDir, { recursive: true });
+            fs.writeFileSync(file, JSON.stringify({
+                promptHash: request.promptHash,
+                provider: request.provider,
+                model: request.model,
+                promptPreview: String(request.input.prompt || '').slice(0, 200),
+                recordedAt: new Date().toISOString(),
+                response
+            }, null, 2) + '\n');
+            return response;
+        }
+
+        if (!fs.existsSync(file)) {
+            transport.misses.push(request.promptHash);
+            return {
+                ok: false,
+                status: 0,
+                error: `[AIReplay] No fixture for ${request.promptHash} (run with AI_FIXTURE_MODE=record)`,
+                errorCode: 'NETWORK_ERROR'
+            };
+        }
+
+        const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (fixture.provider !== request.provider) {
+            throw new Error(`[AIReplay] Fixture ${request.promptHash} was recorded with '${fixture.provider}', not '${request.provider}'`);
+        }
+        return fixture.response;
+    };
+
+    transport.calls = [];
+    transport.misses = [];
+    transport.mode = mode;
+    return transport;
+}
+
+/**
+ * Install a replay transport on an AIClient instance
+ * @param {Object} aiClient - AIClient export (must expose setTransport)
+ * @param {Object} [options] - See createReplayTransport
+ * @returns {{ transport: Function, uninstall: Function }}
+ */
+function installAIReplay(aiClient, options = {}) {
+    const transport = createReplayTransport(options);
+    aiClient.setTransport(transport);
+    return {
+        transport,
+        uninstall: () => aiClient.setTransport(null)
+    };
+}
+
+module.exports = {
+    createReplayTransport,
+    installAIReplay,
+    createMemoryVault,
+    DEFAULT_FIXTURE_DIR
+};
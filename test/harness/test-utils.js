@@ -0,0 +1,79 @@
+/**
+ * Shared helpers for the node test scripts (node test/test_*.js)
+ *
+ * Usage:
+ *   const { check, runSuite, createMemoryVault } = require('./harness/test-utils.js');
+ *   check('does the thing', result === expected, result);
+ *   runSuite('thing', async () => { ... });   // or report('thing') at the end of a sync script
+ */
+
+let failures = 0;
+
+/**
+ * Print ✅/❌ for one condition; failures set the exit code in report()
+ * @param {string} name
+ * @param {boolean} condition
+ * @param {*} [detail] - Printed on failure
+ */
+function check(name, condition, detail) {
+    if (condition) {
+        console.log(`✅ ${name}`);
+    } else {
+        failures++;
+        console.log(`❌ ${name}`, detail !== undefined ? detail : '');
+    }
+}
+
+/**
+ * Print the summary line and set the process exit code
+ * @param {string} name - Suite name ("All <name> checks passed")
+ */
+function report(name) {
+    console.log(failures === 0 ? `\n✅ All ${name} checks passed` : `\n❌ ${failures} check(s) failed`);
+    process.exitCode = failures === 0 ? 0 : 1;
+}
+
+/**
+ * Run an async test body, then report; a thrown error fails the suite
+ * @param {string} name
+ * @param {Function} body
+ */
+function runSuite(name, body) {
+    Promise.resolve()
+        .then(body)
+        .then(() => report(name))
+        .catch((e) => {
+            console.error(e);
+            process.exitCode = 1;
+        });
+}
+
+/**
+ * In-memory StorageVault stand-in with a single test key, so key rotation runs offline
+ * @param {Object} [seed] - Initial bucket contents, e.g. { ai: { keys: ['test-key'] } }
+ * @returns {Object}
+ */
+function createMemoryVault(seed = { ai: { keys: ['test-key'] } }) {
+    const data = JSON.parse(JSON.stringify(seed));
+    return {
+        initialized: true,
+        waitUntilReady: async () => true,
+        bucket: (name) => ({
+            get: async (key) => data[name]?.[key],
+            set: async (key, val) => { (data[name] = data[name] || {})[key] = val; },
+            update: async (key, fn) => {
+                data[name] = data[name] || {};
+                data[name][key] = await fn(data[name][key]);
+            },
+            remove: async (key) => { if (data[name]) delete data[name][key]; }
+        }),
+        _data: data
+    };
+}
+
+module.exports = {
+    check,
+    report,
+    runSuite,
+    createMemoryVault
+};
@@ -0,0 +1,114 @@
+/**
+ * Offline end-to-end check of the AI paths using recorded fixtures.
+ *
+ * Run:     node test/test_ai_replay.js
+ * Record:  AI_FIXTURE_MODE=record node test/test_ai_replay.js   (needs a real key in AI_TEST_KEY)
+ */
+
+const path = require('path');
+const { check, runSuite } = require('./harness/test-utils.js');
+const { installAIReplay, createMemoryVault } = require('./harness/ai-replay.js');
+
+// ==========================================
+// 1. ENVIRONMENT MOCKS
+// ==========================================
+global.window = global;
+global.StorageVault = createMemoryVault({ ai: { keys: [process.env.AI_TEST_KEY || 'test-key'] } });
+
+const root = path.join(__dirname, '..');
+const AIClient = require(path.join(root, 'shared/utils/ai-client.js'));
+require(path.join(root, 'shared/utils/form-analyzer.js'));
+require(path.join(root, 'autofill/services/ai/AIBatchProcessor.js'));
+require(path.join(root, 'autofill/handlers/handler.js'));
+require(path.join(root, 'autofill/domains/inference/CopilotClient.js'));
+const ResumeManager = require(path.join(root, 'shared/utils/resume-manager.js'));
+
+const { transport, uninstall } = installAIReplay(AIClient);
+
+// ==========================================
+// 2. FIXTURE INPUTS
+// ==========================================
+const RESUME = {
+    personal: { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', phone: '+44 20 7946 0000', location: 'London, UK' },
+    summary: 'Analytical engineer focused on computation.',
+    experience: [{ company: 'Analytical Engines Ltd', title: 'Lead Engineer', startDate: '2019-01', endDate: 'Present', current: true }],
+    education: [{ school: 'University of London', degree: 'BSc', field: 'Mathematics', endDate: '2018' }],
+    skills: { technical: ['Python', 'Algorithms'], soft: ['Writing'] },
+    projects: [],
+    customFields: {}
+};
+
+const FIELDS = [
+    { selector: '#first_name', name: 'first_name', label: 'First Name', type: 'text' },
+    { selector: '#email', name: 'email', label: 'Email', type: 'email' },
+    { selector: '#current_company', name: 'current_company', label: 'Current Company', type: 'text' }
+];
+
+const COVER_FIELD = { selector: '#why_us', name: 'why_us', label: 'Why do you want to work here?', type: 'textarea', tagName: 'TEXTAREA' };
+
+const RESUME_TEXT = `Ada Lovelace
+ada@example.com | +44 20 7946 0000 | London, UK
+
+EXPERIENCE
+Lead Engineer, Analytical Engines Ltd (2019-01 - Present)
+- Designed the first published algorithm for the Analytical Engine.
+
+EDUCATION
+BSc Mathematics, University of London, 2018
+
+SKILLS
+Python, Algorithms, Writing`;
+
+// ==========================================
+// 3. RUN CHECKS
+// ==========================================
+async function run() {
+    console.log(`--- AI replay (${transport.mode}) ---`);
+
+    const mappings = await window.AIBatchProcessor.processFieldsInBatches(FIELDS, RESUME, 'Software Engineer at Example Corp');
+    check('processFieldsInBatches maps first name', mappings['#first_name']?.value === 'Ada', mappings);
+    check('processFieldsInBatches maps email', mappings['#email']?.value === 'ada@example.com', mappings);
+
+    const callsBefore = transport.calls.length;
+    const renamed = FIELDS.map(f => ({ ...f, selector: `${f.selector}_2`, label: `${f.label} *` }));
+    const repeat = await window.AIBatchProcessor.processFieldsInBatches(renamed, RESUME, 'Software Engineer at Example Corp');
+    check('repeat form is served from the response cache', transport.calls.length === callsBefore, transport.calls.slice(callsBefore));
+    check('cached mappings follow the new selectors', repeat['#first_name_2']?.value === 'Ada', repeat);
+
+    await ResumeManager.saveResumeData(JSON.parse(JSON.stringify(RESUME)));
+    check('saveResumeData clears the response cache', !StorageVault._data.ai[AIClient.STORAGE_KEYS.RESPONSE_CACHE]);
+
+    const copilot = new window.CopilotClient();
+    const answer = await copilot.generateCopilotAnswer(COVER_FIELD, { resumeData: RESUME, smartMemory: 'Software Engineer at Example Corp', callbacks: {} });
+    check('generateCopilotAnswer returns text', typeof answer === 'string' && answer.length > 20, answer);
+
+    // Streaming path: chunks reach the pipeline's onFieldStreaming as accumulated text
+    const streamAI = AIClient.streamAI;
+    const streamed = [];
+    let streamOptions = null;
+    window.AIClient.streamAI = async (prompt, system, options) => {
+        streamOptions = options;
+        options.onChunk('I admire ', 'I admire ');
+        options.onChunk('your mission.', 'I admire your mission.');
+        return { success: true, text: 'I admire your mission.\n' };
+    };
+    const controller = new AbortController();
+    const streamedAnswer = await copilot.generateCopilotAnswer(COVER_FIELD, {
+        resumeData: RESUME, smartMemory: 'Software Engineer at Example Corp', signal: controller.signal,
+        callbacks: { onFieldStreaming: (selector, fullText) => streamed.push([selector, fullText]) }
+    });
+    window.AIClient.streamAI = streamAI;
+    check('Copilot answers stream into their field', streamedAnswer === 'I admire your mission.' &&
+        streamed.map(([selector, text]) => `${selector}:${text}`).join('|') === '#why_us:I admire |#why_us:I admire your mission.', streamed);
+    check('stream can be stopped through the pipeline signal', streamOptions?.signal === controller.signal);
+
+    const parsed = await ResumeManager.parseResumeText(RESUME_TEXT);
+    check('parseResumeText succeeds', parsed.success, parsed.error);
+    check('parseResumeText extracts name', parsed.data?.personal?.firstName === 'Ada', parsed.data?.personal);
+    check('parseResumeText assigns ids', Boolean(parsed.data?.experience?.[0]?.id), parsed.data?.experience);
+
+    check('no fixture misses', transport.misses.length === 0, transport.misses);
+    uninstall();
+}
+
+runSuite('AI replay', run);
@@ -0,0 +1,63 @@
+/**
+ * Application pipeline: status changes with history, records logged before
+ * statuses existed, manual entries and CSV export.
+ *
+ * Run: node test/test_application_pipeline.js
+ */
+
+const path = require('path');
+const { check, runSuite, createMemoryVault } = require('./harness/test-utils.js');
+
+global.window = global;
+global.StorageVault = createMemoryVault({
+    identity: {
+        // Logged by the tracker before the pipeline existed
+        applications: [{
+            id: 'app_legacy',
+            company: 'Acme',
+            title: 'Senior Engineer',
+            url: 'https://boards.greenhouse.io/acme/jobs/123',
+            answers: [{ label: 'Email', value: 'ana@example.com', selector: '#email', source: 'heuristic' }],
+            appliedAt: '2026-09-03T10:00:00.000Z',
+            trigger: 'url_change'
+        }]
+    }
+});
+
+const ApplicationStore = require(path.join(__dirname, '../shared/utils/application-store.js'));
+
+async function run() {
+    console.log('--- Status ---');
+
+    const [legacy] = await ApplicationStore.listApplications();
+    check('older records read as applied', legacy.status === 'applied' && legacy.notes === '' && legacy.statusHistory.length === 1 && legacy.updatedAt === legacy.appliedAt, legacy);
+
+    const screening = await ApplicationStore.updateApplication('app_legacy', { status: 'screening', notes: 'Recruiter: Sam' });
+    check('status change appends to the history', screening.statusHistory.map(s => s.status).join('>') === 'applied>screening' && screening.notes === 'Recruiter: Sam', screening);
+    check('edit stamps updatedAt', screening.updatedAt > legacy.updatedAt, screening.updatedAt);
+
+    const notesOnly = await ApplicationStore.updateApplication('app_legacy', { notes: 'Phone screen Tuesday' });
+    check('notes-only edit leaves the history alone', notesOnly.statusHistory.length === 2, notesOnly.statusHistory);
+
+    const bogus = await ApplicationStore.updateApplication('app_legacy', { status: 'hired?', answers: [] });
+    check('unknown status and answers are not writable', bogus.status === 'screening' && bogus.answers.length === 1, bogus);
+    check('missing record returns null', (await ApplicationStore.updateApplication('nope', { status: 'offer' })) === null);
+
+    console.log('\n--- Manual entries ---');
+
+    const manual = await ApplicationStore.recordApplication({ company: 'Initech', title: 'Staff Engineer, "Platform"', notes: '=HYPERLINK("x")', status: 'interview' });
+    check('manual entry keeps the given status', manual.trigger === 'manual' && manual.status === 'interview' && manual.statusHistory[0].status === 'interview', manual);
+    const another = await ApplicationStore.recordApplication({ company: 'Globex', title: 'Engineer' });
+    check('entries without a URL are never merged', (await ApplicationStore.listApplications()).length === 3 && another.id !== manual.id);
+
+    console.log('\n--- Export ---');
+
+    const csv = ApplicationStore.applicationsToCsv(await ApplicationStore.listApplications());
+    const lines = csv.split('\r\n');
+    check('CSV has a header and one row per record', lines.length === 4 && lines[0].startsWith('Company,Role,Status,Date Applied'), lines);
+    check('quotes and commas are escaped', csv.includes('"Staff Engineer, ""Platform"""'), csv);
+    check('formula-looking cells are neutralised', csv.includes(`"'=HYPERLINK(""x"")"`), csv);
+    check('status exported by label', lines.some(line => line.startsWith('Acme,Senior Engineer,Screening,2026-09-03')), lines);
+}
+
+runSuite('application pipeline', run);
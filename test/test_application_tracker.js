@@ -0,0 +1,124 @@
+/**
+ * Application tracker: submit/confirmation detection, the record written for a
+ * submitted form (posting, answers, profile) and duplicate signals merging.
+ *
+ * Run: node test/test_application_tracker.js
+ */
+
+const path = require('path');
+const { check, runSuite, createMemoryVault } = require('./harness/test-utils.js');
+
+global.window = global;
+global.StorageVault = createMemoryVault({
+    identity: {
+        resumeProfiles: {
+            profiles: [{ id: 'default', name: 'Engineering' }],
+            defaultProfileId: 'default',
+            activeProfileId: null,
+            domainRules: []
+        }
+    }
+});
+
+// Minimal page: elements by selector, visible text, location
+const page = { elements: {}, text: '' };
+global.location = { href: 'https://boards.greenhouse.io/acme/jobs/123?gh_src=abc', hostname: 'boards.greenhouse.io' };
+global.document = {
+    querySelector: (sel) => page.elements[sel] || null,
+    get body() { return { innerText: page.text }; }
+};
+global.getJobContext = () => ({
+    title: 'Senior Engineer',
+    company: 'Acme',
+    locations: ['Remote'],
+    requisitionId: '',
+    text: 'Title: Senior Engineer\nCompany: Acme\nLocation: Remote\nDescription: Build things.'
+});
+
+require(path.join(__dirname, '../shared/utils/resume-manager.js'));
+const ApplicationStore = require(path.join(__dirname, '../shared/utils/application-store.js'));
+const { ApplicationTracker, looksLikeSubmitLabel, looksLikeConfirmation } = require(path.join(__dirname, '../autofill/features/application-tracker.js'));
+
+const FILLED = [
+    { selector: '#email', label: 'Email', value: 'ana@example.com', fieldData: { source: 'heuristic' } },
+    { selector: '#why', label: 'Why Acme?', value: 'I like rockets.', fieldData: { source: 'ai' } },
+    { selector: '#skipped', label: 'Twitter', value: '' }
+];
+
+async function run() {
+    console.log('--- Detection ---');
+
+    check('final submit labels', looksLikeSubmitLabel('Submit Application') && looksLikeSubmitLabel('Send') && looksLikeSubmitLabel('Finish'));
+    check('step and posting buttons are not submits', !looksLikeSubmitLabel('Next') && !looksLikeSubmitLabel('Save and Continue') && !looksLikeSubmitLabel('Apply now') && !looksLikeSubmitLabel('Upload resume'));
+    check('confirmation copy', looksLikeConfirmation('Thank you for applying to Acme!') && looksLikeConfirmation('Your application has been submitted.'));
+    check('confirmation URL', looksLikeConfirmation('', 'https://jobs.lever.co/acme/123/thanks'));
+    check('ordinary page is not a confirmation', !looksLikeConfirmation('Tell us about yourself', 'https://jobs.lever.co/acme/123/apply'));
+
+    const parsed = ApplicationStore.parseJobContext('Page Title: Careers\nHeader: Staff Designer | Acme\nMeta: \nContent: ...');
+    check('fallback job context yields a title', parsed.title === 'Staff Designer', parsed);
+
+    console.log('\n--- Controls ---');
+
+    const control = (text, type = 'submit') => ({ innerText: text, type, closest() { return this; } });
+    const clicker = new ApplicationTracker();
+    clicker.rememberFill(FILLED);
+    ['Remove', 'Yes', 'Show more'].forEach(text => clicker.handleClick({ target: control(text) }));
+    check('untyped buttons ("Remove", "Yes", "Show more") do not arm', clicker.pending === null);
+    clicker.handleSubmit({ submitter: control('Save draft') });
+    check('form submit from a step button does not arm', clicker.pending === null);
+    clicker.handleClick({ target: control('Submit application', 'button') });
+    check('submit-labelled control arms', clicker.pending && clicker.pending.record.trigger === 'submit');
+
+    await new Promise(resolve => setTimeout(resolve, 0)); // profile resolved while the user waits on the ATS
+    const sent = [];
+    global.chrome = { runtime: { sendMessage: (message) => sent.push(message) } };
+    clicker.handlePageHide();
+    delete global.chrome;
+    check('unload hands the pending record to the background worker', sent.length === 1 && sent[0].type === 'RECORD_APPLICATION' &&
+        sent[0].record.title === 'Senior Engineer' && sent[0].record.profileId === 'default' && clicker.pending === null, sent);
+
+    console.log('\n--- Submit then navigate ---');
+
+    page.elements = { '#email': { value: 'ana.silva@example.com' } }; // edited after the fill
+    const tracker = new ApplicationTracker();
+    tracker.rememberFill(FILLED);
+    tracker.handleSubmit();
+    check('submit arms a pending record', tracker.pending && tracker.pending.record.trigger === 'submit');
+
+    location.href = 'https://boards.greenhouse.io/acme/jobs/123/confirmation';
+    page.elements = {};
+    await tracker.checkConfirmation();
+
+    const [app] = await ApplicationStore.listApplications();
+    check('posting details come from the job context', app && app.company === 'Acme' && app.title === 'Senior Engineer' && app.location === 'Remote', app);
+    check('URL is the form page, trigger the navigation', app.url.endsWith('/jobs/123?gh_src=abc') && app.trigger === 'url_change', app);
+    check('answers use the live value, then the filled value', app.answers.length === 2 && app.answers[0].value === 'ana.silva@example.com' && app.answers[1].value === 'I like rockets.' && app.answers[1].source === 'ai', app.answers);
+    check('resume profile recorded', app.profileId === 'default' && app.profileName === 'Engineering', app);
+
+    await ApplicationStore.recordApplication({ url: 'https://boards.greenhouse.io/acme/jobs/123#apply', trigger: 'confirmation' });
+    const afterRepeat = await ApplicationStore.listApplications();
+    check('a second signal for the same posting updates the record', afterRepeat.length === 1 && afterRepeat[0].id === app.id, afterRepeat);
+
+    console.log('\n--- Confirmation without an observed submit ---');
+
+    location.href = 'https://jobs.ashbyhq.com/acme/456/application';
+    page.text = 'Careers at Acme. Thank you for your interest in Acme!';
+    const spa = new ApplicationTracker();
+    spa.rememberFill([{ selector: '#name', label: 'Name', value: 'Ana Silva' }]);
+    page.elements = { '#name': { value: 'Ana Silva' } };
+    spa.handleSubmit();
+    check('confirmation copy already on the form page does not count', (await spa.checkConfirmation()) === undefined && spa.pending);
+    clearTimeout(spa.pendingTimer);
+    spa.pending = null;
+
+    page.elements = {};
+    page.text = 'Application submitted! We have received your application.';
+    const record = await spa.checkConfirmation();
+    check('form replaced by a confirmation view is logged', record && record.trigger === 'confirmation' && record.answers[0].value === 'Ana Silva', record);
+    check('log lists newest first', (await ApplicationStore.listApplications())[0].url.includes('ashbyhq'));
+
+    await ApplicationStore.deleteApplication(record.id);
+    check('delete removes one record', (await ApplicationStore.listApplications()).length === 1);
+}
+
+runSuite('application tracker', run);
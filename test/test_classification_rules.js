@@ -0,0 +1,162 @@
+/**
+ * User-defined classification rules: validation and storage, priority and
+ * domain scoping, AutofillScanner taking a rule's answer before the
+ * classifier, the pipeline filling fixed values / resume paths, and the
+ * options page test console.
+ *
+ * Run: node test/test_classification_rules.js
+ */
+
+const path = require('path');
+const { check, runSuite, createMemoryVault } = require('./harness/test-utils.js');
+
+global.window = global;
+global.StorageVault = createMemoryVault({});
+global.location = { hostname: 'acme.wd5.myworkdayjobs.com', href: 'https://acme.wd5.myworkdayjobs.com/apply' };
+
+// Minimal DOMParser for the test console: <label for>, inputs with name/id/type
+global.DOMParser = class {
+    parseFromString(html) {
+        const attr = (tag, name) => (tag.match(new RegExp(`\\b${name}="([^"]*)"`)) || [])[1] || null;
+        const labels = [...html.matchAll(/<label\b([^>]*)>([^<]*)<\/label>/g)].map(([, attrs, text]) => ({
+            getAttribute: (name) => attr(attrs, name),
+            textContent: text
+        }));
+        const controls = [...html.matchAll(/<(input|select|textarea)\b([^>]*)>/g)].map(([, , attrs]) => ({
+            id: attr(attrs, 'id') || '',
+            getAttribute: (name) => attr(attrs, name),
+            closest: () => null
+        }));
+        return { querySelectorAll: (selector) => selector === 'label' ? labels : controls };
+    }
+};
+
+require(path.join(__dirname, '../autofill/domains/inference/FieldTypes.js'));
+const ClassificationRules = require(path.join(__dirname, '../shared/utils/classification-rules.js'));
+require(path.join(__dirname, '../autofill/core/ScanState.js'));
+require(path.join(__dirname, '../autofill/core/FieldCandidates.js'));
+require(path.join(__dirname, '../autofill/core/AutofillScanner.js'));
+require(path.join(__dirname, '../autofill/core/PipelineOrchestrator.js'));
+
+const resumeData = { personal: { firstName: 'Ada' }, customFields: { employeeId: 'E-1042' }, experience: [{ company: 'Initech' }], skills: ['Go', 'SQL'] };
+
+async function run() {
+    console.log('--- Validation & storage ---');
+
+    for (const [input, what] of [
+        [{ name: '', pattern: 'x', targetType: 'value', target: '1' }, 'missing name'],
+        [{ name: 'Bad', pattern: '(unclosed', targetType: 'value', target: '1' }, 'invalid regex'],
+        [{ name: 'Bad', pattern: 'x'.repeat(501), targetType: 'value', target: '1' }, 'overlong pattern'],
+        [{ name: 'Bad', pattern: 'x', matchOn: [], targetType: 'value', target: '1' }, 'nothing to match on'],
+        [{ name: 'Bad', pattern: 'x', targetType: 'field_type', target: 'favourite_colour' }, 'unknown field type'],
+        [{ name: 'Bad', pattern: 'x', targetType: 'resume_path', target: ' ' }, 'empty resume path']
+    ]) {
+        let threw = false;
+        try { await ClassificationRules.saveRule(input); } catch (e) { threw = true; }
+        check(`rejects ${what}`, threw);
+    }
+
+    const referrer = await ClassificationRules.saveRule({
+        name: 'Referrer employee ID', pattern: 'referr(er|al).*employee\\s*id|employee\\s*id.*referr', domain: 'https://Acme.wd5.myworkdayjobs.com/en-US/careers',
+        targetType: 'resume_path', target: 'customFields.employeeId', priority: '5'
+    });
+    check('domain and priority normalized', referrer.domain === 'acme.wd5.myworkdayjobs.com' && referrer.priority === 5 &&
+        referrer.enabled && referrer.matchOn.join() === 'label,name,id', referrer);
+    await new Promise(r => setTimeout(r, 5));
+    const req = await ClassificationRules.saveRule({ name: 'Req #', pattern: '^req(uisition)?\\s*(#|no|number)', matchOn: ['label'], targetType: 'field_type', target: 'job_title' });
+    await new Promise(r => setTimeout(r, 5));
+    const generic = await ClassificationRules.saveRule({ name: 'Any employee ID', pattern: 'employee\\s*id', domain: '*.acme.com', targetType: 'value', target: 'N/A' });
+    await new Promise(r => setTimeout(r, 5));
+    const fallback = await ClassificationRules.saveRule({ name: 'Employee ID anywhere', pattern: 'employee\\s*id', targetType: 'value', target: 'none', priority: -1 });
+
+    const all = await ClassificationRules.listRules();
+    check('listed by priority, then oldest first', all.map(r => r.id).join() === [referrer.id, req.id, generic.id, fallback.id].join());
+    check('domain scope includes subdomains only', ClassificationRules.ruleAppliesTo(generic, 'jobs.acme.com') &&
+        !ClassificationRules.ruleAppliesTo(generic, 'notacme.com') && ClassificationRules.ruleAppliesTo(req, 'anything.example'));
+    check('rules for a host', (await ClassificationRules.listRules({ hostname: 'jobs.acme.com' })).map(r => r.id).join() === [req.id, generic.id, fallback.id].join());
+
+    await ClassificationRules.saveRule({ ...fallback, enabled: false });
+    check('edit keeps id and creation time', (await ClassificationRules.listRules()).length === 4 &&
+        (await ClassificationRules.listRules()).find(r => r.id === fallback.id).createdAt === fallback.createdAt);
+    check('disabled rules skipped', (await ClassificationRules.listRules({ enabledOnly: true })).length === 3 &&
+        ClassificationRules.matchRule([{ ...fallback, enabled: false }], { label: 'Employee ID' }) === null);
+
+    await StorageVault.bucket('identity').update('classification_rules', (current) =>
+        [...current, { ...fallback, id: 'rule_broken', pattern: '(unclosed', enabled: true }]);
+    check('stored pattern that does not compile dropped on load', !(await ClassificationRules.listRules({ enabledOnly: true })).some(r => r.id === 'rule_broken'));
+    await ClassificationRules.deleteRule('rule_broken');
+
+    console.log('\n--- Matching & values ---');
+
+    const rules = await ClassificationRules.listRules({ hostname: location.hostname, enabledOnly: true });
+    check('highest priority match wins', ClassificationRules.matchRule(rules, { label: 'Referral: employee ID of referrer' })?.id === referrer.id);
+    check('matches on name attribute', ClassificationRules.matchRule(rules, { label: '', name: 'referrerEmployeeId' })?.id === referrer.id);
+    check('label-only rule ignores the name', ClassificationRules.matchRule(rules, { name: 'req_number' }) === null &&
+        ClassificationRules.matchRule(rules, { label: 'Req # *' })?.id === req.id);
+
+    check('resume paths', ClassificationRules.resolveResumePath(resumeData, 'experience[0].company') === 'Initech' &&
+        ClassificationRules.resolveResumePath(resumeData, 'experience.0.company') === 'Initech' &&
+        ClassificationRules.resolveResumePath(resumeData, 'skills') === 'Go, SQL' &&
+        ClassificationRules.resolveResumePath(resumeData, 'personal') === null &&
+        ClassificationRules.resolveResumePath(resumeData, 'customFields.missing.deeper') === null);
+    check('labels for rule results', ClassificationRules.ruleLabel(req) === 'job_title' && ClassificationRules.ruleLabel(referrer) === 'referrer_employee_id');
+
+    console.log('\n--- Scanner & pipeline ---');
+
+    const classifier = { getHypotheses: async () => ({ heuristic: { label: 'email', confidence: 0.9, source: 'heuristic' }, neural: { label: 'email', confidence: 0.9, source: 'neural' } }) };
+    const scanner = new AutofillScanner({ getSectionInfo: () => ({ boundaryId: 'root', instanceIndex: 0, type: 'generic' }) }, classifier);
+    const scanned = await scanner.scan({
+        fields: [
+            { id: 'ref', label: 'Employee ID of referrer (optional, search our directory)' },
+            { id: 'req', label: 'Req #' },
+            { id: 'mail', label: 'Email' }
+        ]
+    });
+    check('rule beats the veto list', scanned[0].decision === 'fill' && scanned[0].reason === 'user_rule' && scanned[0].rule.id === referrer.id, scanned[0]);
+    check('field type rule relabels', scanned[1].label === 'job_title' && scanned[1].confidence === 1.0);
+    check('other fields still classified', scanned[2].label === 'email' && !scanned[2].rule, scanned[2]);
+
+    global.ResumeManager = { getResumeData: async () => ({ customFields: {} }) };
+    const noValue = (await scanner.scan({ fields: [{ id: 'ref', label: 'Referrer employee ID' }, { id: 'req', label: 'Req #' }] }));
+    check('resume path rule with nothing to read falls through to the classifier', noValue[0].reason !== 'user_rule' && noValue[0].label === 'email' &&
+        noValue[1].label === 'job_title', noValue[0]);
+    delete global.ResumeManager;
+
+    location.hostname = 'boards.greenhouse.io';
+    check('rules scoped to another site not applied', (await scanner.scan({ fields: [{ id: 'ref', label: 'Referrer employee ID' }] }))[0].reason !== 'user_rule');
+    location.hostname = 'acme.wd5.myworkdayjobs.com';
+
+    const orchestrator = new PipelineOrchestrator();
+    orchestrator.scanner = scanner;
+    const fields = [
+        { selector: '#ref', id: 'ref', label: 'Referrer employee ID', ml_prediction: { label: 'unknown', confidence: 0 } },
+        { selector: '#req', id: 'req', label: 'Req #', ml_prediction: { label: 'unknown', confidence: 0 } }
+    ];
+    await orchestrator.ingestAndEnrich(fields);
+    check('scanner rule recorded on the field', fields[0].user_rule?.id === referrer.id && fields[0].ml_prediction.source === 'user_rule' &&
+        fields[1].ml_prediction.label === 'job_title');
+
+    const resolved = orchestrator.strategyUserRules(fields, resumeData);
+    check('resume path filled, field type rule left to the resolvers', resolved['#ref']?.value === 'E-1042' &&
+        resolved['#ref'].source === 'user_rule' && !('#req' in resolved), resolved);
+    check('empty resume path falls through', Object.keys(orchestrator.strategyUserRules(fields, {})).length === 0);
+
+    console.log('\n--- Test console ---');
+
+    const html = `
+        <label for="f1">Employee ID of referrer</label><input id="f1" name="refId" type="text">
+        <label for="f2">Req #</label><input id="f2" name="req" type="text">
+        <input type="hidden" name="csrf"><input type="submit">`;
+    const results = ClassificationRules.testRules([referrer], html, { resumeData });
+    check('snippet fields listed with labels', results.length === 2 && results[0].label === 'Employee ID of referrer' && results[1].name === 'req', results);
+    check('match and value reported', results[0].rule?.id === referrer.id && results[0].value === 'E-1042' && results[1].rule === null);
+    const offSite = ClassificationRules.testRules([referrer], html, { hostname: 'jobs.lever.co' });
+    check('match outside the rule\'s domain flagged', offSite[0].rule === null && offSite[0].skipped);
+
+    await ClassificationRules.deleteRule(req.id);
+    check('delete', !(await ClassificationRules.listRules()).some(r => r.id === req.id));
+    await ClassificationRules.clearRules();
+    check('clear', (await ClassificationRules.listRules()).length === 0);
+}
+
+runSuite('classification rule', run);
@@ -0,0 +1,124 @@
+/**
+ * Classification explanations: heuristic match details, neural top-5,
+ * candidate boosts, the label extractor's tiers, and the trace AutofillScanner
+ * attaches to each result for the sidebar's "Why?" popover.
+ *
+ * Run: node test/test_classification_trace.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { check, runSuite, createMemoryVault } = require('./harness/test-utils.js');
+
+global.window = global;
+global.StorageVault = createMemoryVault({});
+global.location = { hostname: 'jobs.example.com', href: 'https://jobs.example.com/apply' };
+
+const FieldTypes = require(path.join(__dirname, '../autofill/domains/inference/FieldTypes.js'));
+global.FieldTypes = FieldTypes;
+const FeatureExtractor = require(path.join(__dirname, '../autofill/domains/inference/feature-extractor.js'));
+const NeuralClassifierV8 = require(path.join(__dirname, '../autofill/domains/inference/neural-classifier-v8.js'));
+const HeuristicEngine = require(path.join(__dirname, '../autofill/domains/inference/HeuristicEngine.js'));
+const HybridClassifier = require(path.join(__dirname, '../autofill/domains/inference/HybridClassifier.js'));
+require(path.join(__dirname, '../autofill/core/ScanState.js'));
+require(path.join(__dirname, '../autofill/core/FieldCandidates.js'));
+require(path.join(__dirname, '../autofill/core/FillabilityPolicy.js'));
+const ClassificationTrace = require(path.join(__dirname, '../autofill/core/ClassificationTrace.js'));
+require(path.join(__dirname, '../autofill/core/AutofillScanner.js'));
+require(path.join(__dirname, '../autofill/core/PipelineOrchestrator.js'));
+
+async function run() {
+    console.log('--- Classifier details ---');
+
+    const heuristic = new HeuristicEngine({ locale: null });
+    const byLabel = heuristic.classify({ label: 'Company Name' });
+    check('pattern match names the attribute and regex', byLabel.match?.stage === 'pattern' &&
+        byLabel.match.hits.some(h => h.attribute === 'label' && new RegExp(h.pattern, 'i').test('Company Name')), byLabel.match);
+    const byAutocomplete = heuristic.classify({ label: 'Mail', autocomplete: 'email' });
+    check('autocomplete match recorded', byAutocomplete.match?.stage === 'autocomplete' && byAutocomplete.match.hits[0].pattern === 'email', byAutocomplete.match);
+
+    const neural = new NeuralClassifierV8();
+    neural.loadWeights(JSON.parse(fs.readFileSync(path.join(__dirname, '../autofill/domains/inference/model_v8.json'), 'utf8')));
+    const prediction = await neural.predict({ label: 'School or University', name: 'school' });
+    check('neural returns its top 5', prediction.top?.length === NeuralClassifierV8.TOP_K &&
+        prediction.top.every((t, i) => i === 0 || t.probability <= prediction.top[i - 1].probability), prediction.top);
+
+    const candidates = new FieldCandidates();
+    candidates.addCandidate('company_name', 0.6, 'heuristic');
+    candidates.addCandidate('institution_name', 0.5, 'neural');
+    candidates.applyContextBoost('institution_name', 1.5);
+    const listed = candidates.list();
+    check('candidates listed best first with boosts kept', listed[0].label === 'institution_name' &&
+        candidates.boosts[0].multiplier === 1.5 && listed[1].sources.includes('heuristic'), { listed, boosts: candidates.boosts });
+
+    console.log('\n--- Label sources ---');
+
+    const labelEl = { textContent: 'Employer', innerText: 'Employer' };
+    global.document = { querySelector: (sel) => sel === 'label[for="emp"]' ? labelEl : null, getElementById: () => null };
+    global.CSS = { escape: (s) => s };
+    require(path.join(__dirname, '../autofill/services/extraction/form-detector.js'));
+    const element = {
+        id: 'emp', name: 'employer_name', tagName: 'INPUT', type: 'text',
+        getAttribute: () => null, hasAttribute: () => false, closest: () => null,
+        labels: [labelEl], parentElement: null, previousElementSibling: null
+    };
+    const sources = window.getFieldLabelSources(element);
+    check('four tiers reported', sources.map(s => s.tier).join() === '1,2,3,4', sources);
+    check('explicit label used', sources[0].text === 'Employer' && sources[0].used && !sources[3].used, sources);
+
+    console.log('\n--- Scanner trace ---');
+
+    const hybrid = new HybridClassifier({ heuristicEngine: heuristic, neuralClassifier: neural, featureExtractor: new FeatureExtractor() });
+    const scanner = new AutofillScanner({ getSectionInfo: () => ({ boundaryId: 'root', instanceIndex: 0, type: 'education' }) }, hybrid);
+    const school = { id: 'school', name: 'school', label: 'School', element };
+    school.ml_prediction = await hybrid.classify(school);
+    const search = { id: 'q', name: 'q', label: 'Search jobs' };
+    const labelSources = window.getFieldLabelSources;
+    let labelWalks = 0;
+    window.getFieldLabelSources = (el) => { labelWalks++; return labelSources(el); };
+    const [schoolResult, searchResult] = await scanner.scan({ fields: [school, search] });
+
+    const why = schoolResult.explanation;
+    const deferred = (object, key) => typeof Object.getOwnPropertyDescriptor(object, key)?.get === 'function';
+    check('costly parts left until the explanation is read', labelWalks === 0 && deferred(why.heuristic.match, 'hits') && deferred(why.neural, 'top'));
+    check('label sources worked out once, on first read', why.labelSources.length === 4 && why.labelSources === why.labelSources && labelWalks === 1, labelWalks);
+    window.getFieldLabelSources = labelSources;
+    check('explanation attached to each result', why?.version === ClassificationTrace.VERSION && searchResult.explanation, schoolResult);
+    check('heuristic and neural hypotheses recorded', why.heuristic?.match?.hits?.length > 0 && why.neural?.top?.length === 5, why);
+    check('arbitration tier from the earlier classify', why.arbitration?.tier === school.ml_prediction.agreementType, why.arbitration);
+    check('candidates and context recorded', why.candidates?.winner === schoolResult.label && why.context?.sectionType === 'education', why);
+    check('policy decision matches the result', why.policy?.decision === schoolResult.decision && why.policy.thresholds.autoFill > 0 &&
+        why.outcome.label === schoolResult.label, why.policy);
+    check('veto records the pattern and nothing else', searchResult.decision === 'ignore' && searchResult.explanation.veto?.pattern &&
+        searchResult.explanation.heuristic === null, searchResult.explanation);
+
+    const orchestrator = new PipelineOrchestrator();
+    orchestrator.scanner = scanner;
+    const fields = [{ selector: '#school', ...school }];
+    await orchestrator.ingestAndEnrich(fields);
+    check('pipeline copies the explanation onto the field', fields[0].explanation?.outcome?.label === schoolResult.label, fields[0].explanation);
+
+    const ConfidenceCalibrator = require(path.join(__dirname, '../autofill/domains/inference/ConfidenceCalibrator.js'));
+    const calibrator = new ConfidenceCalibrator(JSON.parse(fs.readFileSync(path.join(__dirname, '../autofill/domains/inference/calibration_v8.json'), 'utf8')));
+    const calibratedHybrid = new HybridClassifier({ heuristicEngine: heuristic, neuralClassifier: neural, featureExtractor: new FeatureExtractor(), calibrator });
+    const calibratedScanner = new AutofillScanner({ getSectionInfo: () => ({ boundaryId: 'root', instanceIndex: 0, type: 'education' }) }, calibratedHybrid);
+    const [calibratedSchool] = await calibratedScanner.scan({ fields: [{ id: 'school', name: 'school', label: 'School', element }] });
+    check('policy applies the calibrated thresholds', calibratedSchool.explanation.policy.thresholds.autoFill === calibrator.thresholds.policy.autoFill &&
+        calibratedScanner.policy.thresholds.softVeto === calibrator.thresholds.policy.softVeto, calibratedSchool.explanation.policy);
+
+    console.log('\n--- Popover text ---');
+
+    const sections = ClassificationTrace.describe(why, { source: 'heuristic' });
+    const titles = sections.map(s => s.title);
+    check('popover sections', ['Result', 'Heuristic', 'Neural', 'Arbitration', 'Candidates', 'Context', 'Fill policy'].every(t => titles.includes(t)), titles);
+    check('neural section lists five ranked labels', sections.find(s => s.title === 'Neural').lines.length === 5);
+    const text = ClassificationTrace.toText({ ...why, field: { ...why.field } }, { source: 'heuristic' });
+    check('bug report text has the field header and fill source', text.startsWith('Field: "School" name=school id=school') &&
+        text.includes('Value from heuristic'), text);
+    check('veto explained', ClassificationTrace.describe(searchResult.explanation).some(s => s.title === 'Veto'));
+    const calibrated = ClassificationTrace.describe({ ...why, heuristic: { ...why.heuristic, confidence: 0.95, calibrated: 0.76 } });
+    check('calibrated probability shown next to the raw score', calibrated.find(s => s.title === 'Heuristic').lines[0].includes('95% (right ~76% of the time)'),
+        calibrated.find(s => s.title === 'Heuristic'));
+}
+
+runSuite('classification trace', run);
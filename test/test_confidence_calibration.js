@@ -0,0 +1,146 @@
+/**
+ * Confidence calibration: isotonic / temperature / rate fitting, per-category
+ * fallback, reliability reports, thresholds re-derived on the calibrated scale,
+ * the shipped calibration_v8.json, and HybridClassifier arbitrating on calibrated
+ * confidences (lazy-loaded in the extension).
+ *
+ * Run: node test/test_confidence_calibration.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { check, runSuite } = require('./harness/test-utils.js');
+
+global.window = global;
+
+const ConfidenceCalibrator = require(path.join(__dirname, '../autofill/domains/inference/ConfidenceCalibrator.js'));
+const HybridClassifier = require(path.join(__dirname, '../autofill/domains/inference/HybridClassifier.js'));
+global.FieldTypes = require(path.join(__dirname, '../autofill/domains/inference/FieldTypes.js'));
+require(path.join(__dirname, '../autofill/domains/inference/feature-extractor.js'));
+const NeuralClassifierV8 = require(path.join(__dirname, '../autofill/domains/inference/neural-classifier-v8.js'));
+
+// Deterministic pairs: raw confidence c is right with probability truth(c)
+function synthesize(count, raw, truth, category = 'general') {
+    return Array.from({ length: count }, (_, i) => {
+        const confidence = raw(i / count);
+        return { confidence, correct: ((i * 7919) % 1000) / 1000 < truth(confidence), category };
+    });
+}
+
+async function run() {
+    console.log('--- Fitting ---');
+
+    const overconfident = synthesize(2000, u => 0.6 + 0.4 * u, c => c - 0.2);
+    const iso = ConfidenceCalibrator.fitIsotonic(overconfident);
+    check('isotonic breakpoints are monotone', iso.y.every((y, i) => i === 0 || y >= iso.y[i - 1]) && iso.x.every((x, i) => i === 0 || x > iso.x[i - 1]), iso);
+    const calibrator = new ConfidenceCalibrator(ConfidenceCalibrator.fit({ heuristic: overconfident }));
+    check('overconfident heuristic pulled down', Math.abs(calibrator.calibrate('heuristic', 0.95) - 0.75) < 0.06, calibrator.calibrate('heuristic', 0.95));
+    check('smoothed: never claims certainty', ConfidenceCalibrator.fitIsotonic([{ confidence: 0.9, correct: true }]).y[0] < 1);
+
+    const sharp = synthesize(1500, u => 0.5 + 0.499 * u, c => 0.5 + (c - 0.5) * 0.5);
+    const { temperature } = ConfidenceCalibrator.fitTemperature(sharp);
+    check('temperature > 1 softens an overconfident sigmoid', temperature > 1.2, temperature);
+    const soft = new ConfidenceCalibrator(ConfidenceCalibrator.fit({ neural: sharp }));
+    check('temperature keeps the ordering', soft.calibrate('neural', 0.99) > soft.calibrate('neural', 0.8) && soft.calibrate('neural', 0.99) < 0.99);
+
+    const coverage = [0.99, 0.95, 0.91, 0.8, 0.6].map((raw, i) => ({ raw, calibrated: [0.7, 0.9, 0.8, 0.75, 0.5][i] }));
+    check('derived threshold covers as many samples as the raw one', ConfidenceCalibrator.matchCoverage(coverage, 0.9) === 0.75 &&
+        coverage.filter(p => p.calibrated >= 0.75).length === coverage.filter(p => p.raw >= 0.9).length);
+    check('rate is the smoothed accuracy', ConfidenceCalibrator.fitRate([{ correct: true }, { correct: true }, { correct: false }]).rate === 0.6);
+
+    const mixed = ConfidenceCalibrator.fit({
+        unanimous: [
+            ...synthesize(100, () => 0.99, () => 0.98, 'contact'),
+            ...synthesize(10, () => 0.99, () => 0.2, 'reference'),
+            ...synthesize(100, () => 0.99, () => 0.7, 'job')
+        ]
+    });
+    const byCategory = new ConfidenceCalibrator(mixed);
+    check('per-category models', byCategory.calibrate('unanimous', 0.99, 'contact') > 0.9 && byCategory.calibrate('unanimous', 0.99, 'job') < 0.8);
+    check('small categories fall back to "all"', !mixed.stages.unanimous.categories.reference &&
+        byCategory.calibrate('unanimous', 0.99, 'reference') === mixed.stages.unanimous.all.rate, mixed.stages.unanimous);
+    check('unfitted stages and calibrators pass through', byCategory.calibrate('neural', 0.42) === 0.42 &&
+        new ConfidenceCalibrator().calibrate('heuristic', 0.8) === 0.8 && !new ConfidenceCalibrator({ version: 99 }).isFitted);
+
+    console.log('\n--- Reliability ---');
+
+    const before = ConfidenceCalibrator.reliability(overconfident);
+    const after = ConfidenceCalibrator.reliability(overconfident.map(p => ({ ...p, confidence: calibrator.calibrate('heuristic', p.confidence) })));
+    check('ECE drops after calibration', before.ece > 0.15 && after.ece < 0.05, { before: before.ece, after: after.ece });
+    check('bins cover the samples', before.bins.reduce((n, b) => n + b.count, 0) === overconfident.length && before.bins.length === 10);
+    const text = ConfidenceCalibrator.formatReliability('Heuristic', before);
+    check('text diagram', text.startsWith(`Heuristic (n=${overconfident.length}, ECE`) && text.includes('0.9-1.0'), text);
+
+    const shipped = JSON.parse(fs.readFileSync(path.join(__dirname, '../autofill/domains/inference/calibration_v8.json'), 'utf8'));
+    check('shipped calibration loads with every stage', new ConfidenceCalibrator(shipped).isFitted &&
+        ConfidenceCalibrator.STAGES.every(stage => shipped.stages[stage]?.all) && shipped.reliability.after.ece < shipped.reliability.before.ece,
+        Object.keys(shipped.stages || {}));
+    const { arbitration, policy } = new ConfidenceCalibrator(shipped).thresholds || {};
+    check('shipped thresholds for every category and policy tier', ['general', 'contact', 'job', 'education', 'reference'].every(c =>
+        arbitration?.[c]?.heuristicThreshold > 0 && arbitration[c].neuralThreshold > 0 && arbitration[c].heuristicWeakThreshold > 0) &&
+        policy?.autoFill >= policy.suggest && policy.suggest >= policy.ask && policy.softVeto > 0, { arbitration, policy });
+
+    console.log('\n--- HybridClassifier ---');
+
+    const stages = {
+        heuristic: { method: 'isotonic', all: { x: [0.5, 1], y: [0.4, 0.8] }, categories: {} },
+        neural: { method: 'temperature', all: { temperature: 2 }, categories: {} },
+        unanimous: { method: 'rate', all: { rate: 0.9 }, categories: { contact: { rate: 0.97 } } }
+    };
+    const job = { heuristicThreshold: 0.75, neuralThreshold: 0.6, heuristicWeakThreshold: 0.5 };
+    const policyThresholds = { autoFill: 0.8, suggest: 0.7, ask: 0.55, softVeto: 0.9 };
+    const fitted = new ConfidenceCalibrator({ version: 1, stages, thresholds: { arbitration: { general: job, job }, policy: policyThresholds } });
+    const engines = (hLabel, nLabel) => ({
+        heuristicEngine: { classify: () => ({ label: hLabel, confidence: 0.95 }) },
+        neuralClassifier: { isReady: true, predict: async () => ({ label: nLabel, confidence: 0.9 }) },
+        featureExtractor: { extract: () => ({}) }
+    });
+
+    const agree = new HybridClassifier({ ...engines('email', 'email'), calibrator: fitted });
+    const unanimous = await agree.classify({ name: 'email' });
+    check('unanimous reports the fitted agreement rate, decides on the constant', unanimous.agreementType === 'unanimous' &&
+        unanimous.calibratedConfidence === 0.97 && unanimous.confidence === HybridClassifier.UNANIMOUS_CONFIDENCE, unanimous);
+
+    const disagree = new HybridClassifier({ ...engines('company_name', 'job_title'), calibrator: fitted });
+    const { heuristic, neural } = await disagree.getHypotheses({ name: 'x' });
+    check('hypotheses keep raw confidences, calibrated alongside', heuristic.confidence === 0.95 && Math.abs(heuristic.calibratedConfidence - 0.76) < 1e-9 &&
+        neural.confidence === 0.9 && neural.calibratedConfidence < 0.9, { heuristic, neural });
+    const strong = await disagree.classify({ name: 'x' });
+    check('calibrated heuristic clears the calibrated threshold', strong.agreementType === 'heuristic_override' &&
+        strong.label === 'company_name' && strong.confidence === 0.95 && Math.abs(strong.calibratedConfidence - 0.76) < 1e-9, strong);
+    const stricter = new ConfidenceCalibrator({ version: 1, stages, thresholds: { arbitration: { job: { ...job, heuristicThreshold: 0.8 } } } });
+    const voted = await new HybridClassifier({ ...engines('company_name', 'job_title'), calibrator: stricter }).classify({ name: 'x' });
+    check('raw 0.95 no longer overrides when its calibrated 0.76 is under the cut', voted.agreementType !== 'heuristic_override', voted);
+    check('policy thresholds come with the calibration', disagree.getPolicyThresholds() === policyThresholds &&
+        new HybridClassifier(engines('email', 'email')).getPolicyThresholds() === null);
+
+    const plain = await new HybridClassifier(engines('email', 'email')).classify({ name: 'email' });
+    check('no calibration: calibrated value is the raw one', plain.confidence === HybridClassifier.UNANIMOUS_CONFIDENCE &&
+        plain.calibratedConfidence === plain.confidence);
+
+    // Extension: no extractor injected, feature-extractor.js registered as FeatureExtractorV3
+    const shippedModel = new NeuralClassifierV8();
+    shippedModel.loadWeights(JSON.parse(fs.readFileSync(path.join(__dirname, '../autofill/domains/inference/model_v8.json'), 'utf8')));
+    const featureless = new HybridClassifier({ neuralClassifier: shippedModel, heuristicEngine: { classify: () => ({ label: 'unknown', confidence: 0 }) } });
+    check('neural model gets FeatureExtractorV3 features when none is injected',
+        (await featureless.getHypotheses({ label: 'Email Address', name: 'email' })).neural.label === 'email');
+
+    // Extension: weights and calibration fetched once, alongside each other
+    const fetched = [];
+    global.chrome = { runtime: { getURL: (p) => `chrome-extension://nova/${p}` } };
+    global.fetch = async (url) => {
+        fetched.push(url);
+        return { ok: true, json: async () => (url.endsWith('calibration_v8.json') ? shipped : {}) };
+    };
+    const lazy = new HybridClassifier(engines('email', 'email'));
+    await lazy.classify({ name: 'email' });
+    await lazy.classify({ name: 'email' });
+    check('calibration lazy-loaded once', fetched.length === 1 && fetched[0].endsWith(HybridClassifier.CALIBRATION_PATH) && lazy._calibrator.isFitted, fetched);
+
+    global.fetch = async () => ({ ok: false });
+    const missing = new HybridClassifier(engines('email', 'email'));
+    check('missing calibration file falls back to raw confidences', (await missing.classify({ name: 'email' })).calibratedConfidence === HybridClassifier.UNANIMOUS_CONFIDENCE);
+    delete global.chrome;
+}
+
+runSuite('confidence calibration', run);
@@ -0,0 +1,109 @@
+/**
+ * Structured name/address/phone model: legacy migration, derived display strings,
+ * and RuleEngine filling the address/name field types.
+ *
+ * Run: node test/test_contact_model.js
+ */
+
+const path = require('path');
+const { check, runSuite, createMemoryVault } = require('./harness/test-utils.js');
+
+global.window = global;
+global.StorageVault = createMemoryVault({
+    identity: {
+        // Saved before the structured model existed
+        resumeData: {
+            personal: { firstName: 'Ana', lastName: 'Silva', email: 'ana@example.com', phone: '(512) 555-0142 x7', location: 'Austin, TX 78701' }
+        }
+    }
+});
+
+const ContactNormalizer = require(path.join(__dirname, '../shared/utils/contact-normalizer.js'));
+const ResumeManager = require(path.join(__dirname, '../shared/utils/resume-manager.js'));
+const RuleEngine = require(path.join(__dirname, '../autofill/domains/heuristics/RuleEngine.js'));
+
+const field = (label, mlLabel, options) => ({
+    selector: `#${mlLabel}`,
+    label,
+    name: '',
+    id: '',
+    type: options ? 'select' : 'text',
+    options,
+    ml_prediction: { label: mlLabel, confidence: 0.9 }
+});
+
+async function run() {
+    console.log('--- Parsing ---');
+
+    const uk = ContactNormalizer.parsePhone('020 7946 0958', ContactNormalizer.dialCodeForCountry('United Kingdom'));
+    check('national number uses the country calling code', uk.e164 === '+442079460958', uk);
+    const intl = ContactNormalizer.parsePhone('+353 1 234 5678 ext. 12');
+    check('international prefix and extension', intl.countryCode === '353' && intl.extension === '12', intl);
+    const bare = ContactNormalizer.parsePhone('(555) 123-4567');
+    check('no calling code assumed without a country', bare.countryCode === '' && bare.e164 === '' && bare.number === '5551234567', bare);
+    const street = ContactNormalizer.parseLocation('221B Baker St, London NW1 6XE, UK');
+    check('street/city/postcode/country split', street.line1 === '221B Baker St' && street.city === 'London' && street.postalCode === 'NW1 6XE' && street.country === 'UK', street);
+
+    console.log('\n--- Migration ---');
+
+    const legacy = await ResumeManager.getResumeData();
+    check('legacy location migrated on read', legacy.personal.address.city === 'Austin' && legacy.personal.address.state === 'TX' && legacy.personal.address.postalCode === '78701', legacy.personal.address);
+    check('legacy phone migrated to E.164 (US state implies +1)', legacy.personal.phoneDetails.e164 === '+15125550142' && legacy.personal.phoneDetails.extension === '7', legacy.personal.phoneDetails);
+    check('phone keeps the display string, E.164 exposed separately', legacy.personal.phone === '(512) 555-0142 x7' && legacy.personal.phoneE164 === '+15125550142', legacy.personal);
+    const abroad = ContactNormalizer.normalizePersonal({ phone: '020 7946 0958', location: 'Somewhere' });
+    check('unknown country leaves phoneE164 empty', abroad.phoneE164 === '' && abroad.phone === '020 7946 0958', abroad);
+    check('new name fields default to empty', legacy.personal.middleName === '' && legacy.personal.pronouns === '', legacy.personal);
+
+    legacy.personal.address = { ...legacy.personal.address, city: 'Dallas', postalCode: '75201', country: 'United States', timezone: 'America/Chicago' };
+    legacy.personal.phoneDetails = { countryCode: '', number: '214 555 0199', extension: '' };
+    legacy.personal.middleName = 'Maria';
+    legacy.personal.preferredName = 'Annie';
+    await ResumeManager.saveResumeData(legacy);
+    const saved = await ResumeManager.getResumeData();
+    check('location string derived from address', saved.personal.location === 'Dallas, TX, United States', saved.personal.location);
+    check('edited number re-derives the display string (country from address)', saved.personal.phone === '+1 2145550199' && saved.personal.phoneE164 === '+12145550199', saved.personal);
+
+    const flat = await ResumeManager.getFlattenedResumeData();
+    check('flattened data exposes components', flat.postalCode === '75201' && flat.timezone === 'America/Chicago' && flat.middleName === 'Maria' && flat.phoneE164 === '+12145550199', flat);
+
+    console.log('\n--- RuleEngine ---');
+
+    const engine = new RuleEngine();
+    const fields = [
+        field('Middle Name', 'middle_name'),
+        field('Preferred Name', 'preferred_name'),
+        field('Full Name', 'full_name'),
+        field('Street Address', 'address_line'),
+        field('City', 'city'),
+        field('State', 'state', ['California', 'Texas', 'TX - Texas']),
+        field('ZIP', 'zip_code'),
+        field('Country', 'country', ['Canada', 'United States', 'United Kingdom']),
+        field('Time zone', 'timezone'),
+        field('Phone', 'phone')
+    ];
+    const { defined } = engine.resolveFields(fields, saved);
+    const value = (type) => defined[`#${type}`]?.value;
+    check('MIDDLE_NAME and PREFERRED_NAME fill', value('middle_name') === 'Maria' && value('preferred_name') === 'Annie', defined);
+    check('FULL_NAME still uses first + last', value('full_name') === 'Ana Silva', value('full_name'));
+    check('CITY and ZIP_CODE fill from the address', value('city') === 'Dallas' && value('zip_code') === '75201', defined);
+    check('STATE and COUNTRY match dropdown options', value('state') === 'TX - Texas' && value('country') === 'United States', defined);
+    check('TIMEZONE fills', value('timezone') === 'America/Chicago', value('timezone'));
+    check('ADDRESS_LINE empty stays unresolved', !('#address_line' in defined), defined['#address_line']);
+    check('PHONE fills the display string', value('phone') === '+1 2145550199', value('phone'));
+
+    const wording = [
+        { ...field('Please state your expected salary', 'salary_expected'), selector: '#salary' },
+        { ...field('Which region would you like to work in?', 'unknown'), selector: '#region' },
+        { ...field('Which country would you like to relocate to?', 'country'), selector: '#relocate' },
+        { ...field('Which country do you live in?', 'country'), selector: '#home_country', parentContext: 'Home Address' },
+        { ...field('State / Province', 'unknown'), selector: '#province' }
+    ];
+    const salaried = { ...saved, customFields: { ...saved.customFields, desiredSalary: '120000' } };
+    const worded = engine.resolveFields(wording, salaried).defined;
+    check('"Please state your expected salary" fills the salary, not the state', worded['#salary']?.value === '120000', worded['#salary']);
+    check('region and relocation questions get no address value', !('#region' in worded) && !('#relocate' in worded), worded);
+    check('country question inside an address section fills', worded['#home_country']?.value === 'United States', worded['#home_country']);
+    check('State / Province label fills the state', worded['#province']?.value === saved.personal.address.state, worded['#province']);
+}
+
+runSuite('contact model', run);
@@ -0,0 +1,134 @@
+/**
+ * Cover letters: templates and placeholders, template / AI drafting, the letter
+ * library, and local PDF / DOCX rendering.
+ *
+ * Run: node test/test_cover_letters.js
+ */
+
+const path = require('path');
+const { check, runSuite, createMemoryVault } = require('./harness/test-utils.js');
+
+global.window = global;
+global.StorageVault = createMemoryVault({});
+
+let aiReply = { success: true, text: '' };
+let lastCall = null;
+global.AIClient = {
+    AISubsystem: { COVER_LETTER: 'cover_letter' },
+    callAI: async (prompt, system, options) => {
+        lastCall = { prompt, system, options };
+        return aiReply;
+    }
+};
+
+require(path.join(__dirname, '../autofill/domains/heuristics/RuleEngine.js'));
+require(path.join(__dirname, '../autofill/features/job-fit.js'));
+require(path.join(__dirname, '../shared/utils/resume-manager.js'));
+require(path.join(__dirname, '../shared/utils/application-store.js'));
+const DocumentRenderer = require(path.join(__dirname, '../shared/utils/document-renderer.js'));
+const LocalResumeParser = require(path.join(__dirname, '../shared/utils/local-resume-parser.js'));
+const CoverLetterManager = require(path.join(__dirname, '../shared/utils/cover-letter-manager.js'));
+
+const RESUME = {
+    personal: { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', phone: '555-0100' },
+    skills: { technical: ['Python', 'Go', 'Excel'] },
+    experience: [
+        { title: 'Backend Engineer', company: 'Globex', achievements: ['Organised the office party', 'Built Kubernetes deployment tooling', 'Migrated billing to Python services'] }
+    ]
+};
+
+const JOB = {
+    title: 'Platform Engineer',
+    company: 'Acme',
+    url: 'https://boards.greenhouse.io/acme/jobs/123',
+    requisitionId: '',
+    description: 'Run Kubernetes and write Python.',
+    requirements: ['Kubernetes', 'Python'],
+    niceToHaves: [],
+    text: 'Title: Platform Engineer\nCompany: Acme'
+};
+
+async function run() {
+    console.log('--- Templates ---');
+
+    const builtIns = await CoverLetterManager.listTemplates();
+    check('built-in templates until the user saves one', builtIns.length === 2 && builtIns[0].id === 'standard');
+
+    const values = CoverLetterManager.buildPlaceholderValues(JOB, RESUME);
+    check('role, company and name', values.role === 'Platform Engineer' && values.company === 'Acme' && values.fullName === 'Ada Lovelace', values);
+    check('skills the posting asks for, including ones shown in experience', values.skills === 'Python and Kubernetes', values.skills);
+    check('highlights ranked by overlap with the posting',
+        values.highlights === '• Built Kubernetes deployment tooling\n• Migrated billing to Python services\n• Organised the office party', values.highlights);
+    check('unknown placeholders left in place',
+        CoverLetterManager.renderTemplate('Hi {{ firstName }} from {{company}} {{mystery}}', values) === 'Hi Ada from Acme {{mystery}}');
+
+    const id = await CoverLetterManager.saveTemplate({ name: 'Mine', body: 'Dear {{hiringManager}}, {{role}} at {{company}}. — {{firstName}}' });
+    const saved = await CoverLetterManager.listTemplates();
+    check('saving keeps the built-ins as the user\'s own', saved.length === 3 && saved.some(t => t.id === 'short') && saved.some(t => t.id === id));
+    await CoverLetterManager.saveTemplate({ id: 'short', name: 'Short', body: 'Edited' });
+    check('editing a template in place', (await CoverLetterManager.listTemplates()).find(t => t.id === 'short').body === 'Edited');
+    let threw = false;
+    try { await CoverLetterManager.saveTemplate({ name: '', body: 'x' }); } catch (e) { threw = true; }
+    check('template name required', threw);
+
+    console.log('\n--- Drafting ---');
+
+    const fromTemplate = await CoverLetterManager.draftCoverLetter(JOB, { templateId: id, resumeData: RESUME });
+    check('template draft', fromTemplate.success && fromTemplate.source === 'template' &&
+        fromTemplate.text === 'Dear Hiring Manager, Platform Engineer at Acme. — Ada', fromTemplate.text);
+
+    aiReply = { success: true, text: '  Dear Hiring Manager, I run Kubernetes.  ' };
+    const fromAI = await CoverLetterManager.draftCoverLetter(JOB, { templateId: id, useAI: true, resumeData: RESUME });
+    check('AI draft grounded in the posting and the filled template', fromAI.success && fromAI.source === 'ai' &&
+        fromAI.text === 'Dear Hiring Manager, I run Kubernetes.' && lastCall.prompt.includes('Title: Platform Engineer') &&
+        lastCall.prompt.includes('Platform Engineer at Acme. — Ada') && lastCall.options.subsystem === 'cover_letter', lastCall && lastCall.options);
+
+    aiReply = { success: false, error: 'Quota exhausted' };
+    const failed = await CoverLetterManager.draftCoverLetter(JOB, { templateId: id, useAI: true, resumeData: RESUME });
+    check('AI failure falls back to the template text', !failed.success && failed.error === 'Quota exhausted' && failed.text === fromTemplate.text);
+
+    console.log('\n--- Library ---');
+
+    const letter = await CoverLetterManager.saveLetter({ ...JOB, templateId: id, body: fromAI.text, source: 'ai' });
+    await CoverLetterManager.saveLetter({ title: 'Other', company: 'Globex', url: 'https://jobs.lever.co/globex/1', body: 'Hi' });
+    const forPosting = await CoverLetterManager.listLetters({ posting: { ...JOB, url: JOB.url + '?gh_src=li' } });
+    check('letters found by posting', forPosting.length === 1 && forPosting[0].id === letter.id, forPosting);
+
+    const edited = await CoverLetterManager.saveLetter({ id: letter.id, body: 'Edited letter', source: 'manual' });
+    check('updating keeps the posting link', edited.company === 'Acme' && edited.createdAt === letter.createdAt &&
+        (await CoverLetterManager.listLetters()).length === 2);
+
+    await CoverLetterManager.deleteLetter(letter.id);
+    check('delete', (await CoverLetterManager.getLetter(letter.id)) === null);
+
+    console.log('\n--- Rendering ---');
+
+    const body = 'Dear Hiring Manager,\n\nI’m applying (again) — see C:\\resume. ' + 'Lots of words here. '.repeat(400) + '\n\nAda';
+    const pdf = CoverLetterManager.exportLetter({ company: 'Acme', body }, 'pdf');
+    const pdfText = Buffer.from(pdf.bytes).toString('latin1');
+    check('PDF file name and type', pdf.fileName === 'Cover Letter - Acme.pdf' && pdf.mimeType === 'application/pdf');
+    check('PDF structure', pdfText.startsWith('%PDF-1.4') && pdfText.trimEnd().endsWith('%%EOF') && /\/Count [2-9]/.test(pdfText), pdfText.slice(0, 40));
+    check('PDF strings escaped and WinAnsi-encoded', pdfText.includes('(I\x92m applying \\(again\\) \x97 see C:\\\\resume.'));
+
+    const xref = Number(pdfText.match(/startxref\n(\d+)/)[1]);
+    const offsets = [...pdfText.matchAll(/(\d{10}) 00000 n /g)].map(m => Number(m[1]));
+    check('xref offsets point at their objects', pdfText.slice(xref, xref + 4) === 'xref' &&
+        offsets.every((offset, i) => pdfText.startsWith(`${i + 1} 0 obj`, offset)));
+
+    const lines = DocumentRenderer.wrapLine(DocumentRenderer.toWinAnsi('word '.repeat(60).trim()), 468);
+    check('wrapping fills lines without overflowing', lines.length > 1 && lines.every(l => l.length <= 100) && lines.join(' ') === 'word '.repeat(60).trim(), lines);
+
+    const docx = CoverLetterManager.exportLetter({ company: 'Acme', body: 'Dear <Team> & co,\n\nThanks.' }, 'docx');
+    const roundTrip = await LocalResumeParser.extractDocxText(docx.bytes.buffer);
+    check('DOCX readable by the DOCX parser', roundTrip === 'Dear <Team> & co,\n\nThanks.', roundTrip);
+
+    let unsupported = false;
+    try { DocumentRenderer.renderDocument('x', 'rtf'); } catch (e) { unsupported = true; }
+    check('unsupported formats rejected', unsupported);
+
+    await CoverLetterManager.clearCoverLetters();
+    check('clear removes letters and templates', (await CoverLetterManager.listLetters()).length === 0 &&
+        (await CoverLetterManager.listTemplates()).length === 2);
+}
+
+runSuite('cover letter', run);
@@ -0,0 +1,84 @@
+/**
+ * Duplicate application detection: posting identity from the page, matching
+ * across ATS mirrors and requisition ID spellings, and the warning text.
+ *
+ * Run: node test/test_duplicate_applications.js
+ */
+
+const path = require('path');
+const { check, runSuite, createMemoryVault } = require('./harness/test-utils.js');
+
+global.window = global;
+global.StorageVault = createMemoryVault({});
+
+// Page with a JSON-LD JobPosting
+global.location = { href: 'https://www.linkedin.com/jobs/view/3912345', hostname: 'www.linkedin.com' };
+global.document = {
+    querySelectorAll: (sel) => sel.includes('ld+json') ? [{
+        textContent: JSON.stringify({
+            '@type': 'JobPosting',
+            title: 'Senior Engineer',
+            hiringOrganization: { name: 'Acme, Inc.' },
+            identifier: { '@type': 'PropertyValue', value: 'R-012345' }
+        })
+    }] : [],
+    querySelector: () => null
+};
+
+require(path.join(__dirname, '../autofill/services/extraction/form-detector.js'));
+const ApplicationStore = require(path.join(__dirname, '../shared/utils/application-store.js'));
+
+async function run() {
+    console.log('--- Posting identity ---');
+
+    const identity = window.getJobPostingIdentity();
+    check('JSON-LD title, company and requisition', identity && identity.title === 'Senior Engineer' && identity.company === 'Acme, Inc.' && identity.requisitionId === 'R-012345' && identity.source === 'jsonld', identity);
+
+    const { isSamePosting, normalizeRequisitionId } = ApplicationStore;
+    check('requisition spellings normalise', normalizeRequisitionId('R-012345') === '12345' && normalizeRequisitionId('jr 12345') === '12345' && normalizeRequisitionId('REQ_0012345') === '12345');
+
+    console.log('\n--- Matching ---');
+
+    check('Greenhouse board, new board host and embedded careers page',
+        isSamePosting({ url: 'https://boards.greenhouse.io/acme/jobs/4012345' }, { url: 'https://job-boards.greenhouse.io/acme/jobs/4012345?gh_src=li' }) &&
+        isSamePosting({ url: 'https://boards.greenhouse.io/acme/jobs/4012345' }, { url: 'https://acme.com/careers/open-roles?gh_jid=4012345' }));
+    check('Lever posting and its apply page',
+        isSamePosting({ url: 'https://jobs.lever.co/acme/5ac21346-8e0c-4494-8e7a-3eb92ff77902' }, { url: 'https://jobs.lever.co/acme/5ac21346-8e0c-4494-8e7a-3eb92ff77902/apply' }));
+    check('Workday URL requisition matches a JSON-LD identifier elsewhere',
+        isSamePosting(identity, { url: 'https://acme.wd5.myworkdayjobs.com/en-US/External/job/Austin-TX/Senior-Engineer_R12345-1/apply', company: 'Acme' }));
+    check('same title, different requisition is a different job',
+        !isSamePosting(identity, { title: 'Senior Engineer', company: 'Acme', requisitionId: 'R-099999', url: 'https://example.com/a' }));
+    check('no IDs: company and title decide ("at Acme" / "Acme, Inc.")',
+        isSamePosting({ title: 'Data Analyst', company: 'at Acme', url: 'https://a.example/1' }, { title: 'Data analyst', company: 'Acme Inc', url: 'https://b.example/2' }) &&
+        !isSamePosting({ title: 'Data Analyst', company: 'Acme', url: 'https://a.example/1' }, { title: 'Data Analyst', company: 'Globex', url: 'https://b.example/2' }));
+    check('different Greenhouse jobs do not match', !isSamePosting({ url: 'https://boards.greenhouse.io/acme/jobs/1' }, { url: 'https://boards.greenhouse.io/acme/jobs/2' }));
+    check('different ATS job IDs win over the same title and company',
+        !isSamePosting({ title: 'Software Engineer', company: 'Acme', url: 'https://boards.greenhouse.io/acme/jobs/111' },
+            { title: 'Software Engineer', company: 'Acme', url: 'https://boards.greenhouse.io/acme/jobs/222' }));
+
+    console.log('\n--- History ---');
+
+    check('nothing found on a first visit', (await ApplicationStore.findPreviousApplication(identity)) === null);
+
+    await ApplicationStore.recordFilledPosting({ ...identity, url: 'https://acme.wd5.myworkdayjobs.com/en-US/External/job/Austin-TX/Senior-Engineer_R12345' });
+    await ApplicationStore.recordFilledPosting(identity);
+    const filledList = await StorageVault.bucket('identity').get('filledPostings');
+    check('refilling the same posting keeps one entry', filledList.length === 1, filledList);
+
+    const filled = await ApplicationStore.findPreviousApplication(identity);
+    check('an earlier fill is reported', filled && filled.kind === 'filled', filled);
+    check('history from the current visit is ignored', (await ApplicationStore.findPreviousApplication(identity, { before: '2000-01-01T00:00:00.000Z' })) === null);
+
+    await ApplicationStore.recordApplication({
+        url: 'https://acme.wd5.myworkdayjobs.com/en-US/External/job/Austin-TX/Senior-Engineer_R12345/apply',
+        title: 'Senior Engineer',
+        company: 'Acme',
+        appliedAt: '2026-09-03T15:30:00.000Z',
+        trigger: 'submit'
+    });
+    const applied = await ApplicationStore.findPreviousApplication(identity);
+    check('a logged application beats a fill', applied && applied.kind === 'applied', applied);
+    check('warning text', ApplicationStore.formatDuplicateWarning(applied) === 'You already applied to Senior Engineer at Acme on 2026-09-03', ApplicationStore.formatDuplicateWarning(applied));
+}
+
+runSuite('duplicate application', run);
@@ -0,0 +1,190 @@
+/**
+ * Document vault and file attachment: storing files, picking the file for the
+ * profile in use, classifying upload fields and injecting files through
+ * DataTransfer.
+ *
+ * Run: node test/test_file_attachments.js
+ */
+
+const path = require('path');
+const { check, runSuite, createMemoryVault } = require('./harness/test-utils.js');
+
+global.window = global;
+global.StorageVault = createMemoryVault({});
+
+// chrome.storage.local for the file bytes, and an encryption stand-in that binds each value to its AAD
+const localArea = new Map();
+global.chrome = {
+    storage: {
+        local: {
+            get: async (key) => (localArea.has(key) ? { [key]: localArea.get(key) } : {}),
+            set: async (items) => Object.entries(items).forEach(([key, value]) => localArea.set(key, value)),
+            remove: async (keys) => [].concat(keys).forEach(key => localArea.delete(key))
+        }
+    }
+};
+global.EncryptionService = {
+    isEncrypted: (value) => typeof value === 'string' && value.startsWith('enc:'),
+    encrypt: async (data, aad) => 'enc:' + JSON.stringify({ aad, data }),
+    decrypt: async (token, aad) => {
+        const envelope = JSON.parse(token.slice(4));
+        if (envelope.aad !== aad) throw new Error('AAD mismatch');
+        return envelope.data;
+    }
+};
+
+// Minimal DOM: elements with attributes, parents and events
+class FakeElement {
+    constructor(tagName, attrs = {}, text = '') {
+        this.tagName = tagName;
+        this.attrs = { ...attrs };
+        this.type = attrs.type || '';
+        this.name = attrs.name || '';
+        this.id = attrs.id || '';
+        this.accept = attrs.accept || '';
+        this.className = attrs.class || '';
+        this.textContent = text;
+        this.parentElement = null;
+        this.children = [];
+        this.events = [];
+        this.files = tagName === 'INPUT' ? [] : undefined;
+    }
+    append(child) { child.parentElement = this; this.children.push(child); return child; }
+    getAttribute(name) { return name in this.attrs ? this.attrs[name] : null; }
+    setAttribute(name, value) { this.attrs[name] = String(value); }
+    dispatchEvent(event) { this.events.push(event); return true; }
+    closest(selector) {
+        for (let node = this; node; node = node.parentElement) {
+            if (selector === '#smarthirex-accordion-sidebar' && node.id === 'smarthirex-accordion-sidebar') return node;
+            if (selector === 'input' && node.tagName === 'INPUT') return node;
+        }
+        return null;
+    }
+    querySelector(selector) { return this.children.find(c => c.type === 'file') || null; }
+}
+
+let page = { inputs: [], zones: [] };
+global.document = {
+    querySelectorAll: (selector) => selector === 'input[type="file"]' ? page.inputs : page.zones
+};
+global.DataTransfer = class {
+    constructor() { this.list = []; this.items = { add: (file) => this.list.push(file) }; }
+    get files() { return this.list; }
+};
+global.Event = class { constructor(type, init) { this.type = type; Object.assign(this, init); } };
+global.DragEvent = class extends global.Event { };
+global.getFieldLabel = (el) => el.attrs.label || '';
+
+let job = { title: 'Platform Engineer', company: 'Acme', url: 'https://boards.greenhouse.io/acme/jobs/123', requisitionId: '' };
+global.getJobContext = () => job;
+global.location = { href: job.url };
+
+require(path.join(__dirname, '../shared/utils/resume-manager.js'));
+require(path.join(__dirname, '../shared/utils/application-store.js'));
+require(path.join(__dirname, '../shared/utils/document-renderer.js'));
+require(path.join(__dirname, '../shared/utils/cover-letter-manager.js'));
+const DocumentStore = require(path.join(__dirname, '../shared/utils/document-store.js'));
+const { FileAttacher } = require(path.join(__dirname, '../autofill/features/file-attacher.js'));
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+async function run() {
+    console.log('--- Document store ---');
+
+    const generic = await DocumentStore.addDocument({ kind: 'resume', name: 'resume.pdf', mimeType: 'application/pdf', bytes: bytes('%PDF generic') });
+    await new Promise(r => setTimeout(r, 5));
+    const backend = await DocumentStore.addDocument({ kind: 'resume', name: 'backend.pdf', mimeType: 'application/pdf', bytes: bytes('%PDF backend'), profileId: 'p_backend' });
+    await new Promise(r => setTimeout(r, 5));
+    const letterDoc = await DocumentStore.addDocument({ kind: 'cover_letter', name: 'letter.docx', mimeType: 'application/msword', bytes: bytes('letter') });
+
+    check('metadata listed without the bytes', (await DocumentStore.listDocuments()).length === 3 &&
+        !('data' in (await DocumentStore.listDocuments())[0]));
+    const file = await DocumentStore.getDocumentFile(backend.id);
+    check('file round-trips', file.name === 'backend.pdf' && file.type === 'application/pdf' && (await file.text()) === '%PDF backend');
+    check('bytes kept out of the vault, encrypted in their own entry', !JSON.stringify(StorageVault._data).includes(Buffer.from('%PDF backend').toString('base64')) &&
+        JSON.parse(localArea.get(`nova_document:${backend.id}`).slice(4)).aad === `nova:document:${backend.id}:v1`, [...localArea.keys()]);
+    const genericData = localArea.get(`nova_document:${generic.id}`);
+    localArea.set(`nova_document:${generic.id}`, localArea.get(`nova_document:${backend.id}`));
+    check('bytes swapped between documents are not decrypted', (await DocumentStore.getDocumentFile(generic.id)) === null);
+    localArea.set(`nova_document:${generic.id}`, genericData);
+
+    check('profile-linked file preferred', (await DocumentStore.pickDocument('resume', { profileId: 'p_backend' })).id === backend.id);
+    check('tailored variant uses its base profile\'s file',
+        (await DocumentStore.pickDocument('resume', { profileId: 'p_variant', derivedFrom: 'p_backend' })).id === backend.id);
+    check('other profiles get the unlinked file', (await DocumentStore.pickDocument('resume', { profileId: 'p_other' })).id === generic.id);
+
+    for (const [input, what] of [
+        [{ kind: 'resume', name: 'photo.png', bytes: bytes('x') }, 'unsupported type'],
+        [{ kind: 'resume', name: 'empty.pdf', bytes: new Uint8Array(0) }, 'empty file'],
+        [{ kind: 'resume', name: 'big.pdf', bytes: new Uint8Array(DocumentStore.MAX_DOCUMENT_BYTES + 1) }, 'oversized file'],
+        [{ kind: 'portfolio', name: 'a.pdf', bytes: bytes('x') }, 'unknown kind']
+    ]) {
+        let threw = false;
+        try { await DocumentStore.addDocument(input); } catch (e) { threw = true; }
+        check(`rejects ${what}`, threw);
+    }
+
+    console.log('\n--- Classification ---');
+
+    const greenhouse = new FakeElement('DIV', { id: 'resume_fieldset' }, 'Resume/CV');
+    const ghInput = greenhouse.append(new FakeElement('INPUT', { type: 'file', name: 'file' }));
+    check('resume from container', FileAttacher.classify(ghInput) === 'resume');
+
+    const coverInput = new FakeElement('INPUT', { type: 'file', label: 'Cover Letter' });
+    check('cover letter from own label', FileAttacher.classify(coverInput) === 'cover_letter');
+
+    const both = new FakeElement('DIV', {}, 'Upload your resume and cover letter');
+    const lebenslauf = both.append(new FakeElement('INPUT', { type: 'file', name: 'lebenslauf' }));
+    check('own attributes win over the container', FileAttacher.classify(lebenslauf) === 'resume');
+
+    const transcript = new FakeElement('INPUT', { type: 'file', label: 'Transcript' });
+    check('other uploads left alone', FileAttacher.classify(transcript) === null);
+    check('ML label as fallback', FileAttacher.classify(new FakeElement('INPUT', { type: 'file' }), 'resume_upload') === 'resume');
+    check('words containing "cv" ignored', FileAttacher.kindFromText('cvs pharmacy') === null && FileAttacher.kindFromText('cv_upload') === 'resume');
+
+    check('accept attribute honoured', FileAttacher.accepts('.pdf, .docx', { name: 'a.PDF', type: '' }) &&
+        !FileAttacher.accepts('image/*', { name: 'a.pdf', type: 'application/pdf' }) &&
+        FileAttacher.accepts('application/*', { name: 'a.pdf', type: 'application/pdf' }));
+
+    console.log('\n--- Attaching ---');
+
+    const profileId = await ResumeManager.createProfile('Backend');
+    await DocumentStore.updateDocument(backend.id, { profileId });
+
+    const zone = new FakeElement('DIV', { 'data-automation-id': 'file-upload-drop-zone' }, 'Resume');
+    const filled = new FakeElement('INPUT', { type: 'file', name: 'resume' });
+    filled.files = [{ name: 'mine.pdf' }];
+    const pdfOnly = new FakeElement('INPUT', { type: 'file', name: 'cover_letter', accept: '.pdf' });
+    page = { inputs: [ghInput, coverInput, transcript, filled, pdfOnly], zones: [zone] };
+
+    await ResumeManager.setActiveProfile(profileId);
+    let attached = await FileAttacher.attachAll([{ element: ghInput, selector: '#gh', ml_prediction: { label: 'resume_upload' } }]);
+
+    check('resume attached with input and change events', ghInput.files[0].name === 'backend.pdf' &&
+        ghInput.events.map(e => e.type).join() === 'input,change' && ghInput.events.every(e => e.bubbles) &&
+        ghInput.getAttribute('data-autofill-source') === 'document_vault');
+    check('pipeline field reported by selector', attached.some(a => a.selector === '#gh' && a.kind === 'resume' && a.fileName === 'backend.pdf'), attached);
+    check('stored cover letter attached', coverInput.files[0].name === 'letter.docx');
+    check('docx refused by a PDF-only input', pdfOnly.files.length === 0);
+    check('inputs the user already filled untouched', filled.files[0].name === 'mine.pdf' && filled.events.length === 0);
+    check('transcript untouched', transcript.files.length === 0);
+    check('drop zone gets drag events', zone.events.map(e => e.type).join() === 'dragenter,dragover,drop' &&
+        zone.events[2].dataTransfer.files[0].name === 'backend.pdf');
+
+    await CoverLetterManager.saveLetter({ ...job, body: 'Dear Acme,\n\nHire me.' });
+    const later = new FakeElement('INPUT', { type: 'file', name: 'coverLetter', accept: '.pdf' });
+    page = { inputs: [later], zones: [] };
+    attached = await FileAttacher.attachAll();
+    check('letter saved for this posting rendered to PDF', later.files[0].name === 'Cover Letter - Acme.pdf' &&
+        later.files[0].type === 'application/pdf' && attached.length === 1 && attached[0].selector === null, later.files[0]);
+
+    await DocumentStore.deleteDocument(letterDoc.id);
+    check('delete removes the bytes', (await DocumentStore.getDocumentFile(letterDoc.id)) === null &&
+        !localArea.has(`nova_document:${letterDoc.id}`));
+
+    await DocumentStore.clearDocuments();
+    check('clear removes everything', (await DocumentStore.listDocuments()).length === 0 &&
+        localArea.size === 0);
+}
+
+runSuite('file attachment', run);
@@ -0,0 +1,110 @@
+/**
+ * Structured job context: JSON-LD, platform markup and the page fallback,
+ * plus salary / remote / employment / requirements parsing of descriptions.
+ *
+ * Run: node test/test_job_context.js
+ */
+
+const path = require('path');
+const { check, report } = require('./harness/test-utils.js');
+
+global.window = global;
+
+// Page: JSON-LD blocks, elements by selector, body text
+const page = { jsonLd: [], elements: {}, title: '', body: '' };
+global.location = { href: '', hostname: '' };
+global.document = {
+    querySelectorAll: (sel) => sel.includes('ld+json') ? page.jsonLd.map(data => ({ textContent: JSON.stringify(data) })) : [],
+    querySelector: (sel) => {
+        const found = sel.split(',').map(s => page.elements[s.trim()]).find(v => v !== undefined);
+        return found === undefined ? null : { innerText: found, content: found };
+    },
+    get title() { return page.title; },
+    get body() { return { innerText: page.body }; }
+};
+
+function visit(url, content) {
+    location.href = url;
+    location.hostname = new URL(url).hostname;
+    Object.assign(page, { jsonLd: [], elements: {}, title: '', body: '' }, content);
+}
+
+require(path.join(__dirname, '../autofill/services/extraction/form-detector.js'));
+
+console.log('--- JSON-LD ---');
+
+visit('https://www.linkedin.com/jobs/view/3912345', {
+    jsonLd: [{
+        '@type': 'JobPosting',
+        title: 'Senior Engineer',
+        hiringOrganization: { name: 'Acme' },
+        jobLocation: [
+            { address: { addressLocality: 'Austin', addressRegion: 'TX', addressCountry: 'US' } },
+            { address: { addressLocality: 'Denver', addressRegion: 'CO', addressCountry: { name: 'US' } } }
+        ],
+        jobLocationType: 'TELECOMMUTE',
+        employmentType: ['FULL_TIME'],
+        baseSalary: { currency: 'usd', value: { minValue: 150000, maxValue: 190000, unitText: 'YEAR' } },
+        identifier: { value: 'R-0042' },
+        datePosted: '2026-09-28T08:00:00Z',
+        description: '&lt;p&gt;Build rockets &amp; tools.&lt;/p&gt;<h3>Requirements</h3><ul><li>5+ years of Go</li><li>Kubernetes</li></ul><p>Nice to have:</p><ul><li>Rust</li></ul><h3>Benefits</h3><ul><li>Free lunch</li></ul>'
+    }]
+});
+const ld = window.getJobContext();
+check('source tier', ld.source === 'jsonld' && ld.platform === '');
+check('title, company, locations', ld.title === 'Senior Engineer' && ld.company === 'Acme' && ld.locations.join('|') === 'Austin, TX, US|Denver, CO, US', ld);
+check('remote, employment type, requisition, posted date', ld.remotePolicy === 'remote' && ld.employmentType === 'full_time' && ld.requisitionId === 'R-0042' && ld.postedDate === '2026-09-28', ld);
+check('salary from baseSalary', ld.salary && ld.salary.min === 150000 && ld.salary.max === 190000 && ld.salary.currency === 'USD' && ld.salary.period === 'year', ld.salary);
+check('HTML description becomes text', ld.description.startsWith('Build rockets & tools.') && !ld.description.includes('<'), ld.description);
+check('requirements vs nice-to-haves', ld.requirements.join('|') === '5+ years of Go|Kubernetes' && ld.niceToHaves.join('|') === 'Rust', ld);
+check('prompt text keeps the Title/Company lines', ld.text.startsWith('Title: Senior Engineer\nCompany: Acme\nLocation: Austin, TX, US; Denver, CO, US') && ld.text.includes('Salary: 150000-190000 USD per year'), ld.text);
+check('identity built from the context', window.getJobPostingIdentity().requisitionId === 'R-0042' && window.getJobPostingIdentity().source === 'jsonld');
+
+console.log('\n--- Platform markup ---');
+
+visit('https://jobs.lever.co/acme/5ac21346-8e0c-4494-8e7a-3eb92ff77902', {
+    elements: {
+        '.posting-headline h2': 'Data Analyst',
+        '.main-header-text-logo': 'Acme',
+        '.posting-categories .location': 'London',
+        '.posting-categories .workplaceTypes': 'Hybrid',
+        '.posting-categories .commitment': 'Contract',
+        '.section-wrapper': 'We crunch numbers.\nWhat you\'ll need\nSQL\nLooker or Tableau\nPreferred qualifications\ndbt\nPay: £45k - £55k per year'
+    }
+});
+const lever = window.getJobContext();
+check('Lever fields', lever.source === 'platform' && lever.platform === 'lever' && lever.title === 'Data Analyst' && lever.locations[0] === 'London', lever);
+check('workplace and commitment', lever.remotePolicy === 'hybrid' && lever.employmentType === 'contract', lever);
+check('salary from the description', lever.salary && lever.salary.min === 45000 && lever.salary.max === 55000 && lever.salary.currency === 'GBP' && lever.salary.period === 'year', lever.salary);
+check('unbulleted list items under headings', lever.requirements.join('|') === 'SQL|Looker or Tableau' && lever.niceToHaves.join('|') === 'dbt', lever);
+check('platform identity source is the board', window.getJobPostingIdentity().source === 'lever');
+
+visit('https://acme.wd5.myworkdayjobs.com/en-US/External/job/Senior-Engineer_R12345', {
+    elements: {
+        'h2[data-automation-id="jobPostingHeader"]': 'Platform Engineer',
+        '[data-automation-id="jobPostingDescription"]': 'Join the platform team. $120-150k plus equity.',
+        '[data-automation-id="requisitionId"] dd': 'R12345',
+        '[data-automation-id="postedOn"] dd': 'Posted 3 Days Ago',
+        '[data-automation-id="time"] dd': 'Full time'
+    }
+});
+const workday = window.getJobContext();
+const threeDaysAgo = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
+check('Workday requisition and relative posted date', workday.requisitionId === 'R12345' && workday.postedDate === `${threeDaysAgo.getFullYear()}-${String(threeDaysAgo.getMonth() + 1).padStart(2, '0')}-${String(threeDaysAgo.getDate()).padStart(2, '0')}`, workday);
+check('"$120-150k" applies k to both ends', workday.salary && workday.salary.min === 120000 && workday.salary.max === 150000, workday.salary);
+check('Workday time type', workday.employmentType === 'full_time');
+
+console.log('\n--- Fallback ---');
+
+visit('https://careers.example.com/roles/42', {
+    title: 'Careers | Example',
+    elements: { h1: 'Support Specialist' },
+    body: 'Support Specialist\nThis is a fully remote role.\nThe Series B raised $20-30 for every seat.\nRequirements:\n- Patience\n- Zendesk'
+});
+const fallback = window.getJobContext();
+check('fallback tier keeps the page text format', fallback.source === 'fallback' && fallback.text.startsWith('Page Title: Careers | Example\nHeader: Support Specialist'), fallback.text);
+check('fallback still parses the body', fallback.title === 'Support Specialist' && fallback.remotePolicy === 'remote' && fallback.requirements.join('|') === 'Patience|Zendesk', fallback);
+check('small amounts without a pay period are not salaries', fallback.salary === null, fallback.salary);
+check('no identity from the fallback', window.getJobPostingIdentity() === null);
+
+report('job context');
@@ -0,0 +1,81 @@
+/**
+ * Job–resume fit: keyword matching, years of experience, location / visa
+ * compatibility and the local score.
+ *
+ * Run: node test/test_job_fit.js
+ */
+
+const path = require('path');
+const { check, report } = require('./harness/test-utils.js');
+
+global.window = global;
+
+require(path.join(__dirname, '../autofill/domains/heuristics/RuleEngine.js'));
+const { JobFit } = require(path.join(__dirname, '../autofill/features/job-fit.js'));
+
+const JOB = {
+    title: 'Senior Backend Engineer',
+    company: 'Acme',
+    locations: ['Austin, TX, US'],
+    remotePolicy: 'hybrid',
+    description: 'We go fast. Build APIs in Go and Python on AWS.\nRequirements\n5+ years of backend experience\n2+ years with Kubernetes\nPostgreSQL\nNice to have\nTerraform\nRust\nWe are unable to sponsor visas for this role.',
+    requirements: ['5+ years of backend experience', '2+ years with Kubernetes', 'PostgreSQL'],
+    niceToHaves: ['Terraform', 'Rust'],
+    source: 'jsonld',
+    text: 'Title: Senior Backend Engineer'
+};
+
+const RESUME = {
+    personal: { location: 'Austin, TX, US', address: { city: 'Austin', state: 'TX', country: 'US' } },
+    skills: { technical: ['Python', 'golang', 'Postgres', 'Terraform (basic)'], soft: ['Mentoring'] },
+    experience: [
+        { title: 'Backend Engineer', company: 'Globex', startDate: '2019-01', endDate: 'Present', description: 'Ran services on AWS and k8s.' },
+        { title: 'Developer', company: 'Initech', startDate: '2017-06', endDate: '2018-12' },
+        { title: 'Intern', company: 'Hooli', startDate: '', endDate: '' }
+    ],
+    customFields: { sponsorshipRequired: false, willingToRelocate: null, preferredLocation: '' }
+};
+
+console.log('--- Keywords ---');
+
+const keywords = JobFit.compareKeywords(JOB, RESUME);
+const names = (list) => list.map(k => k.name).sort().join(',');
+check('aliases and experience text count as held', names(keywords.matched) === 'AWS,Go,Kubernetes,PostgreSQL,Python,Terraform', keywords.matched);
+check('missing skills are listed', names(keywords.missing) === 'Rust', keywords.missing);
+check('importance from the posting sections', keywords.matched.find(k => k.name === 'Kubernetes').importance === 'required' &&
+    keywords.matched.find(k => k.name === 'Kubernetes').evidence === 'experience' &&
+    keywords.matched.find(k => k.name === 'Terraform').importance === 'nice' &&
+    keywords.matched.find(k => k.name === 'AWS').importance === 'mentioned');
+check('"go" as an ordinary word is not the language', !JobFit.mentions('we go fast', 'Go') && JobFit.mentions('APIs in Go.', 'Go'));
+check('symbols in names', JobFit.mentions('C++ and C# experience', 'C++') && JobFit.mentions('C++ and C# experience', 'C#') && !JobFit.mentions('Javascript', 'Java'));
+
+console.log('\n--- Experience ---');
+
+const experience = JobFit.compareExperience(JOB, RESUME);
+const currentYears = new Date().getFullYear() - 2019 + 1;
+check('largest years figure in the requirements', experience.requiredYears === 5, experience);
+check('RuleEngine total, undated jobs skipped', experience.candidateYears === currentYears && experience.status === 'meets', experience);
+check('no figure means unknown', JobFit.compareExperience({ description: 'Founded in 2012.' }, RESUME).status === 'unknown');
+
+console.log('\n--- Location and visa ---');
+
+check('same city matches', JobFit.compareLocation(JOB, RESUME).status === 'match');
+const elsewhere = { ...JOB, locations: ['Denver, CO, US'] };
+check('other city is a mismatch', JobFit.compareLocation(elsewhere, RESUME).status === 'mismatch');
+check('relocation softens it', JobFit.compareLocation(elsewhere, { ...RESUME, customFields: { willingToRelocate: true } }).status === 'relocate');
+check('remote roles match anywhere', JobFit.compareLocation({ ...elsewhere, remotePolicy: 'remote' }, RESUME).status === 'match');
+
+check('no sponsorship needed', JobFit.compareVisa(JOB, RESUME).status === 'match');
+const needsVisa = { ...RESUME, customFields: { ...RESUME.customFields, sponsorshipRequired: true } };
+check('needs sponsorship the posting refuses', JobFit.compareVisa(JOB, needsVisa).status === 'conflict');
+check('posting silent on sponsorship', JobFit.compareVisa({ description: 'Great team.' }, needsVisa).status === 'unknown');
+
+console.log('\n--- Score ---');
+
+const fit = JobFit.analyze(JOB, RESUME);
+check('good match scores strong', fit.verdict === 'strong' && fit.score >= 75, fit.score);
+const weak = JobFit.analyze({ ...JOB, locations: ['Denver, CO, US'] }, { ...needsVisa, skills: [], experience: [] });
+check('missing skills, experience, location and visa score weak', weak.verdict === 'weak', weak.score);
+check('nothing to compare gives no score', JobFit.analyze({ description: '' }, {}).score === null);
+
+report('job fit');
@@ -0,0 +1,113 @@
+/**
+ * JSON Resume (jsonresume.org) converter: export/import round trip and foreign documents.
+ *
+ * Run: node test/test_json_resume.js
+ */
+
+const path = require('path');
+const { check, runSuite, createMemoryVault } = require('./harness/test-utils.js');
+
+global.window = global;
+global.StorageVault = createMemoryVault({});
+
+const JsonResumeConverter = require(path.join(__dirname, '../shared/utils/json-resume-converter.js'));
+const ResumeManager = require(path.join(__dirname, '../shared/utils/resume-manager.js'));
+
+const RESUME = {
+    personal: { firstName: 'Mary Ann', lastName: 'Smith', email: 'mas@example.com', location: 'Austin, TX', linkedin: 'https://linkedin.com/in/mas' },
+    summary: 'Platform engineer.',
+    experience: [{ id: 'exp-1', company: 'Acme', title: 'Staff Engineer', startDate: '2020-01', endDate: 'Present', current: true, achievements: ['Cut p99 latency by 40%'] }],
+    education: [{ id: 'edu-1', school: 'UT Austin', degree: 'BSc', field: 'Computer Science', endDate: '2016', achievements: ["Dean's List"] }],
+    skills: { technical: ['Go', 'Kubernetes'], soft: ['Mentoring'], languages: ['Spanish (Fluent)'], certifications: ['CKA'] },
+    projects: [],
+    customFields: { workAuthorization: 'US Citizen' }
+};
+
+// jsonresume.org's full sample, trimmed to one item per section
+const FULL_SAMPLE = {
+    basics: {
+        name: 'Richard Hendriks', label: 'Programmer', image: 'https://example.com/richard.jpg',
+        email: 'richard.hendriks@mail.com', phone: '(912) 555-4321', url: 'http://richardhendricks.example.com',
+        summary: 'Richard hails from Tulsa.',
+        location: { address: '2712 Broadway St', postalCode: 'CA 94115', city: 'San Francisco', countryCode: 'US', region: 'California' },
+        profiles: [{ network: 'Twitter', username: 'neutralthoughts', url: 'https://twitter.com/neutralthoughts' },
+            { network: 'SoundCloud', username: 'dandymusicnl', url: 'https://soundcloud.example.com/dandymusicnl' }]
+    },
+    work: [{ name: 'Pied Piper', location: 'Palo Alto, CA', description: 'Awesome compression company', position: 'CEO/President',
+        url: 'http://piedpiper.example.com', startDate: '2013-12-01', endDate: '2014-12-01', summary: 'Pied Piper is a multi-platform technology.',
+        highlights: ['Build an algorithm for artist to detect if their music was violating copy right infringement laws'] }],
+    volunteer: [{ organization: 'CoderDojo', position: 'Teacher', url: 'http://coderdojo.example.com/', startDate: '2012-01-01',
+        endDate: '2013-01-01', summary: 'Global movement of free coding clubs for young people.', highlights: ["Awarded 'Teacher of the Month'"] }],
+    education: [{ institution: 'University of Oklahoma', url: 'https://www.ou.edu/', area: 'Information Technology', studyType: 'Bachelor',
+        startDate: '2011-06-01', endDate: '2014-01-01', score: '4.0', courses: ['DB1101 - Basic SQL', 'CS2011 - Java Introduction'] }],
+    awards: [{ title: 'Digital Compression Pioneer Award', date: '2014-11-01', awarder: 'Techcrunch', summary: 'There is no spoon.' }],
+    certificates: [{ name: 'Certified Kubernetes Administrator' }],
+    publications: [{ name: 'Video compression for 3d media', publisher: 'Hooli', releaseDate: '2014-10-01', url: 'http://en.wikipedia.org/wiki/Silicon_Valley_(TV_series)',
+        summary: 'Innovative middle-out compression algorithm.' }],
+    skills: [{ name: 'Web Development', level: 'Master', keywords: ['HTML', 'CSS', 'Javascript'] }],
+    languages: [{ language: 'English', fluency: 'Native speaker' }],
+    interests: [{ name: 'Wildlife', keywords: ['Ferrets', 'Unicorns'] }],
+    references: [{ name: 'Erlich Bachman', reference: 'It is my pleasure to recommend Richard.' }],
+    projects: [{ name: 'Miss Direction', description: 'A mapping engine that misguides you', highlights: ['Won award at AIHacks 2016'],
+        keywords: ['GoogleMaps', 'Chrome Extension'], startDate: '2016-08-24', endDate: '2016-08-24', url: 'missdirection.example.com',
+        roles: ['Team lead', 'Designer'], entity: 'Smoogle', type: 'application' }]
+};
+
+async function run() {
+    console.log('--- JSON Resume ---');
+
+    const doc = JsonResumeConverter.toJsonResume(RESUME);
+    check('basics map name, location and profiles', doc.basics.name === 'Mary Ann Smith' && doc.basics.location.city === 'Austin' && doc.basics.profiles[0].network === 'LinkedIn', doc.basics);
+    check('current job has no endDate', doc.work[0].endDate === undefined && doc.work[0].startDate === '2020-01', doc.work[0]);
+    check('languages split fluency', doc.languages[0].fluency === 'Fluent', doc.languages);
+    check('unmappable data goes to the extension block', doc['x-nova-apply'].customFields.workAuthorization === 'US Citizen');
+
+    await ResumeManager.saveResumeData(JSON.parse(JSON.stringify(RESUME)));
+    const result = await ResumeManager.importResumeJSON(await ResumeManager.exportJsonResume());
+    const back = await ResumeManager.getResumeData();
+    check('import detects JSON Resume', result.success, result.error);
+    check('round trip keeps name split and ids', back.personal.firstName === 'Mary Ann' && back.experience[0].id === 'exp-1', back.personal);
+    check('round trip keeps education achievements', back.education[0].achievements[0] === "Dean's List", back.education[0]);
+
+    const foreign = JsonResumeConverter.fromJsonResume({
+        basics: { name: 'John Public', profiles: [{ network: 'GitHub', username: 'jpublic' }] },
+        work: [{ name: 'Initech', position: 'Engineer', startDate: '2018-03-01', endDate: '2020-04-15' }],
+        skills: [{ name: 'Web', keywords: ['React'] }, { name: 'Soft skills', keywords: ['Writing'] }]
+    });
+    check('foreign document splits the name', foreign.personal.firstName === 'John' && foreign.personal.lastName === 'Public', foreign.personal);
+    check('foreign dates are trimmed to months', foreign.experience[0].endDate === '2020-04' && !foreign.experience[0].current, foreign.experience[0]);
+    check('github username becomes a URL', foreign.personal.github === 'https://github.com/jpublic', foreign.personal);
+    check('skill groups map to technical/soft', foreign.skills.technical[0] === 'React' && foreign.skills.soft[0] === 'Writing', foreign.skills);
+
+    console.log('\n--- Unmapped JSON Resume data ---');
+
+    await ResumeManager.importResumeJSON(JSON.stringify(FULL_SAMPLE));
+    const imported = await ResumeManager.getResumeData();
+    check('unmapped sections and basics kept on import', imported.jsonResume.awards[0].awarder === 'Techcrunch' &&
+        imported.jsonResume.basics.image === FULL_SAMPLE.basics.image && imported.jsonResume.basics.profiles.length === 2, imported.jsonResume);
+    check('unmapped item fields kept on the item', imported.experience[0].jsonResume.url === 'http://piedpiper.example.com' &&
+        imported.references[0].jsonResume.reference === FULL_SAMPLE.references[0].reference, imported.experience[0]);
+
+    const reexported = JSON.parse(await ResumeManager.exportJsonResume());
+    const sections = ['basics', 'work', 'volunteer', 'education', 'awards', 'certificates', 'publications', 'skills', 'languages', 'interests', 'references', 'projects'];
+    check('re-export has every section', sections.every(key => key in reexported), Object.keys(reexported));
+    // Key order is not part of the data
+    const canonical = (value) => JSON.stringify(value, (key, v) => v && typeof v === 'object' && !Array.isArray(v) ?
+        Object.fromEntries(Object.entries(v).sort(([a], [b]) => a.localeCompare(b))) : v);
+    const same = (key) => canonical(reexported[key]) === canonical(FULL_SAMPLE[key]);
+    check('unmapped sections come back unchanged', ['volunteer', 'awards', 'publications', 'interests', 'references'].every(same),
+        ['volunteer', 'awards', 'publications', 'interests', 'references'].filter(key => !same(key)));
+    check('basics image and other profiles come back', reexported.basics.image === FULL_SAMPLE.basics.image &&
+        reexported.basics.profiles.map(p => p.network).join() === 'Twitter,SoundCloud', reexported.basics);
+    check('item fields come back', reexported.work[0].url === FULL_SAMPLE.work[0].url && reexported.education[0].courses.length === 2 &&
+        reexported.projects[0].roles.join() === 'Team lead,Designer' && reexported.projects[0].highlights.length === 1,
+        { work: reexported.work[0], project: reexported.projects[0] });
+
+    await ResumeManager.importResumeJSON(JSON.stringify(reexported));
+    const twice = JSON.parse(await ResumeManager.exportJsonResume());
+    const { meta: metaA, ...restA } = reexported;
+    const { meta: metaB, ...restB } = twice;
+    check('second round trip is stable', JSON.stringify(restA) === JSON.stringify(restB));
+}
+
+runSuite('JSON Resume', run);
@@ -0,0 +1,149 @@
+/**
+ * Offline resume parsing: Markdown/TXT section detection and DOCX (ZIP + WordprocessingML) extraction.
+ *
+ * Run: node test/test_local_resume_parser.js
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+const { check, runSuite, createMemoryVault } = require('./harness/test-utils.js');
+
+global.window = global;
+global.StorageVault = createMemoryVault({});
+
+require(path.join(__dirname, '../shared/utils/contact-normalizer.js'));
+const LocalResumeParser = require(path.join(__dirname, '../shared/utils/local-resume-parser.js'));
+const ResumeManager = require(path.join(__dirname, '../shared/utils/resume-manager.js'));
+
+const MARKDOWN = `# Jane Q Doe
+jane.doe@example.com | (555) 123-4567 | Austin, TX
+linkedin.com/in/janedoe | github.com/janedoe
+
+## Summary
+Backend engineer with 6 years of experience.
+
+## Experience
+**Senior Software Engineer** | Acme Corp | Austin, TX
+Jan 2021 - Present
+- Led migration to Go
+- Cut latency 40%
+
+Software Engineer at Initech
+06/2018 – 12/2020
+- Built billing APIs
+
+## Education
+University of Texas at Austin
+BSc Computer Science, 2018
+GPA: 3.8/4.0
+
+## Skills
+Technical: Python, Go, SQL
+Soft skills: Mentoring, Communication
+
+## Certifications
+- AWS Solutions Architect
+`;
+
+/**
+ * Build a one-entry ZIP (deflated) holding word/document.xml
+ * @param {string} xml
+ * @returns {ArrayBuffer}
+ */
+function buildDocx(xml) {
+    const name = Buffer.from('word/document.xml');
+    const raw = Buffer.from(xml);
+    const data = zlib.deflateRawSync(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(0, 42);
+
+    const centralOffset = local.length + name.length + data.length;
+    const eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(0x06054b50, 0);
+    eocd.writeUInt16LE(1, 8);
+    eocd.writeUInt16LE(1, 10);
+    eocd.writeUInt32LE(central.length + name.length, 12);
+    eocd.writeUInt32LE(centralOffset, 16);
+
+    const zip = Buffer.concat([local, name, data, central, name, eocd]);
+    return zip.buffer.slice(zip.byteOffset, zip.byteOffset + zip.length);
+}
+
+const paragraph = (text, list = false) =>
+    `<w:p>${list ? '<w:pPr><w:numPr><w:ilvl w:val="0"/></w:numPr></w:pPr>' : ''}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+
+const DOCUMENT_XML = `<?xml version="1.0" encoding="UTF-8"?><w:document><w:body>
+${paragraph('John Smith')}
+${paragraph('john@example.com · +1 415 555 0100')}
+${paragraph('EXPERIENCE')}
+<w:p><w:r><w:t>Data Analyst</w:t></w:r><w:r><w:tab/><w:t>Globex &amp; Co</w:t></w:r><w:r><w:tab/><w:t>Mar 2019 to Present</w:t></w:r></w:p>
+${paragraph('Built dashboards for 3 teams', true)}
+${paragraph('Education')}
+${paragraph('Master of Science in Statistics, Stanford University, 2018')}
+</w:body></w:document>`;
+
+async function run() {
+    console.log('--- Markdown / TXT ---');
+
+    const md = LocalResumeParser.parseResumeText(MARKDOWN);
+    check('contact header', md.personal.firstName === 'Jane Q' && md.personal.lastName === 'Doe' && md.personal.email === 'jane.doe@example.com' && md.personal.phone === '(555) 123-4567', md.personal);
+    check('location and profile links', md.personal.location === 'Austin, TX' && md.personal.github === 'github.com/janedoe', md.personal);
+    check('summary section', md.summary === 'Backend engineer with 6 years of experience.', md.summary);
+    check('two jobs split by date ranges', md.experience.length === 2, md.experience);
+    check('title/company/dates', md.experience[0].title === 'Senior Software Engineer' && md.experience[0].company === 'Acme Corp' && md.experience[0].startDate === '2021-01' && md.experience[0].current, md.experience[0]);
+    check('"Title at Company" and numeric dates', md.experience[1].company === 'Initech' && md.experience[1].endDate === '2020-12', md.experience[1]);
+    check('bullets become achievements', md.experience[0].achievements.length === 2, md.experience[0].achievements);
+    check('education degree/field/gpa', md.education[0].school === 'University of Texas at Austin' && md.education[0].degree === 'BSc' && md.education[0].field === 'Computer Science' && md.education[0].gpa === '3.8/4.0', md.education[0]);
+    check('labelled skill groups', md.skills.technical.includes('SQL') && md.skills.soft.includes('Mentoring'), md.skills);
+    check('certifications section', md.skills.certifications[0] === 'AWS Solutions Architect', md.skills);
+
+    const experienceOf = (header) => LocalResumeParser.parseResumeText(`Experience\n${header}\n- Shipped things`).experience;
+    [
+        'Senior Software Engineer, Acme Corp Jan 2020 - Present',
+        'Engineer, Acme Corp, Jan 2020 - Present',
+        'Engineer, Acme Corp (Jan 2020 - Present)'
+    ].forEach(header => {
+        const [job] = experienceOf(header);
+        check(`comma header "${header}"`, job && /Engineer$/.test(job.title) && job.company === 'Acme Corp' && job.location === '' && job.current, job);
+    });
+    const placed = experienceOf('Engineer, Acme, Inc., Austin, TX, Jan 2020 - Present')[0];
+    check('trailing state is the location, company suffix kept', placed && placed.title === 'Engineer' && placed.company === 'Acme, Inc.' && placed.location === 'Austin, TX', placed);
+    const abroad = experienceOf('Engineer, Globex, Germany\n2019 - 2021')[0];
+    check('trailing country is the location', abroad && abroad.company === 'Globex' && abroad.location === 'Germany', abroad);
+
+    const skillGroups = LocalResumeParser.parseResumeText('Skills\nLanguages: Python, Go\nLanguages: English, Spanish').skills;
+    check('"Languages:" of programming languages under Skills stays technical', skillGroups.technical.includes('Python') && !skillGroups.languages.includes('Go'), skillGroups);
+    check('"Languages:" of spoken languages under Skills', skillGroups.languages.includes('Spanish') && !skillGroups.technical.includes('English'), skillGroups);
+
+    console.log('\n--- DOCX ---');
+
+    const docx = { name: 'cv.docx', buffer: buildDocx(DOCUMENT_XML) };
+    const text = await LocalResumeParser.extractText(docx);
+    check('paragraphs, tabs and entities extracted', text.includes('Data Analyst\tGlobex & Co\tMar 2019 to Present'), text);
+    check('list paragraphs become bullets', text.includes('• Built dashboards for 3 teams'), text);
+
+    const result = await ResumeManager.parseResumeLocally(docx);
+    check('parseResumeLocally succeeds', result.success, result.error);
+    const job = result.data?.experience?.[0] || {};
+    check('docx job parsed', job.title === 'Data Analyst' && job.company === 'Globex & Co' && job.startDate === '2019-03' && job.id, job);
+    check('docx education parsed', result.data?.education?.[0]?.school === 'Stanford University' && result.data.education[0].field === 'Statistics', result.data?.education);
+    check('merged with default schema', Array.isArray(result.data?.projects) && result.data.customFields && 'salaryExpectation' in result.data.customFields, result.data?.customFields);
+
+    const pdf = await ResumeManager.parseResumeLocally({ name: 'cv.pdf', type: 'application/pdf', buffer: new ArrayBuffer(8) });
+    check('pdf is rejected offline', !pdf.success, pdf);
+}
+
+runSuite('local resume parser', run);
@@ -0,0 +1,103 @@
+/**
+ * Locale packs: non-English field classification in HeuristicEngine, pack
+ * selection from <html lang> and label text, cache keys that agree across
+ * languages, and yes/no answer vocabularies.
+ *
+ * Run: node test/test_locale_packs.js
+ */
+
+const path = require('path');
+const { check, report } = require('./harness/test-utils.js');
+
+global.window = global;
+let pageLang = '';
+global.document = { documentElement: { get lang() { return pageLang; } } };
+
+const LocalePacks = require(path.join(__dirname, '../autofill/domains/inference/locale-packs.js'));
+const HeuristicEngine = require(path.join(__dirname, '../autofill/domains/inference/HeuristicEngine.js'));
+require(path.join(__dirname, '../autofill/utils/key-generator.js'));
+const RuleEngine = require(path.join(__dirname, '../autofill/domains/heuristics/RuleEngine.js'));
+
+const engine = new HeuristicEngine();
+const englishOnly = new HeuristicEngine({ locale: null });
+const classify = (label, extra = {}, using = engine) => using.classify({ label, ...extra })?.label || null;
+
+console.log('--- Classification ---');
+
+const CASES = [
+    ['Vorname', 'first_name'], ['Zweiter Vorname', 'middle_name'], ['Nachname *', 'last_name'], ['Telefonnummer', 'phone'],
+    ['Postleitzahl', 'zip_code'], ['Gehaltsvorstellung', 'salary_expected'], ['Kündigungsfrist', 'notice_period_in_days'],
+    ['Prénom', 'first_name'], ['Nom de famille', 'last_name'], ['Courriel', 'email'], ['Ville', 'city'],
+    ['Prétentions salariales', 'salary_expected'], ['Lettre de motivation', 'cover_letter'],
+    ['Nombre', 'first_name'], ['Segundo Nombre', 'middle_name'], ['Nombre completo', 'full_name'], ['Apellidos', 'last_name'],
+    ['Correo electrónico', 'email'], ['Código Postal', 'zip_code'], ['Fecha de nacimiento', 'date_of_birth'],
+    ['Sobrenome', 'last_name'], ['Cidade', 'city'], ['Pretensão salarial', 'salary_expected'],
+    ['Voornaam', 'first_name'], ['Achternaam', 'last_name'], ['Woonplaats', 'city'], ['Geboortedatum', 'date_of_birth'],
+    ['姓', 'last_name'], ['名', 'first_name'], ['氏名', 'full_name'], ['メールアドレス', 'email'], ['電話番号', 'phone'],
+    ['郵便番号', 'zip_code'], ['都道府県', 'state'], ['生年月日', 'date_of_birth'], ['希望年収', 'salary_expected']
+];
+const wrong = CASES.filter(([label, expected]) => classify(label) !== expected).map(([label, expected]) => `${label}: ${classify(label)} (want ${expected})`);
+check(`${CASES.length} labels across DE, FR, ES, PT, NL, JA`, wrong.length === 0, wrong);
+check('English-only engine does not know them', classify('Vorname', {}, englishOnly) === null && classify('氏名', {}, englishOnly) === null);
+
+const ENGLISH = ['First Name', 'Last Name', 'Email Address', 'Phone Number', 'City', 'Zip Code', 'Country', 'Land Line'];
+check('English labels classify as before', ENGLISH.every(label => classify(label) === classify(label, {}, englishOnly)),
+    ENGLISH.map(label => `${label}: ${classify(label)} / ${classify(label, {}, englishOnly)}`));
+
+console.log('\n--- Pack selection ---');
+
+check('detected from label text', LocalePacks.resolveLocales('Bitte geben Sie Ihre Stadt ein', '').join() === 'de');
+check('no pack for plain English', LocalePacks.resolveLocales('Please enter your city', '').length === 0);
+pageLang = 'nl-BE';
+check('page language picked from <html lang>', LocalePacks.pageLanguage() === 'nl' && LocalePacks.resolveLocales('Land')[0] === 'nl');
+check('page language pack applies without a telltale word', classify('Land') === 'country');
+pageLang = '';
+check('fixed locale option', new HeuristicEngine({ locale: 'fr' }).classify({ label: 'Ville' })?.label === 'city');
+
+LocalePacks.registerLocalePack('it', {
+    name: 'Italiano',
+    detect: ['cognome'],
+    types: { first_name: ['nome(?![a-z])'], last_name: ['cognome'] },
+    synonyms: { cognome: 'last name' },
+    yes: ['sì'],
+    no: ['no']
+});
+check('registered pack used', classify('Cognome') === 'last_name' && LocalePacks.getLocaleCodes().includes('it'));
+
+console.log('\n--- Cache keys ---');
+
+const key = (label) => KeyGenerator.generateEnterpriseCacheKey({ label });
+const SAME = [
+    ['First Name', 'Vorname', 'Prénom', 'Primer nombre', 'Voornaam', '名'],
+    ['Last Name', 'Nachname', 'Apellidos', 'Sobrenome', 'Achternaam', '姓', 'Cognome'],
+    ['Email Address', 'E-Mail-Adresse', 'E-mailadres', 'メールアドレス'],
+    ['Phone Number', 'Telefonnummer', '電話番号'],
+    ['Expected Salary', 'Gehaltsvorstellung'],
+    ['Cover Letter', 'Anschreiben', 'Carta de presentación']
+];
+SAME.forEach(labels => {
+    const keys = labels.map(key);
+    check(`"${labels[0]}" key shared by ${labels.length - 1} translations`, new Set(keys).size === 1, keys);
+});
+check('locale stop words dropped', key('Bitte geben Sie Ihre Stadt ein') === 'city', key('Bitte geben Sie Ihre Stadt ein'));
+check('locale stop words kept in English labels', key('Van Driver License') === 'driv_license_van' && key('Des Moines office') === 'des_moine_office',
+    [key('Van Driver License'), key('Des Moines office')]);
+check('German stop word alone does not empty the key', KeyGenerator.generateEnterpriseCacheKey({ label: 'Von *', name: 'wd_startDate' }) === 'von');
+pageLang = 'de';
+check('page language applies its stop words', key('Von Datum') === 'datum' && key('Von *') === 'von', key('Von Datum'));
+pageLang = '';
+check('English keys unchanged', key('Why do you want to work here?') === 'want_work' && key('Zip/Postal Code') === 'code_zip', key('Zip/Postal Code'));
+check('accented letters kept', key('Résumé upload') === 'resume_upload', key('Résumé upload'));
+
+console.log('\n--- Yes / no ---');
+
+check('answers recognised', LocalePacks.answerKind('Ja, ich bin berechtigt') === 'yes' && LocalePacks.answerKind('Não') === 'no' &&
+    LocalePacks.answerKind('いいえ') === 'no' && LocalePacks.answerKind('Sì') === 'yes' && LocalePacks.answerKind('Janvier') === null);
+
+const rules = new RuleEngine();
+const options = [{ value: '1', text: 'Ja' }, { value: '0', text: 'Nein' }];
+check('localized yes/no options picked', rules.getYesNo({ options }, true) === '1' && rules.getYesNo({ options }, false) === '0');
+check('English options still matched', rules.getYesNo({ options: ['Yes', 'No'] }, false) === 'No');
+check('synonym dictionary includes locale answers', rules.synonyms.yes.includes('oui') && rules.synonyms.no.includes('nein'));
+
+report('locale pack');
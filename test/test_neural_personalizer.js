@@ -0,0 +1,181 @@
+/**
+ * On-device fine-tuning: output-layer-only updates in NeuralClassifierV8,
+ * corrections from edits and the sidebar, idle scheduling, the guard set
+ * rejecting damaging updates, delta persistence and the reset to the
+ * shipped weights.
+ *
+ * Run: node test/test_neural_personalizer.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { check, runSuite, createMemoryVault } = require('./harness/test-utils.js');
+
+global.window = global;
+
+const FieldTypes = require(path.join(__dirname, '../autofill/domains/inference/FieldTypes.js'));
+global.FieldTypes = FieldTypes;
+const FeatureExtractor = require(path.join(__dirname, '../autofill/domains/inference/feature-extractor.js'));
+const NeuralClassifierV8 = require(path.join(__dirname, '../autofill/domains/inference/neural-classifier-v8.js'));
+const NeuralPersonalizer = require(path.join(__dirname, '../autofill/domains/inference/neural-personalizer.js'));
+const HybridClassifier = require(path.join(__dirname, '../autofill/domains/inference/HybridClassifier.js'));
+
+const INFERENCE_DIR = path.join(__dirname, '../autofill/domains/inference');
+const shippedWeights = () => JSON.parse(fs.readFileSync(path.join(INFERENCE_DIR, 'model_v8.json'), 'utf8'));
+const guardSet = JSON.parse(fs.readFileSync(path.join(INFERENCE_DIR, 'guard_set_v8.json'), 'utf8'));
+
+function loadClassifier() {
+    const classifier = new NeuralClassifierV8();
+    classifier.loadWeights(shippedWeights());
+    return classifier;
+}
+
+const extractor = new FeatureExtractor();
+const predict = (classifier, field) => classifier.predict(extractor.extract(field));
+
+const RESUME = {
+    personal: { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', phone: '+1 (555) 123-4567', address: { city: 'London' } },
+    experience: [{ company: 'Analytical Engines Ltd', title: 'Engineer' }],
+    education: [{ school: 'University of London', degree: 'BSc', field: 'Mathematics' }]
+};
+
+// Fields the shipped model gets wrong, with the types a user would teach
+const TAUGHT = [
+    { field: { label: 'Employee reference code', name: 'emp_ref' }, label: 'tax_id' },
+    { field: { label: 'Cell', name: 'cell_no' }, label: 'phone' },
+    { field: { label: 'Alma mater', name: 'alma' }, label: 'institution_name' }
+];
+
+async function run() {
+    console.log('--- Classifier ---');
+
+    const frozen = loadClassifier();
+    const w1Before = frozen.exportWeights().W1[0].slice();
+    const w3Before = frozen.exportWeights().W3[0].slice();
+    const forward = frozen._forward(extractor.extract({ label: 'Email' }));
+    check('forwardOutput matches the full forward pass', frozen.forwardOutput(forward.h2).probs.every((p, i) => Math.abs(p - forward.probs[i]) < 1e-12));
+    const dLogits = forward.probs.map((p, i) => (i === FieldTypes.getFieldTypeIndex('gpa') ? p - 1 : p));
+    frozen.applyGradients(frozen.computeOutputGradients(forward, dLogits), 0.01);
+    check('output-only gradients leave hidden layers alone', frozen.exportWeights().W1[0].every((w, i) => w === w1Before[i]) &&
+        frozen.exportWeights().W3[0].some((w, i) => w !== w3Before[i]));
+
+    console.log('\n--- Corrections ---');
+
+    check('resume value of another type', NeuralPersonalizer.matchResumeValue(' ADA@example.com ', RESUME)?.labels[0] === 'email');
+    check('phone compared by digits', NeuralPersonalizer.matchResumeValue('15551234567', RESUME)?.labels[0] === 'phone');
+    check('unknown or too short values ignored', NeuralPersonalizer.matchResumeValue('Hello', RESUME) === null &&
+        NeuralPersonalizer.matchResumeValue('A', RESUME) === null);
+    check('ambiguous values ignored', NeuralPersonalizer.matchResumeValue('Ada', { personal: { firstName: 'Ada', lastName: 'Ada' } }) === null);
+
+    const vault = createMemoryVault({});
+    let resumeReads = 0;
+    global.ResumeManager = { getResumeData: async () => { resumeReads++; return RESUME; } };
+    const personalizer = new NeuralPersonalizer({ vault, guardSet });
+
+    const phoneField = { label: 'Contact', name: 'contact', ml_prediction: { label: 'phone', confidence: 0.7 } };
+    check('edit with a resume value of another type recorded', await personalizer.recordEdit(phoneField, 'ada@example.com'));
+    const buffer = vault._data.memory[NeuralPersonalizer.BUFFER_KEY];
+    check('buffer keeps features and label, never the value', buffer.entries[0].label === 'email' && buffer.entries[0].source === 'user_edit' &&
+        buffer.entries[0].features.length === 95 && !JSON.stringify(vault._data).includes('ada@example.com'), buffer.entries[0]);
+    check('synonym of the prediction is not a correction',
+        !(await personalizer.recordEdit({ label: 'Employer', ml_prediction: { label: 'current_company' } }, 'Analytical Engines Ltd')));
+    check('edits share one resume read', resumeReads === 1, resumeReads);
+    check('user rule fields skipped',
+        !(await personalizer.recordEdit({ label: 'Contact', ml_prediction: { label: 'phone', source: 'user_rule' } }, 'ada@example.com')));
+    check('invalid types rejected', !(await personalizer.recordCorrection({ label: 'x' }, 'not_a_type')) &&
+        !(await personalizer.recordCorrection({ label: 'x' }, 'unknown')));
+    await personalizer.recordCorrection({ label: 'Contact', name: 'contact' }, 'phone');
+    const replaced = vault._data.memory[NeuralPersonalizer.BUFFER_KEY];
+    check('a newer correction of the same field replaces the older one', replaced.entries.length === 1 && replaced.entries[0].label === 'phone', replaced.entries);
+    await personalizer.reset();
+
+    console.log('\n--- Idle fine-tuning ---');
+
+    const idleQueue = [];
+    global.requestIdleCallback = (cb) => idleQueue.push(cb);
+    const drain = async () => {
+        while (idleQueue.length > 0 || personalizer._scheduled || personalizer._training) {
+            const cb = idleQueue.shift();
+            if (cb) cb({ timeRemaining: () => 50, didTimeout: false });
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    };
+
+    const live = loadClassifier();
+    const hybrid = new HybridClassifier({ neuralClassifier: live, featureExtractor: extractor, heuristicEngine: { classify: () => ({ label: 'unknown', confidence: 0 }) } });
+    check('attach without a delta keeps the shipped weights', !(await personalizer.attach(live)));
+    const before = TAUGHT.map(t => predict(live, t.field).label);
+    check('shipped model misses the taught field', before[0] !== 'tax_id', before);
+
+    await personalizer.recordCorrection(TAUGHT[0].field, TAUGHT[0].label);
+    await personalizer.recordCorrection(TAUGHT[1].field, TAUGHT[1].label);
+    check('no run before MIN_NEW_CORRECTIONS', idleQueue.length === 0);
+    await personalizer.recordCorrection(TAUGHT[2].field, TAUGHT[2].label);
+    check('third correction schedules an idle callback', idleQueue.length === 1 && personalizer._scheduled);
+    await drain();
+
+    const status = await personalizer.getStatus();
+    check('fine-tune accepted within the guard tolerance', status.delta && status.lastRun.accepted &&
+        status.delta.guardAccuracy >= status.delta.baseGuardAccuracy - NeuralPersonalizer.GUARD_TOLERANCE && status.untrained === 0, status);
+    const taught = predict(live, TAUGHT[0].field);
+    check('live classifier learned the correction', taught.label === 'tax_id', taught);
+    check('hybrid classifier sees the fine-tuned model', (await hybrid.getHypotheses(TAUGHT[0].field)).neural.label === 'tax_id');
+    check('unrelated fields unchanged', predict(live, { label: 'Email Address', name: 'email' }).label === 'email');
+    delete global.requestIdleCallback;
+
+    console.log('\n--- Persistence ---');
+
+    const delta = vault._data.memory[NeuralPersonalizer.DELTA_KEY];
+    check('delta stored against the shipped weights', delta.baseFingerprint === NeuralPersonalizer.fingerprint(shippedWeights()) &&
+        delta.dW3.length === NeuralClassifierV8.HIDDEN2_SIZE && delta.db3.length === FieldTypes.ORDERED_CLASSES.length);
+
+    const reloaded = loadClassifier();
+    check('delta re-applied on the next page load', await new NeuralPersonalizer({ vault, guardSet }).attach(reloaded) &&
+        predict(reloaded, TAUGHT[0].field).label === 'tax_id');
+
+    const retrained = shippedWeights();
+    retrained.b3[0] += 0.5;
+    const otherModel = new NeuralClassifierV8();
+    otherModel.loadWeights(retrained);
+    check('delta for other shipped weights ignored', !(await new NeuralPersonalizer({ vault, guardSet }).attach(otherModel)));
+    const lastRow = shippedWeights();
+    lastRow.W3[lastRow.W3.length - 1][0] += 1e-6;
+    check('fingerprint covers every output weight', NeuralPersonalizer.fingerprint(lastRow) !== NeuralPersonalizer.fingerprint(shippedWeights()));
+
+    console.log('\n--- Guard set ---');
+
+    const poisonVault = createMemoryVault({});
+    const poisoned = new NeuralPersonalizer({ vault: poisonVault, guardSet });
+    const target = loadClassifier();
+    await poisoned.attach(target);
+    const original = NeuralPersonalizer.MIN_NEW_CORRECTIONS;
+    NeuralPersonalizer.MIN_NEW_CORRECTIONS = Infinity;
+    for (const sample of guardSet.guard.slice(0, 40)) await poisoned.recordCorrection({ features: sample.features }, 'gpa');
+    NeuralPersonalizer.MIN_NEW_CORRECTIONS = original;
+    const rejected = await poisoned.fineTune();
+    check('update that breaks standard field types rejected', !rejected.accepted && rejected.reason === 'guard_failed' &&
+        rejected.guardAccuracy < rejected.baseGuardAccuracy - NeuralPersonalizer.GUARD_TOLERANCE, rejected);
+    check('rejected update neither saved nor applied', !poisonVault._data.memory[NeuralPersonalizer.DELTA_KEY] &&
+        predict(target, { label: 'Email Address', name: 'email' }).label === 'email');
+    check('rejection reported in the status', (await poisoned.getStatus()).lastRun.reason === 'guard_failed');
+
+    console.log('\n--- Reset ---');
+
+    await personalizer.reset();
+    const cleared = await personalizer.getStatus();
+    check('reset forgets the delta and buffer', cleared.corrections === 0 && cleared.delta === null && !vault._data.memory[NeuralPersonalizer.DELTA_KEY]);
+    check('reset restores the shipped weights', predict(live, TAUGHT[0].field).label === before[0]);
+
+    console.log('\n--- Extension wiring ---');
+
+    const attached = [];
+    global.NeuralPersonalizer = { attach: async (c) => attached.push(c) };
+    global.chrome = { runtime: { getURL: (p) => `chrome-extension://nova/${p}` } };
+    global.fetch = async (url) => ({ ok: true, json: async () => (url.endsWith('model_v8.json') ? shippedWeights() : {}) });
+    const lazyNeural = new NeuralClassifierV8();
+    await new HybridClassifier({ neuralClassifier: lazyNeural, featureExtractor: extractor }).classify({ label: 'Email' });
+    check('personalizer attached after the weights load', attached.length === 1 && attached[0] === lazyNeural && lazyNeural.isReady);
+    delete global.chrome;
+}
+
+runSuite('neural personalizer', run);
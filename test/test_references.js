@@ -0,0 +1,134 @@
+/**
+ * References end to end: schema default, JSON Resume round trip, contact fields under a
+ * references heading classified as reference_*, and reference blocks filled by index.
+ *
+ * Run: node test/test_references.js
+ */
+
+const path = require('path');
+const { check, runSuite, createMemoryVault } = require('./harness/test-utils.js');
+
+global.window = global;
+global.StorageVault = createMemoryVault({
+    identity: {
+        // Saved before references existed
+        resumeData: { personal: { firstName: 'Ana', lastName: 'Silva', email: 'ana@example.com', phone: '+15125550142' } }
+    }
+});
+
+require(path.join(__dirname, '../shared/utils/contact-normalizer.js'));
+const ResumeManager = require(path.join(__dirname, '../shared/utils/resume-manager.js'));
+const JsonResumeConverter = require(path.join(__dirname, '../shared/utils/json-resume-converter.js'));
+const HeuristicEngine = require(path.join(__dirname, '../autofill/domains/inference/HeuristicEngine.js'));
+const HybridClassifier = require(path.join(__dirname, '../autofill/domains/inference/HybridClassifier.js'));
+const RuleEngine = require(path.join(__dirname, '../autofill/domains/heuristics/RuleEngine.js'));
+require(path.join(__dirname, '../autofill/handlers/handler.js'));
+require(path.join(__dirname, '../autofill/domains/profile/SectionController.js'));
+require(path.join(__dirname, '../autofill/core/PipelineOrchestrator.js'));
+require(path.join(__dirname, '../autofill/services/extraction/section-detector.js'));
+
+const REFERENCES = [
+    { name: 'Jane Smith', relationship: 'Former manager', company: 'Acme Corp', title: 'Engineering Manager', email: 'jane@acme.com', phone: '+1 555 010 2000', yearsKnown: '4' },
+    { name: 'Raj Patel', relationship: 'Colleague', company: 'Initech', title: 'Staff Engineer', email: 'raj@initech.com', phone: '+1 555 010 3000', yearsKnown: '2' }
+];
+
+// Minimal DOM stand-in for SectionDetector: a container with an optional heading and same-shape siblings
+function block({ tag = 'SECTION', className = '', heading = null, text, inputs = 3, siblings = 0 }) {
+    const headingEl = heading ? { innerText: heading } : null;
+    const container = {
+        tagName: tag,
+        className,
+        innerText: [heading, text].filter(Boolean).join('\n'),
+        querySelector: () => headingEl,
+        querySelectorAll: () => new Array(inputs).fill({})
+    };
+    container.nextElementSibling = siblings > 0 ? { tagName: tag, className } : null;
+    return { closest: () => container, parentElement: container };
+}
+
+const field = (selector, label, mlLabel, fieldIndex) => ({
+    selector,
+    label,
+    name: '',
+    id: '',
+    type: 'text',
+    field_index: fieldIndex,
+    ml_prediction: { label: mlLabel, confidence: 0.97 }
+});
+
+async function run() {
+    console.log('--- Schema ---');
+
+    const legacy = await ResumeManager.getResumeData();
+    check('references default to an empty list', Array.isArray(legacy.references) && legacy.references.length === 0, legacy.references);
+
+    legacy.references = REFERENCES.map(ref => ({ id: ResumeManager.generateId(), ...ref }));
+    await ResumeManager.saveResumeData(legacy);
+    const saved = await ResumeManager.getResumeData();
+    check('references saved in order', saved.references.length === 2 && saved.references[1].name === 'Raj Patel', saved.references);
+
+    const text = await ResumeManager.getResumeAsText();
+    check('resume text lists references', text.includes('## References') && text.includes('Jane Smith (Former manager)'), text);
+    check('resume text leaves out referee email and phone', !text.includes('jane@acme.com') && !text.includes('555 010 2000'), text);
+
+    const json = JsonResumeConverter.toJsonResume(saved);
+    check('JSON Resume references carry a readable line', json.references[0].name === 'Jane Smith' && json.references[0].reference.includes('jane@acme.com'), json.references);
+    const back = JsonResumeConverter.fromJsonResume(json);
+    check('JSON Resume round trip keeps every reference field', back.references[1].yearsKnown === '2' && back.references[1].id === saved.references[1].id && back.references[1].relationship === 'Colleague', back.references[1]);
+
+    console.log('\n--- Classification ---');
+
+    const engine = new HeuristicEngine();
+    const classify = (label, parentContext, extra = {}) => engine.classify({ label, name: '', id: '', placeholder: '', parentContext, ...extra })?.label;
+    check('"Email" under a References heading is the referee\'s', classify('Email', 'References') === 'reference_email');
+    check('"Name" under "Referee 2" is the referee\'s', classify('Name', 'Referee 2') === 'reference_name');
+    check('years known / relationship / company remapped', classify('Years known', 'Professional References') === 'reference_years_known' && classify('Relationship', 'References') === 'reference_relationship' && classify('Company', 'References') === 'reference_company');
+    check('array-style name marks the block', classify('Phone', '', { name: 'references[1][phone]' }) === 'reference_phone');
+    check('explicit "Reference Email" label beats the email pattern', classify('Reference Email', 'Contact Information') === 'reference_email');
+    check('applicant email stays email', classify('Email', 'Contact Information') === 'email');
+    check('page section that mentions references leaves the applicant\'s email alone', classify('Email', 'Contact details and references') === 'email');
+    check('referral questions are not references', !String(classify('Referral name', 'References')).startsWith('reference_'));
+    check('split first name is left alone', classify('First Name', 'References') !== 'reference_name');
+
+    const semantics = (options) => window.SectionDetector.analyzeSectionSemantics(block(options))?.context;
+    check('block headed "Referee 1" is a reference block', semantics({ heading: 'Referee 1', text: 'Name Email Phone' }) === 'reference');
+    check('repeating entry mentioning references is a reference block', semantics({ className: 'entry', text: 'Reference name Email Phone', siblings: 1 }) === 'reference');
+    check('page section mentioning references is not', semantics({ heading: 'Your details', text: 'Email Phone. References available on request.', inputs: 12, siblings: 1 }) !== 'reference');
+
+    const hybrid = new HybridClassifier();
+    const arbitrated = hybrid._arbitrate({ label: 'reference_email', confidence: 0.97 }, { label: 'email', confidence: 0.92 });
+    check('heuristic reference label wins arbitration over neural contact guess', arbitrated.label === 'reference_email', arbitrated);
+
+    console.log('\n--- Routing & filling ---');
+
+    const orchestrator = new window.PipelineOrchestrator();
+    check('reference_* labels route to the reference section', orchestrator.getSectionType('reference_company') === 'reference' && orchestrator.getSectionType('company_name') === 'work');
+
+    const controller = new window.SectionController();
+    check('SectionController accepts indexed reference fields', controller.canHandle({ field_index: 1, section_type: 'reference' }));
+
+    const blocks = [
+        field('#ref0-name', 'Name', 'reference_name', 0),
+        field('#ref0-email', 'Email', 'reference_email', 0),
+        field('#ref0-years', 'Years known', 'reference_years_known', 0),
+        field('#ref1-name', 'Name', 'reference_name', 1),
+        field('#ref1-company', 'Company', 'reference_company', 1),
+        field('#ref1-phone', 'Phone', 'reference_phone', 1),
+        field('#job0-company', 'Company', 'company_name', 0)
+    ];
+    const filled = await controller.handle(blocks, { resumeData: { ...saved, experience: [{ company: 'Globex' }] } });
+    const value = (selector) => filled[selector]?.value;
+    check('first block filled from the first reference', value('#ref0-name') === 'Jane Smith' && value('#ref0-email') === 'jane@acme.com' && value('#ref0-years') === '4', filled);
+    check('second block filled from the second reference', value('#ref1-name') === 'Raj Patel' && value('#ref1-company') === 'Initech' && value('#ref1-phone') === '+1 555 010 3000', filled);
+    check('job block in the same form still maps to experience', value('#job0-company') === 'Globex', value('#job0-company'));
+
+    const rules = new RuleEngine();
+    const { defined } = rules.resolveFields([
+        field('#single-email', 'Email', 'reference_email'),
+        field('#single-company', 'Company', 'reference_company'),
+        field('#single-relationship', 'Relationship', 'reference_relationship')
+    ], saved);
+    check('single reference block resolved by RuleEngine (not the applicant\'s email)', defined['#single-email']?.value === 'jane@acme.com' && defined['#single-company']?.value === 'Acme Corp', defined);
+}
+
+runSuite('reference', run);
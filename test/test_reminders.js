@@ -0,0 +1,85 @@
+/**
+ * Follow-up reminders: scheduling, snooze/complete, and rebuilding alarms
+ * from storage after the service worker restarts.
+ *
+ * Run: node test/test_reminders.js
+ */
+
+const path = require('path');
+const { check, runSuite, createMemoryVault } = require('./harness/test-utils.js');
+
+global.window = global;
+global.StorageVault = createMemoryVault({});
+
+// chrome.alarms keyed by name, like the real API
+const alarms = new Map();
+global.chrome = {
+    alarms: {
+        create: async (name, info) => { alarms.set(name, { name, scheduledTime: info.when }); },
+        clear: async (name) => alarms.delete(name),
+        getAll: async () => [...alarms.values()]
+    }
+};
+
+const ReminderManager = require(path.join(__dirname, '../shared/utils/reminder-manager.js'));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function run() {
+    console.log('--- Scheduling ---');
+
+    const reminder = await ReminderManager.createReminder({
+        title: 'Senior Engineer',
+        company: 'Acme',
+        url: 'https://boards.greenhouse.io/acme/jobs/123',
+        note: ' Nudge recruiter ',
+        days: 7
+    });
+    const alarm = alarms.get('nova-reminder:' + reminder.id);
+    check('reminder stored as pending', reminder.status === 'pending' && reminder.note === 'Nudge recruiter', reminder);
+    check('alarm set for the due date', alarm && Math.abs(alarm.scheduledTime - (Date.now() + 7 * DAY_MS)) < 5000, alarm);
+    check('alarm name maps back to the reminder', ReminderManager.reminderIdFromAlarm(alarm.name) === reminder.id && ReminderManager.reminderIdFromAlarm('other-alarm') === null);
+    check('notification title', ReminderManager.describeReminder(reminder) === 'Follow up: Senior Engineer at Acme');
+
+    const bare = await ReminderManager.createReminder({ url: 'https://example.com/job' });
+    check('default note and delay', bare.note === 'Follow up on your application' && new Date(bare.dueAt) - Date.now() > 6.9 * DAY_MS);
+
+    console.log('\n--- Snooze and complete ---');
+
+    const snoozed = await ReminderManager.snoozeReminder(reminder.id, 1);
+    check('snooze moves the due date and the alarm', snoozed.snoozeCount === 1 &&
+        Math.abs(alarms.get('nova-reminder:' + reminder.id).scheduledTime - (Date.now() + DAY_MS)) < 5000, snoozed);
+
+    await ReminderManager.completeReminder(bare.id);
+    check('complete cancels the alarm', !alarms.has('nova-reminder:' + bare.id));
+    const pending = await ReminderManager.listReminders({ status: 'pending' });
+    check('pending list excludes completed reminders', pending.length === 1 && pending[0].id === reminder.id, pending);
+
+    console.log('\n--- Worker restart ---');
+
+    // Overdue while the browser was closed; alarms were lost
+    await StorageVault.bucket('identity').update('reminders', list => list.map(r =>
+        r.id === reminder.id ? { ...r, dueAt: new Date(Date.now() - DAY_MS).toISOString() } : r
+    ));
+    alarms.clear();
+    alarms.set('nova-reminder:stale', { name: 'nova-reminder:stale', scheduledTime: Date.now() });
+    alarms.set('unrelated', { name: 'unrelated', scheduledTime: Date.now() });
+
+    check('sync counts the pending reminder', (await ReminderManager.syncReminderAlarms()) === 1);
+    const restored = alarms.get('nova-reminder:' + reminder.id);
+    check('overdue reminder fires right away', restored && restored.scheduledTime <= Date.now() + 2000, restored);
+    check('orphaned reminder alarms are removed, others kept', !alarms.has('nova-reminder:stale') && alarms.has('unrelated'));
+
+    await ReminderManager.markReminderNotified(reminder.id);
+    alarms.clear();
+    check('a reminder already shown is not shown again', (await ReminderManager.syncReminderAlarms()) === 0 && alarms.size === 0);
+
+    await ReminderManager.snoozeReminder(reminder.id, 3);
+    alarms.clear();
+    check('snoozing after it was shown schedules it again', (await ReminderManager.syncReminderAlarms()) === 1 && alarms.size === 1);
+
+    await ReminderManager.clearReminders();
+    check('clear removes reminders and alarms', (await ReminderManager.listReminders()).length === 0 && alarms.size === 0);
+}
+
+runSuite('reminder', run);
@@ -0,0 +1,50 @@
+/**
+ * Resume revision history: snapshots per save, field-level diff and rollback.
+ *
+ * Run: node test/test_resume_history.js
+ */
+
+const path = require('path');
+const { check, runSuite, createMemoryVault } = require('./harness/test-utils.js');
+
+global.window = global;
+global.StorageVault = createMemoryVault({
+    identity: { resumeData: { personal: { firstName: 'Ada', email: 'ada@example.com' }, skills: { technical: ['Python'] }, experience: [] } }
+});
+
+const ResumeManager = require(path.join(__dirname, '../shared/utils/resume-manager.js'));
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+async function run() {
+    console.log('--- Resume history ---');
+
+    const edited = clone(await ResumeManager.getResumeData());
+    edited.personal.email = 'ada@lovelace.dev';
+    edited.skills.technical = ['Python', 'Algorithms'];
+    edited.experience = [{ id: 'exp-1', company: 'Analytical Engines Ltd', title: 'Lead Engineer' }];
+    await ResumeManager.saveResumeData(edited);
+
+    let history = await ResumeManager.getResumeHistory();
+    check('first save keeps the pre-existing data as a baseline', history.length === 2 && history[1].source === 'baseline', history);
+
+    const revision = await ResumeManager.getResumeRevision(history[0].id);
+    const paths = revision.changes.map(c => c.path);
+    check('diff reports changed scalar fields', paths.includes('personal.email'), paths);
+    check('diff reports skill set changes', revision.changes.find(c => c.path === 'skills.technical')?.added[0] === 'Algorithms', revision.changes);
+    check('diff names added entries', paths.includes('experience[Analytical Engines Ltd]'), paths);
+
+    await ResumeManager.saveResumeData(clone(await ResumeManager.getResumeData()));
+    check('saves without changes add no revision', (await ResumeManager.getResumeHistory()).length === 2);
+
+    const aiImport = clone(await ResumeManager.getResumeData());
+    aiImport.personal.email = 'wrong@parser.ai';
+    await ResumeManager.saveResumeData(aiImport, { source: ResumeManager.RevisionSource.AI_IMPORT });
+    history = await ResumeManager.getResumeHistory();
+    check('revisions record their source', history[0].source === 'ai_import', history[0]);
+
+    check('rollback restores an earlier revision', await ResumeManager.rollbackResume(history[1].id));
+    check('rolled-back data is current', (await ResumeManager.getResumeData()).personal.email === 'ada@lovelace.dev');
+    check('rollback is itself a revision', (await ResumeManager.getResumeHistory())[0].source === 'rollback');
+}
+
+runSuite('resume history', run);
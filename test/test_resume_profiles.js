@@ -0,0 +1,49 @@
+/**
+ * Resume profiles (personas): CRUD, domain rules and active-profile resolution.
+ *
+ * Run: node test/test_resume_profiles.js
+ */
+
+const path = require('path');
+const { check, runSuite, createMemoryVault } = require('./harness/test-utils.js');
+
+global.window = global;
+global.StorageVault = createMemoryVault({});
+
+const ResumeManager = require(path.join(__dirname, '../shared/utils/resume-manager.js'));
+
+async function run() {
+    console.log('--- Resume profiles ---');
+
+    await ResumeManager.saveResumeData({ personal: { firstName: 'Ada', email: 'ada@example.com' } });
+    const initial = await ResumeManager.listProfiles();
+    check('legacy resume is the default profile', initial.profiles.length === 1 && initial.defaultProfileId === 'default', initial);
+
+    const managerId = await ResumeManager.createProfile('Engineering Manager', { copyFrom: 'default' });
+    const copy = await ResumeManager.getResumeData({ profileId: managerId });
+    check('createProfile copies the source profile', copy.personal.email === 'ada@example.com', copy.personal);
+
+    await ResumeManager.updateSection('summary', 'Leads teams.', { profileId: managerId });
+    check('profile writes stay in their profile', (await ResumeManager.getResumeData()).summary === '', await ResumeManager.getResumeData());
+
+    await ResumeManager.saveDomainRules([{ domain: '*.myworkdayjobs.com', profileId: managerId }]);
+    const ruled = await ResumeManager.resolveProfile({ hostname: 'acme.wd5.myworkdayjobs.com' });
+    check('domain rule matches subdomains', ruled.profileId === managerId && ruled.source === 'rule', ruled);
+
+    const flat = await ResumeManager.getFlattenedResumeData({ hostname: 'acme.wd5.myworkdayjobs.com' });
+    check('getFlattenedResumeData resolves via the rule', flat.summary === 'Leads teams.', flat);
+
+    await ResumeManager.setActiveProfile('default');
+    const picked = await ResumeManager.resolveProfile({ hostname: 'acme.wd5.myworkdayjobs.com' });
+    check('picker selection overrides domain rules', picked.profileId === 'default' && picked.source === 'picked', picked);
+
+    await ResumeManager.setActiveProfile(managerId);
+    check('getOptimizedContext uses the active profile', (await ResumeManager.getOptimizedContext()).includes('Leads teams.'));
+
+    check('deleteProfile removes a profile', await ResumeManager.deleteProfile(managerId));
+    const after = await ResumeManager.listProfiles();
+    check('deleting clears its rules and selection', after.domainRules.length === 0 && after.activeProfileId === null, after);
+    check('the last profile cannot be deleted', !(await ResumeManager.deleteProfile('default')));
+}
+
+runSuite('resume profile', run);
@@ -0,0 +1,161 @@
+/**
+ * Tailored resume variants: applying the AI's orderings without inventing
+ * content, the derived profile, and the tab-and-posting override kept by the
+ * background in chrome.storage.session.
+ *
+ * Run: node test/test_resume_tailor.js
+ */
+
+const path = require('path');
+const { check, runSuite, createMemoryVault } = require('./harness/test-utils.js');
+
+global.window = global;
+global.StorageVault = createMemoryVault({});
+
+// Content-script page; the page's own sessionStorage must stay untouched
+const page = { protocol: 'https:', hostname: 'jobs.lever.co', href: 'https://jobs.lever.co/acme/123' };
+global.location = page;
+const pageSession = new Map();
+global.sessionStorage = { getItem: (key) => pageSession.get(key) ?? null, setItem: (key, value) => pageSession.set(key, value), removeItem: (key) => pageSession.delete(key) };
+
+// Background worker stand-in: answers tab pin messages for the sender's tab from chrome.storage.session
+const sessionArea = new Map();
+let senderTabId = 1;
+global.chrome = {
+    storage: {
+        session: {
+            get: async (key) => (sessionArea.has(key) ? { [key]: JSON.parse(sessionArea.get(key)) } : {}),
+            set: async (items) => Object.entries(items).forEach(([key, value]) => sessionArea.set(key, JSON.stringify(value)))
+        }
+    },
+    runtime: {
+        sendMessage: async (message) => {
+            global.location = { protocol: 'chrome-extension:', hostname: 'nova', href: 'chrome-extension://nova/background/background.js' };
+            try {
+                const pin = { tabId: senderTabId, posting: message.posting };
+                if (message.type === 'SET_TAB_PROFILE') return { success: await ResumeManager.setTabProfile(message.profileId, pin) };
+                if (message.type === 'GET_TAB_PROFILE') return { success: true, profileId: await ResumeManager.getTabProfile(pin) };
+                return null;
+            } finally {
+                global.location = page;
+            }
+        }
+    }
+};
+
+// AI stub: records the prompt, replies with the queued plan
+let aiPlan = null;
+let lastCall = null;
+global.AIClient = {
+    AISubsystem: { RESUME_TAILOR: 'resume_tailor' },
+    callAI: async (prompt, system, options) => {
+        lastCall = { prompt, system, options };
+        return { success: true, text: JSON.stringify(aiPlan) };
+    },
+    parseAIJson: (text) => JSON.parse(text)
+};
+
+const ResumeManager = require(path.join(__dirname, '../shared/utils/resume-manager.js'));
+require(path.join(__dirname, '../shared/utils/application-store.js'));
+const { ResumeTailor } = require(path.join(__dirname, '../autofill/features/resume-tailor.js'));
+
+const RESUME = {
+    personal: { firstName: 'Ada', email: 'ada@example.com' },
+    summary: 'Engineer who builds things.',
+    skills: { technical: ['Excel', 'Python', 'Go'], soft: ['Mentoring', 'Writing'] },
+    experience: [
+        { id: 'e1', title: 'Engineer', company: 'Globex', achievements: ['Ran the office party', 'Built a Go API', 'Cut AWS costs 30%'] },
+        { id: 'e2', title: 'Developer', company: 'Initech', description: '- Wrote reports\n- Shipped Python ETL' }
+    ]
+};
+
+const JOB = {
+    title: 'Backend Engineer',
+    company: 'Acme',
+    url: 'https://jobs.lever.co/acme/123',
+    requisitionId: '',
+    source: 'platform',
+    text: 'Title: Backend Engineer\nCompany: Acme\nGo, Python, AWS'
+};
+
+async function run() {
+    console.log('--- Applying the plan ---');
+
+    const { data, changes } = ResumeTailor.applyTailoring(RESUME, {
+        summary: '  Backend engineer shipping Go and Python services.  ',
+        experience: [{ index: 0, order: [2, 1, 2, 9] }, { index: 1, order: [1, 0] }, { index: 7, order: [0] }],
+        skills: ['go', 'Python', 'Kubernetes']
+    });
+    check('summary rewritten and trimmed', data.summary === 'Backend engineer shipping Go and Python services.' && changes.summary);
+    check('bullets reordered; bad and repeated indices ignored, nothing dropped',
+        data.experience[0].achievements.join('|') === 'Cut AWS costs 30%|Built a Go API|Ran the office party', data.experience[0]);
+    check('description lines reordered', data.experience[1].description === '- Shipped Python ETL\n- Wrote reports' && changes.experience === 2, data.experience[1]);
+    check('skills sorted by relevance, unknown names not added',
+        data.skills.technical.join('|') === 'Go|Python|Excel' && data.skills.soft.join('|') === 'Mentoring|Writing' && changes.skills, data.skills);
+    check('input resume not mutated', RESUME.experience[0].achievements[0] === 'Ran the office party' && RESUME.summary === 'Engineer who builds things.');
+    check('overlong summary rejected', ResumeTailor.applyTailoring(RESUME, { summary: 'x'.repeat(2000) }).data.summary === RESUME.summary);
+
+    console.log('\n--- Tailoring a posting ---');
+
+    await ResumeManager.saveResumeData(JSON.parse(JSON.stringify(RESUME)));
+    aiPlan = { summary: 'Go and Python backend engineer.', experience: [{ index: 0, order: [1, 2, 0] }], skills: ['Go'] };
+    const result = await ResumeTailor.tailor(JOB);
+    check('tailor succeeds', result.success && result.profileId, result);
+    check('AI called in JSON mode with numbered bullets', lastCall.options.jsonMode === true &&
+        lastCall.options.subsystem === 'resume_tailor' && lastCall.prompt.includes('[1] Built a Go API'), lastCall && lastCall.options);
+
+    const { profiles } = await ResumeManager.listProfiles();
+    const variant = profiles.find(p => p.id === result.profileId);
+    check('variant is a derived profile linked to the posting', variant && variant.derivedFrom === 'default' &&
+        variant.tailoredFor.url === JOB.url && ResumeManager.isTailoredProfile(variant), variant);
+
+    const inTab = await ResumeManager.getResumeData();
+    check('this tab reads the variant', inTab.summary === 'Go and Python backend engineer.' && inTab.experience[0].achievements[0] === 'Built a Go API', inTab.summary);
+    check('resolved as a tab profile', (await ResumeManager.resolveProfile()).source === 'tab');
+    check('pin kept by the background, not in the page\'s sessionStorage', pageSession.size === 0 &&
+        JSON.parse(sessionArea.get('tabProfiles'))[1].profileId === result.profileId, [...sessionArea]);
+
+    const master = await ResumeManager.getResumeData({ profileId: 'default' });
+    check('master resume untouched', master.summary === 'Engineer who builds things.' && master.experience[0].achievements[0] === 'Ran the office party');
+
+    const history = await ResumeManager.getResumeHistory({ profileId: result.profileId });
+    check('variant revision labelled tailored', history.length > 0 && history[0].source === 'tailored', history[0]);
+
+    console.log('\n--- Tab scope ---');
+
+    senderTabId = 2;
+    check('other tabs use the master resume', (await ResumeManager.getResumeData()).summary === 'Engineer who builds things.');
+    senderTabId = 1;
+
+    page.href = 'https://jobs.lever.co/acme/123/apply';
+    check('apply page of the same posting keeps the variant', (await ResumeManager.resolveProfile()).profileId === result.profileId);
+    page.href = 'https://jobs.lever.co/acme/456';
+    check('another posting in the same tab uses the master', (await ResumeManager.resolveProfile()).profileId === 'default');
+    page.href = JOB.url;
+
+    await ResumeManager.setTabProfile(result.profileId);
+    aiPlan = { summary: 'Backend engineer for Acme.', experience: [], skills: [] };
+    const again = await ResumeTailor.tailor(JOB);
+    const after = await ResumeManager.listProfiles();
+    check('re-tailoring the same posting updates the variant', again.profileId === result.profileId &&
+        after.profiles.filter(p => ResumeManager.isTailoredProfile(p)).length === 1, after.profiles);
+    check('re-tailoring starts from the master, not the variant', lastCall.prompt.includes('CURRENT SUMMARY:\nEngineer who builds things.'));
+
+    check('variants cannot be default, picked or rule targets',
+        !(await ResumeManager.setDefaultProfile(result.profileId)) && !(await ResumeManager.setActiveProfile(result.profileId)));
+    await ResumeManager.saveDomainRules([{ domain: 'lever.co', profileId: result.profileId }]);
+    check('domain rule to a variant dropped', (await ResumeManager.listProfiles()).domainRules.length === 0);
+    check('the only master profile cannot be deleted while variants exist', !(await ResumeManager.deleteProfile('default')));
+
+    await ResumeManager.setTabProfile(null);
+    check('clearing the tab profile goes back to the master', (await ResumeManager.resolveProfile()).profileId === 'default');
+
+    const designId = await ResumeManager.createProfile('Design', { copyFrom: 'default' });
+    const designVariant = await ResumeManager.createTailoredProfile(designId, RESUME, { title: 'Designer', company: 'Acme' });
+    check('deleting a base profile keeps its variants as standalone profiles', await ResumeManager.deleteProfile(designId) &&
+        !(await ResumeManager.listProfiles()).profiles.find(p => p.id === designVariant).derivedFrom);
+
+    check('no posting on the page', !(await ResumeTailor.tailor({ ...JOB, source: 'fallback' })).success);
+}
+
+runSuite('resume tailor', run);
@@ -0,0 +1,105 @@
+/**
+ * AI usage ledger and daily budgets: per-day totals by key, model and
+ * subsystem, estimated usage when the provider reports none, the daily
+ * budget blocking calls, per-key budgets skipping keys and the downgrade
+ * to a cheaper model.
+ *
+ * Run: node test/test_usage_ledger.js
+ */
+
+const path = require('path');
+const { check, runSuite, createMemoryVault } = require('./harness/test-utils.js');
+
+global.window = global;
+global.StorageVault = createMemoryVault({ ai: { keys: ['key-one', 'key-two'] } });
+
+const AIClient = require(path.join(__dirname, '../shared/utils/ai-client.js'));
+
+// Fake provider: answers every request with fixed Gemini usage metadata
+const requests = [];
+let reportUsage = true;
+AIClient.setTransport(async (request) => {
+    requests.push({ model: request.model, maxTokens: request.input.maxTokens });
+    return {
+        ok: true,
+        data: {
+            candidates: [{ content: { parts: [{ text: 'Hello there' }] }, finishReason: 'STOP' }],
+            usageMetadata: reportUsage ? { promptTokenCount: 100, candidatesTokenCount: 40, thoughtsTokenCount: 10 } : undefined
+        }
+    };
+});
+
+const setBudget = (budget) => AIClient.saveUsageBudget(budget);
+
+async function run() {
+    console.log('--- Ledger ---');
+
+    await AIClient.callAI('Say hello', '', { subsystem: AIClient.AISubsystem.CHAT });
+    await AIClient.callAI('Say hello again', '', { subsystem: AIClient.AISubsystem.BATCH_FILL });
+
+    let summary = await AIClient.getUsageSummary();
+    const today = summary.today;
+    check('calls accumulate in today\'s totals', today.calls === 2 && today.errors === 0, today);
+    check('reported usage summed, thoughts counted as response', today.promptTokens === 200 && today.responseTokens === 100 && today.totalTokens === 300, today);
+    check('totals split by subsystem', today.bySubsystem.chat.tokens === 150 && today.bySubsystem.batch_fill.calls === 1, today.bySubsystem);
+    check('totals split by model', today.byModel['gemini/gemini-2.5-flash']?.calls === 2, today.byModel);
+    check('totals split by hashed key, never the raw key', Object.values(today.byKey).reduce((n, k) => n + k.calls, 0) === 2 &&
+        !JSON.stringify(StorageVault._data.ai.usage_ledger).includes('key-one'), today.byKey);
+    check('recent log newest first', summary.recent.length === 2 && summary.recent[0].subsystem === 'batch_fill', summary.recent);
+    check('last seven days listed', summary.days.length === 7 && summary.days[1].calls === 0);
+
+    reportUsage = false;
+    await AIClient.callAI('Twelve chars', '', {});
+    reportUsage = true;
+    summary = await AIClient.getUsageSummary();
+    const estimated = summary.recent[0];
+    check('missing usage estimated from the text', estimated.estimated && estimated.promptTokens === 3 && estimated.responseTokens === 3 &&
+        estimated.subsystem === 'other', estimated);
+
+    await AIClient.resetUsageLedger();
+    check('reset clears the ledger', (await AIClient.getUsageSummary()).today.calls === 0);
+
+    console.log('\n--- Daily budget ---');
+
+    await setBudget({ dailyTokens: 300, action: 'block' });
+    const first = await AIClient.callAI('One', '', {});
+    const second = await AIClient.callAI('Two', '', {});
+    const third = await AIClient.callAI('Three', '', {});
+    check('calls under the budget go through', first.success && second.success, second);
+    check('call over the budget blocked', !third.success && third.errorCode === AIClient.AIErrorCode.BUDGET_EXCEEDED, third);
+    check('blocked call sends nothing and records nothing', requests.length === 5 && (await AIClient.getUsageSummary()).today.calls === 2, requests.length);
+
+    console.log('\n--- Downgrade ---');
+
+    await setBudget({ dailyTokens: 300, action: 'downgrade' });
+    const downgraded = await AIClient.callAI('Four', '', { maxTokens: 8192 });
+    const sent = requests[requests.length - 1];
+    check('over the budget downgrades to the provider\'s budget model', downgraded.success && sent.model === 'gemini-flash-lite-latest', sent);
+    check('downgraded calls capped at 1024 tokens', sent.maxTokens === 1024, sent);
+    check('downgraded usage recorded under the cheaper model',
+        (await AIClient.getUsageSummary()).today.byModel['gemini/gemini-flash-lite-latest']?.calls === 1);
+    await AIClient.saveApiKeys(await AIClient.getApiKeys(), sent.model);
+    check('budget model is not one the client upgrades away from', await AIClient.getStoredModel() === sent.model);
+    await AIClient.saveApiKeys(await AIClient.getApiKeys());
+
+    await setBudget({ dailyTokens: 300, action: 'downgrade', downgradeModel: 'gemini-custom-small' });
+    await AIClient.callAI('Five', '', {});
+    check('configured downgrade model preferred', requests[requests.length - 1].model === 'gemini-custom-small', requests[requests.length - 1]);
+
+    console.log('\n--- Per-key budget ---');
+
+    await AIClient.resetUsageLedger();
+    await setBudget({ keyDailyTokens: 150 });
+    await AIClient.callAI('Six', '', {});
+    await AIClient.callAI('Seven', '', {});
+    const byKey = (await AIClient.getUsageSummary()).today.byKey;
+    check('spent key skipped for the next one', Object.keys(byKey).length === 2, byKey);
+    const exhausted = await AIClient.callAI('Eight', '', {});
+    check('every key over its budget blocks the call', !exhausted.success && exhausted.errorCode === AIClient.AIErrorCode.BUDGET_EXCEEDED, exhausted);
+
+    await setBudget({});
+    check('budget of zero is unlimited', (await AIClient.callAI('Nine', '', {})).success);
+    AIClient.setTransport(null);
+}
+
+runSuite('usage ledger', run);